@@ -2,14 +2,25 @@ import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc';
 import timezone from 'dayjs/plugin/timezone';
 import { isArray, isNumber, isObject, isString } from 'lodash';
-import { storageStore } from '../stores';
-import { withRetry } from '../lib/asyncHelper';
+import { getAuthUser, storageStore } from '../stores';
+import { asyncPool, withRetry } from '../lib/asyncHelper';
+import { withDataReplay } from '../lib/dataReplay';
+import { getExchangeSymbol } from '../lib/exchangeQuote';
 import { getQueryClient } from '../lib/get-query-client';
+import { computeRiskMetrics } from '../lib/riskMetrics';
 import * as qk from '../lib/query-keys';
 import { isSupabaseConfigured, supabase } from '../lib/supabase';
-import { isTradingDay } from '../lib/tradingCalendar';
-
-import { DEFAULT_TZ, ONE_DAY_MS } from '@/app/constants';
+import { getPrevTradingDay, isTradingDay } from '../lib/tradingCalendar';
+import {
+  DEFAULT_VALUATION_SOURCE_ID,
+  getValuationSource,
+  getValuationSourceByKey,
+  listValuationSources,
+  normalizeValuationSourceId,
+  registerValuationSource
+} from '../lib/valuationSources';
+
+import { DEFAULT_INDEX_TRACKING_RATIO, DEFAULT_TZ, ONE_DAY_MS } from '@/app/constants';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -330,9 +341,7 @@ export const fetchEastmoneySectorQuotesBatch = async (secids, { cacheTime = SECT
       chunks.map(async (chunk) => {
         try {
           const url = `https://push2delay.eastmoney.com/api/qt/ulist.np/get?fields=f12,f13,f14,f3&secids=${encodeURIComponent(chunk.join(','))}`;
-          const res = await fetch(url);
-          if (!res.ok) return;
-          const json = await res.json();
+          const json = await fetchThirdPartyJson(url);
           const diff = json?.data?.diff;
           if (!isArray(diff)) return;
 
@@ -387,6 +396,12 @@ function normalizeEastmoneyScriptUrl(url) {
 
 /** 东方财富 F10 / FundArchives 等 JSONP（window.apidata），不做缓存；由 loadScript / fetchQuery 控制 staleTime */
 function runEastmoneyF10ScriptForApidata(url, timeoutMs = 10000) {
+  return withDataReplay('eastmoney_apidata', url, () => injectEastmoneyF10Script(url, timeoutMs), {
+    shouldRecord: (r) => r?.ok
+  }).catch((e) => ({ ok: false, error: e?.message || '数据加载失败' }));
+}
+
+function injectEastmoneyF10Script(url, timeoutMs) {
   return new Promise((resolve) => {
     const script = document.createElement('script');
     script.src = url;
@@ -449,6 +464,63 @@ export const loadScript = (url, options = {}) => {
     });
 };
 
+/**
+ * 腾讯 qt.gtimg.cn 行情脚本，读取其写入的 v_* 全局字符串
+ * @param {string} url
+ * @param {string[]} varNames - 需要读取的全局变量名，如 v_sh000001
+ * @param {number} [timeoutMs=10000]
+ * @returns {Promise<Record<string, string|undefined>>}
+ */
+function loadTencentQuoteVars(url, varNames, timeoutMs = 10000) {
+  const inject = () =>
+    new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      let done = false;
+      const cleanup = () => {
+        done = true;
+        if (timer) clearTimeout(timer);
+        if (document.body.contains(script)) document.body.removeChild(script);
+      };
+      const timer = setTimeout(() => {
+        if (done) return;
+        cleanup();
+        reject(new Error('数据请求超时'));
+      }, timeoutMs);
+
+      script.onload = () => {
+        if (done) return;
+        const vars = {};
+        varNames.forEach((name) => {
+          if (name && isString(window[name])) vars[name] = window[name];
+        });
+        cleanup();
+        resolve(vars);
+      };
+      script.onerror = () => {
+        if (done) return;
+        cleanup();
+        reject(new Error('指数数据加载失败'));
+      };
+      document.body.appendChild(script);
+    });
+
+  return withDataReplay('tencent_quote', url, inject);
+}
+
+/**
+ * 第三方 HTTP JSON 接口（东方财富 push2 / fundmobapi 等），非 2xx 时抛错
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+function fetchThirdPartyJson(url) {
+  return withDataReplay('http_json', url, async () => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  });
+}
+
 export const fetchFundNetValue = async (code, date) => {
   if (typeof window === 'undefined') return null;
   const url = `https://fundf10.eastmoney.com/F10DataApi.aspx?type=lsjz&code=${code}&page=1&per=1&sdate=${date}&edate=${date}`;
@@ -501,6 +573,20 @@ const parseLatestNetValueFromLsjzContent = (content) => {
   return null;
 };
 
+/** 货币基金的 lsjz 表头为「每万份收益 / 7日年化收益率」，而非单位净值 / 日增长率 */
+const isMoneyFundLsjzContent = (content) => isString(content) && content.includes('每万份收益');
+
+/**
+ * 从 lsjz 升序列表提取货币基金字段，非货币基金返回空对象
+ * @param {{ date: string, incomePer10k?: number, yield7d?: number|null }[]} navList
+ * @returns {{ isMoneyFund?: true, moneyIncomePer10k?: number, moneyYield7d?: number|null }}
+ */
+const getMoneyFundFieldsFromNavList = (navList) => {
+  const latest = navList.length ? navList[navList.length - 1] : null;
+  if (!latest || !Number.isFinite(latest.incomePer10k)) return {};
+  return { isMoneyFund: true, moneyIncomePer10k: latest.incomePer10k, moneyYield7d: latest.yield7d };
+};
+
 /**
  * 解析历史净值数据（支持多条记录）
  * 返回按日期升序排列的净值数组
@@ -537,6 +623,7 @@ const computeYesterdayNavMetricsFromList = (navList) => {
 const parseNetValuesFromLsjzContent = (content) => {
   if (!content || content.includes('暂无数据')) return [];
   const rowMatches = content.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+  const isMoneyFund = isMoneyFundLsjzContent(content);
   const results = [];
   for (const row of rowMatches) {
     const cells = row.match(/<td[^>]*>(.*?)<\/td>/gi) || [];
@@ -544,6 +631,21 @@ const parseNetValuesFromLsjzContent = (content) => {
     const getText = (td) => td.replace(/<[^>]+>/g, '').trim();
     const dateStr = getText(cells[0] || '');
     if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) continue;
+    if (isMoneyFund) {
+      // 货币基金：净值恒为 1，列依次为每万份收益、7日年化收益率（%）；growth 折算为当日收益率
+      const incomePer10k = parseFloat(getText(cells[1] || ''));
+      if (!Number.isFinite(incomePer10k)) continue;
+      const yield7d = parseFloat(getText(cells[2] || ''));
+      results.push({
+        date: dateStr,
+        nav: 1,
+        growth: incomePer10k / 100,
+        dividend: null,
+        incomePer10k,
+        yield7d: Number.isFinite(yield7d) ? yield7d : null
+      });
+      continue;
+    }
     const navStr = getText(cells[1] || '');
     const nav = parseFloat(navStr);
     if (!Number.isFinite(nav)) continue;
@@ -558,13 +660,20 @@ const parseNetValuesFromLsjzContent = (content) => {
     }
 
     let dividend = null;
+    let split = null;
     const divText = getText(cells[6] || '');
     const divMatch = divText.match(/派现金(\d+(?:\.\d+)?)/);
     if (divMatch) {
       dividend = parseFloat(divMatch[1]);
     }
+    // 份额拆分 / 折算：如「每份基金份额折算1.0234份」，split 为折算后份额与折算前份额之比
+    const splitMatch = divText.match(/(?:折算|分拆)(\d+(?:\.\d+)?)份/);
+    if (splitMatch) {
+      const ratio = parseFloat(splitMatch[1]);
+      if (Number.isFinite(ratio) && ratio > 0) split = ratio;
+    }
 
-    results.push({ date: dateStr, nav, growth, dividend });
+    results.push({ date: dateStr, nav, growth, dividend, split });
   }
   // 返回按日期升序排列的结果（API返回的是倒序，需要反转）
   return results.reverse();
@@ -575,7 +684,7 @@ const parseNetValuesFromLsjzContent = (content) => {
  * @param {string} code 基金代码
  * @param {string} sdate 开始 YYYY-MM-DD
  * @param {string} edate 结束 YYYY-MM-DD
- * @returns {Promise<Array<{ date: string, nav: number, growth: number|null }>>} 按日期升序
+ * @returns {Promise<Array<{ date: string, nav: number, growth: number|null, dividend?: number|null, split?: number|null }>>} 按日期升序
  */
 export const fetchFundNetValueRange = async (code, sdate, edate) => {
   if (typeof window === 'undefined') return [];
@@ -614,21 +723,27 @@ export const fetchFundNetValueRange = async (code, sdate, edate) => {
 };
 
 /**
- * 拉取基金历史分红数据。
+ * 拉取基金历史分红与份额折算数据。
  * @param {string} code 基金代码
  * @param {string} sdate 开始 YYYY-MM-DD
- * @returns {Promise<Array<{ date: string, dividend: number, nav: number }>>} 按日期升序
+ * @returns {Promise<{
+ *   dividends: Array<{ date: string, dividend: number, nav: number }>,
+ *   splits: Array<{ date: string, ratio: number, nav: number }>
+ * }>} 均按日期升序
  */
-export const fetchFundDividends = async (code, sdate) => {
+export const fetchFundCorporateActions = async (code, sdate) => {
   const edate = dayjs().format('YYYY-MM-DD');
   const rows = await fetchFundNetValueRange(code, sdate, edate);
-  return rows
-    .filter((r) => r.dividend !== undefined && r.dividend !== null)
-    .map((r) => ({
-      date: r.date,
-      dividend: r.dividend,
-      nav: r.nav
-    }));
+  return {
+    dividends: rows
+      .filter((r) => r.dividend !== undefined && r.dividend !== null)
+      .map((r) => ({
+        date: r.date,
+        dividend: r.dividend,
+        nav: r.nav
+      })),
+    splits: rows.filter((r) => r.split != null).map((r) => ({ date: r.date, ratio: r.split, nav: r.nav }))
+  };
 };
 
 /**
@@ -766,7 +881,7 @@ export const fetchFundDataFallback = async (c) => {
         const latest = navList.length > 0 ? navList[navList.length - 1] : null;
         const previousNav = navList.length > 1 ? navList[navList.length - 2] : null;
         const yM = computeYesterdayNavMetricsFromList(navList);
-        return { latest, previousNav, yM };
+        return { latest, previousNav, yM, moneyFields: getMoneyFundFieldsFromNavList(navList) };
       })();
 
       const namePromise = (async () => {
@@ -783,7 +898,7 @@ export const fetchFundDataFallback = async (c) => {
       const [navResult, fundName] = await Promise.all([f10Promise, namePromise]);
 
       if (navResult && navResult.latest && navResult.latest.nav) {
-        const { latest, previousNav, yM } = navResult;
+        const { latest, previousNav, yM, moneyFields } = navResult;
         resolve({
           code: c,
           name: fundName || `基金(${c})`,
@@ -800,7 +915,8 @@ export const fetchFundDataFallback = async (c) => {
           valuationSource: 'fallback',
           holdings: [],
           holdingsReportDate: null,
-          holdingsIsLastQuarter: false
+          holdingsIsLastQuarter: false,
+          ...moneyFields
         });
       } else {
         reject(new Error('未能获取到基金数据'));
@@ -923,14 +1039,6 @@ function ensureJsonpgzDispatcher() {
 /** 同一基金代码并发的新浪估值 JSONP 去重，避免数据源 2/3 各打一遍 */
 const sinaEstimateNetworthInflight = new Map();
 
-function normalizeValuationDataSource(dataSource) {
-  const n = Number(dataSource);
-  if (n === 2) return 2;
-  if (n === 3) return 3;
-  if (n === 4) return 4;
-  return 1;
-}
-
 /**
  * 新浪 FdFundService.getEstimateNetworthPic 原始响应（含 networth 序列）
  * @param {string} code
@@ -946,42 +1054,46 @@ function fetchSinaEstimateNetworthResponse(code) {
   const existing = sinaEstimateNetworthInflight.get(c);
   if (existing) return existing;
 
-  const p = new Promise((resolve, reject) => {
-    fundDebugLog('fetchSinaEstimateNetworth start', { code: c });
-    const callbackName = `jsonp_sina_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-    const url = `https://stock.finance.sina.com.cn/fundInfo/api/openapi.php/FdFundService.getEstimateNetworthPic?symbol=${c}&callback=${callbackName}`;
+  const callbackName = `jsonp_sina_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+  const url = `https://stock.finance.sina.com.cn/fundInfo/api/openapi.php/FdFundService.getEstimateNetworthPic?symbol=${c}&callback=${callbackName}`;
 
-    const scriptSina = document.createElement('script');
-    let timer;
+  const inject = () =>
+    new Promise((resolve, reject) => {
+      fundDebugLog('fetchSinaEstimateNetworth start', { code: c });
 
-    const cleanupScript = () => {
-      if (timer) clearTimeout(timer);
-      try {
-        delete window[callbackName];
-      } catch (e) {}
-      if (document.body && document.body.contains(scriptSina)) {
-        document.body.removeChild(scriptSina);
-      }
-    };
+      const scriptSina = document.createElement('script');
+      let timer;
 
-    window[callbackName] = (res) => {
-      cleanupScript();
-      resolve(res);
-    };
+      const cleanupScript = () => {
+        if (timer) clearTimeout(timer);
+        try {
+          delete window[callbackName];
+        } catch (e) {}
+        if (document.body && document.body.contains(scriptSina)) {
+          document.body.removeChild(scriptSina);
+        }
+      };
 
-    timer = setTimeout(() => {
-      cleanupScript();
-      resolve(null);
-    }, 10000);
+      window[callbackName] = (res) => {
+        cleanupScript();
+        resolve(res);
+      };
 
-    scriptSina.src = url;
-    scriptSina.async = true;
-    scriptSina.onerror = () => {
-      cleanupScript();
-      reject(new Error('sina script error'));
-    };
-    document.body.appendChild(scriptSina);
-  }).finally(() => {
+      timer = setTimeout(() => {
+        cleanupScript();
+        resolve(null);
+      }, 10000);
+
+      scriptSina.src = url;
+      scriptSina.async = true;
+      scriptSina.onerror = () => {
+        cleanupScript();
+        reject(new Error('sina script error'));
+      };
+      document.body.appendChild(scriptSina);
+    });
+
+  const p = withDataReplay('sina_estimate', url, inject, { shouldRecord: (r) => r != null }).finally(() => {
     sinaEstimateNetworthInflight.delete(c);
   });
 
@@ -1094,10 +1206,8 @@ export async function fetchBestValuationSource(code, jzrq, actualZzl) {
 /**
  * 调用 Supabase RPC 获取基金最佳数据源（从 fund_pingzhongdata 表中预计算的 source 字段）
  * @param {string} fundCode - 基金编码
- * @returns {Promise<number|null>} 数据源 ID (1/2/3) 或 null
+ * @returns {Promise<number|null>} 已注册的数据源 ID 或 null
  */
-const SOURCE_NAME_TO_ID = { fundgz: 1, sina_ds2: 2, sina_ds3: 3, supabase_qdii: 4 };
-
 export async function fetchFundBestSource(fundCode) {
   if (!isSupabaseConfigured) return null;
   const code = fundCode != null ? String(fundCode).trim() : '';
@@ -1115,7 +1225,7 @@ export async function fetchFundBestSource(fundCode) {
       p_fund_code: code
     });
     if (error || !data?.source) return null;
-    const res = SOURCE_NAME_TO_ID[data.source] ?? null;
+    const res = getValuationSourceByKey(data.source)?.id ?? null;
     if (res != null) {
       qc.setQueryData(cacheKey, res, { staleTime: 60 * 60 * 1000 });
     }
@@ -1158,7 +1268,7 @@ export async function fetchFundsBestSources(fundCodes) {
 
     // 返回的 data 类似 { "110022": "sina_ds2", "000001": "fundgz" }
     Object.entries(data).forEach(([code, sourceName]) => {
-      const id = SOURCE_NAME_TO_ID[sourceName];
+      const id = getValuationSourceByKey(sourceName)?.id;
       if (id != null) {
         result[code] = id;
         qc.setQueryData(qk.fundBestSource(code), id, { staleTime: 60 * 60 * 1000 });
@@ -1171,81 +1281,83 @@ export async function fetchFundsBestSources(fundCodes) {
 }
 
 /**
- * 按基金编码与数据源类型获取估值（天天基金 fundgz 或新浪估算曲线末点）。
- * @param {string} code - 基金编码
- * @param {number | string} [dataSource=1] - 1 天天基金；2、3 新浪估算不同口径；4 Supabase QDII
+ * 新浪估算曲线末点估值（数据源 2、3 为同一接口的不同口径）
+ * @param {string} c - 基金编码
+ * @param {2|3} variant - 2 取 growthrate/pre_nav；3 取 growthrate2/pre_nav2
  * @returns {Promise<UnifiedFundValuation>}
  */
-export async function fetchFundValuationBySource(code, dataSource = 1) {
-  const c = code != null ? String(code).trim() : '';
-  if (!c) throw new Error('基金编码无效');
-
-  const ds = normalizeValuationDataSource(dataSource);
-
-  // 数据源 4：Supabase gs_qdii 表
-  if (ds === 4) {
-    const qdii = await fetchQdiiValuationFromSupabase(c);
-    if (!qdii) throw new Error('gs_qdii no data');
-    return {
-      code: c,
-      ...qdii,
-      gsz: null // 由 fetchFundData 等调用方配合 dwjz 计算
-    };
+async function fetchSinaValuation(c, variant) {
+  fundDebugLog('fetchFundValuationBySource sina', { code: c, dataSource: variant });
+  const res = await fetchSinaEstimateNetworthResponse(c);
+  if (!res?.result?.data?.networth || !isArray(res.result.data.networth) || res.result.data.networth.length === 0) {
+    throw new Error('sina no data');
   }
-
-  if (typeof window === 'undefined' || typeof document === 'undefined') {
-    throw new Error('无浏览器环境');
+  const networth = res.result.data.networth;
+  const lastPoint = networth[networth.length - 1];
+  const gRate = variant === 2 ? parseFloat(lastPoint.growthrate) : parseFloat(lastPoint.growthrate2);
+  const preNav = variant === 2 ? parseFloat(lastPoint.pre_nav) : parseFloat(lastPoint.pre_nav2);
+  const gsz = Number.isFinite(preNav) ? preNav : null;
+  const gszzl = Number.isFinite(gRate) ? gRate * 100 : null;
+  if (gsz == null && gszzl == null) {
+    throw new Error('sina empty point');
   }
 
-  if (ds === 2 || ds === 3) {
-    fundDebugLog('fetchFundValuationBySource sina', { code: c, dataSource: ds });
-    const res = await fetchSinaEstimateNetworthResponse(c);
-    if (!res?.result?.data?.networth || !isArray(res.result.data.networth) || res.result.data.networth.length === 0) {
-      throw new Error('sina no data');
-    }
-    const networth = res.result.data.networth;
-    const lastPoint = networth[networth.length - 1];
-    const gRate = ds === 2 ? parseFloat(lastPoint.growthrate) : parseFloat(lastPoint.growthrate2);
-    const preNav = ds === 2 ? parseFloat(lastPoint.pre_nav) : parseFloat(lastPoint.pre_nav2);
-    const gsz = Number.isFinite(preNav) ? preNav : null;
-    const gszzl = Number.isFinite(gRate) ? gRate * 100 : null;
-    if (gsz == null && gszzl == null) {
-      throw new Error('sina empty point');
-    }
-
-    // 构建分时估值序列，格式与 fundValuationTimeseries 一致
-    const navKey = ds === 2 ? 'pre_nav' : 'pre_nav2';
-    const timeseries = [];
-    const seen = new Set();
-    for (const point of networth) {
-      const value = parseFloat(point[navKey]);
-      if (!Number.isFinite(value)) continue;
-      const time = point.min_time || null;
-      const date = point.pre_date || null;
-      if (!time || !date) continue;
-      const key = `${date} ${time}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      timeseries.push({ time, value, date });
-    }
-
-    return {
-      code: c,
-      gsz,
-      gztime: lastPoint.min_time
-        ? `${lastPoint.pre_date} ${lastPoint.min_time}`.replace(/:(\d{2}):\d{2}$/, ':$1')
-        : null,
-      gszzl,
-      valuationSource: `sina_ds${ds}`,
-      fundValuationTimeseries: { [c]: timeseries }
-    };
+  // 构建分时估值序列，格式与 fundValuationTimeseries 一致
+  const navKey = variant === 2 ? 'pre_nav' : 'pre_nav2';
+  const timeseries = [];
+  const seen = new Set();
+  for (const point of networth) {
+    const value = parseFloat(point[navKey]);
+    if (!Number.isFinite(value)) continue;
+    const time = point.min_time || null;
+    const date = point.pre_date || null;
+    if (!time || !date) continue;
+    const key = `${date} ${time}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    timeseries.push({ time, value, date });
   }
 
-  const dispatcher = ensureJsonpgzDispatcher();
-  if (!dispatcher) throw new Error('无浏览器环境');
+  return {
+    code: c,
+    gsz,
+    gztime: lastPoint.min_time ? `${lastPoint.pre_date} ${lastPoint.min_time}`.replace(/:(\d{2}):\d{2}$/, ':$1') : null,
+    gszzl,
+    valuationSource: `sina_ds${variant}`,
+    fundValuationTimeseries: { [c]: timeseries }
+  };
+}
 
+/**
+ * 天天基金 fundgz JSONP 估值（数据源 1）
+ * @param {string} c - 基金编码
+ * @returns {Promise<UnifiedFundValuation>}
+ */
+async function fetchFundgzValuation(c) {
   fundDebugLog('fetchFundValuationBySource fundgz', { code: c });
   const gzUrl = `https://fundgz.1234567.com.cn/js/${c}.js?rt=${Date.now()}`;
+  const json = await withDataReplay('fundgz', gzUrl, () => loadFundgzJson(c, gzUrl));
+
+  const gszzlNum = Number(json.gszzl);
+  const gszNum = Number(json.gsz);
+  return {
+    code: json.fundcode != null ? String(json.fundcode).trim() : c,
+    gsz: Number.isFinite(gszNum) ? gszNum : json.gsz,
+    gztime: json.gztime != null ? String(json.gztime).replace(/:(\d{2}):\d{2}$/, ':$1') : null,
+    gszzl: Number.isFinite(gszzlNum) ? gszzlNum : json.gszzl,
+    valuationSource: 'fundgz'
+  };
+}
+
+/**
+ * 注入 fundgz 脚本并经由 jsonpgz 分发器拿到该基金的原始回调参数
+ * @param {string} c - 基金编码
+ * @param {string} gzUrl
+ * @returns {Promise<object>}
+ */
+function loadFundgzJson(c, gzUrl) {
+  const dispatcher = ensureJsonpgzDispatcher();
+  if (!dispatcher) return Promise.reject(new Error('无浏览器环境'));
 
   return new Promise((resolve, reject) => {
     let settled = false;
@@ -1293,15 +1405,7 @@ export async function fetchFundValuationBySource(code, dataSource = 1) {
           return;
         }
 
-        const gszzlNum = Number(json.gszzl);
-        const gszNum = Number(json.gsz);
-        safeResolve({
-          code: json.fundcode != null ? String(json.fundcode).trim() : c,
-          gsz: Number.isFinite(gszNum) ? gszNum : json.gsz,
-          gztime: json.gztime != null ? String(json.gztime).replace(/:(\d{2}):\d{2}$/, ':$1') : null,
-          gszzl: Number.isFinite(gszzlNum) ? gszzlNum : json.gszzl,
-          valuationSource: 'fundgz'
-        });
+        safeResolve(json);
       },
       onError: (e) => {
         cleanupScript();
@@ -1319,6 +1423,147 @@ export async function fetchFundValuationBySource(code, dataSource = 1) {
   });
 }
 
+const assertBrowserEnv = () => {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    throw new Error('无浏览器环境');
+  }
+};
+
+// 内置估值数据源；自定义估算器通过 registerValuationSource 追加，编号勿与下列冲突
+registerValuationSource({
+  id: 1,
+  key: 'fundgz',
+  label: '数据源 1',
+  capabilities: {},
+  fetch: async (c) => {
+    assertBrowserEnv();
+    return fetchFundgzValuation(c);
+  }
+});
+registerValuationSource({
+  id: 2,
+  key: 'sina_ds2',
+  label: '数据源 2',
+  capabilities: { intraday: true },
+  fetch: async (c) => {
+    assertBrowserEnv();
+    return fetchSinaValuation(c, 2);
+  }
+});
+registerValuationSource({
+  id: 3,
+  key: 'sina_ds3',
+  label: '数据源 3',
+  capabilities: { intraday: true },
+  fetch: async (c) => {
+    assertBrowserEnv();
+    return fetchSinaValuation(c, 3);
+  }
+});
+registerValuationSource({
+  id: 4,
+  key: 'supabase_qdii',
+  label: '数据源 4',
+  badge: '限免',
+  capabilities: { qdii: true },
+  fetch: async (c) => {
+    const qdii = await fetchQdiiValuationFromSupabase(c);
+    if (!qdii) throw new Error('gs_qdii no data');
+    return {
+      code: c,
+      ...qdii,
+      gsz: null // 由 fetchFundData 等调用方配合 dwjz 计算
+    };
+  }
+});
+
+export { registerValuationSource, getValuationSource, listValuationSources };
+
+/**
+ * 获取指定基金可用的估值数据源列表（QDII 专属数据源仅对 QDII 基金开放）
+ * @param {string} code - 基金编码
+ * @returns {Promise<import('../lib/valuationSources').ValuationSourceAdapter[]>}
+ */
+export async function getAvailableValuationSources(code) {
+  const sources = listValuationSources();
+  const needQdii = sources.some((s) => s.capabilities.qdii);
+  const qdii = needQdii ? await isQdiiFund(code) : false;
+  const checks = await Promise.all(
+    sources.map(async (s) => {
+      if (s.capabilities.qdii && !qdii) return false;
+      if (!s.isAvailable) return true;
+      try {
+        return Boolean(await s.isAvailable(code));
+      } catch {
+        return false;
+      }
+    })
+  );
+  return sources.filter((_, i) => checks[i]);
+}
+
+// 批量预取结果：key = "sourceId|code" -> Promise<UnifiedFundValuation|null>，被 fetchFundValuationBySource 消费一次；
+// 只保留最近一轮刷新的预取，切换数据源、删除基金后未被消费的条目在下一轮开始时清除
+const valuationBatchPrefetch = new Map();
+
+/**
+ * 对声明 batch 能力的数据源按基金分组一次性预取估值，随后同一轮的 fetchFundValuationBySource 直接复用结果。
+ * @param {{ code: string, dataSource?: number|string }[]} items
+ */
+export function prefetchValuationBatches(items) {
+  valuationBatchPrefetch.clear();
+  if (!isArray(items) || items.length === 0) return;
+  const codesBySource = new Map();
+  for (const item of items) {
+    const code = item?.code != null ? String(item.code).trim() : '';
+    if (!code) continue;
+    const adapter = getValuationSource(normalizeValuationSourceId(item.dataSource));
+    if (!adapter?.capabilities.batch) continue;
+    if (!codesBySource.has(adapter)) codesBySource.set(adapter, []);
+    codesBySource.get(adapter).push(code);
+  }
+
+  for (const [adapter, codes] of codesBySource) {
+    const batchPromise = Promise.resolve()
+      .then(() => adapter.fetchBatch(codes))
+      .catch((e) => {
+        fundDebugLog('prefetchValuationBatches failed', { source: adapter.key, error: e?.message });
+        return {};
+      });
+    for (const code of codes) {
+      const key = `${adapter.id}|${code}`;
+      valuationBatchPrefetch.set(
+        key,
+        batchPromise.then((res) => (isObject(res) && res[code] ? res[code] : null))
+      );
+    }
+  }
+}
+
+/**
+ * 按基金编码与数据源编号获取估值，具体实现由已注册的数据源适配器提供。
+ * @param {string} code - 基金编码
+ * @param {number | string} [dataSource=1] - 数据源编号，未注册时回退到天天基金
+ * @returns {Promise<UnifiedFundValuation>}
+ */
+export async function fetchFundValuationBySource(code, dataSource = DEFAULT_VALUATION_SOURCE_ID) {
+  const c = code != null ? String(code).trim() : '';
+  if (!c) throw new Error('基金编码无效');
+
+  const adapter = getValuationSource(normalizeValuationSourceId(dataSource));
+  if (!adapter) throw new Error('数据源未注册');
+
+  const prefetchKey = `${adapter.id}|${c}`;
+  const prefetched = valuationBatchPrefetch.get(prefetchKey);
+  if (prefetched) {
+    valuationBatchPrefetch.delete(prefetchKey);
+    const res = await prefetched;
+    if (res) return res;
+  }
+
+  return adapter.fetch(c);
+}
+
 /**
  * 获取基金申赎确认天数（SSBCFMDATA）
  * 通过天天基金移动端 API FundMNBaseInfo 获取。
@@ -1340,9 +1585,7 @@ export const fetchFundConfirmDays = async (code) => {
       queryKey: qk.fundConfirmDays(c),
       queryFn: async () => {
         const url = `https://fundmobapi.eastmoney.com/FundMNewApi/FundMNBaseInfo?FCODE=${c}&plat=Android&appType=ttjj&product=EFund&Version=1&deviceid=rtf${Date.now()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const json = await resp.json();
+        const json = await fetchThirdPartyJson(url).catch(() => null);
         if (!json || !json.Success || !json.Datas) return null;
         const raw = json.Datas.SSBCFMDATA;
         const num = Number(raw);
@@ -1366,19 +1609,19 @@ export const fetchFundData = async (c, overrideDataSource) => {
   let dataSource = overrideDataSource || 1;
   let storedName = null;
   let storedValuationSource = null;
-  if (!overrideDataSource) {
-    try {
-      const arr = storageStore.getItem('funds', []);
-      if (isArray(arr)) {
-        const f = arr.find((x) => x.code === code);
-        if (f) {
-          if (f.dataSource) dataSource = f.dataSource;
-          if (f.name) storedName = f.name;
-          if (f.valuationSource) storedValuationSource = f.valuationSource;
-        }
+  let storedIsMoneyFund = false;
+  try {
+    const arr = storageStore.getItem('funds', []);
+    const f = isArray(arr) ? arr.find((x) => x.code === code) : null;
+    if (f) {
+      storedIsMoneyFund = f.isMoneyFund === true;
+      if (!overrideDataSource) {
+        if (f.dataSource) dataSource = f.dataSource;
+        if (f.name) storedName = f.name;
+        if (f.valuationSource) storedValuationSource = f.valuationSource;
       }
-    } catch (e) {}
-  }
+    }
+  } catch (e) {}
 
   // 1. 发起并发的历史净值和重仓请求
   const lsjzPromise = new Promise((resolveT) => {
@@ -1397,7 +1640,8 @@ export const fetchFundData = async (c, overrideDataSource) => {
             jzrq: latest.date,
             lastNav: previousNav ? String(previousNav.nav) : null,
             yesterdayZzl: yM.yesterdayZzl,
-            yesterdayNavDelta: yM.yesterdayNavDelta
+            yesterdayNavDelta: yM.yesterdayNavDelta,
+            ...getMoneyFundFieldsFromNavList(navList)
           });
         } else {
           resolveT(null);
@@ -1406,8 +1650,10 @@ export const fetchFundData = async (c, overrideDataSource) => {
       .catch(() => resolveT(null));
   });
 
-  // 2. 发起估值请求
-  const gzPromise = fetchFundValuationBySource(code, dataSource);
+  // 2. 发起估值请求（货币基金没有盘中估值，直接走 lsjz 兜底）
+  const gzPromise = storedIsMoneyFund
+    ? Promise.reject(new Error('货币基金无估值'))
+    : fetchFundValuationBySource(code, dataSource);
 
   // 3. 编排并合并数据
   return new Promise(async (resolve, reject) => {
@@ -1444,6 +1690,21 @@ export const fetchFundData = async (c, overrideDataSource) => {
       if (Object.prototype.hasOwnProperty.call(tData, 'yesterdayNavDelta')) {
         baseData.yesterdayNavDelta = tData.yesterdayNavDelta;
       }
+      if (tData.isMoneyFund) {
+        Object.assign(baseData, {
+          dwjz: tData.dwjz,
+          jzrq: tData.jzrq,
+          zzl: tData.zzl,
+          lastNav: tData.lastNav,
+          gsz: null,
+          gszzl: null,
+          gztime: null,
+          noValuation: true,
+          isMoneyFund: true,
+          moneyIncomePer10k: tData.moneyIncomePer10k,
+          moneyYield7d: tData.moneyYield7d
+        });
+      }
     }
 
     // 针对 supabase_qdii 等仅提供 gszzl 的数据源，使用最新的 dwjz 计算 gsz
@@ -1619,42 +1880,21 @@ export const fetchFundHoldings = async (code) => {
               return;
             }
             const quoteUrl = `https://qt.gtimg.cn/q=${tencentCodes}`;
-            await new Promise((resQuote) => {
-              const scriptQuote = document.createElement('script');
-              scriptQuote.src = quoteUrl;
-              let quoteDone = false;
-              const cleanupQuote = () => {
-                quoteDone = true;
-                if (quoteTimer) clearTimeout(quoteTimer);
-                if (document.body.contains(scriptQuote)) document.body.removeChild(scriptQuote);
-              };
-              const quoteTimer = setTimeout(() => {
-                if (quoteDone) return;
-                cleanupQuote();
-                resQuote();
-              }, 10000);
-              scriptQuote.onload = () => {
-                if (quoteDone) return;
-                needQuotes.forEach(({ h, tencentCode }) => {
-                  const varName = getTencentVarName(tencentCode);
-                  const dataStr = varName ? window[varName] : null;
-                  if (dataStr) {
-                    const parts = dataStr.split('~');
-                    const isUS = /^us/i.test(String(tencentCode || ''));
-                    const idx = isUS ? 32 : 5;
-                    if (parts.length > idx) {
-                      h.change = parseFloat(parts[idx]);
-                    }
-                  }
-                });
-                cleanupQuote();
-                resQuote();
-              };
-              scriptQuote.onerror = () => {
-                cleanupQuote();
-                resQuote();
-              };
-              document.body.appendChild(scriptQuote);
+            const quoteVars = await loadTencentQuoteVars(
+              quoteUrl,
+              needQuotes.map(({ tencentCode }) => getTencentVarName(tencentCode))
+            );
+            needQuotes.forEach(({ h, tencentCode }) => {
+              const varName = getTencentVarName(tencentCode);
+              const dataStr = varName ? quoteVars[varName] : null;
+              if (dataStr) {
+                const parts = dataStr.split('~');
+                const isUS = /^us/i.test(String(tencentCode || ''));
+                const idx = isUS ? 32 : 5;
+                if (parts.length > idx) {
+                  h.change = parseFloat(parts[idx]);
+                }
+              }
             });
           } catch (e) {}
         }
@@ -1698,6 +1938,229 @@ export const fetchFundHoldings = async (code) => {
   });
 };
 
+/**
+ * 从资产配置中取股票仓位（占净值百分比），取不到时返回 null
+ * @param {{ name: string, value: number }[]} assetAllocation
+ * @returns {number|null}
+ */
+const getStockPositionFromAllocation = (assetAllocation) => {
+  if (!isArray(assetAllocation)) return null;
+  const stock = assetAllocation.find((a) => String(a?.name || '').includes('股票'));
+  const v = Number(stock?.value);
+  return Number.isFinite(v) && v > 0 ? v : null;
+};
+
+/**
+ * 批量获取基金关联板块/指数的实时涨跌幅（fund_related → fund_secid → 东方财富行情）
+ * 无关联板块、未登录或行情缺失时对应值为 null。
+ * @param {string[]} codes
+ * @returns {Promise<Record<string, { label: string, pct: number }|null>>}
+ */
+const fetchRelatedSectorMovesBatch = async (codes) => {
+  const result = {};
+  codes.forEach((c) => {
+    result[c] = null;
+  });
+
+  const labels = await fetchRelatedSectorsBatch(codes, { authSegment: getAuthUser()?.id || 'anon' });
+  const labelList = Array.from(
+    new Set(
+      Object.values(labels)
+        .map((l) => (l != null ? String(l).trim() : ''))
+        .filter(Boolean)
+    )
+  );
+  if (labelList.length === 0) return result;
+
+  const secidResults = await fetchFundSecidsBatch(labelList);
+  const quotes = await fetchEastmoneySectorQuotesBatch(labelList.map((l) => secidResults[l]).filter(Boolean));
+  for (const c of codes) {
+    const label = labels[c] != null ? String(labels[c]).trim() : '';
+    const secid = label ? secidResults[label] : '';
+    const pct = secid ? quotes[secid]?.pct : null;
+    if (isNumber(pct) && Number.isFinite(pct)) result[c] = { label, pct };
+  }
+  return result;
+};
+
+/**
+ * 自算估值（持仓加权、指数跟踪）对应的行情时间：盘中取当前时间（午休停在 11:30），收盘后停在 15:00，
+ * 非交易日或开盘前归属上一个交易日 15:00，避免把旧行情记成当日分时点。
+ * @returns {string} YYYY-MM-DD HH:mm
+ */
+const getSelfEstimateTime = () => {
+  const now = nowInTz();
+  const hm = now.hour() * 100 + now.minute();
+  if (isTradingDay(now) && hm >= 930) {
+    if (hm > 1500) return `${now.format('YYYY-MM-DD')} 15:00`;
+    if (hm > 1130 && hm < 1300) return `${now.format('YYYY-MM-DD')} 11:30`;
+    return now.format('YYYY-MM-DD HH:mm');
+  }
+  const prev = getPrevTradingDay(now.subtract(1, 'day'));
+  return prev ? `${prev.format('YYYY-MM-DD')} 15:00` : now.format('YYYY-MM-DD HH:mm');
+};
+
+/**
+ * 持仓加权自算估值（数据源 5）
+ * - 已披露的前十大重仓：占净值比例 × 个股实时涨跌幅
+ * - 未披露的股票仓位（股票总仓位 − 前十大合计）：按关联板块/指数涨跌幅估算，无关联板块时按前十大加权平均外推
+ * - 债券、现金等非股票资产视为当日不变
+ * @param {string} code - 基金编码
+ * @param {{ label: string, pct: number }|null} sectorMove - 关联板块行情
+ * @returns {Promise<UnifiedFundValuation>}
+ */
+async function estimateValuationFromHoldings(code, sectorMove) {
+  const { holdings, assetAllocation } = await fetchFundHoldings(code);
+
+  let disclosedWeight = 0;
+  let contribution = 0;
+  for (const h of isArray(holdings) ? holdings : []) {
+    const weight = parseFloat(h?.weight);
+    const change = h?.change != null ? Number(h.change) : Number.NaN;
+    if (!Number.isFinite(weight) || weight <= 0 || !Number.isFinite(change)) continue;
+    disclosedWeight += weight;
+    contribution += weight * change;
+  }
+  if (disclosedWeight <= 0) throw new Error('holdings no quotes');
+
+  const stockPosition = getStockPositionFromAllocation(assetAllocation);
+  const undisclosedWeight = stockPosition != null ? Math.max(0, stockPosition - disclosedWeight) : 0;
+  const proxyPct = sectorMove ? sectorMove.pct : contribution / disclosedWeight;
+  const gszzl = (contribution + undisclosedWeight * proxyPct) / 100;
+
+  return {
+    code,
+    gsz: null, // 由 fetchFundData 配合 dwjz 计算
+    gztime: getSelfEstimateTime(),
+    gszzl: Math.round(gszzl * 10000) / 10000,
+    valuationSource: 'holdings_weighted'
+  };
+}
+
+registerValuationSource({
+  id: 5,
+  key: 'holdings_weighted',
+  label: '数据源 5',
+  badge: '持仓自算',
+  capabilities: { batch: true },
+  fetch: async (c) => {
+    assertBrowserEnv();
+    const moves = await fetchRelatedSectorMovesBatch([c]);
+    return estimateValuationFromHoldings(c, moves[c]);
+  },
+  fetchBatch: async (codes) => {
+    assertBrowserEnv();
+    const moves = await fetchRelatedSectorMovesBatch(codes);
+    const out = {};
+    await asyncPool(3, codes, async (c) => {
+      try {
+        out[c] = await estimateValuationFromHoldings(c, moves[c]);
+      } catch (e) {
+        fundDebugLog('holdings_weighted estimate failed', { code: c, error: e?.message });
+      }
+    });
+    return out;
+  }
+});
+
+/**
+ * 被动指数基金跟踪标的映射（public/fundTrackingTargets.json，由 doc/fund_tracking_targets.csv
+ * 与 doc/related_sector_secid.csv 生成），整份随应用分发，加载一次后常驻缓存。
+ * @returns {Promise<{ indices: Record<string, string>, funds: Record<string, string> }>}
+ */
+const loadFundTrackingTargets = () =>
+  getQueryClient().fetchQuery({
+    queryKey: qk.fundTrackingTargets(),
+    queryFn: async () => {
+      const res = await fetch('/fundTrackingTargets.json');
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    },
+    staleTime: Infinity
+  });
+
+/**
+ * 获取基金跟踪的指数及其东方财富 secid
+ * @param {string} code - 基金编码
+ * @returns {Promise<{ indexName: string, secid: string }|null>} 非被动指数基金或映射加载失败时返回 null
+ */
+export const fetchFundTrackingTarget = async (code) => {
+  const c = code != null ? String(code).trim() : '';
+  if (!c || typeof fetch === 'undefined') return null;
+  try {
+    const map = await loadFundTrackingTargets();
+    const indexName = map?.funds?.[c];
+    const secid = indexName ? map?.indices?.[indexName] : null;
+    return secid ? { indexName, secid } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 读取基金的指数跟踪仓位（百分比），未设置时取默认值
+ * @param {string} code
+ * @returns {number}
+ */
+export const getFundTrackingRatio = (code) => {
+  try {
+    const arr = storageStore.getItem('funds', []);
+    const f = isArray(arr) ? arr.find((x) => x.code === code) : null;
+    const ratio = Number(f?.trackingRatio);
+    if (Number.isFinite(ratio) && ratio > 0 && ratio <= 100) return ratio;
+  } catch (e) {}
+  return DEFAULT_INDEX_TRACKING_RATIO;
+};
+
+/**
+ * 指数跟踪估值（数据源 6）：估算涨幅 = 跟踪指数实时涨幅 × 跟踪仓位
+ * @param {string[]} codes
+ * @returns {Promise<Record<string, UnifiedFundValuation>>}
+ */
+async function fetchIndexTrackingValuations(codes) {
+  const targets = {};
+  await Promise.all(
+    codes.map(async (c) => {
+      const t = await fetchFundTrackingTarget(c);
+      if (t) targets[c] = t;
+    })
+  );
+  const secids = Array.from(new Set(Object.values(targets).map((t) => t.secid)));
+  if (secids.length === 0) return {};
+
+  const quotes = await fetchEastmoneySectorQuotesBatch(secids);
+  const gztime = getSelfEstimateTime();
+  const out = {};
+  for (const [c, t] of Object.entries(targets)) {
+    const pct = quotes[t.secid]?.pct;
+    if (!isNumber(pct) || !Number.isFinite(pct)) continue;
+    const ratio = getFundTrackingRatio(c);
+    out[c] = {
+      code: c,
+      gsz: null, // 由 fetchFundData 配合 dwjz 计算
+      gztime,
+      gszzl: Math.round(pct * ratio * 100) / 10000,
+      valuationSource: 'index_tracking'
+    };
+  }
+  return out;
+}
+
+registerValuationSource({
+  id: 6,
+  key: 'index_tracking',
+  label: '数据源 6',
+  badge: '指数跟踪',
+  capabilities: { batch: true },
+  isAvailable: async (c) => Boolean(await fetchFundTrackingTarget(c)),
+  fetch: async (c) => {
+    const res = await fetchIndexTrackingValuations([c]);
+    if (!res[c]) throw new Error('index tracking no data');
+    return res[c];
+  },
+  fetchBatch: fetchIndexTrackingValuations
+});
+
 export const searchFunds = async (val) => {
   const normalized = String(val || '').trim();
   if (!normalized) return [];
@@ -1711,48 +2174,51 @@ export const searchFunds = async (val) => {
         const callbackName = `SuggestData_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
         const url = `https://fundsuggest.eastmoney.com/FundSearch/api/FundSearchAPI.ashx?m=1&key=${encodeURIComponent(normalized)}&callback=${callbackName}&_=${Date.now()}`;
 
-        return new Promise((resolve, reject) => {
-          let done = false;
-          const cleanup = () => {
-            done = true;
-            if (timer) clearTimeout(timer);
-            if (document.body.contains(script)) document.body.removeChild(script);
-          };
+        const inject = () =>
+          new Promise((resolve, reject) => {
+            let done = false;
+            const cleanup = () => {
+              done = true;
+              if (timer) clearTimeout(timer);
+              if (document.body.contains(script)) document.body.removeChild(script);
+            };
 
-          const timer = setTimeout(() => {
-            if (done) return;
-            cleanup();
-            delete window[callbackName];
-            reject(new Error('搜索请求超时'));
-          }, 10000);
-
-          window[callbackName] = (data) => {
-            if (done) return;
-            let results = [];
-            if (data && data.Datas) {
-              results = data.Datas.filter(
-                (d) => d.CATEGORY === 700 || d.CATEGORY === '700' || d.CATEGORYDESC === '基金'
-              );
-            }
-            cleanup();
-            delete window[callbackName];
-            resolve(results);
-          };
+            const timer = setTimeout(() => {
+              if (done) return;
+              cleanup();
+              delete window[callbackName];
+              reject(new Error('搜索请求超时'));
+            }, 10000);
+
+            window[callbackName] = (data) => {
+              if (done) return;
+              let results = [];
+              if (data && data.Datas) {
+                results = data.Datas.filter(
+                  (d) => d.CATEGORY === 700 || d.CATEGORY === '700' || d.CATEGORYDESC === '基金'
+                );
+              }
+              cleanup();
+              delete window[callbackName];
+              resolve(results);
+            };
 
-          const script = document.createElement('script');
-          script.src = url;
-          script.async = true;
-          script.onload = () => {
-            // Callback usually handles cleanup, but onload is a backup
-          };
-          script.onerror = () => {
-            if (done) return;
-            cleanup();
-            delete window[callbackName];
-            reject(new Error('搜索请求失败'));
-          };
-          document.body.appendChild(script);
-        });
+            const script = document.createElement('script');
+            script.src = url;
+            script.async = true;
+            script.onload = () => {
+              // Callback usually handles cleanup, but onload is a backup
+            };
+            script.onerror = () => {
+              if (done) return;
+              cleanup();
+              delete window[callbackName];
+              reject(new Error('搜索请求失败'));
+            };
+            document.body.appendChild(script);
+          });
+
+        return withDataReplay('fund_search', url, inject);
       },
       staleTime: ONE_DAY_MS
     });
@@ -1763,41 +2229,11 @@ export const searchFunds = async (val) => {
 
 export const fetchShanghaiIndexDate = async () => {
   if (typeof window === 'undefined' || typeof document === 'undefined') return null;
-  return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = `https://qt.gtimg.cn/q=sh000001&_t=${Date.now()}`;
-    let done = false;
-    const cleanup = () => {
-      done = true;
-      if (timer) clearTimeout(timer);
-      if (document.body.contains(script)) document.body.removeChild(script);
-    };
-    const timer = setTimeout(() => {
-      if (done) return;
-      cleanup();
-      reject(new Error('数据请求超时'));
-    }, 10000);
-
-    script.onload = () => {
-      if (done) return;
-      const data = window.v_sh000001;
-      let dateStr = null;
-      if (data) {
-        const parts = data.split('~');
-        if (parts.length > 30) {
-          dateStr = parts[30].slice(0, 8);
-        }
-      }
-      cleanup();
-      resolve(dateStr);
-    };
-    script.onerror = () => {
-      if (done) return;
-      cleanup();
-      reject(new Error('指数数据加载失败'));
-    };
-    document.body.appendChild(script);
-  });
+  const vars = await loadTencentQuoteVars(`https://qt.gtimg.cn/q=sh000001&_t=${Date.now()}`, ['v_sh000001']);
+  const data = vars.v_sh000001;
+  if (!data) return null;
+  const parts = data.split('~');
+  return parts.length > 30 ? parts[30].slice(0, 8) : null;
 };
 
 /** 大盘指数项：name, code, price, change, changePercent
@@ -1893,41 +2329,96 @@ function parseGlobalIndexRaw(data) {
 
 export const fetchMarketIndices = async () => {
   if (typeof window === 'undefined' || typeof document === 'undefined') return [];
-  return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    const codes = MARKET_INDEX_KEYS.map((item) => item.code).join(',');
-    script.src = `https://qt.gtimg.cn/q=${codes}&_t=${Date.now()}`;
-    let done = false;
-    const cleanup = () => {
-      done = true;
-      if (timer) clearTimeout(timer);
-      if (document.body.contains(script)) document.body.removeChild(script);
-    };
-    const timer = setTimeout(() => {
-      if (done) return;
-      cleanup();
-      reject(new Error('数据请求超时'));
-    }, 10000);
+  const codes = MARKET_INDEX_KEYS.map((item) => item.code).join(',');
+  const vars = await loadTencentQuoteVars(
+    `https://qt.gtimg.cn/q=${codes}&_t=${Date.now()}`,
+    MARKET_INDEX_KEYS.map((item) => item.varKey)
+  );
+  return MARKET_INDEX_KEYS.map(({ name: defaultName, varKey, code }) => {
+    const raw = vars[varKey];
+    const isGlobal = code.startsWith('gz');
+    const parsed = isGlobal ? parseGlobalIndexRaw(raw) : parseIndexRaw(raw);
+    if (!parsed) return { name: defaultName, code: '', price: 0, change: 0, changePercent: 0 };
+    return { ...parsed, name: defaultName, code: varKey.replace('v_', '') };
+  });
+};
 
-    script.onload = () => {
-      if (done) return;
-      const list = MARKET_INDEX_KEYS.map(({ name: defaultName, varKey, code }) => {
-        const raw = window[varKey];
-        const isGlobal = code.startsWith('gz');
-        const parsed = isGlobal ? parseGlobalIndexRaw(raw) : parseIndexRaw(raw);
-        if (!parsed) return { name: defaultName, code: '', price: 0, change: 0, changePercent: 0 };
-        return { ...parsed, name: defaultName, code: varKey.replace('v_', '') };
-      });
-      cleanup();
-      resolve(list);
-    };
-    script.onerror = () => {
-      if (done) return;
-      cleanup();
-      reject(new Error('指数数据加载失败'));
-    };
-    document.body.appendChild(script);
+/** 单次腾讯行情请求最多携带的场内代码数 */
+const EXCHANGE_QUOTE_CHUNK_SIZE = 60;
+
+/**
+ * 解析腾讯行情中的场内基金报价
+ * 字段：3 现价、4 昨收、30 时间（YYYYMMDDHHmmss）、32 涨跌幅
+ * @param {string} data
+ * @returns {{ price: number, prevClose: number|null, changePercent: number|null, time: string|null }|null}
+ */
+function parseExchangeQuoteRaw(data) {
+  if (!data || !isString(data)) return null;
+  const parts = data.split('~');
+  if (parts.length < 33) return null;
+  const prevClose = parseFloat(parts[4]);
+  let price = parseFloat(parts[3]);
+  // 停牌或集合竞价前现价为 0，以昨收代替
+  if (!(price > 0)) price = prevClose;
+  if (!(price > 0)) return null;
+  const changePercent = parseFloat(parts[32]);
+  const rawTime = String(parts[30] || '');
+  const time = /^\d{12}/.test(rawTime)
+    ? `${rawTime.slice(0, 4)}-${rawTime.slice(4, 6)}-${rawTime.slice(6, 8)} ${rawTime.slice(8, 10)}:${rawTime.slice(10, 12)}`
+    : null;
+  return {
+    price,
+    prevClose: prevClose > 0 ? prevClose : null,
+    changePercent: Number.isFinite(changePercent) ? changePercent : null,
+    time
+  };
+}
+
+/**
+ * 批量获取场内 ETF / LOF 的二级市场实时价格（腾讯行情）
+ * 无场内代码或未上市（行情返回 none_match）的基金不出现在结果中
+ * @param {string[]} codes - 基金代码
+ * @returns {Promise<Record<string, { exchangeSymbol: string, exchangePrice: number, exchangePrevClose: number|null, exchangeChangePercent: number|null, exchangeTime: string|null }>>}
+ */
+export const fetchExchangeQuotes = async (codes) => {
+  if (typeof window === 'undefined' || typeof document === 'undefined') return {};
+  const symbolByCode = new Map();
+  (isArray(codes) ? codes : []).forEach((c) => {
+    const symbol = getExchangeSymbol(c);
+    if (symbol) symbolByCode.set(String(c).trim(), symbol);
   });
+  if (symbolByCode.size === 0) return {};
+
+  const entries = Array.from(symbolByCode.entries());
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += EXCHANGE_QUOTE_CHUNK_SIZE) {
+    chunks.push(entries.slice(i, i + EXCHANGE_QUOTE_CHUNK_SIZE));
+  }
+
+  const result = {};
+  for (const chunk of chunks) {
+    try {
+      const symbols = chunk.map(([, symbol]) => symbol);
+      const vars = await loadTencentQuoteVars(
+        `https://qt.gtimg.cn/q=${symbols.join(',')}&_t=${Date.now()}`,
+        symbols.map((symbol) => `v_${symbol}`)
+      );
+      chunk.forEach(([code, symbol]) => {
+        const parsed = parseExchangeQuoteRaw(vars[`v_${symbol}`]);
+        if (!parsed) return;
+        result[code] = {
+          exchangeSymbol: symbol,
+          exchangePrice: parsed.price,
+          exchangePrevClose: parsed.prevClose,
+          exchangeChangePercent: parsed.changePercent,
+          exchangeTime: parsed.time
+        };
+      });
+    } catch (e) {
+      // 单批失败不影响其他批次
+    }
+  }
+  return result;
 };
 
 export const fetchLatestRelease = async () => {
@@ -2022,6 +2513,8 @@ const snapshotPingzhongdataGlobals = (fundCode) => {
   };
 };
 
+const getPingzhongdataUrl = (fundCode) => `https://fund.eastmoney.com/pingzhongdata/${fundCode}.js`;
+
 const jsonpLoadPingzhongdata = (fundCode, timeoutMs = 20000) => {
   return new Promise((resolve, reject) => {
     if (typeof document === 'undefined' || !document.body) {
@@ -2029,7 +2522,7 @@ const jsonpLoadPingzhongdata = (fundCode, timeoutMs = 20000) => {
       return;
     }
 
-    const url = `https://fund.eastmoney.com/pingzhongdata/${fundCode}.js?v=${Date.now()}`;
+    const url = `${getPingzhongdataUrl(fundCode)}?v=${Date.now()}`;
     const script = document.createElement('script');
     script.src = url;
     script.async = true;
@@ -2073,7 +2566,9 @@ const jsonpLoadPingzhongdata = (fundCode, timeoutMs = 20000) => {
 
 const fetchAndParsePingzhongdata = async (fundCode) => {
   // 使用 JSONP(script 注入) 方式获取并解析 pingzhongdata
-  return enqueuePingzhongdataLoad(() => jsonpLoadPingzhongdata(fundCode));
+  return withDataReplay('pingzhongdata', getPingzhongdataUrl(fundCode), () =>
+    enqueuePingzhongdataLoad(() => jsonpLoadPingzhongdata(fundCode))
+  );
 };
 
 /**
@@ -2189,36 +2684,37 @@ export async function fetchFundPeriodReturns(fundCode, { cacheTime = 60 * 60 * 1
   }
 }
 
-export const fetchFundHistory = async (code, range = '1m', options = {}) => {
-  if (typeof window === 'undefined') return [];
-  const { netValueType = 'unit' } = options;
-  const useAccumulatedNetValue = netValueType === 'accumulated';
-
-  const end = nowInTz();
-  let start = end.clone();
-
+/**
+ * 区间标识（1m/3m/6m/1y/3y/all）对应的起始时间
+ * @param {string} range
+ * @param {dayjs.Dayjs} end
+ * @returns {dayjs.Dayjs}
+ */
+const getRangeStart = (range, end) => {
   switch (range) {
-    case '1m':
-      start = start.subtract(1, 'month');
-      break;
     case '3m':
-      start = start.subtract(3, 'month');
-      break;
+      return end.subtract(3, 'month');
     case '6m':
-      start = start.subtract(6, 'month');
-      break;
+      return end.subtract(6, 'month');
     case '1y':
-      start = start.subtract(1, 'year');
-      break;
+      return end.subtract(1, 'year');
     case '3y':
-      start = start.subtract(3, 'year');
-      break;
+      return end.subtract(3, 'year');
     case 'all':
-      start = dayjs(0).tz(TZ);
-      break;
+      return dayjs(0).tz(TZ);
+    case '1m':
     default:
-      start = start.subtract(1, 'month');
+      return end.subtract(1, 'month');
   }
+};
+
+export const fetchFundHistory = async (code, range = '1m', options = {}) => {
+  if (typeof window === 'undefined') return [];
+  const { netValueType = 'unit' } = options;
+  const useAccumulatedNetValue = netValueType === 'accumulated';
+
+  const end = nowInTz();
+  const start = getRangeStart(range, end);
 
   // 业绩走势默认走 pingzhongdata.Data_netWorthTrend；需要累计净值展示时走 Data_ACWorthTrend。
   // 同时附带 Data_grandTotal（若存在，格式为 [{ name, data: [[ts, val], ...] }, ...]）
@@ -2337,6 +2833,94 @@ export const fetchFundHistory = async (code, range = '1m', options = {}) => {
   return [];
 };
 
+/**
+ * 基金风险指标（年化波动率、最大回撤、夏普 / 索提诺 / 卡玛比率），基于累计净值走势计算
+ * @param {string} code - 基金编码
+ * @param {string} [range='1y'] - 与 fetchFundHistory 相同的区间标识
+ * @param {{ riskFreeRate?: number }} [options] - riskFreeRate 为年化百分比
+ * @returns {Promise<import('../lib/riskMetrics').RiskMetrics|null>}
+ */
+export const fetchFundRiskMetrics = async (code, range = '1y', { riskFreeRate } = {}) => {
+  if (!code) return null;
+  try {
+    const history = await fetchFundHistory(code, range, { netValueType: 'accumulated' });
+    return computeRiskMetrics(history, { riskFreeRate });
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 东方财富指数日线（收盘点位与日涨跌幅）
+ * @param {string} secid - 如 1.000300、100.NDX
+ * @param {string} [range='1y'] - 与 fetchFundHistory 相同的区间标识
+ * @returns {Promise<{ date: string, close: number, pct: number|null }[]>}
+ */
+export const fetchIndexDailyHistory = async (secid, range = '1y') => {
+  const s = secid != null ? String(secid).trim() : '';
+  if (!s || typeof fetch === 'undefined') return [];
+
+  const beg = getRangeStart(range, nowInTz()).subtract(7, 'day').format('YYYYMMDD');
+  try {
+    return await getQueryClient().fetchQuery({
+      queryKey: qk.indexDailyHistory(s, range),
+      queryFn: async () => {
+        const url = `https://push2his.eastmoney.com/api/qt/stock/kline/get?secid=${encodeURIComponent(s)}&fields1=f1,f2,f3&fields2=f51,f53,f59&klt=101&fqt=0&beg=${beg}&end=20500101`;
+        const json = await fetchThirdPartyJson(url);
+        const klines = json?.data?.klines;
+        if (!isArray(klines)) return [];
+        return klines
+          .map((line) => {
+            const [date, close, pct] = String(line).split(',');
+            const closeNum = Number(close);
+            const pctNum = Number(pct);
+            if (!date || !Number.isFinite(closeNum)) return null;
+            return { date, close: closeNum, pct: Number.isFinite(pctNum) ? pctNum : null };
+          })
+          .filter(Boolean);
+      },
+      staleTime: 10 * 60 * 1000
+    });
+  } catch (e) {
+    return [];
+  }
+};
+
+/** 海外指数在东方财富日线接口中的 secid；未收录的指数不提供历史走势 */
+const GLOBAL_INDEX_HISTORY_SECIDS = {
+  usIXIC: '100.NDX',
+  usNDX: '100.NDX100',
+  usINX: '100.SPX',
+  usDJI: '100.DJIA',
+  hkHSI: '100.HSI',
+  hkHSTECH: '124.HSTECH',
+  gzFTSE: '100.FTSE',
+  gzFCHI: '100.FCHI',
+  gzGDAXI: '100.GDAXI',
+  gzN225: '100.N225',
+  gzKS11: '100.KS11'
+};
+
+/**
+ * 腾讯行情指数代码转东方财富 secid（沪市 1.，深市 / 北交所 0.）
+ * @param {string} code - 如 sh000300、usIXIC
+ * @returns {string|null}
+ */
+const toIndexHistorySecid = (code) => {
+  const m = /^(sh|sz|bj)(\d{6})$/.exec(code);
+  if (m) return `${m[1] === 'sh' ? '1' : '0'}.${m[2]}`;
+  return GLOBAL_INDEX_HISTORY_SECIDS[code] || null;
+};
+
+/**
+ * 可作为业绩比较基准的市场指数：大盘指数中能取到历史日线的部分
+ * @returns {{ code: string, name: string, secid: string }[]}
+ */
+export const listBenchmarkIndices = () =>
+  MARKET_INDEX_KEYS.map(({ code, name }) => ({ code, name, secid: toIndexHistorySecid(code) })).filter(
+    (it) => it.secid
+  );
+
 export const fetchFundValuationTrend = async (code, range = '3m') => {
   if (!isSupabaseConfigured) return [];
   if (!supabase?.functions?.invoke) return [];
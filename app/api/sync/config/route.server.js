@@ -0,0 +1,24 @@
+import { createUserConfig, handleSyncRequest, loadUserConfig, saveUserConfig } from '@/app/lib/syncServer';
+
+export const dynamic = 'force-dynamic';
+
+/** 读取用户配置：{ exists, data, updatedAt } */
+export function GET(request) {
+  return handleSyncRequest(request, (userId) => ({ body: loadUserConfig(userId) }));
+}
+
+/** 创建空的用户配置 */
+export function POST(request) {
+  return handleSyncRequest(request, (userId) => {
+    createUserConfig(userId);
+    return { status: 201, body: {} };
+  });
+}
+
+/** 上传用户配置：{ payload, deviceId, forceTakeover, partial }，设备冲突返回 409 */
+export function PUT(request) {
+  return handleSyncRequest(request, async (userId) => {
+    const body = await request.json().catch(() => null);
+    return saveUserConfig(userId, body || {});
+  });
+}
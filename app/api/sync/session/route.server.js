@@ -0,0 +1,8 @@
+import { handleSyncRequest } from '@/app/lib/syncServer';
+
+export const dynamic = 'force-dynamic';
+
+/** 校验同步令牌，返回对应的用户名 */
+export function GET(request) {
+  return handleSyncRequest(request, (userId) => ({ body: { userId } }));
+}
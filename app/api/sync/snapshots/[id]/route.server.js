@@ -0,0 +1,12 @@
+import { handleSyncRequest, loadSnapshot } from '@/app/lib/syncServer';
+
+export const dynamic = 'force-dynamic';
+
+/** 单个快照的数据 */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return handleSyncRequest(request, (userId) => {
+    const data = loadSnapshot(userId, id);
+    return data ? { body: { data } } : { status: 404, body: { error: '快照不存在' } };
+  });
+}
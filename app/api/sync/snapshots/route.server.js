@@ -0,0 +1,8 @@
+import { handleSyncRequest, listSnapshots } from '@/app/lib/syncServer';
+
+export const dynamic = 'force-dynamic';
+
+/** 历史快照列表（按时间倒序，不含数据） */
+export function GET(request) {
+  return handleSyncRequest(request, (userId) => ({ body: listSnapshots(userId) }));
+}
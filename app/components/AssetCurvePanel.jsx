@@ -0,0 +1,204 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { isNumber } from 'lodash';
+import { formatDate } from '@/app/lib/fundHelpers';
+import { PERFORMANCE_WINDOWS, getWindowStart } from '@/app/lib/performance';
+import { buildAssetCurve } from '@/app/lib/assetSnapshots';
+import { formatMoney } from '@/lib/utils';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler);
+
+const CHART_COLORS = {
+  dark: {
+    value: '#22d3ee',
+    cost: '#9ca3af',
+    drawdown: 'rgba(34, 197, 94, 0.22)',
+    drawdownLine: 'rgba(34, 197, 94, 0.6)',
+    muted: '#9ca3af',
+    border: '#1f2937'
+  },
+  light: {
+    value: '#0891b2',
+    cost: '#94a3b8',
+    drawdown: 'rgba(22, 163, 74, 0.16)',
+    drawdownLine: 'rgba(22, 163, 74, 0.5)',
+    muted: '#475569',
+    border: '#e2e8f0'
+  }
+};
+
+function formatPercent(v) {
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+}
+
+/**
+ * 资产曲线：每日持仓市值与成本，叠加剔除资金进出后的回撤阴影
+ * @param {object} props
+ * @param {{ date: string, marketValue: number, cost: number, netInflow: number }[]} props.snapshots - 按日期升序
+ * @param {boolean} [props.masked]
+ * @param {'dark'|'light'} [props.theme]
+ */
+export default function AssetCurvePanel({ snapshots, masked = false, theme = 'dark' }) {
+  const todayStr = formatDate();
+  const [windowId, setWindowId] = useState('3m');
+  const colors = CHART_COLORS[theme] || CHART_COLORS.dark;
+
+  const curve = useMemo(
+    () => buildAssetCurve(snapshots, getWindowStart(windowId, todayStr)),
+    [snapshots, windowId, todayStr]
+  );
+
+  const chartData = useMemo(() => {
+    const pointRadius = curve.points.length <= 2 ? 3 : 0;
+    return {
+      labels: curve.points.map((p) => p.date.slice(5)),
+      datasets: [
+        {
+          label: '市值',
+          data: curve.points.map((p) => p.marketValue),
+          borderColor: colors.value,
+          borderWidth: 2,
+          pointRadius,
+          pointHoverRadius: 4,
+          tension: 0.2,
+          yAxisID: 'y'
+        },
+        {
+          label: '成本',
+          data: curve.points.map((p) => p.cost),
+          borderColor: colors.cost,
+          borderWidth: 1.5,
+          borderDash: [4, 3],
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          tension: 0.2,
+          yAxisID: 'y'
+        },
+        {
+          label: '回撤',
+          data: curve.points.map((p) => p.drawdown),
+          borderColor: colors.drawdownLine,
+          backgroundColor: colors.drawdown,
+          borderWidth: 1,
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          fill: 'origin',
+          tension: 0.2,
+          yAxisID: 'y1'
+        }
+      ]
+    };
+  }, [curve, colors]);
+
+  const options = useMemo(() => {
+    const minDrawdown = Math.min(curve.maxDrawdown, -1);
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => (items[0] ? curve.points[items[0].dataIndex]?.date : ''),
+            label: (item) =>
+              item.dataset.yAxisID === 'y1'
+                ? `${item.dataset.label} ${formatPercent(item.parsed.y)}`
+                : `${item.dataset.label} ${masked ? '******' : formatMoney(item.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { color: colors.muted, font: { size: 10 }, maxTicksLimit: 6 }
+        },
+        y: {
+          position: 'left',
+          grid: { color: colors.border, drawBorder: false },
+          ticks: {
+            color: colors.muted,
+            font: { size: 10 },
+            callback: (v) => (masked ? '' : isNumber(v) ? formatMoney(v, 0) : v)
+          }
+        },
+        // 回撤轴压缩在下方三分之一，避免阴影遮住市值曲线
+        y1: {
+          position: 'right',
+          min: minDrawdown * 3,
+          max: 0,
+          grid: { display: false },
+          ticks: {
+            color: colors.muted,
+            font: { size: 10 },
+            maxTicksLimit: 3,
+            callback: (v) => (isNumber(v) && v >= minDrawdown ? `${v.toFixed(0)}%` : '')
+          }
+        }
+      }
+    };
+  }, [curve, colors, masked]);
+
+  const latest = curve.points[curve.points.length - 1];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, fontSize: '12px' }}>
+      <span className="muted">资产曲线与回撤</span>
+
+      {curve.points.length === 0 ? (
+        <div className="muted" style={{ textAlign: 'center', padding: '16px 0' }}>
+          该区间暂无资产快照，交易日打开应用后开始记录
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, minmax(0, 1fr))', gap: 8 }}>
+            {[
+              { label: '期末市值', value: masked ? '******' : formatMoney(latest.marketValue) },
+              { label: '最大回撤', value: formatPercent(curve.maxDrawdown), tone: curve.maxDrawdown < 0 },
+              { label: '当前回撤', value: formatPercent(curve.currentDrawdown), tone: curve.currentDrawdown < 0 }
+            ].map((item) => (
+              <div key={item.label} style={{ minWidth: 0 }}>
+                <div className="muted" style={{ marginBottom: 2 }}>
+                  {item.label}
+                </div>
+                <div
+                  className={item.tone ? 'down' : ''}
+                  style={{ fontSize: '15px', fontWeight: 600, fontFamily: 'var(--font-mono)' }}
+                >
+                  {item.value}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div style={{ position: 'relative', height: 160, width: '100%', touchAction: 'pan-y' }}>
+            <Line data={chartData} options={options} />
+          </div>
+          <div className="muted" style={{ fontSize: '11px' }}>
+            {curve.maxDrawdownDate ? `最大回撤发生于 ${curve.maxDrawdownDate}；` : ''}
+            回撤按剔除买入卖出资金后的单位净值计算，未打开应用的交易日由每日收益倒推
+          </div>
+        </>
+      )}
+
+      <div className="trend-range-bar">
+        {PERFORMANCE_WINDOWS.map((w) => (
+          <button
+            key={w.id}
+            type="button"
+            className={`trend-range-btn ${windowId === w.id ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              setWindowId(w.id);
+            }}
+          >
+            {w.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+'use client';
+
+import { useMemo } from 'react';
+import { formatMoney } from '@/lib/utils';
+import { CLEARED_REASON_LABELS } from '@/app/lib/realizedProfit';
+
+function formatSigned(v, masked) {
+  if (masked) return '******';
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : v < 0 ? '-' : ''}${formatMoney(Math.abs(v))}`;
+}
+
+function formatPercent(v) {
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+}
+
+const toneOf = (v) => (v > 0 ? 'up' : v < 0 ? 'down' : '');
+
+/**
+ * 已清仓列表：按清仓日期倒序展示归档的持仓及其最终收益
+ * @param {object} props
+ * @param {object[]} props.entries - clearedPositions
+ * @param {{ id: string, name: string }[]} [props.groups]
+ * @param {boolean} [props.masked]
+ */
+export default function ClearedPositionsList({ entries, groups = [], masked = false }) {
+  const groupNameById = useMemo(() => new Map((groups || []).map((g) => [g.id, g.name])), [groups]);
+  const sorted = useMemo(
+    () =>
+      [...(entries || [])].sort(
+        (a, b) => (b.closeDate || '').localeCompare(a.closeDate || '') || (b.archivedAt || 0) - (a.archivedAt || 0)
+      ),
+    [entries]
+  );
+
+  if (!sorted.length) {
+    return (
+      <div className="muted" style={{ textAlign: 'center', padding: '16px 0', fontSize: '12px' }}>
+        暂无清仓记录，基金份额全部卖出或删除后会保留在这里
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column' }}>
+      {sorted.map((entry) => (
+        <div
+          key={entry.id}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: 12,
+            padding: '10px 0',
+            borderBottom: '1px solid var(--border)',
+            fontSize: '12px'
+          }}
+        >
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontSize: '14px', fontWeight: 500, color: 'var(--text)' }}>{entry.name || entry.code}</div>
+            <div className="muted" style={{ marginTop: 2 }}>
+              {entry.code}
+              {entry.groupId ? ` · ${groupNameById.get(entry.groupId) || '已删除分组'}` : ''}
+              {` · ${CLEARED_REASON_LABELS[entry.reason] || '清仓'}`}
+            </div>
+            <div className="muted" style={{ marginTop: 2 }}>
+              {entry.openDate} 至 {entry.closeDate} · 持有 {entry.holdingDays} 天
+            </div>
+          </div>
+          <div style={{ textAlign: 'right', flexShrink: 0 }}>
+            <div
+              className={masked ? '' : toneOf(entry.realizedProfit)}
+              style={{ fontSize: '14px', fontWeight: 600, fontFamily: 'var(--font-mono)' }}
+            >
+              {formatSigned(entry.realizedProfit, masked)}
+            </div>
+            <div className={toneOf(entry.returnRate)} style={{ marginTop: 2, fontFamily: 'var(--font-mono)' }}>
+              {formatPercent(entry.returnRate)}
+            </div>
+            <div className="muted" style={{ marginTop: 2 }}>
+              年化 {formatPercent(entry.xirr)}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
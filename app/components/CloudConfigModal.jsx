@@ -3,11 +3,20 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import ConfirmModal from './ConfirmModal';
+import CloudSnapshotHistory from './CloudSnapshotHistory';
 import { CloseIcon, CloudIcon } from './Icons';
 
-export default function CloudConfigModal({ onConfirm, onCancel, type = 'empty' }) {
+export default function CloudConfigModal({
+  onConfirm,
+  onCancel,
+  onCompare,
+  onRestoreSnapshot,
+  userId,
+  type = 'empty'
+}) {
   const [pendingAction, setPendingAction] = useState(null); // 'local' | 'cloud' | null
   const isConflict = type === 'conflict';
+  const isHistory = type === 'history';
 
   const handlePrimaryClick = () => {
     if (isConflict) {
@@ -45,6 +54,44 @@ export default function CloudConfigModal({ onConfirm, onCancel, type = 'empty' }
       ? '此操作会将当前本地配置同步到云端，覆盖云端原有配置，且可能无法恢复，请谨慎操作。'
       : '此操作会使用云端配置覆盖当前本地配置，导致本地修改丢失，且可能无法恢复，请谨慎操作。';
 
+  if (isHistory) {
+    return (
+      <motion.div
+        className="modal-overlay"
+        role="dialog"
+        aria-modal="true"
+        aria-label="云端历史版本"
+        onClick={onCancel}
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+      >
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.95, y: 20 }}
+          className="glass card modal"
+          style={{ maxWidth: '460px' }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="title" style={{ marginBottom: 12, justifyContent: 'space-between' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+              <CloudIcon width="20" height="20" />
+              <span>云端历史版本</span>
+            </div>
+            <button className="icon-button" onClick={onCancel} style={{ border: 'none', background: 'transparent' }}>
+              <CloseIcon width="20" height="20" />
+            </button>
+          </div>
+          <p className="muted" style={{ marginBottom: 16, fontSize: '13px', lineHeight: '1.6' }}>
+            保留最近 30 次同步，以及 90 天内每天的最后一个版本。
+          </p>
+          <CloudSnapshotHistory userId={userId} onRestore={onRestoreSnapshot} />
+        </motion.div>
+      </motion.div>
+    );
+  }
+
   return (
     <motion.div
       className="modal-overlay"
@@ -76,9 +123,14 @@ export default function CloudConfigModal({ onConfirm, onCancel, type = 'empty' }
           )}
         </div>
         <p className="muted" style={{ marginBottom: 20, fontSize: '14px', lineHeight: '1.6' }}>
-          {isConflict ? '检测到本地配置与云端不一致，请选择操作：' : '是否将本地配置同步到云端？'}
+          {isConflict ? '检测到本地配置与云端不一致，可逐项对比后合并，或整体保留一方：' : '是否将本地配置同步到云端？'}
         </p>
         <div className="row" style={{ flexDirection: 'column', gap: 12 }}>
+          {isConflict && onCompare && (
+            <button className="button" onClick={onCompare}>
+              逐项对比并合并
+            </button>
+          )}
           <button className="button secondary" onClick={handlePrimaryClick}>
             {isConflict ? '保留本地 (覆盖云端)' : '同步本地到云端'}
           </button>
@@ -0,0 +1,215 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import dayjs from 'dayjs';
+import { isPlainObject } from 'lodash';
+import { isEncryptedCloudPayload } from '@/app/lib/vault';
+import { summarizeSyncPayload } from '@/app/lib/syncMerge';
+import { getSyncTransport, storageStore, useStorageStore, useVaultStore } from '@/app/stores';
+import ConfirmModal from './ConfirmModal';
+import { CloudIcon } from './Icons';
+
+const SUMMARY_FIELDS = [
+  { key: 'funds', label: '基金' },
+  { key: 'holdings', label: '持仓' },
+  { key: 'transactions', label: '交易记录' },
+  { key: 'groups', label: '自定义分组' }
+];
+
+/**
+ * 云端历史快照：列出最近的同步版本，可预览概要并恢复到本机（恢复后同步到云端）
+ * @param {object} props
+ * @param {string} props.userId
+ * @param {(data: object) => Promise<void>} props.onRestore
+ */
+export default function CloudSnapshotHistory({ userId, onRestore }) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [error, setError] = useState('');
+  const [preview, setPreview] = useState(null); // { snapshot, data, error }
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const funds = useStorageStore((s) => s.funds);
+  const holdings = useStorageStore((s) => s.holdings);
+  const groupHoldings = useStorageStore((s) => s.groupHoldings);
+  const transactions = useStorageStore((s) => s.transactions);
+  const groups = useStorageStore((s) => s.groups);
+  const localSummary = useMemo(
+    () => summarizeSyncPayload({ funds, holdings, groupHoldings, transactions, groups }),
+    [funds, holdings, groupHoldings, transactions, groups]
+  );
+  const deviceId = useMemo(() => storageStore.getItem('rtfDeviceId') || '', []);
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const { data, error: queryError } = await getSyncTransport(userId).listSnapshots(userId);
+        if (queryError) throw queryError;
+        if (!cancelled) setSnapshots(data || []);
+      } catch (e) {
+        console.error('获取云端历史快照失败', e);
+        if (!cancelled) setError('获取历史版本失败，请稍后再试');
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const handlePreview = async (snapshot) => {
+    setPreviewLoading(true);
+    try {
+      const { data: snapshotData, error: queryError } = await getSyncTransport(userId).loadSnapshot(snapshot.id);
+      if (queryError) throw queryError;
+      let data = snapshotData;
+      if (isEncryptedCloudPayload(data)) {
+        data = await useVaultStore.getState().decryptSnapshot(data);
+        if (!data) {
+          setPreview({ snapshot, data: null, error: '该版本使用其他口令加密，本机无法解密' });
+          return;
+        }
+      }
+      setPreview(
+        isPlainObject(data) ? { snapshot, data, error: '' } : { snapshot, data: null, error: '该版本没有数据' }
+      );
+    } catch (e) {
+      console.error('获取云端历史快照失败', e);
+      setPreview({ snapshot, data: null, error: '获取该版本失败，请稍后再试' });
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setConfirmOpen(false);
+    setRestoring(true);
+    try {
+      await onRestore?.(preview.data);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatTime = (value) => dayjs(value).format('YYYY-MM-DD HH:mm:ss');
+  const formatDevice = (id) => (!id ? '未知设备' : id === deviceId ? '本机' : `设备 ${id.slice(0, 8)}`);
+
+  if (preview) {
+    const summary = preview.data ? summarizeSyncPayload(preview.data) : null;
+    return (
+      <div className="flex flex-col gap-3">
+        <div style={{ fontSize: '14px' }}>
+          {formatTime(preview.snapshot.created_at)}
+          <span className="muted" style={{ marginLeft: 8, fontSize: '12px' }}>
+            {formatDevice(preview.snapshot.device_id)}
+          </span>
+        </div>
+        {preview.error ? (
+          <p className="muted" style={{ fontSize: '13px' }}>
+            {preview.error}
+          </p>
+        ) : (
+          <table style={{ width: '100%', fontSize: '13px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr className="muted">
+                <th style={{ textAlign: 'left', fontWeight: 400, padding: '4px 0' }}>项目</th>
+                <th style={{ textAlign: 'right', fontWeight: 400, padding: '4px 0' }}>该版本</th>
+                <th style={{ textAlign: 'right', fontWeight: 400, padding: '4px 0' }}>本机当前</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SUMMARY_FIELDS.map(({ key, label }) => (
+                <tr key={key}>
+                  <td style={{ padding: '4px 0' }}>{label}</td>
+                  <td style={{ textAlign: 'right', padding: '4px 0' }}>{summary[key]}</td>
+                  <td style={{ textAlign: 'right', padding: '4px 0' }}>{localSummary[key]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="row" style={{ gap: 12 }}>
+          <button className="button secondary" style={{ flex: 1 }} onClick={() => setPreview(null)}>
+            返回
+          </button>
+          <button
+            className="button"
+            style={{ flex: 1 }}
+            disabled={!preview.data || restoring}
+            onClick={() => setConfirmOpen(true)}
+          >
+            {restoring ? '恢复中…' : '恢复此版本'}
+          </button>
+        </div>
+        {confirmOpen && (
+          <ConfirmModal
+            title="确认恢复到该版本？"
+            message="本机数据将替换为该版本并同步到云端。当前的云端数据会保留为一个历史版本，可随时再恢复。"
+            onConfirm={handleRestore}
+            onCancel={() => setConfirmOpen(false)}
+            confirmText="确认恢复"
+            icon={<CloudIcon width="20" height="20" />}
+            confirmVariant="danger"
+          />
+        )}
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <p className="muted" style={{ fontSize: '13px' }}>
+        {error}
+      </p>
+    );
+  }
+
+  if (!snapshots) {
+    return (
+      <p className="muted" style={{ fontSize: '13px' }}>
+        加载中…
+      </p>
+    );
+  }
+
+  if (snapshots.length === 0) {
+    return (
+      <p className="muted" style={{ fontSize: '13px' }}>
+        暂无历史版本，同步后会自动保留
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-2 overflow-y-auto" style={{ maxHeight: '50vh' }}>
+      {snapshots.map((snapshot) => (
+        <div
+          key={snapshot.id}
+          className="row"
+          style={{ justifyContent: 'space-between', alignItems: 'center', gap: 12, padding: '6px 0' }}
+        >
+          <div className="flex flex-col" style={{ minWidth: 0 }}>
+            <span style={{ fontSize: '13px' }}>{formatTime(snapshot.created_at)}</span>
+            <span className="muted" style={{ fontSize: '12px' }}>
+              {formatDevice(snapshot.device_id)}
+              {' · '}
+              {snapshot.encrypted
+                ? '已加密'
+                : `${snapshot.fund_count ?? '—'} 只基金 · ${snapshot.transaction_count ?? '—'} 条交易`}
+            </span>
+          </div>
+          <button
+            className="button secondary"
+            style={{ flexShrink: 0 }}
+            disabled={previewLoading}
+            onClick={() => handlePreview(snapshot)}
+          >
+            预览
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
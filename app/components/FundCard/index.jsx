@@ -67,6 +67,7 @@ function MoreSection({
   fundExtraData,
   masked,
   groupTotalHoldingAmount,
+  xirr = null,
   isAdded = true,
   userId
 }) {
@@ -105,7 +106,8 @@ function MoreSection({
         <div className="row" style={{ marginBottom: 10 }}>
           <Stat label="成本净值" value={masked ? '******' : costNav} />
           <Stat label="持仓成本" value={masked ? '******' : holdingCost} />
-          <Stat label="持仓占比" value={masked ? '******' : holdingRatio} />
+          <Stat label="持仓占比" value={holdingRatio} />
+          <Stat label="年化收益" value={fmtPeriodReturn(xirr)} delta={xirr} />
         </div>
       )}
       {hasPeriodData && (
@@ -193,6 +195,7 @@ export default function Index({
   theme,
   isTradingDay,
   getHoldingProfit,
+  getHoldingXirr,
   onToggleFavorite,
   onRemoveFund,
   onHoldingClick,
@@ -346,6 +349,14 @@ export default function Index({
   // 兼容旧逻辑：部分 UI 仍需要“持仓金额/成本”完整信息
   const hasHoldingAmount =
     !!profit && holding && isNumber(holding.share) && holding.share > 0 && isNumber(holding.cost) && holding.cost > 0;
+  // 资金加权年化收益率（XIRR），持有不足 30 天或缺少买入日期时为 null
+  const xirr = hasHoldingAmount ? (getHoldingXirr?.(f, holding) ?? null) : null;
+
+  // 分享卡片中的持有收益
+  const shareHoldingReturn =
+    hasHoldingAmount && profit.profitTotal !== null
+      ? { amount: profit.profitTotal, rate: (profit.profitTotal / (holding.cost * holding.share)) * 100 }
+      : null;
 
   const dailyEarningsSeries = useMemo(() => {
     if (!hasHoldingShare) return [];
@@ -762,11 +773,17 @@ export default function Index({
                     <TooltipTrigger asChild>
                       <span
                         className={`value ${
-                          masked ? '' : profit.profitToday > 0 ? 'up' : profit.profitToday < 0 ? 'down' : ''
+                          masked && !todayPercentModes?.[f.code]
+                            ? ''
+                            : profit.profitToday > 0
+                              ? 'up'
+                              : profit.profitToday < 0
+                                ? 'down'
+                                : ''
                         }`}
                         style={{ display: 'inline-block' }}
                       >
-                        {masked ? (
+                        {masked && !todayPercentModes?.[f.code] ? (
                           '******'
                         ) : (
                           <>
@@ -812,11 +829,17 @@ export default function Index({
                     <TooltipTrigger asChild>
                       <span
                         className={`value ${
-                          masked ? '' : profit.profitTotal > 0 ? 'up' : profit.profitTotal < 0 ? 'down' : ''
+                          masked && !percentModes?.[f.code]
+                            ? ''
+                            : profit.profitTotal > 0
+                              ? 'up'
+                              : profit.profitTotal < 0
+                                ? 'down'
+                                : ''
                         }`}
                         style={{ display: 'inline-block' }}
                       >
-                        {masked ? (
+                        {masked && !percentModes?.[f.code] ? (
                           '******'
                         ) : (
                           <>
@@ -851,6 +874,7 @@ export default function Index({
         fundExtraData={fundExtraData}
         masked={masked}
         groupTotalHoldingAmount={groupTotalHoldingAmount}
+        xirr={xirr}
         isAdded={isAdded}
         userId={userId}
       />
@@ -961,7 +985,13 @@ export default function Index({
           {hasHoldingAmount && (
             <TabsContent value="earnings" className="mt-3 outline-none">
               {displayDailyEarningsSeries.length > 0 ? (
-                <FundDailyEarnings series={displayDailyEarningsSeries} theme={theme} masked={masked} />
+                <FundDailyEarnings
+                  series={displayDailyEarningsSeries}
+                  theme={theme}
+                  masked={masked}
+                  fund={f}
+                  holdingReturn={shareHoldingReturn}
+                />
               ) : (
                 <Empty className="py-8 border-none bg-transparent">
                   <EmptyHeader>
@@ -1109,7 +1139,13 @@ export default function Index({
                     style={{ overflow: 'hidden' }}
                   >
                     {displayDailyEarningsSeries.length > 0 ? (
-                      <FundDailyEarnings series={displayDailyEarningsSeries} theme={theme} masked={masked} />
+                      <FundDailyEarnings
+                        series={displayDailyEarningsSeries}
+                        theme={theme}
+                        masked={masked}
+                        fund={f}
+                        holdingReturn={shareHoldingReturn}
+                      />
                     ) : (
                       <Empty className="py-6 border-none bg-transparent">
                         <EmptyHeader>
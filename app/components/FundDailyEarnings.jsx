@@ -12,9 +12,12 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import { isArray, isNumber } from 'lodash';
+import { Share2 } from 'lucide-react';
 import FundDailyEarningsDetailModal from './FundDailyEarningsDetailModal';
+import ShareCardModal from './ShareCardModal';
 import { Tooltip as UITooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 import { formatMoney } from '@/lib/utils';
+import { compoundDailyRates } from '@/app/lib/shareCard';
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, ChartTooltip, Filler);
 
@@ -43,9 +46,19 @@ function getChartThemeColors(theme) {
   return CHART_COLORS[theme] || CHART_COLORS.dark;
 }
 
-export default function FundDailyEarnings({ series = [], theme = 'dark', masked = false }) {
+/**
+ * 单只基金的每日收益走势
+ * @param {object} props
+ * @param {{ date: string, earnings: number, rate?: number }[]} props.series
+ * @param {'dark'|'light'} [props.theme]
+ * @param {boolean} [props.masked]
+ * @param {{ code: string, name: string }} [props.fund] - 传入时提供分享卡片
+ * @param {{ amount: number, rate: number|null }|null} [props.holdingReturn] - 持有收益，展示在分享卡片中
+ */
+export default function FundDailyEarnings({ series = [], theme = 'dark', masked = false, fund, holdingReturn = null }) {
   const [range, setRange] = useState('3m');
   const [detailOpen, setDetailOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
   const chartRef = useRef(null);
   const hoverTimeoutRef = useRef(null);
   const chartColors = useMemo(() => getChartThemeColors(theme), [theme]);
@@ -94,6 +107,27 @@ export default function FundDailyEarnings({ series = [], theme = 'dark', masked
     }, 0);
   }, [filteredSeries]);
 
+  const shareCards = useMemo(() => {
+    if (!shareOpen || !fund || !filteredSeries.length) return [];
+    const latest = filteredSeries[filteredSeries.length - 1];
+    return [
+      {
+        id: 'fund',
+        label: '基金收益',
+        card: {
+          title: `${fund.name || fund.code} ${fund.code}`,
+          subtitle: `${rangeLabel} · ${filteredSeries[0].date} 至 ${latest.date}`,
+          headline: { label: `${rangeLabel}收益`, amount: totalEarnings, rate: compoundDailyRates(filteredSeries) },
+          metrics: [
+            { label: `最近一日 ${latest.date.slice(5)}`, amount: latest.earnings, rate: latest.rate },
+            ...(holdingReturn ? [{ label: '持有收益', amount: holdingReturn.amount, rate: holdingReturn.rate }] : [])
+          ],
+          bars: filteredSeries.map((d) => d.earnings)
+        }
+      }
+    ];
+  }, [shareOpen, fund, filteredSeries, rangeLabel, totalEarnings, holdingReturn]);
+
   const visibleRows = useMemo(() => {
     if (!filteredSeries.length) return [];
     return [...filteredSeries].reverse().slice(0, 5);
@@ -319,6 +353,21 @@ export default function FundDailyEarnings({ series = [], theme = 'dark', masked
             {masked ? '***' : `${totalEarnings >= 0 ? '+' : '-'}${formatMoney(Math.abs(totalEarnings))}`}
           </span>
         </span>
+        {fund && filteredSeries.length > 0 && (
+          <button
+            type="button"
+            className="fav-button"
+            aria-label="生成分享卡片"
+            title="生成收益分享图片"
+            onClick={(e) => {
+              e.stopPropagation();
+              setShareOpen(true);
+            }}
+            style={{ margin: 0, padding: 2, display: 'inline-flex', alignItems: 'center', cursor: 'pointer' }}
+          >
+            <Share2 size={14} />
+          </button>
+        )}
       </div>
       <div style={{ position: 'relative', height: 100, width: '100%', touchAction: 'pan-y' }}>
         <Line ref={chartRef} data={chartData} options={options} plugins={plugins} />
@@ -379,8 +428,8 @@ export default function FundDailyEarnings({ series = [], theme = 'dark', masked
               const rateValue = isNumber(rv) && Number.isFinite(rv) ? rv : derivedRate;
               const rateValid = isNumber(rateValue) && Number.isFinite(rateValue);
               const rateSign = rateValid && rateValue > 0 ? '+' : '';
-              const rateCls = masked || !rateValid ? '' : rateValue > 0 ? 'up' : rateValue < 0 ? 'down' : '';
-              const rateText = masked ? '***' : rateValid ? `${rateSign}${rateValue.toFixed(2)}%` : '—';
+              const rateCls = !rateValid ? '' : rateValue > 0 ? 'up' : rateValue < 0 ? 'down' : '';
+              const rateText = rateValid ? `${rateSign}${rateValue.toFixed(2)}%` : '—';
               return (
                 <tr key={`${row?.date || 'row'}_${idx}`} style={{ borderBottom: '1px solid var(--border)' }}>
                   <td style={{ padding: '8px 12px', textAlign: 'left', color: 'var(--text)' }}>{row?.date || '—'}</td>
@@ -443,6 +492,9 @@ export default function FundDailyEarnings({ series = [], theme = 'dark', masked
           </TooltipContent>
         </UITooltip>
       )}
+      {shareOpen && shareCards.length > 0 && (
+        <ShareCardModal cards={shareCards} theme={theme} masked={masked} onClose={() => setShareOpen(false)} />
+      )}
     </div>
   );
 }
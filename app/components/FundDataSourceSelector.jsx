@@ -4,14 +4,21 @@ import { isNumber } from 'lodash';
 import { useState, useEffect, useCallback } from 'react';
 import { Loader2 } from 'lucide-react';
 import { toast as sonnerToast } from 'sonner';
-import { fetchFundValuationBySource, fetchBestValuationSource, fetchFundBestSource, isQdiiFund } from '@/app/api/fund';
+import {
+  fetchFundValuationBySource,
+  fetchBestValuationSource,
+  fetchFundBestSource,
+  getAvailableValuationSources
+} from '@/app/api/fund';
 import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
 import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { Switch } from '@/components/ui/switch';
 import { useStorageStore, useUserStore } from '@/app/stores';
+import { DEFAULT_INDEX_TRACKING_RATIO } from '@/app/constants';
 import DataSourceAccuracyBadge from './DataSourceAccuracyBadge';
+import IndexTrackingPanel from './IndexTrackingPanel';
 
 function formatGszzlEstimate(gszzl) {
   const n = isNumber(gszzl) ? gszzl : Number(gszzl);
@@ -24,25 +31,19 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
   const user = useUserStore((s) => s.user);
   const [sourceId, setSourceId] = useState('1');
   const [loading, setLoading] = useState(true);
-  const [estimates, setEstimates] = useState({
-    1: null,
-    2: null,
-    3: null,
-    4: null
-  });
-  const [valuationSources, setValuationSources] = useState({
-    1: null,
-    2: null,
-    3: null,
-    4: null
-  });
+  // 当前基金可用的数据源（来自数据源注册表，QDII 专属数据源仅对 QDII 基金开放）
+  const [sources, setSources] = useState([]);
+  const [estimates, setEstimates] = useState({});
   const [bestSource, setBestSource] = useState(null);
   const [isYesterdayAccuracy, setIsYesterdayAccuracy] = useState(false);
   const [isTodayAccuracy, setIsTodayAccuracy] = useState(false);
   const [accuracyDiffs, setAccuracyDiffs] = useState({});
 
-  // 是否为 QDII 基金（决定是否展示数据源 4）
-  const [isQdii, setIsQdii] = useState(false);
+  // 指数跟踪估值的跟踪仓位（百分比）
+  const [trackingRatio, setTrackingRatio] = useState(() => {
+    const n = Number(fund?.trackingRatio);
+    return Number.isFinite(n) && n > 0 && n <= 100 ? n : DEFAULT_INDEX_TRACKING_RATIO;
+  });
 
   // 自动数据源状态
   const [autoSource, setAutoSource] = useState(!!fund?.autoSource);
@@ -74,13 +75,13 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
     }
 
     if (!fund?.code) {
-      setEstimates({ 1: '--', 2: '--', 3: '--', 4: '--' });
+      setSources([]);
+      setEstimates({});
       setLoading(false);
       setBestSource(null);
       setIsYesterdayAccuracy(false);
       setIsTodayAccuracy(false);
       setAccuracyDiffs({});
-      setIsQdii(false);
       return undefined;
     }
 
@@ -90,26 +91,17 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
     setIsYesterdayAccuracy(false);
     setIsTodayAccuracy(false);
     setAccuracyDiffs({});
-    setIsQdii(false);
 
     // 只要有实际涨跌幅，就尝试进行比对
     const actualZzl = isNumber(fund.zzl) && Number.isFinite(fund.zzl) ? fund.zzl : null;
 
-    // 先检查是否为 QDII 基金，再并行获取估值
-    isQdiiFund(fund.code).then((qdii) => {
+    // 先确定可用数据源，再并行获取估值
+    getAvailableValuationSources(fund.code).then((available) => {
       if (!isMounted) return;
-      setIsQdii(qdii);
+      setSources(available);
 
       // 并行获取实时估算值（用于展示）和历史最准数据源（用于标签判断）
-      const estimatePromises = [
-        fetchFundValuationBySource(fund.code, 1).catch(() => null),
-        fetchFundValuationBySource(fund.code, 2).catch(() => null),
-        fetchFundValuationBySource(fund.code, 3).catch(() => null)
-      ];
-      // 仅 QDII 基金获取数据源 4
-      if (qdii) {
-        estimatePromises.push(fetchFundValuationBySource(fund.code, 4).catch(() => null));
-      }
+      const estimatePromises = available.map((s) => fetchFundValuationBySource(fund.code, s.id).catch(() => null));
 
       const bestSourcePromise =
         actualZzl != null && fund.jzrq
@@ -118,18 +110,11 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
 
       Promise.all([Promise.all(estimatePromises), bestSourcePromise]).then(([estResults, bestResult]) => {
         if (!isMounted) return;
-        const [v1, v2, v3, v4] = estResults;
-        const e1 = formatGszzlEstimate(v1?.gszzl);
-        const e2 = formatGszzlEstimate(v2?.gszzl);
-        const e3 = formatGszzlEstimate(v3?.gszzl);
-        const e4 = qdii ? formatGszzlEstimate(v4?.gszzl) : null;
-        setEstimates({ 1: e1, 2: e2, 3: e3, 4: e4 });
-        setValuationSources({
-          1: v1?.valuationSource,
-          2: v2?.valuationSource,
-          3: v3?.valuationSource,
-          4: v4?.valuationSource
+        const nextEstimates = {};
+        available.forEach((s, i) => {
+          nextEstimates[s.id] = formatGszzlEstimate(estResults[i]?.gszzl);
         });
+        setEstimates(nextEstimates);
 
         if (bestResult) {
           setBestSource(bestResult.bestSource);
@@ -142,15 +127,12 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
           if (isTodayNav) {
             // 今日净值已公布 —— 用实时估值计算误差，保证与用户看到的估值一致
             const rtDiffs = {};
-            [v1, v2, v3].forEach((v, i) => {
+            available.forEach((s, i) => {
+              const v = estResults[i];
               if (v?.gszzl != null && Number.isFinite(Number(v.gszzl))) {
-                rtDiffs[String(i + 1)] = Math.abs(Number(v.gszzl) - actualZzl);
+                rtDiffs[String(s.id)] = Math.abs(Number(v.gszzl) - actualZzl);
               }
             });
-            // QDII 数据源也参与误差计算
-            if (v4?.gszzl != null && Number.isFinite(Number(v4.gszzl))) {
-              rtDiffs['4'] = Math.abs(Number(v4.gszzl) - actualZzl);
-            }
             if (Object.keys(rtDiffs).length > 0) {
               // 从实时误差中找出误差最小的数据源
               let minDiff = Infinity;
@@ -212,7 +194,7 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
   );
 
   const handleConfirm = () => {
-    onSelect(parseInt(sourceId, 10), autoSource);
+    onSelect(parseInt(sourceId, 10), autoSource, { trackingRatio });
     onClose();
   };
 
@@ -295,12 +277,13 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
                 transition: 'opacity 0.2s ease'
               }}
             >
-              {[
-                { id: '1', name: '数据源 1', est: estimates[1] },
-                { id: '2', name: '数据源 2', est: estimates[2] },
-                { id: '3', name: '数据源 3', est: estimates[3] },
-                ...(isQdii ? [{ id: '4', name: '数据源 4', est: estimates[4] }] : [])
-              ].map((item) => {
+              {sources.map((source) => {
+                const item = {
+                  id: String(source.id),
+                  name: source.label,
+                  badge: source.badge,
+                  est: estimates[source.id] ?? '--'
+                };
                 const isSelected = sourceId === item.id;
                 return (
                   <div
@@ -349,7 +332,7 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
                             {bestSource === Number(item.id) && (isYesterdayAccuracy || isTodayAccuracy) && (
                               <DataSourceAccuracyBadge label={isTodayAccuracy ? '今日最准' : '昨日最准'} />
                             )}
-                            {item.id === '4' && (
+                            {item.badge && (
                               <Badge
                                 variant="outline"
                                 className="text-[10px] px-1.5 py-0 h-[18px] min-h-0 leading-none font-medium"
@@ -359,7 +342,7 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
                                   background: 'rgba(249, 115, 22, 0.1)'
                                 }}
                               >
-                                限免
+                                {item.badge}
                               </Badge>
                             )}
                           </div>
@@ -427,6 +410,14 @@ export default function FundDataSourceSelector({ fund, onClose, onSelect }) {
               })}
             </RadioGroup>
           )}
+          {!loading && sources.some((s) => s.key === 'index_tracking') && (
+            <IndexTrackingPanel
+              code={fund.code}
+              trackingRatio={trackingRatio}
+              onTrackingRatioChange={setTrackingRatio}
+              disabled={isManualDisabled}
+            />
+          )}
         </div>
 
         <div className="row" style={{ gap: 12 }}>
@@ -59,6 +59,7 @@ const FundListView = React.memo(function FundListView({
   theme,
   isTradingDay,
   getHoldingProfitForTab,
+  getHoldingXirrForTab,
   toggleFavorite,
   openHoldingModal,
   openActionModal,
@@ -203,6 +204,7 @@ const FundListView = React.memo(function FundListView({
                     theme={theme}
                     isTradingDay={isTradingDay}
                     getHoldingProfit={getHoldingProfitForTab}
+                    getHoldingXirr={getHoldingXirrForTab}
                     onToggleFavorite={toggleFavorite}
                     onRemoveFund={handleRemoveFundEntry}
                     onHoldingClick={openHoldingModal}
@@ -0,0 +1,123 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { computeRiskMetrics, resolveRiskFreeRate } from '@/app/lib/riskMetrics';
+import { useStorageStore } from '@/app/stores';
+import { Input } from '@/components/ui/input';
+
+function formatRatio(v) {
+  return v != null && Number.isFinite(v) ? v.toFixed(2) : '--';
+}
+
+function formatPercent(v) {
+  return v != null && Number.isFinite(v) ? `${v.toFixed(2)}%` : '--';
+}
+
+/**
+ * 业绩走势下方的风险指标区：随走势区间计算，无风险利率可编辑并保存到 customSettings
+ * @param {object} props
+ * @param {{ date: string, value: number }[]} props.history - 当前区间的累计净值走势
+ * @param {string} [props.rangeLabel] - 区间名称，如「近1年」
+ */
+export default function FundRiskMetrics({ history, rangeLabel }) {
+  const customSettings = useStorageStore((state) => state.customSettings);
+  const setCustomSettings = useStorageStore((state) => state.setCustomSettings);
+  const riskFreeRate = resolveRiskFreeRate(customSettings);
+  const [rateInput, setRateInput] = useState(String(riskFreeRate));
+
+  useEffect(() => {
+    setRateInput(String(riskFreeRate));
+  }, [riskFreeRate]);
+
+  const metrics = useMemo(() => computeRiskMetrics(history, { riskFreeRate }), [history, riskFreeRate]);
+
+  const commitRate = () => {
+    const n = Number(rateInput);
+    if (rateInput.trim() !== '' && Number.isFinite(n) && n >= 0 && n < 100) {
+      setCustomSettings((prev) => ({ ...(prev || {}), riskFreeRate: Math.round(n * 100) / 100 }));
+    } else {
+      setRateInput(String(riskFreeRate));
+    }
+  };
+
+  const drawdownRange =
+    metrics?.drawdownPeakDate && metrics?.drawdownTroughDate
+      ? `${metrics.drawdownPeakDate} ~ ${metrics.drawdownTroughDate}`
+      : '--';
+  const recoveryText = !metrics?.drawdownTroughDate
+    ? '--'
+    : metrics.recoveryDate
+      ? `${metrics.recoveryDays}天（${metrics.recoveryDate}）`
+      : '尚未修复';
+
+  const items = metrics
+    ? [
+        { label: '年化波动率', value: formatPercent(metrics.volatility) },
+        {
+          label: '最大回撤',
+          value: formatPercent(-metrics.maxDrawdown),
+          className: metrics.maxDrawdown > 0 ? 'down' : ''
+        },
+        { label: '夏普比率', value: formatRatio(metrics.sharpe) },
+        { label: '索提诺比率', value: formatRatio(metrics.sortino) },
+        { label: '卡玛比率', value: formatRatio(metrics.calmar) },
+        { label: '年化收益', value: formatPercent(metrics.annualizedReturn) }
+      ]
+    : [];
+
+  return (
+    <div style={{ marginTop: 12, display: 'flex', flexDirection: 'column', gap: 8, fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <span className="muted">{rangeLabel ? `${rangeLabel}风险指标` : '风险指标'}</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+          <span className="muted">无风险利率</span>
+          <Input
+            type="number"
+            inputMode="decimal"
+            min={0}
+            max={20}
+            step={0.1}
+            value={rateInput}
+            onChange={(e) => setRateInput(e.target.value)}
+            onBlur={commitRate}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitRate();
+            }}
+            onClick={(e) => e.stopPropagation()}
+            className="h-6 w-[60px] text-right text-xs"
+          />
+          <span>%</span>
+        </div>
+      </div>
+
+      {!metrics ? (
+        <div className="muted" style={{ textAlign: 'center', padding: '8px 0' }}>
+          区间内净值数据不足，暂无法计算风险指标
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, minmax(0, 1fr))', gap: 8 }}>
+            {items.map((item) => (
+              <div key={item.label} style={{ minWidth: 0 }}>
+                <div className="muted" style={{ marginBottom: 2 }}>
+                  {item.label}
+                </div>
+                <div className={item.className} style={{ fontWeight: 600, fontFamily: 'var(--font-mono)' }}>
+                  {item.value}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+            <span className="muted">回撤区间</span>
+            <span style={{ fontFamily: 'var(--font-mono)' }}>{drawdownRange}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+            <span className="muted">修复时间</span>
+            <span>{recoveryText}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
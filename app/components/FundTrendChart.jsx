@@ -21,6 +21,7 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import FundHistoryNetValue from './FundHistoryNetValue';
+import FundRiskMetrics from './FundRiskMetrics';
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend, Filler);
 
@@ -142,7 +143,7 @@ export default function FundTrendChart({
         const val = percentageData[idx];
         if (t.type === 'buy') {
           buyPoints[idx] = val;
-        } else {
+        } else if (t.type === 'sell') {
           sellPoints[idx] = val;
         }
       }
@@ -886,6 +887,8 @@ export default function FundTrendChart({
         ))}
       </div>
 
+      {data.length > 0 && <FundRiskMetrics history={data} rangeLabel={ranges.find((r) => r.value === range)?.label} />}
+
       <FundHistoryNetValue code={code} range={range} theme={theme} />
     </div>
   );
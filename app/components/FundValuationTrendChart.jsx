@@ -3,7 +3,7 @@ import { isArray, isNumber } from 'lodash';
 
 import { useState, useEffect, useMemo, useRef } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { fetchFundValuationTrend, fetchFundHistory } from '../api/fund';
+import { fetchFundValuationTrend, fetchFundHistory, listValuationSources } from '../api/fund';
 import * as qk from '../lib/query-keys';
 import { getChartAxisAvoidRects, getChartTooltipPosition } from '../lib/chartTooltipPosition';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -58,13 +58,13 @@ function getChartThemeColors(theme) {
   return CHART_COLORS[theme] || CHART_COLORS.dark;
 }
 
-const SOURCES = {
-  actual: '本基金',
-  fundgz: '数据源 1',
-  sina_ds2: '数据源 2',
-  sina_ds3: '数据源 3',
-  supabase_qdii: '数据源 4'
-};
+const ACTUAL_SOURCE_LABEL = '本基金';
+
+/** 图例名称：本基金 + 数据源注册表中的全部估值数据源（key 与 Supabase 估值记录的 source 字段一致） */
+const getSourceLabels = () => ({
+  actual: ACTUAL_SOURCE_LABEL,
+  ...Object.fromEntries(listValuationSources().map((s) => [s.key, s.label]))
+});
 
 export default function FundValuationTrendChart({
   code,
@@ -138,14 +138,9 @@ export default function FundValuationTrendChart({
   const processedData = useMemo(() => {
     if (!rawData.length) return { labels: [], datasets: [] };
 
+    const sourceLabels = getSourceLabels();
     const datesSet = new Set();
-    const sourceData = {
-      actual: new Map(),
-      fundgz: new Map(),
-      sina_ds2: new Map(),
-      sina_ds3: new Map(),
-      supabase_qdii: new Map()
-    };
+    const sourceData = Object.fromEntries(Object.keys(sourceLabels).map((k) => [k, new Map()]));
 
     rawData.forEach((row) => {
       if (!row.gztime || !row.source) return;
@@ -177,7 +172,7 @@ export default function FundValuationTrendChart({
     const actualLineColor = change >= 0 ? chartColors.danger : chartColors.success;
     const otherColors = chartColors.grandLine;
 
-    const datasets = Object.keys(SOURCES)
+    const datasets = Object.keys(sourceLabels)
       .filter((sourceKey) => {
         return labels.some((date) => {
           const val = sourceData[sourceKey].get(date);
@@ -192,7 +187,7 @@ export default function FundValuationTrendChart({
           color = actualLineColor;
         } else {
           // Map other sources to remaining colors, keeping color consistent
-          const otherIndex = Object.keys(SOURCES)
+          const otherIndex = Object.keys(sourceLabels)
             .filter((k) => k !== 'actual')
             .indexOf(sourceKey);
           color = otherColors[otherIndex % otherColors.length];
@@ -209,7 +204,7 @@ export default function FundValuationTrendChart({
 
         return {
           sourceKey,
-          label: SOURCES[sourceKey],
+          label: sourceLabels[sourceKey],
           data: dataPoints,
           borderColor: color,
           backgroundColor: color,
@@ -132,6 +132,8 @@ export default function GroupAccountSummaryCard({
   upCount = 0,
   downCount = 0,
   sparkSeries = [],
+  /** 资金加权年化收益率（XIRR，百分比），无法计算时为 null */
+  xirr = null,
   masked = false
 }) {
   const isMobile = useIsMobile();
@@ -232,6 +234,14 @@ export default function GroupAccountSummaryCard({
           <div style={{ fontSize: 22, fontWeight: 700, fontFamily: 'var(--font-mono)' }}>
             {masked ? <span className="mask-text">******</span> : formatAmountPlain(totalAsset ?? 0, 2)}
           </div>
+          {Number.isFinite(xirr) && (
+            <div className="muted" style={{ fontSize: 11, marginTop: 2 }}>
+              年化收益{' '}
+              <span style={{ fontFamily: 'var(--font-mono)', color: tonePercent(xirr, 2).color }}>
+                {formatSignedPercent(xirr, 2)}
+              </span>
+            </div>
+          )}
         </div>
         <Sparkline series={sparkSeries} />
       </div>
@@ -248,7 +258,7 @@ export default function GroupAccountSummaryCard({
             >
               {masked ? <span className="mask-text">******</span> : formatSignedAmount(holdingReturn ?? 0, 2)}
             </span>
-            {!masked && (
+            {
               <span
                 className={holdingPctTone.className}
                 style={{
@@ -261,7 +271,7 @@ export default function GroupAccountSummaryCard({
               >
                 {formatSignedPercent(holdingReturnPercent, 2)}
               </span>
-            )}
+            }
           </div>
         </div>
         <div style={{ flex: 1, minWidth: 0, textAlign: 'right' }}>
@@ -281,7 +291,7 @@ export default function GroupAccountSummaryCard({
                 formatSignedAmount(accountReturn ?? 0, 2)
               )}
             </span>
-            {!masked && hasAnyTodayData && (
+            {hasAnyTodayData && (
               <span
                 className={accountPctTone.className}
                 style={{
@@ -1,14 +1,25 @@
 'use client';
-import { isBoolean, isNumber, isObject } from 'lodash';
+import { isBoolean, isNumber, isObject, isPlainObject } from 'lodash';
 
 import { useEffect, useRef, useState, useMemo } from 'react';
+import { ChartArea, LineChart, Share2 } from 'lucide-react';
 import { useIsMobile } from '@/app/hooks/useIsMobile';
 import { PinIcon, PinOffIcon, EyeIcon, EyeOffIcon, SwitchIcon } from './Icons';
 import FitText from './FitText';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 import { formatMoney } from '@/lib/utils';
+import { computeXirr } from '@/app/lib/xirr';
+import { aggregatePortfolioDailyEarnings } from '@/app/lib/dailyEarnings';
+import { mergeScopeSnapshots } from '@/app/lib/assetSnapshots';
+import { summarizeRealizedProfit } from '@/app/lib/realizedProfit';
+import { buildAllocation } from '@/app/lib/shareCard';
+import { formatDate } from '@/app/lib/fundHelpers';
+import { useStorageStore } from '@/app/stores';
+import PerformanceBenchmarkPanel from './PerformanceBenchmarkPanel';
+import AssetCurvePanel from './AssetCurvePanel';
+import ShareCardModal from './ShareCardModal';
 
-import { SUMMARY_TAB_ID } from '@/app/constants';
+import { DAILY_EARNINGS_SCOPE_ALL, SUMMARY_TAB_ID } from '@/app/constants';
 
 // 数字滚动组件（初始化时无动画，后续变更再动画）
 function CountUp({
@@ -88,6 +99,8 @@ export default function GroupSummary({
   portfolioTabId,
   groups = [],
   getProfit,
+  /** 返回持仓现金流 (fund, holding) => flows|null，用于计算资金加权年化收益率（XIRR） */
+  getCashFlows,
   /** 与内部 summary 同结构；传入时顶部汇总数字以此为准（如汇总 Tab 下全局+分组双账本合计） */
   summaryTotalsOverride = null,
   stickyTop,
@@ -96,13 +109,23 @@ export default function GroupSummary({
   masked,
   onToggleMasked,
   shouldShowMarketIndex,
-  navbarHeight
+  navbarHeight,
+  theme
 }) {
   const isMobile = useIsMobile();
   const [showPercent, setShowPercent] = useState(true);
   const [showTodayPercent, setShowTodayPercent] = useState(false);
   const [isMasked, setIsMasked] = useState(masked ?? false);
   const [isAssetMasked, setIsAssetMasked] = useState(false);
+  const [showPerformance, setShowPerformance] = useState(false);
+  const [showAssetCurve, setShowAssetCurve] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const fundDailyEarnings = useStorageStore((state) => state.fundDailyEarnings);
+  const fundAssetSnapshots = useStorageStore((state) => state.fundAssetSnapshots);
+  const storeHoldings = useStorageStore((state) => state.holdings);
+  const storeGroupHoldings = useStorageStore((state) => state.groupHoldings);
+  const transactions = useStorageStore((state) => state.transactions);
+  const clearedPositions = useStorageStore((state) => state.clearedPositions);
   const assetSize = 26;
   const metricSize = 20;
 
@@ -121,6 +144,43 @@ export default function GroupSummary({
     return group ? `${group.name}资产` : '分组资产';
   }, [portfolioTabId, groups]);
 
+  // 业绩对比仅在分组 Tab 下提供：分组账本的每日收益与交易记录相互独立，可以还原每日市值
+  const performanceGroupId = (groups || []).some((g) => g.id === portfolioTabId) ? portfolioTabId : null;
+  const groupDailySeries = useMemo(() => {
+    if (!performanceGroupId || !showPerformance) return [];
+    const bucket = fundDailyEarnings?.[performanceGroupId];
+    return aggregatePortfolioDailyEarnings(isPlainObject(bucket) ? bucket : {});
+  }, [performanceGroupId, showPerformance, fundDailyEarnings]);
+
+  // 资产曲线：汇总 Tab 合并全局与各分组账本，分组 Tab 使用该分组账本的快照
+  const assetCurveScopes = useMemo(() => {
+    if (portfolioTabId === SUMMARY_TAB_ID) {
+      return [DAILY_EARNINGS_SCOPE_ALL, ...(groups || []).filter((g) => g?.id).map((g) => g.id)];
+    }
+    return performanceGroupId ? [performanceGroupId] : null;
+  }, [portfolioTabId, groups, performanceGroupId]);
+  const assetSnapshots = useMemo(() => {
+    if (!assetCurveScopes || !showAssetCurve) return [];
+    return mergeScopeSnapshots(fundAssetSnapshots, assetCurveScopes);
+  }, [assetCurveScopes, showAssetCurve, fundAssetSnapshots]);
+
+  // 已实现收益：汇总 Tab 统计全部账本（含已删除分组的清仓记录），分组 Tab 统计该分组，全部 / 自选 Tab 统计全局账本
+  const realizedSummary = useMemo(() => {
+    const store = {
+      holdings: storeHoldings,
+      groupHoldings: storeGroupHoldings,
+      transactions,
+      clearedPositions
+    };
+    if (portfolioTabId === SUMMARY_TAB_ID) return summarizeRealizedProfit(store, null);
+    if (performanceGroupId) return summarizeRealizedProfit(store, [performanceGroupId]);
+    if (portfolioTabId === 'fav') {
+      const codes = new Set(funds.map((f) => f.code));
+      return summarizeRealizedProfit(store, [DAILY_EARNINGS_SCOPE_ALL], (code) => codes.has(code));
+    }
+    return summarizeRealizedProfit(store, [DAILY_EARNINGS_SCOPE_ALL]);
+  }, [portfolioTabId, performanceGroupId, funds, storeHoldings, storeGroupHoldings, transactions, clearedPositions]);
+
   const derivedSummary = useMemo(() => {
     let totalAsset = 0;
     let totalProfitToday = 0;
@@ -128,6 +188,7 @@ export default function GroupSummary({
     let totalCost = 0;
     let hasHolding = false;
     let hasAnyTodayData = false;
+    const cashFlows = [];
 
     funds.forEach((fund) => {
       const holding = holdings[fund.code];
@@ -135,6 +196,7 @@ export default function GroupSummary({
 
       if (profit) {
         hasHolding = true;
+        cashFlows.push(...(getCashFlows?.(fund, holding) || []));
         totalAsset += Math.round(profit.amount * 100) / 100;
         if (profit.profitToday != null) {
           // 先累加原始当日收益，最后统一做一次四舍五入，避免逐笔四舍五入造成的总计误差
@@ -163,22 +225,72 @@ export default function GroupSummary({
       hasHolding,
       returnRate,
       todayReturnRate,
-      hasAnyTodayData
+      hasAnyTodayData,
+      xirr: computeXirr(cashFlows)
     };
-  }, [funds, holdings, getProfit]);
+  }, [funds, holdings, getProfit, getCashFlows]);
 
-  const summary =
-    summaryTotalsOverride != null && isObject(summaryTotalsOverride)
-      ? {
-          totalAsset: summaryTotalsOverride.totalAsset,
-          totalProfitToday: summaryTotalsOverride.totalProfitToday,
-          totalHoldingReturn: summaryTotalsOverride.totalHoldingReturn,
-          hasHolding: summaryTotalsOverride.hasHolding,
-          returnRate: summaryTotalsOverride.returnRate,
-          todayReturnRate: summaryTotalsOverride.todayReturnRate,
-          hasAnyTodayData: summaryTotalsOverride.hasAnyTodayData
+  const summary = useMemo(
+    () =>
+      summaryTotalsOverride != null && isObject(summaryTotalsOverride)
+        ? {
+            totalAsset: summaryTotalsOverride.totalAsset,
+            totalProfitToday: summaryTotalsOverride.totalProfitToday,
+            totalHoldingReturn: summaryTotalsOverride.totalHoldingReturn,
+            hasHolding: summaryTotalsOverride.hasHolding,
+            returnRate: summaryTotalsOverride.returnRate,
+            todayReturnRate: summaryTotalsOverride.todayReturnRate,
+            hasAnyTodayData: summaryTotalsOverride.hasAnyTodayData,
+            xirr: summaryTotalsOverride.xirr ?? null
+          }
+        : derivedSummary,
+    [summaryTotalsOverride, derivedSummary]
+  );
+
+  // 分享卡片：当日收益；非汇总 Tab 额外提供按基金市值的持仓配置
+  const shareCards = useMemo(() => {
+    if (!shareOpen) return [];
+    const todayStr = formatDate();
+    const holdingMetric = { label: '持有收益', amount: summary.totalHoldingReturn, rate: summary.returnRate };
+    const cards = [
+      {
+        id: 'today',
+        label: '当日收益',
+        card: {
+          title: portfolioScopeLabel,
+          subtitle: todayStr,
+          headline: {
+            label: '当日收益',
+            amount: summary.hasAnyTodayData ? summary.totalProfitToday : null,
+            rate: summary.hasAnyTodayData ? summary.todayReturnRate : null
+          },
+          metrics: [
+            holdingMetric,
+            { label: '总资产', amount: summary.totalAsset },
+            ...(summary.xirr != null ? [{ label: '年化收益', rate: summary.xirr }] : [])
+          ]
         }
-      : derivedSummary;
+      }
+    ];
+    if (summaryTotalsOverride == null) {
+      const allocation = buildAllocation(
+        funds.map((fund) => ({ label: fund.name || fund.code, amount: getProfit(fund, holdings[fund.code])?.amount }))
+      );
+      if (allocation.length) {
+        cards.push({
+          id: 'allocation',
+          label: '持仓配置',
+          card: {
+            title: `${portfolioScopeLabel}配置`,
+            subtitle: `${todayStr} · 共 ${allocation.length} 项`,
+            headline: holdingMetric,
+            allocation
+          }
+        });
+      }
+    }
+    return cards;
+  }, [shareOpen, summary, summaryTotalsOverride, portfolioScopeLabel, funds, holdings, getProfit]);
 
   const style = useMemo(() => {
     const style = {};
@@ -192,6 +304,9 @@ export default function GroupSummary({
 
   const todayProfitPrefix = summary.totalProfitToday > 0 ? '+' : summary.totalProfitToday < 0 ? '-' : '';
   const holdingReturnPrefix = summary.totalHoldingReturn > 0 ? '+' : summary.totalHoldingReturn < 0 ? '-' : '';
+  const cumulativeReturn = realizedSummary.realized + summary.totalHoldingReturn;
+  const formatSignedMoney = (v) =>
+    isMasked ? '******' : `${v > 0 ? '+' : v < 0 ? '-' : ''}${formatMoney(Math.abs(v))}`;
 
   return (
     <div className={isSticky ? 'group-summary-sticky' : ''} style={style}>
@@ -256,6 +371,71 @@ export default function GroupSummary({
                   <p>{isMasked ? '点击显示所有持仓数据' : '点击隐藏所有持仓数据'}</p>
                 </TooltipContent>
               </Tooltip>
+              {assetCurveScopes && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <button
+                      className="fav-button"
+                      onClick={() => setShowAssetCurve((v) => !v)}
+                      aria-label={showAssetCurve ? '收起资产曲线' : '展开资产曲线'}
+                      aria-pressed={showAssetCurve}
+                      style={{
+                        margin: 0,
+                        padding: 2,
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        cursor: 'pointer',
+                        color: showAssetCurve ? 'var(--primary)' : undefined
+                      }}
+                    >
+                      <ChartArea size={16} />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>{showAssetCurve ? '收起资产曲线' : '查看每日资产曲线与回撤'}</p>
+                  </TooltipContent>
+                </Tooltip>
+              )}
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <button
+                    className="fav-button"
+                    onClick={() => setShareOpen(true)}
+                    aria-label="生成分享卡片"
+                    style={{ margin: 0, padding: 2, display: 'inline-flex', alignItems: 'center', cursor: 'pointer' }}
+                  >
+                    <Share2 size={16} />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>生成收益分享图片，可隐藏金额</p>
+                </TooltipContent>
+              </Tooltip>
+              {performanceGroupId && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <button
+                      className="fav-button"
+                      onClick={() => setShowPerformance((v) => !v)}
+                      aria-label={showPerformance ? '收起业绩对比' : '展开业绩对比'}
+                      aria-pressed={showPerformance}
+                      style={{
+                        margin: 0,
+                        padding: 2,
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        cursor: 'pointer',
+                        color: showPerformance ? 'var(--primary)' : undefined
+                      }}
+                    >
+                      <LineChart size={16} />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>{showPerformance ? '收起业绩对比' : '与大盘指数对比时间加权收益'}</p>
+                  </TooltipContent>
+                </Tooltip>
+              )}
             </div>
             <div
               style={{
@@ -285,6 +465,24 @@ export default function GroupSummary({
                 </TooltipContent>
               </Tooltip>
             </div>
+            {summary.xirr != null && (
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <div className="muted" style={{ fontSize: '12px', marginTop: 4 }}>
+                    年化收益{' '}
+                    <span
+                      className={summary.xirr > 0 ? 'up' : summary.xirr < 0 ? 'down' : ''}
+                      style={{ fontWeight: 600, fontFamily: 'var(--font-mono)' }}
+                    >
+                      {`${summary.xirr > 0 ? '+' : ''}${summary.xirr.toFixed(2)}%`}
+                    </span>
+                  </div>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>按买入、卖出、现金分红与当前市值计算的资金加权年化收益率（XIRR）</p>
+                </TooltipContent>
+              </Tooltip>
+            )}
           </div>
           <div style={{ display: 'flex', gap: 12, flex: 5, minWidth: 0 }}>
             <div style={{ textAlign: 'right', flex: 1, minWidth: 0 }}>
@@ -324,7 +522,7 @@ export default function GroupSummary({
                   <Tooltip>
                     <TooltipTrigger asChild>
                       <div style={{ display: 'block', width: '100%' }}>
-                        {isMasked ? (
+                        {isMasked && !showTodayPercent ? (
                           <span className="mask-text" style={{ fontSize: metricSize }}>
                             ******
                           </span>
@@ -391,7 +589,7 @@ export default function GroupSummary({
                 <Tooltip>
                   <TooltipTrigger asChild>
                     <div style={{ display: 'block', width: '100%' }}>
-                      {isMasked ? (
+                      {isMasked && !showPercent ? (
                         <span className="mask-text" style={{ fontSize: metricSize }}>
                           ******
                         </span>
@@ -428,7 +626,53 @@ export default function GroupSummary({
             </div>
           </div>
         </div>
+        {realizedSummary.hasRealized && (
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <div
+                className="muted"
+                style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, fontSize: '12px', marginTop: 8 }}
+              >
+                {[
+                  { label: '已实现收益', value: realizedSummary.realized },
+                  { label: '累计收益', value: cumulativeReturn }
+                ].map((item) => (
+                  <span key={item.label}>
+                    {item.label}{' '}
+                    <span
+                      className={isMasked ? '' : item.value > 0 ? 'up' : item.value < 0 ? 'down' : ''}
+                      style={{ fontWeight: 600, fontFamily: 'var(--font-mono)' }}
+                    >
+                      {formatSignedMoney(item.value)}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            </TooltipTrigger>
+            <TooltipContent>
+              <p>持有收益为未实现部分；已实现收益按卖出时的持仓成本计算，包含已清仓的基金</p>
+            </TooltipContent>
+          </Tooltip>
+        )}
+        {assetCurveScopes && showAssetCurve && (
+          <div style={{ marginTop: 12, paddingTop: 12, borderTop: '1px solid var(--border)' }}>
+            <AssetCurvePanel snapshots={assetSnapshots} masked={isMasked} theme={theme} />
+          </div>
+        )}
+        {performanceGroupId && showPerformance && (
+          <div style={{ marginTop: 12, paddingTop: 12, borderTop: '1px solid var(--border)' }}>
+            <PerformanceBenchmarkPanel
+              dailySeries={groupDailySeries}
+              txScope={performanceGroupId}
+              endValue={summary.totalAsset}
+              theme={theme}
+            />
+          </div>
+        )}
       </div>
+      {shareOpen && (
+        <ShareCardModal cards={shareCards} theme={theme} masked={isMasked} onClose={() => setShareOpen(false)} />
+      )}
     </div>
   );
 }
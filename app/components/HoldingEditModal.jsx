@@ -1,5 +1,5 @@
 'use client';
-import { isFunction } from 'lodash';
+import { isFunction, isNumber } from 'lodash';
 
 import { useEffect, useMemo, useRef, useState } from 'react';
 import dayjs from 'dayjs';
@@ -9,6 +9,7 @@ import { CloseIcon, SettingsIcon, SwitchIcon } from './Icons';
 import { DatePicker } from './Common';
 import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
+import { Switch } from '@/components/ui/switch';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -22,7 +23,12 @@ export default function HoldingEditModal({ fund, holding, nav, onClose, onSave,
   const [mode, setMode] = useState('amount'); // 'amount' | 'share'
   const [dateMode, setDateMode] = useState('date'); // 'date' | 'days'
 
-  const dwjz = nav ?? (fund?.dwjz || fund?.gsz || 0);
+  // 场内 ETF / LOF 可按二级市场价格记账
+  const exchangePrice = isNumber(fund?.exchangePrice) && fund.exchangePrice > 0 ? fund.exchangePrice : null;
+  const [onExchange, setOnExchange] = useState(Boolean(holding?.onExchange) && exchangePrice != null);
+  // 原持仓为场内时，传入的 nav 已是场内价格，切回场外需改用基金净值
+  const offExchangeNav = holding?.onExchange ? fund?.dwjz || fund?.gsz || 0 : (nav ?? (fund?.dwjz || fund?.gsz || 0));
+  const dwjz = onExchange ? exchangePrice : offExchangeNav;
   const dwjzRef = useRef(dwjz);
   useEffect(() => {
     dwjzRef.current = dwjz;
@@ -154,7 +160,8 @@ export default function HoldingEditModal({ fund, holding, nav, onClose, onSave,
     onSave({
       share: finalShare,
       cost: finalCost,
-      ...(trimmedDate && { firstPurchaseDate: trimmedDate })
+      ...(trimmedDate && { firstPurchaseDate: trimmedDate }),
+      ...(onExchange && { onExchange: true })
     });
     onClose();
   };
@@ -215,9 +222,21 @@ export default function HoldingEditModal({ fund, holding, nav, onClose, onSave,
               #{fund?.code}
             </div>
             <div className="badge" style={{ fontSize: '12px' }}>
-              最新净值：<span style={{ fontWeight: 600, color: 'var(--primary)' }}>{dwjz}</span>
+              {onExchange ? '场内价格' : '最新净值'}：
+              <span style={{ fontWeight: 600, color: 'var(--primary)' }}>{dwjz}</span>
             </div>
           </div>
+          {exchangePrice != null && (
+            <div
+              className="row"
+              style={{ justifyContent: 'space-between', alignItems: 'center', marginTop: 12, fontSize: '13px' }}
+            >
+              <label htmlFor="holding-on-exchange" className="muted">
+                场内持仓（按场内价格 {exchangePrice} 计算收益）
+              </label>
+              <Switch id="holding-on-exchange" size="sm" checked={onExchange} onCheckedChange={setOnExchange} />
+            </div>
+          )}
         </div>
 
         <div
@@ -0,0 +1,225 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { CloseIcon } from './Icons';
+import { useStorageStore } from '../stores';
+import { formatDate } from '../lib/fundHelpers';
+import {
+  RECONCILE_SHARE_TOLERANCE,
+  buildAdjustmentTransactions,
+  isReconciledWith,
+  reconcileAll
+} from '../lib/reconcile';
+import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
+import { Switch } from '@/components/ui/switch';
+import { formatMoney } from '@/lib/utils';
+
+const formatShare = (v) => (Number.isFinite(v) ? v.toFixed(2) : '--');
+const formatCost = (v) => (Number.isFinite(v) && v > 0 ? v.toFixed(4) : '--');
+const formatSigned = (v, digits = 2) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+
+/**
+ * 持仓对账：按账本列出存储持仓与交易流水重放结果的差异，支持采用账本持仓或插入校准交易
+ * @param {object} props
+ * @param {() => void} props.onClose
+ * @param {(message: string, type?: string) => void} [props.showToast]
+ */
+export default function HoldingReconcileModal({ onClose, showToast }) {
+  const funds = useStorageStore((s) => s.funds);
+  const groups = useStorageStore((s) => s.groups);
+  const holdings = useStorageStore((s) => s.holdings);
+  const groupHoldings = useStorageStore((s) => s.groupHoldings);
+  const transactions = useStorageStore((s) => s.transactions);
+  const fundDailyEarnings = useStorageStore((s) => s.fundDailyEarnings);
+  const setHoldings = useStorageStore((s) => s.setHoldings);
+  const setGroupHoldings = useStorageStore((s) => s.setGroupHoldings);
+  const setTransactions = useStorageStore((s) => s.setTransactions);
+  const [driftOnly, setDriftOnly] = useState(true);
+
+  const scopes = useMemo(
+    () => reconcileAll({ funds, holdings, groupHoldings, transactions, fundDailyEarnings }),
+    [funds, holdings, groupHoldings, transactions, fundDailyEarnings]
+  );
+
+  const fundNameMap = useMemo(() => new Map((funds || []).map((f) => [f.code, f.name])), [funds]);
+  const groupNameMap = useMemo(() => new Map((groups || []).map((g) => [g.id, g.name])), [groups]);
+
+  const totalCount = scopes.reduce((s, scope) => s + scope.rows.length, 0);
+  const driftCount = scopes.reduce((s, scope) => s + scope.rows.filter((r) => r.drifted).length, 0);
+  const visibleScopes = scopes
+    .map((scope) => ({ ...scope, rows: driftOnly ? scope.rows.filter((r) => r.drifted) : scope.rows }))
+    .filter((scope) => scope.rows.length > 0);
+
+  const handleOpenChange = (open) => {
+    if (!open) onClose?.();
+  };
+
+  const writeHolding = (code, groupId, updater) => {
+    if (!groupId) {
+      setHoldings((prev) => ({ ...prev, [code]: updater(prev?.[code]) }));
+    } else {
+      setGroupHoldings((prev) => ({
+        ...prev,
+        [groupId]: { ...(prev?.[groupId] || {}), [code]: updater(prev?.[groupId]?.[code]) }
+      }));
+    }
+  };
+
+  const handleAdopt = (row) => {
+    const { computed } = row;
+    writeHolding(row.code, row.groupId, (current) => {
+      const next = {
+        ...(current || {}),
+        share: Math.round(computed.share * 100) / 100,
+        cost: computed.share > 0 ? Number(computed.cost.toFixed(4)) : 0
+      };
+      if (!next.firstPurchaseDate && computed.firstPurchaseDate) next.firstPurchaseDate = computed.firstPurchaseDate;
+      return next;
+    });
+    showToast?.('已采用账本持仓', 'success');
+  };
+
+  const handleInsertAdjustment = (row) => {
+    const records = buildAdjustmentTransactions(row, formatDate()).map((tx) => ({ id: uuidv4(), ...tx }));
+    if (!records.length) return;
+    if (!isReconciledWith({ funds, holdings, groupHoldings, transactions, fundDailyEarnings }, row, records)) {
+      showToast?.('校准交易无法消除该差异，请采用账本持仓或手动修正', 'error');
+      return;
+    }
+    setTransactions((prev) => {
+      const list = prev?.[row.code] || [];
+      const next = [...records, ...list].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+      return { ...prev, [row.code]: next };
+    });
+    showToast?.(records.length > 1 ? `已插入 ${records.length} 笔校准交易` : '已插入校准交易', 'success');
+  };
+
+  return (
+    <Dialog open onOpenChange={handleOpenChange}>
+      <DialogContent
+        showCloseButton={false}
+        className="glass card modal"
+        overlayClassName="modal-overlay"
+        style={{ maxWidth: '560px', width: '92vw', zIndex: 99 }}
+      >
+        <DialogTitle className="sr-only">持仓对账</DialogTitle>
+
+        <div className="title" style={{ marginBottom: 16, justifyContent: 'space-between' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            <span style={{ fontSize: '20px' }}>🧾</span>
+            <span>持仓对账</span>
+          </div>
+          <button className="icon-button" onClick={onClose} style={{ border: 'none', background: 'transparent' }}>
+            <CloseIcon width="20" height="20" />
+          </button>
+        </div>
+
+        <div
+          style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 12 }}
+        >
+          <span className="muted" style={{ fontSize: '13px' }}>
+            共 {totalCount} 个持仓，
+            <span style={{ color: driftCount > 0 ? 'var(--danger)' : undefined }}>{driftCount} 个存在差异</span>
+          </span>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '12px', cursor: 'pointer' }}>
+            <span className="muted">仅看差异</span>
+            <Switch checked={driftOnly} onCheckedChange={setDriftOnly} />
+          </label>
+        </div>
+
+        <div style={{ maxHeight: '60vh', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 16 }}>
+          {visibleScopes.length === 0 ? (
+            <div className="muted" style={{ textAlign: 'center', padding: '24px 0', fontSize: '13px' }}>
+              {totalCount === 0 ? '暂无持仓与交易记录' : '所有持仓与交易流水一致'}
+            </div>
+          ) : (
+            visibleScopes.map((scope) => (
+              <div key={scope.groupId || 'global'}>
+                <div className="muted" style={{ fontSize: '12px', marginBottom: 8, paddingLeft: 4 }}>
+                  {scope.groupId ? groupNameMap.get(scope.groupId) || '已删除的分组' : '全局持仓'}
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                  {scope.rows.map((row) => {
+                    const { computed } = row;
+                    const notes = [];
+                    if (computed.txCount === 0) notes.push('无交易流水');
+                    if (computed.moneyIncomeShare > 0)
+                      notes.push(`收益结转 ${formatShare(computed.moneyIncomeShare)} 份`);
+                    if (computed.dividendShare > 0) notes.push(`红利再投资 ${formatShare(computed.dividendShare)} 份`);
+                    if (computed.dividendCash > 0) notes.push(`现金分红 ${formatMoney(computed.dividendCash)}`);
+                    if (computed.splitShare !== 0) notes.push(`份额折算 ${formatSigned(computed.splitShare)} 份`);
+                    return (
+                      <div key={row.code} className="trade-confirm-card" style={{ fontSize: '12px', margin: 0 }}>
+                        <div className="row" style={{ justifyContent: 'space-between', marginBottom: 8 }}>
+                          <span style={{ fontWeight: 600, fontSize: '14px' }}>
+                            {fundNameMap.get(row.code) || row.code}
+                          </span>
+                          <span className="muted">#{row.code}</span>
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'auto repeat(2, minmax(0, 1fr))', gap: 4 }}>
+                          <span />
+                          <span className="muted" style={{ textAlign: 'right' }}>
+                            份额
+                          </span>
+                          <span className="muted" style={{ textAlign: 'right' }}>
+                            单位成本
+                          </span>
+                          <span className="muted">存储持仓</span>
+                          <span style={{ textAlign: 'right' }}>{formatShare(row.stored?.share ?? 0)}</span>
+                          <span style={{ textAlign: 'right' }}>{formatCost(row.stored?.cost)}</span>
+                          <span className="muted">账本持仓</span>
+                          <span style={{ textAlign: 'right' }}>{formatShare(computed.share)}</span>
+                          <span style={{ textAlign: 'right' }}>{formatCost(computed.cost)}</span>
+                          <span className="muted">差异</span>
+                          <span
+                            className={
+                              row.drifted && Math.abs(row.shareDiff) >= RECONCILE_SHARE_TOLERANCE ? 'down' : ''
+                            }
+                            style={{ textAlign: 'right' }}
+                          >
+                            {formatSigned(row.shareDiff)}
+                          </span>
+                          <span style={{ textAlign: 'right' }}>成本 {formatSigned(row.costAmountDiff)}</span>
+                        </div>
+                        {notes.length > 0 && (
+                          <div className="muted" style={{ marginTop: 6 }}>
+                            {notes.join(' · ')}
+                          </div>
+                        )}
+                        {row.drifted && (
+                          <div className="row" style={{ gap: 8, marginTop: 10, justifyContent: 'flex-end' }}>
+                            <button
+                              type="button"
+                              className="button secondary"
+                              onClick={() => handleInsertAdjustment(row)}
+                              style={{ height: 28, padding: '0 10px', fontSize: '12px' }}
+                            >
+                              插入校准交易
+                            </button>
+                            <button
+                              type="button"
+                              className="button"
+                              onClick={() => handleAdopt(row)}
+                              style={{ height: 28, padding: '0 10px', fontSize: '12px' }}
+                            >
+                              采用账本持仓
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="muted" style={{ fontSize: '11px', marginTop: 12 }}>
+          账本持仓由交易流水（含补录记录、基金转换、分红与份额折算）重放得出，已撤销的记录不计入。校准交易按当天日期写入，使账本份额与成本都与存储持仓一致；不改变持仓，与其他交易一样计入收益率与资产曲线的现金流。
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,165 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
+import { fetchFundHistory, fetchFundTrackingTarget, fetchIndexDailyHistory } from '@/app/api/fund';
+import * as qk from '@/app/lib/query-keys';
+import { computeTrackingError } from '@/app/lib/indexTracking';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { Input } from '@/components/ui/input';
+
+const RANGES = [
+  { label: '近1月', value: '1m' },
+  { label: '近3月', value: '3m' },
+  { label: '近6月', value: '6m' },
+  { label: '近1年', value: '1y' }
+];
+
+const TOGGLE_ITEM_CLASS =
+  'h-6 px-2 text-[10px] rounded-sm border-0 bg-transparent text-muted-foreground hover:bg-transparent hover:text-foreground data-[state=on]:bg-background data-[state=on]:text-foreground data-[state=on]:shadow-sm transition-all cursor-pointer whitespace-nowrap';
+
+function formatPercent(v, signed = false) {
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${signed && v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+}
+
+/**
+ * 指数跟踪估值（数据源 6）配置与跟踪误差面板
+ * @param {object} props
+ * @param {string} props.code - 基金编码
+ * @param {number} props.trackingRatio - 当前跟踪仓位（百分比）
+ * @param {(ratio: number) => void} props.onTrackingRatioChange
+ * @param {boolean} [props.disabled]
+ */
+export default function IndexTrackingPanel({ code, trackingRatio, onTrackingRatioChange, disabled = false }) {
+  const [range, setRange] = useState('3m');
+  const [ratioInput, setRatioInput] = useState(String(trackingRatio));
+
+  const { data: target } = useQuery({
+    queryKey: qk.fundTrackingTarget(code),
+    queryFn: () => fetchFundTrackingTarget(code),
+    enabled: Boolean(code),
+    staleTime: Infinity
+  });
+
+  const { data: fundHistory, isPending: loadingFund } = useQuery({
+    queryKey: qk.fundHistory(code, range),
+    queryFn: () => fetchFundHistory(code, range),
+    enabled: Boolean(code && target),
+    staleTime: 10 * 60 * 1000
+  });
+
+  const { data: indexHistory, isPending: loadingIndex } = useQuery({
+    queryKey: qk.indexDailyHistory(target?.secid || '', range),
+    queryFn: () => fetchIndexDailyHistory(target.secid, range),
+    enabled: Boolean(target?.secid),
+    staleTime: 10 * 60 * 1000
+  });
+
+  const stats = useMemo(
+    () => computeTrackingError(fundHistory, indexHistory, trackingRatio),
+    [fundHistory, indexHistory, trackingRatio]
+  );
+
+  if (!target) return null;
+
+  const commitRatio = () => {
+    const n = Number(ratioInput);
+    if (Number.isFinite(n) && n > 0 && n <= 100) {
+      onTrackingRatioChange(Math.round(n * 100) / 100);
+    } else {
+      setRatioInput(String(trackingRatio));
+    }
+  };
+
+  const loading = loadingFund || loadingIndex;
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: '12px 16px',
+        borderRadius: '12px',
+        border: '1px solid var(--border)',
+        background: 'var(--secondary)',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 10,
+        fontSize: '12px'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <span className="muted">跟踪指数</span>
+        <span style={{ fontWeight: 500, textAlign: 'right' }}>{target.indexName}</span>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <span className="muted">跟踪仓位（估算 = 指数涨幅 × 仓位）</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+          <Input
+            type="number"
+            inputMode="decimal"
+            min={1}
+            max={100}
+            step={0.5}
+            value={ratioInput}
+            disabled={disabled}
+            onChange={(e) => setRatioInput(e.target.value)}
+            onBlur={commitRatio}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitRatio();
+            }}
+            className="h-7 w-[72px] text-right text-xs"
+          />
+          <span>%</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <span className="muted">跟踪误差</span>
+        <ToggleGroup
+          type="single"
+          value={range}
+          onValueChange={(v) => v && setRange(v)}
+          className="bg-black/5 dark:bg-white/10 p-0.5 rounded-md border border-black/5 dark:border-white/5 gap-0 shadow-inner"
+        >
+          {RANGES.map((r) => (
+            <ToggleGroupItem key={r.value} value={r.value} className={TOGGLE_ITEM_CLASS}>
+              {r.label}
+            </ToggleGroupItem>
+          ))}
+        </ToggleGroup>
+      </div>
+
+      {loading ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '8px 0', color: 'var(--muted)' }}>
+          <Loader2 className="animate-spin" size={16} />
+        </div>
+      ) : stats.days < 2 ? (
+        <div className="muted" style={{ textAlign: 'center', padding: '4px 0' }}>
+          暂无足够的历史数据
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <span className="muted">年化跟踪误差</span>
+            <span style={{ fontWeight: 600 }}>{formatPercent(stats.trackingError)}</span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <span className="muted">日均偏离</span>
+            <span style={{ fontWeight: 600 }}>{formatPercent(stats.meanAbsDeviation)}</span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <span className="muted">区间实际涨幅</span>
+            <span style={{ fontWeight: 600 }}>{formatPercent(stats.fundReturn, true)}</span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <span className="muted">区间估算涨幅</span>
+            <span style={{ fontWeight: 600 }}>{formatPercent(stats.estimateReturn, true)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,12 +5,73 @@ import { useIsMobile } from '@/app/hooks/useIsMobile';
 import { useEffect, useState, useRef } from 'react';
 import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from '@/components/ui/accordion';
 import { fetchMarketIndices } from '@/app/api/fund';
+import { withDataReplay } from '@/app/lib/dataReplay';
 import { ChevronRightIcon } from 'lucide-react';
 import { SettingsIcon } from './Icons';
 import { cn } from '@/lib/utils';
 import MarketSettingModal from './MarketSettingModal';
 import { storageStore } from '../stores';
 
+/**
+ * 腾讯分时接口（web.ifzq.gtimg.cn），返回当日 "HHMM price volume amount" 行
+ * @param {string} code - 如 sh000001
+ * @returns {Promise<string[]|null>}
+ */
+function loadMinuteSeries(code) {
+  const varName = `min_data_${code}`;
+  const url = `https://web.ifzq.gtimg.cn/appstock/app/minute/query?_var=${varName}&code=${code}&_=${Date.now()}`;
+
+  const inject = () =>
+    new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.async = true;
+
+      let done = false;
+      const cleanup = () => {
+        done = true;
+        if (timer) clearTimeout(timer);
+        if (document.body && document.body.contains(script)) {
+          document.body.removeChild(script);
+        }
+        try {
+          if (window[varName]) {
+            delete window[varName];
+          }
+        } catch (e) {
+          // ignore
+        }
+      };
+
+      const timer = setTimeout(() => {
+        if (done) return;
+        cleanup();
+        reject(new Error('分时数据请求超时'));
+      }, 10000);
+
+      script.onload = () => {
+        if (done) return;
+        const raw = window[varName];
+        const series =
+          raw && raw.data && raw.data[code] && raw.data[code].data && isArray(raw.data[code].data.data)
+            ? raw.data[code].data.data
+            : null;
+        cleanup();
+        resolve(series);
+      };
+
+      script.onerror = () => {
+        if (done) return;
+        cleanup();
+        reject(new Error('分时数据加载失败'));
+      };
+
+      document.body.appendChild(script);
+    });
+
+  return withDataReplay('tencent_minute', url, inject);
+}
+
 /** 迷你走势：只展示当日分时数据，不支持时不展示 */
 function MiniTrendLine({ changePercent, code, className }) {
   const width = 80;
@@ -30,48 +91,9 @@ function MiniTrendLine({ changePercent, code, className }) {
     }
 
     let cancelled = false;
-    const varName = `min_data_${code}`;
-    const url = `https://web.ifzq.gtimg.cn/appstock/app/minute/query?_var=${varName}&code=${code}&_=${Date.now()}`;
-
-    const script = document.createElement('script');
-    script.src = url;
-    script.async = true;
-
-    let done = false;
-    const cleanup = () => {
-      done = true;
-      if (timer) clearTimeout(timer);
-      if (document.body && document.body.contains(script)) {
-        document.body.removeChild(script);
-      }
-      try {
-        if (window[varName]) {
-          delete window[varName];
-        }
-      } catch (e) {
-        // ignore
-      }
-    };
-
-    const timer = setTimeout(() => {
-      if (done) return;
-      cleanup();
-      if (!cancelled) {
-        setRealPath(null);
-      }
-    }, 10000);
-
-    script.onload = () => {
-      if (cancelled || done) {
-        cleanup();
-        return;
-      }
-      try {
-        const raw = window[varName];
-        const series =
-          raw && raw.data && raw.data[code] && raw.data[code].data && isArray(raw.data[code].data.data)
-            ? raw.data[code].data.data
-            : null;
+    loadMinuteSeries(code)
+      .then((series) => {
+        if (cancelled) return;
         if (!series || !series.length) {
           setRealPath(null);
           return;
@@ -107,23 +129,13 @@ function MiniTrendLine({ changePercent, code, className }) {
 
         const d = pathPoints.map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${x} ${y}`).join(' ');
         setRealPath(d);
-      } finally {
-        cleanup();
-      }
-    };
-
-    script.onerror = () => {
-      if (!cancelled) {
-        setRealPath(null);
-      }
-      cleanup();
-    };
-
-    document.body.appendChild(script);
+      })
+      .catch(() => {
+        if (!cancelled) setRealPath(null);
+      });
 
     return () => {
       cancelled = true;
-      cleanup();
     };
   }, [code, height, innerH, innerW, pad]);
 
@@ -1,8 +1,12 @@
 'use client';
 
+import { useMemo, useState } from 'react';
 import Image from 'next/image';
 import { ChevronRight, QrCode } from 'lucide-react';
+import { formatMoney } from '@/lib/utils';
+import { useStorageStore } from '@/app/stores';
 import { LoginIcon } from './Icons';
+import ClearedPositionsList from './ClearedPositionsList';
 
 export default function MineTab({
   visible = true,
@@ -11,12 +15,23 @@ export default function MineTab({
   lastSyncDisplay,
   onLogin,
   onMyEarnings,
+  onReconcile,
   onTutorial,
   onUpdateLog,
   onFeedback,
   onSponsorSupport,
-  onOpenWeChat
+  onOpenWeChat,
+  groups,
+  masked = false
 }) {
+  const clearedPositions = useStorageStore((state) => state.clearedPositions);
+  const [clearedOpen, setClearedOpen] = useState(false);
+  const clearedRealized = useMemo(
+    () => (clearedPositions || []).reduce((sum, entry) => sum + (Number(entry?.realizedProfit) || 0), 0),
+    [clearedPositions]
+  );
+  const clearedCount = clearedPositions?.length || 0;
+
   return (
     <div className="mine-tab" style={{ display: visible ? undefined : 'none' }} aria-hidden={!visible || undefined}>
       <section className="mine-profile-card glass" aria-label="个人信息" style={{ position: 'relative' }}>
@@ -92,6 +107,43 @@ export default function MineTab({
             <ChevronRight className="mine-menu-chevron" aria-hidden strokeWidth={2} />
           </button>
         </li>
+        <li>
+          <button type="button" className="mine-menu-row glass" onClick={onReconcile}>
+            <span className="mine-menu-label">持仓对账</span>
+            <ChevronRight className="mine-menu-chevron" aria-hidden strokeWidth={2} />
+          </button>
+        </li>
+        <li>
+          <button
+            type="button"
+            className="mine-menu-row glass"
+            onClick={() => setClearedOpen((v) => !v)}
+            aria-expanded={clearedOpen}
+          >
+            <span className="mine-menu-label">已清仓</span>
+            {clearedCount > 0 && (
+              <span className="muted" style={{ fontSize: 12, fontWeight: 400 }}>
+                {clearedCount} 只 · 已实现{' '}
+                <span className={masked ? '' : clearedRealized > 0 ? 'up' : clearedRealized < 0 ? 'down' : ''}>
+                  {masked
+                    ? '******'
+                    : `${clearedRealized > 0 ? '+' : clearedRealized < 0 ? '-' : ''}${formatMoney(Math.abs(clearedRealized))}`}
+                </span>
+              </span>
+            )}
+            <ChevronRight
+              className="mine-menu-chevron"
+              aria-hidden
+              strokeWidth={2}
+              style={{ transform: clearedOpen ? 'rotate(90deg)' : undefined, transition: 'transform 0.2s ease' }}
+            />
+          </button>
+          {clearedOpen && (
+            <div className="glass" style={{ marginTop: 8, padding: '4px 16px', borderRadius: 14 }}>
+              <ClearedPositionsList entries={clearedPositions} groups={groups} masked={masked} />
+            </div>
+          )}
+        </li>
         <li>
           <button type="button" className="mine-menu-row glass" onClick={onTutorial}>
             <span className="mine-menu-label">使用帮助</span>
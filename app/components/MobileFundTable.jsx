@@ -51,6 +51,7 @@ import { Badge } from '@/components/ui/badge';
 import { getTagThemeBadgeProps } from '@/app/components/AddTagDialog';
 import { cn } from '@/lib/utils';
 import DataSourceAccuracyBadge from './DataSourceAccuracyBadge';
+import PremiumRateLabel from './PremiumRateLabel';
 import { useDataSourceAccuracyLabels } from '@/app/hooks/useDataSourceAccuracyLabels';
 import {
   Pagination,
@@ -81,6 +82,7 @@ const MOBILE_NON_FROZEN_COLUMN_IDS = [
   'holdingProfit',
   'latestNav',
   'holdingDays',
+  'xirr',
   'period1w',
   'period1m',
   'period3m',
@@ -98,7 +100,8 @@ const MOBILE_COLUMNS_DEFAULT_HIDDEN_IF_PERSONALIZED = new Set([
   'holdingCost',
   'costNav',
   'sinceAddedChangePercent',
-  'holdingRatio'
+  'holdingRatio',
+  'xirr'
 ]);
 
 const MOBILE_COLUMN_HEADERS = {
@@ -119,6 +122,7 @@ const MOBILE_COLUMN_HEADERS = {
   holdingRatio: '持仓占比',
   costNav: '成本净值',
   holdingDays: '持有天数',
+  xirr: '年化收益',
   todayProfit: '当日收益',
   yesterdayProfit: '昨日收益',
   holdingProfit: '持有收益',
@@ -495,7 +499,7 @@ MemoizedMobileTableRow.displayName = 'MemoizedMobileTableRow';
  * @param {string} [props.sortBy] - 排序方式，'default' 时可长按行进入编辑模式并在编辑态拖动排序
  * @param {(oldIndex: number, newIndex: number) => void} [props.onReorder] - 编辑模式下「拖动」列排序回调
  * @param {(row: any) => Object} [props.getFundCardProps] - 给定行返回 FundCard 的 props；传入后点击基金名称将用底部弹框展示卡片视图
- * @param {boolean} [props.masked] - 是否隐藏持仓相关金额
+ * @param {boolean} [props.masked] - 是否隐藏持仓相关金额（百分比照常显示）
  * @param {string} [props.relatedSectorSessionKey] - 登录用户 id（未登录传空），用于关联板块查询缓存与登录后重新拉取
  * @param {(codes: string[]) => boolean|void} [props.onRemoveFunds] - 批量删除（与 PcFundTable 一致）；返回 false 表示父级已弹出二次确认，勿退出编辑态
  * @param {React.MutableRefObject<(() => void) | null>} [props.batchSelectionClearRef] - 父级批量删除二次确认成功后调用，用于退出移动端编辑态
@@ -1130,6 +1134,7 @@ const MobileFundTable = memo(function MobileFundTable({
     sinceAddedChangePercent: 80,
     totalChangePercent: 80,
     holdingDays: 64,
+    xirr: 72,
     todayProfit: 80,
     yesterdayProfit: 80,
     holdingProfit: 80,
@@ -2138,7 +2143,7 @@ const MobileFundTable = memo(function MobileFundTable({
                 textOverflow: 'ellipsis'
               }}
             >
-              {masked ? <span className="mask-text">******</span> : text}
+              {text}
             </span>
           );
         },
@@ -2259,7 +2264,14 @@ const MobileFundTable = memo(function MobileFundTable({
                   {estimateNav ?? '—'}
                 </span>
               </span>
-              {hasEstimateNav && displayDate && displayDate !== '-' ? (
+              {original.premiumRate != null ? (
+                <PremiumRateLabel
+                  premiumRate={original.premiumRate}
+                  exchangePrice={original.exchangePrice}
+                  alert={original.premiumAlert}
+                  fontSize="10px"
+                />
+              ) : hasEstimateNav && displayDate && displayDate !== '-' ? (
                 <span className="muted" style={{ fontSize: '10px' }}>
                   {displayDate}
                 </span>
@@ -2294,7 +2306,7 @@ const MobileFundTable = memo(function MobileFundTable({
                 </span>
               </span>
               <span className="muted" style={{ fontSize: '10px' }}>
-                {displayDate}
+                {original.isMoneyFund ? `万份收益 ${displayDate}` : displayDate}
               </span>
             </div>
           );
@@ -2309,7 +2321,11 @@ const MobileFundTable = memo(function MobileFundTable({
           const value = original.estimateChangeValue;
           const isMuted = original.estimateChangeMuted;
           const time = original.estimateTime ?? '-';
-          const displayTime = isString(time) && time.length > 5 ? time.slice(5) : time;
+          const displayTime = original.isMoneyFund
+            ? '7日年化'
+            : isString(time) && time.length > 5
+              ? time.slice(5)
+              : time;
           const cls = isMuted ? 'muted' : value > 0 ? 'up' : value < 0 ? 'down' : '';
           const text = info.getValue();
           const hasText = text != null && text !== '—';
@@ -2404,7 +2420,7 @@ const MobileFundTable = memo(function MobileFundTable({
                   {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
                 </span>
               </span>
-              {hasProfit && percentStr && !masked ? (
+              {hasProfit && percentStr ? (
                 <span
                   className={`${cls} estimate-profit-percent`}
                   style={{ display: 'block', width: '100%', fontSize: '0.75em', opacity: 0.9, fontWeight: 500 }}
@@ -2444,6 +2460,28 @@ const MobileFundTable = memo(function MobileFundTable({
         },
         meta: { align: 'right', cellClassName: 'holding-days-cell', width: columnWidthMap.holdingDays ?? 64 }
       },
+      {
+        accessorKey: 'xirr',
+        header: '年化收益',
+        cell: (info) => {
+          const original = info.row.original || {};
+          const value = original.xirrValue;
+          if (value == null) {
+            return (
+              <div className="muted" style={{ textAlign: 'right', fontSize: '12px' }}>
+                —
+              </div>
+            );
+          }
+          const cls = value > 0 ? 'up' : value < 0 ? 'down' : '';
+          return (
+            <div className={cls} style={{ fontWeight: 700, textAlign: 'right' }}>
+              {info.getValue()}
+            </div>
+          );
+        },
+        meta: { align: 'right', cellClassName: 'xirr-cell', width: columnWidthMap.xirr ?? 72 }
+      },
       {
         accessorKey: 'todayProfit',
         header: '当日收益',
@@ -2469,7 +2507,7 @@ const MobileFundTable = memo(function MobileFundTable({
                   {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
                 </span>
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${cls} today-profit-percent`}
                   style={{ display: 'block', width: '100%', fontSize: '0.75em', opacity: 0.9, fontWeight: 500 }}
@@ -2520,7 +2558,7 @@ const MobileFundTable = memo(function MobileFundTable({
                   {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
                 </span>
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${pctCls} yesterday-profit-percent`}
                   style={{ display: 'block', width: '100%', fontSize: '0.75em', opacity: 0.9, fontWeight: 500 }}
@@ -2568,7 +2606,7 @@ const MobileFundTable = memo(function MobileFundTable({
                   {masked && hasTotal ? <span className="mask-text">******</span> : amountStr}
                 </span>
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${cls} holding-profit-percent`}
                   style={{ display: 'block', width: '100%', fontSize: '0.75em', opacity: 0.9, fontWeight: 500 }}
@@ -2766,6 +2804,7 @@ const MobileFundTable = memo(function MobileFundTable({
         'sinceAddedChangePercent',
         'totalChangePercent',
         'holdingDays',
+        'xirr',
         'todayProfit',
         'yesterdayProfit',
         'holdingProfit',
@@ -2812,6 +2851,7 @@ const MobileFundTable = memo(function MobileFundTable({
             yesterdayProfit: 'yesterdayProfit',
             holdingProfit: 'holding',
             holdingDays: 'holdingDays',
+            xirr: 'xirr',
             holdingCost: 'holdingCost',
             sinceAddedChangePercent: 'sinceAddedChangePercent',
             period1w: 'last1Week',
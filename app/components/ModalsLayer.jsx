@@ -5,10 +5,12 @@ import { RefreshCw, FolderPlusIcon } from 'lucide-react';
 import { isFunction, isPlainObject } from 'lodash';
 import { v4 as uuidv4 } from 'uuid';
 import dynamic from 'next/dynamic';
-import { useModalStore } from '../stores';
+import { useModalStore, usePrivacyStore, useVaultStore } from '../stores';
+import { describePinResult } from '../lib/privacy';
 
 // 低频弹窗：懒加载
 const CloudConfigModal = dynamic(() => import('./CloudConfigModal'), { ssr: false });
+const SyncMergeModal = dynamic(() => import('./SyncMergeModal'), { ssr: false });
 const DonateModal = dynamic(() => import('./DonateModal'), { ssr: false });
 const FeedbackModal = dynamic(() => import('./FeedbackModal'), { ssr: false });
 const WeChatModal = dynamic(() => import('./WeChatModal'), { ssr: false });
@@ -32,6 +34,8 @@ import HoldingEditModal from './HoldingEditModal';
 import HoldingActionModal from './HoldingActionModal';
 import LoginModal from './LoginModal';
 import SettingsModal from './SettingsModal';
+import PrivacyPinModal from './PrivacyPinModal';
+import VaultPassphraseModal from './VaultPassphraseModal';
 import SuccessModal from './SuccessModal';
 import TradeModal from './TradeModal';
 import TransactionHistoryModal from './TransactionHistoryModal';
@@ -42,6 +46,7 @@ import AddFundToGroupModal from './AddFundToGroupModal';
 import FundDataSourceSelector from './FundDataSourceSelector';
 import FundTagsEditDialog from './FundTagsEditDialog';
 import MyEarningsCalendarPage from './MyEarningsCalendarPage';
+import HoldingReconcileModal from './HoldingReconcileModal';
 import { DEFAULT_FUND_TAG_THEME, DCA_SCOPE_GLOBAL } from '@/app/constants';
 import { migrateDcaPlansToScoped } from '../lib/fundHelpers';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
@@ -88,9 +93,12 @@ function ModalsLayerContent({ callbacksRef }) {
   const tutorialDrawerOpen = useModalStore((s) => s.tutorialDrawerOpen);
   const updateLogOpen = useModalStore((s) => s.updateLogOpen);
   const portfolioEarningsOpen = useModalStore((s) => s.portfolioEarningsOpen);
+  const reconcileOpen = useModalStore((s) => s.reconcileOpen);
   const mobileFundDrawerOpen = useModalStore((s) => s.mobileFundDrawerOpen);
   const mobileTableSettingModalOpen = useModalStore((s) => s.mobileTableSettingModalOpen);
   const sortSettingOpen = useModalStore((s) => s.sortSettingOpen);
+  const privacyPinPromptOpen = usePrivacyStore((s) => s.pinPromptOpen);
+  const vaultCloudPromptOpen = useVaultStore((s) => !!s.cloudMeta && !s.cloudPromptDismissed);
   const allSectorsModalOpen = useModalStore((s) => s.allSectorsModalOpen);
   const groupModalOpen = useModalStore((s) => s.groupModalOpen);
   const groupManageOpen = useModalStore((s) => s.groupManageOpen);
@@ -120,6 +128,7 @@ function ModalsLayerContent({ callbacksRef }) {
   const successModal = useModalStore((s) => s.successModal);
   const cloudConfigModal = useModalStore((s) => s.cloudConfigModal);
   const deviceConflictModal = useModalStore((s) => s.deviceConflictModal);
+  const syncMergeModal = useModalStore((s) => s.syncMergeModal);
 
   // Scan
   const scanModalOpen = useModalStore((s) => s.scanModalOpen);
@@ -150,6 +159,7 @@ function ModalsLayerContent({ callbacksRef }) {
   const setAddFundToGroupOpen = (v) => _ms({ addFundToGroupOpen: isFunction(v) ? v(_gs().addFundToGroupOpen) : v });
   const setPortfolioEarningsOpen = (v) =>
     _ms({ portfolioEarningsOpen: isFunction(v) ? v(_gs().portfolioEarningsOpen) : v });
+  const setReconcileOpen = (v) => _ms({ reconcileOpen: isFunction(v) ? v(_gs().reconcileOpen) : v });
   const setSuccessModal = (v) => _ms({ successModal: isFunction(v) ? v(_gs().successModal) : v });
   const setCloudConfigModal = (v) => _ms({ cloudConfigModal: isFunction(v) ? v(_gs().cloudConfigModal) : v });
   const setDeviceConflictModal = (v) => _ms({ deviceConflictModal: isFunction(v) ? v(_gs().deviceConflictModal) : v });
@@ -290,12 +300,23 @@ function ModalsLayerContent({ callbacksRef }) {
         open={portfolioEarningsOpen}
         onOpenChange={setPortfolioEarningsOpen}
         series={cb.current.portfolioDailySeries}
+        totalAsset={cb.current.portfolioTotalAsset}
+        theme={cb.current.theme}
         masked={cb.current.maskAmounts}
+        onRebuildHistory={cb.current.handleRebuildEarningsHistory}
+        showToast={cb.current.showToast}
         onGoHome={() => {
           setPortfolioEarningsOpen(false);
         }}
       />
 
+      {/* ===== Modal: 持仓对账 ===== */}
+      <AnimatePresence>
+        {reconcileOpen && (
+          <HoldingReconcileModal onClose={() => setReconcileOpen(false)} showToast={cb.current.showToast} />
+        )}
+      </AnimatePresence>
+
       {/* ===== Modal: 微信 ===== */}
       <AnimatePresence>{weChatOpen && <WeChatModal onClose={() => setWeChatOpen(false)} />}</AnimatePresence>
 
@@ -350,8 +371,8 @@ function ModalsLayerContent({ callbacksRef }) {
           <FundDataSourceSelector
             fund={dataSourceModal.fund}
             onClose={() => setDataSourceModal({ open: false, fund: null })}
-            onSelect={(sourceId, autoSource) =>
-              cb.current.handleDataSourceSelect(dataSourceModal.fund.code, sourceId, autoSource)
+            onSelect={(sourceId, autoSource, options) =>
+              cb.current.handleDataSourceSelect(dataSourceModal.fund.code, sourceId, autoSource, options)
             }
           />
         )}
@@ -397,6 +418,10 @@ function ModalsLayerContent({ callbacksRef }) {
             holding={cb.current.getScopedHolding?.(tradeModal.fund?.code, tradeModal.groupId)}
             onClose={() => setTradeModal({ open: false, fund: null, type: 'buy' })}
             onConfirm={(data) => cb.current.handleTrade(tradeModal.fund, data)}
+            txScope={cb.current.getScopedGroupId?.(tradeModal.groupId) || null}
+            onSaveFeeSchedule={(schedule) =>
+              cb.current.handleSaveRedemptionFeeSchedule?.(tradeModal.fund?.code, schedule)
+            }
             pendingTrades={(cb.current.pendingTrades || []).filter(
               (t) =>
                 t.fundCode === tradeModal.fund?.code &&
@@ -669,6 +694,9 @@ function ModalsLayerContent({ callbacksRef }) {
             onDeleteTransaction={(id) =>
               cb.current.handleDeleteTransaction?.(historyModal.fund?.code, id, historyModal.groupId)
             }
+            onUndoTransaction={(id) =>
+              cb.current.handleUndoTransaction?.(historyModal.fund?.code, id, historyModal.groupId)
+            }
             onAddHistory={() =>
               setAddHistoryModal({
                 open: true,
@@ -852,12 +880,32 @@ function ModalsLayerContent({ callbacksRef }) {
         )}
       </AnimatePresence>
 
+      {/* ===== Modal: 同步冲突合并 ===== */}
+      <AnimatePresence>
+        {syncMergeModal.open && (
+          <SyncMergeModal
+            mode={syncMergeModal.mode}
+            conflicts={syncMergeModal.conflicts}
+            funds={[...(cb.current.funds || []), ...(syncMergeModal.cloudData?.funds || [])]}
+            groups={[...(cb.current.groups || []), ...(syncMergeModal.cloudData?.groups || [])]}
+            onConfirm={(choices) => cb.current.resolveSyncMerge?.(choices)}
+            onCancel={() => cb.current.cancelSyncMerge?.()}
+          />
+        )}
+      </AnimatePresence>
+
       {/* ===== Modal: 云配置同步 ===== */}
       <AnimatePresence>
         {cloudConfigModal.open && (
           <CloudConfigModal
             type={cloudConfigModal.type}
+            userId={cloudConfigModal.userId}
             onConfirm={cb.current.handleSyncLocalConfig}
+            onCompare={() => cb.current.compareCloudConfig?.()}
+            onRestoreSnapshot={async (data) => {
+              await cb.current.restoreCloudSnapshot?.(data);
+              setCloudConfigModal({ open: false, userId: null });
+            }}
             onCancel={() => {
               if (cloudConfigModal.type === 'conflict' && cloudConfigModal.cloudData) {
                 cb.current.applyCloudConfig?.(cloudConfigModal.cloudData);
@@ -928,6 +976,8 @@ function ModalsLayerContent({ callbacksRef }) {
             dynamicStyleMobile={cb.current.dynamicStyleMobile}
             showGroupDropdownPc={cb.current.showGroupDropdownPc}
             showGroupDropdownMobile={cb.current.showGroupDropdownMobile}
+            onSyncNow={cb.current.handleSyncNow}
+            onOpenCloudHistory={cb.current.handleOpenCloudHistory}
           />
         )}
       </AnimatePresence>
@@ -961,6 +1011,35 @@ function ModalsLayerContent({ callbacksRef }) {
       <AnimatePresence>
         {sortSettingOpen && <SortSettingModal open={sortSettingOpen} onClose={() => setSortSettingOpen(false)} />}
       </AnimatePresence>
+
+      {/* ===== Modal: 隐私模式 PIN 验证 ===== */}
+      {privacyPinPromptOpen && (
+        <PrivacyPinModal
+          title="输入 PIN 显示金额"
+          description="隐私模式已开启，验证 PIN 后显示全部金额"
+          confirmText="显示金额"
+          onSubmit={async (pin) => {
+            const result = await usePrivacyStore.getState().unlock(pin);
+            return describePinResult(result, usePrivacyStore.getState());
+          }}
+          onCancel={() => usePrivacyStore.getState().closePinPrompt()}
+        />
+      )}
+
+      {/* ===== Modal: 解密云端加密数据 ===== */}
+      {vaultCloudPromptOpen && (
+        <VaultPassphraseModal
+          title="云端数据已加密"
+          description="云端数据由其他设备启用加密后上传，请输入该设备使用的口令。输入后本机也将启用加密；取消则暂停云端同步。"
+          requireCurrent
+          confirmText="解密并同步"
+          onSubmit={async ({ current }) => {
+            const ok = await useVaultStore.getState().adoptCloudVault(current);
+            return ok ? null : '口令错误';
+          }}
+          onCancel={() => useVaultStore.getState().dismissCloudRequest()}
+        />
+      )}
     </>
   );
 }
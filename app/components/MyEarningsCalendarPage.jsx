@@ -6,7 +6,7 @@ import { motion, useReducedMotion, AnimatePresence } from 'framer-motion';
 import { createPortal } from 'react-dom';
 import dayjs from 'dayjs';
 import 'dayjs/locale/zh-cn';
-import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { ChevronLeft, ChevronRight, RefreshCw, Share2 } from 'lucide-react';
 import { zhCN } from 'date-fns/locale/zh-CN';
 import { Calendar, CalendarDayButton } from '@/components/ui/calendar';
 import { Dialog, DialogClose, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
@@ -14,17 +14,21 @@ import { Drawer, DrawerClose, DrawerContent, DrawerHeader, DrawerTitle } from '@
 import { cn, formatMoney } from '@/lib/utils';
 import { supabase, isSupabaseConfigured } from '@/app/lib/supabase';
 import { calculateYtdReturnRate, mergeAllScopedDailyEarnings, mergeAllHoldings } from '@/app/lib/dailyEarnings';
+import { compoundDailyRates } from '@/app/lib/shareCard';
 import { storageStore, useUserStore, useStorageStore } from '@/app/stores';
 import { searchFunds } from '@/app/api/fund';
 import { CloseIcon } from './Icons';
 import FitText from './FitText';
+import PerformanceBenchmarkPanel from './PerformanceBenchmarkPanel';
+import StatementPanel from './StatementPanel';
+import ShareCardModal from './ShareCardModal';
 
 dayjs.locale('zh-cn');
 
 const SWIPE_THRESHOLD = 72;
 
 function formatEarnings(v, masked, isRate = false) {
-  if (masked) return '***';
+  if (masked && !isRate) return '***';
   if (!isNumber(v) || !Number.isFinite(v)) return '—';
   const sign = v > 0 ? '+' : v < 0 ? '-' : '';
   const formatted = formatMoney(Math.abs(v));
@@ -174,7 +178,17 @@ function EarningsRankIllustration() {
   );
 }
 
-export default function MyEarningsCalendarPage({ open, onOpenChange, series = [], masked, onGoHome }) {
+export default function MyEarningsCalendarPage({
+  open,
+  onOpenChange,
+  series = [],
+  totalAsset = 0,
+  theme,
+  masked,
+  onRebuildHistory,
+  onGoHome,
+  showToast
+}) {
   const isMobile = useIsMobile();
   const reduceMotion = useReducedMotion();
   const user = useUserStore((state) => state.user);
@@ -186,6 +200,17 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
   const [selectedDate, setSelectedDate] = useState(null);
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [resolvedNames, setResolvedNames] = useState({});
+  const [rebuilding, setRebuilding] = useState(false);
+
+  const handleRebuildHistory = async () => {
+    if (!onRebuildHistory || rebuilding) return;
+    setRebuilding(true);
+    try {
+      await onRebuildHistory();
+    } finally {
+      setRebuilding(false);
+    }
+  };
 
   const mergedEarningsMapForDrawer = useMemo(() => {
     return mergeAllScopedDailyEarnings(fundDailyEarnings);
@@ -256,6 +281,7 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
   }, [drawerOpen, selectedDateFunds, funds]);
 
   const [viewTab, setViewTab] = useState('day');
+  const [shareOpen, setShareOpen] = useState(false);
   const [displayMode, setDisplayMode] = useState('amount');
   const activeDisplayMode = viewTab === 'day' ? displayMode : 'amount';
 
@@ -419,8 +445,69 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
 
   const yearSum = monthTotalsForYear.reduce((a, b) => a + b, 0);
 
+  /** 分享卡片：日视图分享当月、月视图分享当年、年视图分享全部年度 */
+  const shareCards = useMemo(() => {
+    if (!shareOpen) return [];
+    const rowsWithPrefix = (prefix) =>
+      [...earningsByDate.entries()]
+        .filter(([d]) => d.startsWith(prefix))
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([date, obj]) => ({ date, ...obj }));
+    let card = null;
+    if (viewTab === 'day') {
+      const rows = rowsWithPrefix(cursorMonth.format('YYYY-MM'));
+      card = {
+        title: `${cursorMonth.format('YYYY年M月')}收益`,
+        subtitle: `共 ${rows.length} 个交易日`,
+        headline: { label: '本月收益', amount: dayViewMonthTotalAmount, rate: compoundDailyRates(rows) },
+        metrics: [
+          { label: '盈利天数', text: `${rows.filter((r) => r.amount > 0).length} 天` },
+          { label: '亏损天数', text: `${rows.filter((r) => r.amount < 0).length} 天` }
+        ],
+        bars: rows.map((r) => r.amount)
+      };
+    } else if (viewTab === 'month') {
+      const rows = rowsWithPrefix(String(cursorYear));
+      card = {
+        title: `${cursorYear}年收益`,
+        subtitle: `共 ${rows.length} 个交易日`,
+        headline: { label: '全年收益', amount: yearSum, rate: compoundDailyRates(rows) },
+        bars: monthTotalsForYear
+      };
+    } else if (viewTab === 'year' && yearTotals.length) {
+      const ascending = [...yearTotals].reverse();
+      card = {
+        title: '历年收益',
+        subtitle: `${ascending[0][0]}年 至 ${ascending[ascending.length - 1][0]}年`,
+        headline: { label: '累计收益', amount: ascending.reduce((sum, [, total]) => sum + total, 0) },
+        metrics: yearTotals.slice(0, 3).map(([y, total]) => ({ label: `${y}年`, amount: total })),
+        bars: ascending.length > 1 ? ascending.map(([, total]) => total) : undefined
+      };
+    }
+    return card ? [{ id: viewTab, label: card.title, card }] : [];
+  }, [
+    shareOpen,
+    viewTab,
+    earningsByDate,
+    cursorMonth,
+    cursorYear,
+    dayViewMonthTotalAmount,
+    yearSum,
+    monthTotalsForYear,
+    yearTotals
+  ]);
+
   const headerTitle =
-    viewTab === 'day' ? cursorMonth.format('YYYY年M月') : viewTab === 'month' ? `${cursorYear}年` : '历年收益';
+    viewTab === 'day'
+      ? cursorMonth.format('YYYY年M月')
+      : viewTab === 'month'
+        ? `${cursorYear}年`
+        : viewTab === 'performance'
+          ? '业绩对比'
+          : viewTab === 'statement'
+            ? '投资账单'
+            : '历年收益';
+  const isSinglePeriodTitle = viewTab === 'year' || viewTab === 'performance' || viewTab === 'statement';
 
   const now = dayjs();
   const nextPeriodDisabled =
@@ -447,10 +534,10 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
           <div
             className={cn(
               'my-earnings-title-row my-earnings-period-row',
-              viewTab === 'year' && 'my-earnings-period-row-single'
+              isSinglePeriodTitle && 'my-earnings-period-row-single'
             )}
           >
-            {viewTab === 'year' ? (
+            {isSinglePeriodTitle ? (
               <span className="my-earnings-context-title">{headerTitle}</span>
             ) : (
               <>
@@ -509,7 +596,9 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
               {[
                 { id: 'day', label: '日' },
                 { id: 'month', label: '月' },
-                { id: 'year', label: '年' }
+                { id: 'year', label: '年' },
+                { id: 'performance', label: '业绩' },
+                { id: 'statement', label: '账单' }
               ].map((t) => (
                 <button
                   key={t.id}
@@ -551,6 +640,43 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
                   </button>
                 );
               })}
+
+              {onRebuildHistory && (
+                <>
+                  <div className="w-[1px] h-3.5 mx-0.5 shrink-0 bg-[var(--border)] opacity-60 rounded-full" />
+                  <button
+                    type="button"
+                    className={`trend-range-btn flex-none px-2 inline-flex items-center justify-center ${rebuilding ? 'cursor-not-allowed' : ''}`}
+                    title="重建收益历史：按历史净值补齐未打开应用的交易日收益"
+                    aria-label="重建收益历史"
+                    disabled={rebuilding}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRebuildHistory();
+                    }}
+                  >
+                    <RefreshCw size={12} className={rebuilding ? 'animate-spin' : ''} aria-hidden />
+                  </button>
+                </>
+              )}
+
+              {(viewTab === 'day' || viewTab === 'month' || viewTab === 'year') && (
+                <>
+                  <div className="w-[1px] h-3.5 mx-0.5 shrink-0 bg-[var(--border)] opacity-60 rounded-full" />
+                  <button
+                    type="button"
+                    className="trend-range-btn flex-none px-2 inline-flex items-center justify-center"
+                    title="生成收益分享图片"
+                    aria-label="生成分享卡片"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShareOpen(true);
+                    }}
+                  >
+                    <Share2 size={12} aria-hidden />
+                  </button>
+                </>
+              )}
             </div>
 
             <div className="my-earnings-detail my-earnings-detail-summary-top shrink-0">
@@ -586,6 +712,20 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
                   <div className="my-earnings-detail-desc">上滑列表查看各年收益合计</div>
                 </>
               )}
+              {viewTab === 'performance' && (
+                <>
+                  <div className="my-earnings-detail-label">时间加权收益率</div>
+                  <div className="my-earnings-detail-desc">剔除买入、卖出等资金进出的影响，与指数涨跌幅直接可比</div>
+                </>
+              )}
+              {viewTab === 'statement' && (
+                <>
+                  <div className="my-earnings-detail-label">年度 / 月度账单</div>
+                  <div className="my-earnings-detail-desc">
+                    汇总期初期末市值、净投入、收益、手续费与分红，可导出或打印
+                  </div>
+                </>
+              )}
             </div>
 
             <motion.div
@@ -768,6 +908,12 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
                     )}
                   </div>
                 )}
+
+                {viewTab === 'performance' && (
+                  <PerformanceBenchmarkPanel dailySeries={series} endValue={totalAsset} theme={theme} />
+                )}
+
+                {viewTab === 'statement' && <StatementPanel masked={masked} showToast={showToast} />}
               </div>
             </motion.div>
           </>
@@ -1104,6 +1250,10 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
 
   const detailsDrawer = resolvedIsMobile ? detailsDrawerMobile : detailsDrawerPc;
 
+  const shareModal = shareOpen && shareCards.length > 0 && (
+    <ShareCardModal cards={shareCards} theme={theme} masked={masked} onClose={() => setShareOpen(false)} />
+  );
+
   if (resolvedIsMobile) {
     return (
       <>
@@ -1127,6 +1277,7 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
           </DrawerContent>
         </Drawer>
         {detailsDrawer}
+        {shareModal}
       </>
     );
   }
@@ -1140,7 +1291,7 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
             'my-earnings-drawer-content flex max-h-[92vh] w-[min(650px,calc(100vw-24px))] flex-col gap-0 overflow-hidden p-0'
           )}
           onInteractOutside={(e) => {
-            if (drawerOpen) {
+            if (drawerOpen || shareOpen) {
               e.preventDefault();
             }
           }}
@@ -1158,6 +1309,7 @@ export default function MyEarningsCalendarPage({ open, onOpenChange, series = []
         </DialogContent>
       </Dialog>
       {detailsDrawer}
+      {shareModal}
     </>
   );
 }
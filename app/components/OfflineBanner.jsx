@@ -0,0 +1,68 @@
+'use client';
+
+import { useMemo } from 'react';
+import { isArray, isString } from 'lodash';
+import { WifiOff } from 'lucide-react';
+import { useStorageStore } from '../stores';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { nowInTz } from '../lib/fundHelpers';
+
+/**
+ * 取自选基金中最新的估值 / 净值时间，作为离线时展示数据的截止时间
+ * @param {object[]} funds
+ * @returns {string|null} 'YYYY-MM-DD HH:mm' 或 'YYYY-MM-DD'
+ */
+function getLatestDataTime(funds) {
+  let latest = null;
+  (isArray(funds) ? funds : []).forEach((f) => {
+    const t = isString(f?.gztime) && f.gztime ? f.gztime : isString(f?.jzrq) ? f.jzrq : null;
+    if (t && (!latest || t > latest)) latest = t;
+  });
+  return latest;
+}
+
+function formatDataTime(t) {
+  if (!t) return null;
+  const [date, time] = t.split(' ');
+  const today = nowInTz().format('YYYY-MM-DD');
+  if (date === today) return time || date;
+  return time ? `${date.slice(5)} ${time}` : date;
+}
+
+/**
+ * 离线提示条：断网时挂在导航栏下方，说明当前展示的是最近一次获取的估值
+ */
+export default function OfflineBanner() {
+  const online = useOnlineStatus();
+  const funds = useStorageStore((s) => s.funds);
+  const asOf = useMemo(() => formatDataTime(getLatestDataTime(funds)), [funds]);
+
+  if (online) return null;
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: 'absolute',
+        top: '100%',
+        left: 0,
+        right: 0,
+        marginTop: 6,
+        padding: '6px 12px',
+        borderRadius: 8,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        fontSize: 12,
+        color: 'var(--text)',
+        background: 'color-mix(in srgb, var(--danger) 14%, var(--card))',
+        border: '1px solid color-mix(in srgb, var(--danger) 30%, transparent)',
+        pointerEvents: 'none'
+      }}
+    >
+      <WifiOff size={14} />
+      <span>{asOf ? `当前离线，数据截至 ${asOf}` : '当前离线，展示最近一次获取的数据'}</span>
+    </div>
+  );
+}
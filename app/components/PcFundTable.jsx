@@ -14,7 +14,7 @@ import {
 } from 'react';
 import { isArray, isFunction, isObject, isString, throttle, debounce } from 'lodash';
 import { AnimatePresence, motion } from 'framer-motion';
-import { useModalStore } from '../stores';
+import { useModalStore, useStorageStore } from '../stores';
 import { useWindowVirtualizer } from '@tanstack/react-virtual';
 import { flexRender, getCoreRowModel, getPaginationRowModel, useReactTable } from '@tanstack/react-table';
 import { DndContext, KeyboardSensor, PointerSensor, useSensor, useSensors, closestCenter } from '@dnd-kit/core';
@@ -51,17 +51,20 @@ import {
 import { ConsecutiveTrendBadge } from './Common';
 import {
   fetchFundPeriodReturns,
+  fetchFundRiskMetrics,
   fetchRelatedSectorsBatch,
   fetchFundSecidsBatch,
   fetchEastmoneySectorQuotesBatch
 } from '@/app/api/fund';
 import { storageStore } from '../stores';
 import { asyncPool } from '@/app/lib/asyncHelper';
+import { resolveRiskFreeRate } from '@/app/lib/riskMetrics';
 import MoveGroupModal from './MoveGroupModal';
 import { Badge } from '@/components/ui/badge';
 import { getTagThemeBadgeProps } from '@/app/components/AddTagDialog';
 import { cn } from '@/lib/utils';
 import DataSourceAccuracyBadge from './DataSourceAccuracyBadge';
+import PremiumRateLabel from './PremiumRateLabel';
 import { useDataSourceAccuracyLabels } from '@/app/hooks/useDataSourceAccuracyLabels';
 
 const EditModeContext = createContext({ isEditMode: false, selectedCodes: null, toggleSelected: null });
@@ -78,11 +81,17 @@ const NON_FROZEN_COLUMN_IDS = [
   'holdingProfit',
   'latestNav',
   'holdingDays',
+  'xirr',
   'period1w',
   'period1m',
   'period3m',
   'period6m',
   'period1y',
+  'riskVolatility',
+  'riskMaxDrawdown',
+  'riskSharpe',
+  'riskSortino',
+  'riskCalmar',
   'holdingAmount',
   'holdingRatio',
   'holdingCost',
@@ -96,9 +105,24 @@ const PC_COLUMNS_DEFAULT_HIDDEN_IF_PERSONALIZED = new Set([
   'holdingCost',
   'costNav',
   'sinceAddedChangePercent',
-  'holdingRatio'
+  'holdingRatio',
+  'xirr',
+  'riskVolatility',
+  'riskMaxDrawdown',
+  'riskSharpe',
+  'riskSortino',
+  'riskCalmar'
 ]);
 
+/** 风险指标列（近1年累计净值计算）：列 ID → RiskMetrics 字段 */
+const RISK_METRIC_COLUMNS = [
+  { id: 'riskVolatility', key: 'volatility', header: '近1年波动率', isPercent: true },
+  { id: 'riskMaxDrawdown', key: 'maxDrawdown', header: '近1年最大回撤', isPercent: true },
+  { id: 'riskSharpe', key: 'sharpe', header: '近1年夏普' },
+  { id: 'riskSortino', key: 'sortino', header: '近1年索提诺' },
+  { id: 'riskCalmar', key: 'calmar', header: '近1年卡玛' }
+];
+
 const COLUMN_HEADERS = {
   dataSource: '数据源',
   relatedSector: '关联板块',
@@ -107,6 +131,7 @@ const COLUMN_HEADERS = {
   period3m: '近3月',
   period6m: '近6月',
   period1y: '近1年',
+  ...Object.fromEntries(RISK_METRIC_COLUMNS.map((c) => [c.id, c.header])),
   latestNav: '最新净值',
   estimateNav: '估算净值',
   yesterdayChangePercent: '最新涨幅',
@@ -118,6 +143,7 @@ const COLUMN_HEADERS = {
   holdingCost: '持仓成本',
   costNav: '成本净值',
   holdingDays: '持有天数',
+  xirr: '年化收益',
   todayProfit: '当日收益',
   yesterdayProfit: '昨日收益',
   holdingProfit: '持有收益'
@@ -530,11 +556,13 @@ FundNameCell.displayName = 'FundNameCell';
  *     code?: string;                // 基金代码（可选，只用于展示在名称下方）
  *     latestNav: string|number;     // 最新净值
  *     estimateNav: string|number;   // 估算净值
+ *     premiumRate?: number|null;    // 场内溢价率（百分比，仅场内 ETF / LOF）
  *     yesterdayChangePercent: string|number; // 最新涨幅
  *     estimateChangePercent: string|number;  // 估算涨幅
  *     holdingAmount: string|number;         // 持仓金额
  *     todayProfit: string|number;           // 当日收益
  *     holdingProfit: string|number;         // 持有收益
+ *     xirr?: string;                        // 资金加权年化收益率（展示文本），xirrValue 为数值
  *   }
  * @param {(row: any) => void} [props.onRemoveFund] - 删除基金的回调
  * @param {string} [props.currentTab] - 当前分组
@@ -547,7 +575,7 @@ FundNameCell.displayName = 'FundNameCell';
  * @param {(codes: string[]) => boolean|void} [props.onRemoveFunds] - 批量删除；返回 false 表示已弹出二次确认，勿清空选中
  * @param {boolean} [props.blockDialogClose] - 为 true 时阻止点击遮罩关闭弹框（如删除确认弹框打开时）
  * @param {number} [props.stickyTop] - 表头固定时的 top 偏移（与 MobileFundTable 一致，用于适配导航栏、筛选栏等）
- * @param {boolean} [props.masked] - 是否隐藏持仓相关金额
+ * @param {boolean} [props.masked] - 是否隐藏持仓相关金额（百分比照常显示）
  * @param {string} [props.relatedSectorSessionKey] - 登录用户 id（未登录传空），用于关联板块查询缓存与登录后重新拉取
  * @param {(row: any) => void} [props.onFundTagsClick] - 点击标签列时打开编辑标签
  */
@@ -1431,6 +1459,48 @@ const PcFundTable = memo(function PcFundTable({
     };
   }, [periodReturnsEnabled, dataCodesKey, dataCodes]);
 
+  const riskMetricsEnabled = RISK_METRIC_COLUMNS.some((c) => columnVisibility?.[c.id] !== false);
+  const riskFreeRate = useStorageStore((state) => resolveRiskFreeRate(state.customSettings));
+  // 缓存键含无风险利率：利率调整后重新计算夏普 / 索提诺
+  const riskMetricsCacheRef = useRef(new Map());
+  const [riskMetricsByCode, setRiskMetricsByCode] = useState({});
+
+  useEffect(() => {
+    if (!riskMetricsEnabled) return;
+    if (dataCodes.length === 0) return;
+
+    const cacheKey = (code) => `${code}_${riskFreeRate}`;
+    const cachedBatch = {};
+    for (const code of dataCodes) {
+      if (riskMetricsCacheRef.current.has(cacheKey(code))) {
+        cachedBatch[code] = riskMetricsCacheRef.current.get(cacheKey(code));
+      }
+    }
+    if (Object.keys(cachedBatch).length > 0) {
+      setRiskMetricsByCode((prev) => {
+        const changed = Object.entries(cachedBatch).some(([code, value]) => prev[code] !== value);
+        return changed ? { ...prev, ...cachedBatch } : prev;
+      });
+    }
+
+    const missing = dataCodes.filter((code) => !riskMetricsCacheRef.current.has(cacheKey(code)));
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    (async () => {
+      await asyncPool(4, missing, async (code) => {
+        const value = await fetchFundRiskMetrics(code, '1y', { riskFreeRate });
+        riskMetricsCacheRef.current.set(cacheKey(code), value);
+        if (cancelled) return;
+        setRiskMetricsByCode((prev) => (prev[code] === value ? prev : { ...prev, [code]: value }));
+      });
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [riskMetricsEnabled, riskFreeRate, dataCodesKey, dataCodes]);
+
   useEffect(() => {
     const tableEl = tableContainerRef.current;
     const scrollEl = tableEl?.closest('.table-scroll-area');
@@ -1841,6 +1911,44 @@ const PcFundTable = memo(function PcFundTable({
         },
         meta: { align: 'right', cellClassName: 'period-return-cell' }
       },
+      ...RISK_METRIC_COLUMNS.map((c) => ({
+        id: c.id,
+        header: c.header,
+        size: 100,
+        minSize: 80,
+        cell: (info) => {
+          const code = info.row.original?.code;
+          const value = code ? riskMetricsByCode[code]?.[c.key] : null;
+          if (value == null || !Number.isFinite(value)) {
+            return (
+              <div className="muted" style={{ textAlign: 'right', fontSize: '12px' }}>
+                —
+              </div>
+            );
+          }
+          const metrics = riskMetricsByCode[code];
+          const title =
+            c.key === 'maxDrawdown' && metrics.drawdownPeakDate
+              ? `${metrics.drawdownPeakDate} ~ ${metrics.drawdownTroughDate}，${
+                  metrics.recoveryDate ? `${metrics.recoveryDays}天修复` : '尚未修复'
+                }`
+              : undefined;
+          return (
+            <div
+              className={c.key === 'maxDrawdown' && value > 0 ? 'down' : undefined}
+              title={title}
+              style={{ textAlign: 'right', fontWeight: 700, whiteSpace: 'nowrap' }}
+            >
+              {c.key === 'maxDrawdown'
+                ? `-${value.toFixed(2)}%`
+                : c.isPercent
+                  ? `${value.toFixed(2)}%`
+                  : value.toFixed(2)}
+            </div>
+          );
+        },
+        meta: { align: 'right', cellClassName: 'risk-metric-cell' }
+      })),
       {
         accessorKey: 'latestNav',
         header: '最新净值',
@@ -1898,7 +2006,14 @@ const PcFundTable = memo(function PcFundTable({
               >
                 {estimateNav ?? '—'}
               </div>
-              {hasEstimateNav && date && date !== '-' ? (
+              {original.premiumRate != null ? (
+                <PremiumRateLabel
+                  premiumRate={original.premiumRate}
+                  exchangePrice={original.exchangePrice}
+                  alert={original.premiumAlert}
+                  fontSize="11px"
+                />
+              ) : hasEstimateNav && date && date !== '-' ? (
                 <span className="muted" style={{ fontSize: '11px' }}>
                   {date}
                 </span>
@@ -1937,7 +2052,7 @@ const PcFundTable = memo(function PcFundTable({
                 {info.getValue() ?? '—'}
               </div>
               <span className="muted" style={{ fontSize: '11px' }}>
-                {date}
+                {original.isMoneyFund ? `万份收益 ${date}` : date}
               </span>
             </div>
           );
@@ -1957,7 +2072,11 @@ const PcFundTable = memo(function PcFundTable({
           const value = original.estimateChangeValue;
           const isMuted = original.estimateChangeMuted;
           const rawTime = original.estimateTime ?? '-';
-          const time = isString(rawTime) && rawTime.length > 5 ? rawTime.slice(5) : rawTime;
+          const time = original.isMoneyFund
+            ? '7日年化'
+            : isString(rawTime) && rawTime.length > 5
+              ? rawTime.slice(5)
+              : rawTime;
           const cls = isMuted ? 'muted' : value > 0 ? 'up' : value < 0 ? 'down' : '';
           const text = info.getValue();
           const hasText = text != null && text !== '—';
@@ -2060,7 +2179,7 @@ const PcFundTable = memo(function PcFundTable({
               >
                 {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
               </span>
-              {hasProfit && percentStr && !masked ? (
+              {hasProfit && percentStr ? (
                 <span
                   className={`${cls} estimate-profit-percent`}
                   style={{
@@ -2206,7 +2325,7 @@ const PcFundTable = memo(function PcFundTable({
                 textOverflow: 'ellipsis'
               }}
             >
-              {masked ? <span className="mask-text">******</span> : text}
+              {text}
             </span>
           );
         },
@@ -2310,6 +2429,33 @@ const PcFundTable = memo(function PcFundTable({
           cellClassName: 'holding-days-cell'
         }
       },
+      {
+        accessorKey: 'xirr',
+        header: '年化收益',
+        size: 100,
+        minSize: 80,
+        cell: (info) => {
+          const original = info.row.original || {};
+          const value = original.xirrValue;
+          if (value == null) {
+            return (
+              <div className="muted" style={{ textAlign: 'right', fontSize: '12px' }}>
+                —
+              </div>
+            );
+          }
+          const cls = value > 0 ? 'up' : value < 0 ? 'down' : '';
+          return (
+            <div className={cls} style={{ fontWeight: 700, textAlign: 'right' }}>
+              {info.getValue()}
+            </div>
+          );
+        },
+        meta: {
+          align: 'right',
+          cellClassName: 'xirr-cell'
+        }
+      },
       {
         accessorKey: 'todayProfit',
         header: '当日收益',
@@ -2338,7 +2484,7 @@ const PcFundTable = memo(function PcFundTable({
               >
                 {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${cls} today-profit-percent`}
                   style={{
@@ -2392,7 +2538,7 @@ const PcFundTable = memo(function PcFundTable({
               >
                 {masked && hasProfit ? <span className="mask-text">******</span> : amountStr}
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${pctCls} yesterday-profit-percent`}
                   style={{
@@ -2443,7 +2589,7 @@ const PcFundTable = memo(function PcFundTable({
               >
                 {masked && hasTotal ? <span className="mask-text">******</span> : amountStr}
               </span>
-              {percentStr && !masked ? (
+              {percentStr ? (
                 <span
                   className={`${cls} holding-profit-percent`}
                   style={{
@@ -2538,6 +2684,7 @@ const PcFundTable = memo(function PcFundTable({
       relatedSectorByCode,
       sectorQuoteByLabel,
       periodReturnsByCode,
+      riskMetricsByCode,
       dataSourceAccuracyLabels,
       batchRemoveEnabled,
       batchSelectableCount,
@@ -2681,6 +2828,7 @@ const PcFundTable = memo(function PcFundTable({
         yesterdayProfit: 'yesterdayProfit',
         holdingProfit: 'holding',
         holdingDays: 'holdingDays',
+        xirr: 'xirr',
         holdingCost: 'holdingCost',
         sinceAddedChangePercent: 'sinceAddedChangePercent',
         period1w: 'last1Week',
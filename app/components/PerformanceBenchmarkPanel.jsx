@@ -0,0 +1,237 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { isNumber } from 'lodash';
+import { Loader2 } from 'lucide-react';
+import { fetchIndexDailyHistory, listBenchmarkIndices } from '@/app/api/fund';
+import * as qk from '@/app/lib/query-keys';
+import { formatDate } from '@/app/lib/fundHelpers';
+import {
+  DEFAULT_BENCHMARK_CODE,
+  PERFORMANCE_WINDOWS,
+  buildDailyReturns,
+  buildPerformanceComparison,
+  collectNetFlows,
+  getIndexHistoryRange,
+  getWindowStart
+} from '@/app/lib/performance';
+import { useStorageStore } from '@/app/stores';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler);
+
+const CHART_COLORS = {
+  dark: {
+    portfolio: '#22d3ee',
+    benchmark: '#fb923c',
+    muted: '#9ca3af',
+    border: '#1f2937'
+  },
+  light: {
+    portfolio: '#0891b2',
+    benchmark: '#f97316',
+    muted: '#475569',
+    border: '#e2e8f0'
+  }
+};
+
+function formatPercent(v) {
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+}
+
+function toneClass(v) {
+  if (v == null || !Number.isFinite(v) || v === 0) return '';
+  return v > 0 ? 'up' : 'down';
+}
+
+/**
+ * 时间加权收益率（TWR）与指数基准对比面板
+ * @param {object} props
+ * @param {{ date: string, earnings: number }[]} props.dailySeries - 组合每日收益
+ * @param {string|null} [props.txScope] - 交易记录所属账本：分组 ID、null（全局）或 undefined（全部账本）
+ * @param {number} props.endValue - 当前持仓市值，作为倒推每日市值的终点
+ * @param {'dark'|'light'} [props.theme]
+ */
+export default function PerformanceBenchmarkPanel({ dailySeries, txScope, endValue, theme = 'dark' }) {
+  const todayStr = formatDate();
+  const [windowId, setWindowId] = useState('3m');
+  const transactions = useStorageStore((state) => state.transactions);
+  const customSettings = useStorageStore((state) => state.customSettings);
+  const setCustomSettings = useStorageStore((state) => state.setCustomSettings);
+  const colors = CHART_COLORS[theme] || CHART_COLORS.dark;
+
+  const benchmarks = useMemo(() => listBenchmarkIndices(), []);
+  const benchmarkCode = benchmarks.some((b) => b.code === customSettings?.performanceBenchmark)
+    ? customSettings.performanceBenchmark
+    : DEFAULT_BENCHMARK_CODE;
+  const benchmark = benchmarks.find((b) => b.code === benchmarkCode);
+
+  const dailyReturns = useMemo(
+    () => buildDailyReturns(dailySeries, collectNetFlows(transactions, todayStr, txScope), endValue, todayStr),
+    [dailySeries, transactions, txScope, endValue, todayStr]
+  );
+
+  const indexRange = useMemo(() => {
+    if (!dailyReturns.length) return null;
+    const firstDate = dailyReturns[0].date;
+    const windowStart = getWindowStart(windowId, todayStr);
+    return getIndexHistoryRange(windowStart && windowStart > firstDate ? windowStart : firstDate, todayStr);
+  }, [dailyReturns, windowId, todayStr]);
+
+  const { data: indexHistory, isPending: loadingIndex } = useQuery({
+    queryKey: qk.indexDailyHistory(benchmark?.secid || '', indexRange),
+    queryFn: () => fetchIndexDailyHistory(benchmark.secid, indexRange),
+    enabled: Boolean(benchmark?.secid && indexRange),
+    staleTime: 10 * 60 * 1000
+  });
+
+  const comparison = useMemo(
+    () => buildPerformanceComparison({ dailyReturns, indexHistory, windowId, todayStr }),
+    [dailyReturns, indexHistory, windowId, todayStr]
+  );
+
+  const chartData = useMemo(() => {
+    if (!comparison) return { labels: [], datasets: [] };
+    const pointRadius = comparison.labels.length <= 2 ? 3 : 0;
+    return {
+      labels: comparison.labels.map((d) => d.slice(5)),
+      datasets: [
+        {
+          label: '组合',
+          data: comparison.portfolio,
+          borderColor: colors.portfolio,
+          borderWidth: 2,
+          pointRadius,
+          pointHoverRadius: 4,
+          tension: 0.2
+        },
+        {
+          label: benchmark?.name || '基准',
+          data: comparison.benchmark,
+          borderColor: colors.benchmark,
+          borderWidth: 1.5,
+          borderDash: [4, 3],
+          pointRadius,
+          pointHoverRadius: 4,
+          spanGaps: true,
+          tension: 0.2
+        }
+      ]
+    };
+  }, [comparison, colors, benchmark?.name]);
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => (comparison && items[0] ? comparison.labels[items[0].dataIndex] : ''),
+            label: (item) => `${item.dataset.label} ${formatPercent(item.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { color: colors.muted, font: { size: 10 }, maxTicksLimit: 6 }
+        },
+        y: {
+          position: 'left',
+          grid: { color: colors.border, drawBorder: false },
+          ticks: {
+            color: colors.muted,
+            font: { size: 10 },
+            callback: (v) => (isNumber(v) ? `${v > 0 ? '+' : ''}${v.toFixed(1)}%` : v)
+          }
+        }
+      }
+    }),
+    [comparison, colors]
+  );
+
+  const handleBenchmarkChange = (code) => {
+    setCustomSettings((prev) => ({ ...(prev || {}), performanceBenchmark: code }));
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <span className="muted">时间加权收益 vs 基准</span>
+        <Select value={benchmarkCode} onValueChange={handleBenchmarkChange}>
+          <SelectTrigger size="sm" className="h-7 w-[128px] text-xs">
+            <SelectValue placeholder="选择基准指数" />
+          </SelectTrigger>
+          <SelectContent>
+            {benchmarks.map((b) => (
+              <SelectItem key={b.code} value={b.code}>
+                {b.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {!comparison ? (
+        <div className="muted" style={{ textAlign: 'center', padding: '16px 0' }}>
+          该区间暂无可计算的每日收益记录
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, minmax(0, 1fr))', gap: 8 }}>
+            {[
+              { label: '组合收益', value: comparison.portfolioReturn },
+              { label: benchmark?.name || '基准', value: comparison.benchmarkReturn },
+              { label: '超额收益', value: comparison.excessReturn }
+            ].map((item) => (
+              <div key={item.label} style={{ minWidth: 0 }}>
+                <div className="muted" style={{ marginBottom: 2 }}>
+                  {item.label}
+                </div>
+                <div
+                  className={toneClass(item.value)}
+                  style={{ fontSize: '15px', fontWeight: 600, fontFamily: 'var(--font-mono)' }}
+                >
+                  {item.value == null && loadingIndex ? (
+                    <Loader2 className="animate-spin" size={14} />
+                  ) : (
+                    formatPercent(item.value)
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div style={{ position: 'relative', height: 140, width: '100%', touchAction: 'pan-y' }}>
+            <Line data={chartData} options={options} />
+          </div>
+          <div className="muted" style={{ fontSize: '11px' }}>
+            起点 {comparison.startDate}；按每日收益与买卖现金流倒推每日市值，剔除资金进出影响
+          </div>
+        </>
+      )}
+
+      <div className="trend-range-bar">
+        {PERFORMANCE_WINDOWS.map((w) => (
+          <button
+            key={w.id}
+            type="button"
+            className={`trend-range-btn ${windowId === w.id ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              setWindowId(w.id);
+            }}
+          >
+            {w.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+'use client';
+
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * 场内溢价 / 折价率标签，超过提醒阈值时高亮
+ * @param {object} props
+ * @param {number} props.premiumRate - 百分比数值
+ * @param {number|null} [props.exchangePrice] - 场内价格，用于悬浮提示
+ * @param {boolean} [props.alert]
+ * @param {string} [props.fontSize]
+ */
+export default function PremiumRateLabel({ premiumRate, exchangePrice, alert = false, fontSize = '11px' }) {
+  const label = premiumRate >= 0 ? '溢价' : '折价';
+  const text = `${label} ${premiumRate > 0 ? '+' : ''}${premiumRate.toFixed(2)}%`;
+
+  return (
+    <span
+      className={alert ? undefined : 'muted'}
+      title={exchangePrice != null ? `场内价格 ${exchangePrice}` : undefined}
+      style={{
+        fontSize,
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 2,
+        whiteSpace: 'nowrap',
+        ...(alert ? { color: 'var(--danger)', fontWeight: 600 } : {})
+      }}
+    >
+      {alert && <AlertTriangle size={10} />}
+      {text}
+    </span>
+  );
+}
@@ -0,0 +1,117 @@
+'use client';
+
+import { useState } from 'react';
+import { LockKeyhole } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { PIN_PATTERN } from '@/app/lib/privacy';
+
+/**
+ * 隐私模式 PIN 输入弹窗：解锁、设置、修改与清除 PIN 共用
+ * @param {object} props
+ * @param {string} props.title
+ * @param {string} [props.description]
+ * @param {string} [props.confirmText]
+ * @param {boolean} [props.requireRepeat] - 设置新 PIN 时需再输入一次确认
+ * @param {(pin: string) => Promise<string|null>} props.onSubmit - 返回错误提示，成功返回 null
+ * @param {() => void} props.onCancel
+ */
+export default function PrivacyPinModal({
+  title,
+  description,
+  confirmText = '确定',
+  requireRepeat = false,
+  onSubmit,
+  onCancel
+}) {
+  const [pin, setPin] = useState('');
+  const [repeat, setRepeat] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    if (!PIN_PATTERN.test(pin)) {
+      setError('请输入 4-6 位数字');
+      return;
+    }
+    if (requireRepeat && pin !== repeat) {
+      setError('两次输入的 PIN 不一致');
+      return;
+    }
+    setBusy(true);
+    try {
+      const message = await onSubmit(pin);
+      if (message) {
+        setError(message);
+        setPin('');
+        setRepeat('');
+      }
+    } catch (err) {
+      setError(err?.message || '操作失败');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputProps = {
+    className: 'input',
+    type: 'password',
+    inputMode: 'numeric',
+    autoComplete: 'off',
+    maxLength: 6,
+    style: { width: '100%', letterSpacing: '0.4em', textAlign: 'center' }
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent
+        overlayClassName="!z-[12000]"
+        showCloseButton={false}
+        className="!z-[12010] max-w-[360px] flex flex-col gap-4 p-6"
+      >
+        <DialogHeader className="flex flex-row items-center gap-3 text-left">
+          <LockKeyhole width="20" height="20" className="shrink-0 text-[var(--primary)]" />
+          <DialogTitle className="flex-1 text-base font-semibold">{title}</DialogTitle>
+        </DialogHeader>
+        {description && (
+          <DialogDescription className="text-left text-sm leading-relaxed text-[var(--muted-foreground)]">
+            {description}
+          </DialogDescription>
+        )}
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+          <input
+            {...inputProps}
+            autoFocus
+            placeholder="PIN"
+            aria-label="PIN"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          />
+          {requireRepeat && (
+            <input
+              {...inputProps}
+              placeholder="再次输入"
+              aria-label="再次输入 PIN"
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value.replace(/\D/g, ''))}
+            />
+          )}
+          {error && (
+            <div style={{ color: 'var(--danger)', fontSize: '12px' }} role="alert">
+              {error}
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button type="button" className="button secondary flex-1" onClick={onCancel}>
+              取消
+            </button>
+            <button type="submit" className="button flex-1" disabled={busy}>
+              {confirmText}
+            </button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
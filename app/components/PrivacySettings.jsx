@@ -0,0 +1,122 @@
+'use client';
+
+import { useState } from 'react';
+import { Switch } from '@/components/ui/switch';
+import PrivacyPinModal from './PrivacyPinModal';
+import { usePrivacyStore } from '@/app/stores';
+import { AUTO_LOCK_OPTIONS, describePinResult } from '@/app/lib/privacy';
+
+/**
+ * 设置面板中的隐私模式区块：自动开启策略与 PIN 管理（设置直接写入隐私 Store，不随“保存并关闭”提交）
+ */
+export default function PrivacySettings() {
+  const pinHash = usePrivacyStore((s) => s.pinHash);
+  const autoLockMinutes = usePrivacyStore((s) => s.autoLockMinutes);
+  const lockOnHidden = usePrivacyStore((s) => s.lockOnHidden);
+  const setAutoLockMinutes = usePrivacyStore((s) => s.setAutoLockMinutes);
+  const setLockOnHidden = usePrivacyStore((s) => s.setLockOnHidden);
+  const verifyPin = usePrivacyStore((s) => s.verifyPin);
+  const setPin = usePrivacyStore((s) => s.setPin);
+  const clearPin = usePrivacyStore((s) => s.clearPin);
+  // null | 'verify-change' | 'verify-clear' | 'set'
+  const [pinStep, setPinStep] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const verifyCurrent = async (pin) => {
+    const result = await verifyPin(pin);
+    return describePinResult(result, usePrivacyStore.getState());
+  };
+
+  const pinModal = (() => {
+    if (pinStep === 'set') {
+      return (
+        <PrivacyPinModal
+          title={pinHash ? '设置新 PIN' : '设置 PIN'}
+          description="关闭隐私模式时需输入 PIN，PIN 仅以摘要形式保存在本机"
+          requireRepeat
+          confirmText="保存"
+          onSubmit={async (pin) => {
+            await setPin(pin);
+            setPinStep(null);
+            setMessage('PIN 已保存');
+            return null;
+          }}
+          onCancel={() => setPinStep(null)}
+        />
+      );
+    }
+    if (pinStep === 'verify-change' || pinStep === 'verify-clear') {
+      return (
+        <PrivacyPinModal
+          title="验证当前 PIN"
+          onSubmit={async (pin) => {
+            const error = await verifyCurrent(pin);
+            if (error) return error;
+            if (pinStep === 'verify-change') {
+              setPinStep('set');
+            } else {
+              clearPin();
+              setPinStep(null);
+              setMessage('PIN 已清除');
+            }
+            return null;
+          }}
+          onCancel={() => setPinStep(null)}
+        />
+      );
+    }
+    return null;
+  })();
+
+  return (
+    <div className="form-group" style={{ marginBottom: 16 }}>
+      <div className="muted" style={{ marginBottom: 8, fontSize: '0.8rem' }}>
+        隐私模式：无操作自动开启
+      </div>
+      <div className="chips" style={{ marginBottom: 12 }}>
+        {AUTO_LOCK_OPTIONS.map((m) => (
+          <button
+            key={m}
+            type="button"
+            className={`chip ${autoLockMinutes === m ? 'active' : ''}`}
+            onClick={() => setAutoLockMinutes(m)}
+            aria-pressed={autoLockMinutes === m}
+          >
+            {m === 0 ? '关闭' : `${m} 分钟`}
+          </button>
+        ))}
+      </div>
+      <div className="row" style={{ justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <span className="muted" style={{ fontSize: '0.8rem' }}>
+          切换到后台时自动开启
+        </span>
+        <Switch
+          checked={lockOnHidden}
+          className="ml-2 scale-125"
+          onCheckedChange={(checked) => setLockOnHidden(Boolean(checked))}
+          aria-label="切换到后台时自动开启隐私模式"
+        />
+      </div>
+      <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+        {pinHash ? (
+          <>
+            <button type="button" className="button secondary" onClick={() => setPinStep('verify-change')}>
+              修改 PIN
+            </button>
+            <button type="button" className="button secondary" onClick={() => setPinStep('verify-clear')}>
+              清除 PIN
+            </button>
+          </>
+        ) : (
+          <button type="button" className="button secondary" onClick={() => setPinStep('set')}>
+            设置 PIN
+          </button>
+        )}
+      </div>
+      <div className="muted" style={{ marginTop: 8, fontSize: '0.75rem' }}>
+        {message || (pinHash ? '已设置 PIN，关闭隐私模式需验证' : '未设置 PIN 时可直接关闭隐私模式')}
+      </div>
+      {pinModal}
+    </div>
+  );
+}
@@ -3,7 +3,8 @@
 import { useEffect } from 'react';
 
 /**
- * 在客户端注册 Service Worker，满足 Android Chrome PWA 安装条件（需 HTTPS + manifest + SW）。
+ * 在客户端注册 Service Worker，满足 Android Chrome PWA 安装条件（需 HTTPS + manifest + SW），
+ * 并提供离线缓存（应用外壳、allFund.json 与最近一次行情响应，策略见 public/sw.js）。
  * 仅在生产环境且浏览器支持时注册。
  */
 export default function PwaRegister() {
@@ -0,0 +1,147 @@
+'use client';
+
+import { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { DEFAULT_REDEMPTION_FEE_SCHEDULE, normalizeFeeSchedule } from '@/app/lib/taxLots';
+import { Input } from '@/components/ui/input';
+
+const toRows = (schedule) =>
+  normalizeFeeSchedule(schedule).map((tier) => ({
+    days: tier.days == null ? null : String(tier.days),
+    rate: String(tier.rate)
+  }));
+
+/**
+ * 按持有期的赎回费档位编辑：每档为「持有少于 N 天」的费率，末档为其余期限
+ * @param {object} props
+ * @param {{ days: number|null, rate: number }[]} props.schedule
+ * @param {(schedule: { days: number|null, rate: number }[]) => void} props.onSave
+ * @param {() => void} [props.onCancel]
+ */
+export default function RedemptionFeeScheduleEditor({ schedule, onSave, onCancel }) {
+  const [rows, setRows] = useState(() => toRows(schedule));
+
+  const updateRow = (index, key, value) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  const addRow = () => {
+    setRows((prev) => {
+      const bounded = prev.filter((row) => row.days != null);
+      const lastDays = Number(bounded[bounded.length - 1]?.days) || 0;
+      return [...bounded, { days: String(lastDays + 30), rate: '0' }, prev[prev.length - 1]];
+    });
+  };
+
+  const handleSave = () => {
+    onSave?.(normalizeFeeSchedule(rows.map((row) => ({ days: row.days, rate: row.rate === '' ? NaN : row.rate }))));
+  };
+
+  return (
+    <div className="trade-confirm-card" style={{ display: 'flex', flexDirection: 'column', gap: 8, fontSize: '12px' }}>
+      {rows.map((row, index) => (
+        <div key={index} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          {row.days == null ? (
+            <span className="muted" style={{ flex: 1 }}>
+              其余期限
+            </span>
+          ) : (
+            <span className="muted" style={{ flex: 1, display: 'flex', alignItems: 'center', gap: 4 }}>
+              持有少于
+              <Input
+                type="number"
+                inputMode="numeric"
+                min={1}
+                step={1}
+                value={row.days}
+                onChange={(e) => updateRow(index, 'days', e.target.value)}
+                className="h-6 w-[64px] text-right text-xs"
+              />
+              天
+            </span>
+          )}
+          <Input
+            type="number"
+            inputMode="decimal"
+            min={0}
+            step={0.01}
+            value={row.rate}
+            onChange={(e) => updateRow(index, 'rate', e.target.value)}
+            className="h-6 w-[64px] text-right text-xs"
+          />
+          <span>%</span>
+          {row.days == null ? (
+            <span style={{ width: 14 }} />
+          ) : (
+            <button
+              type="button"
+              className="icon-button"
+              aria-label="删除档位"
+              onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))}
+              style={{ border: 'none', background: 'transparent', padding: 0, width: 14, height: 14 }}
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      ))}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <div style={{ display: 'flex', gap: 12 }}>
+          <button
+            type="button"
+            onClick={addRow}
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: 2,
+              background: 'none',
+              border: 'none',
+              color: 'var(--primary)',
+              fontSize: '12px',
+              cursor: 'pointer',
+              padding: 0
+            }}
+          >
+            <Plus size={12} />
+            添加档位
+          </button>
+          <button
+            type="button"
+            onClick={() => setRows(toRows(DEFAULT_REDEMPTION_FEE_SCHEDULE))}
+            className="muted"
+            style={{ background: 'none', border: 'none', fontSize: '12px', cursor: 'pointer', padding: 0 }}
+          >
+            恢复默认
+          </button>
+        </div>
+        <div style={{ display: 'flex', gap: 12 }}>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="muted"
+              style={{ background: 'none', border: 'none', fontSize: '12px', cursor: 'pointer', padding: 0 }}
+            >
+              取消
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSave}
+            style={{
+              background: 'none',
+              border: 'none',
+              color: 'var(--primary)',
+              fontSize: '12px',
+              cursor: 'pointer',
+              padding: 0,
+              fontWeight: 600
+            }}
+          >
+            保存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
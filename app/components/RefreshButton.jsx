@@ -6,9 +6,10 @@ import { useModalStore } from '../stores';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 
 export default function RefreshButton({ refreshCycleStartRef, refreshMs, manualRefresh, refreshing, fundsLength }) {
-  // 从 Zustand 读取设备冲突弹框状态，暂停刷新进度条；避免 page.jsx 订阅此状态导致全量重渲染
+  // 从 Zustand 读取设备冲突与同步合并弹框状态，暂停刷新进度条；避免 page.jsx 订阅此状态导致全量重渲染
   const deviceConflictModal = useModalStore((s) => s.deviceConflictModal);
-  const paused = deviceConflictModal.open;
+  const syncMergeOpen = useModalStore((s) => s.syncMergeModal.open);
+  const paused = deviceConflictModal.open || syncMergeOpen;
 
   // 刷新周期进度 0~1，用于环形进度条
   const [refreshProgress, setRefreshProgress] = useState(0);
@@ -6,6 +6,9 @@ import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
 import { Progress } from '@/components/ui/progress';
 import { Switch } from '@/components/ui/switch';
 import ConfirmModal from './ConfirmModal';
+import PrivacySettings from './PrivacySettings';
+import VaultSettings from './VaultSettings';
+import SyncSettings from './SyncSettings';
 import { ResetIcon, SettingsIcon } from './Icons';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 
@@ -28,7 +31,9 @@ export default function SettingsModal({
   dynamicStylePc = true,
   dynamicStyleMobile = true,
   showGroupDropdownPc = false,
-  showGroupDropdownMobile = false
+  showGroupDropdownMobile = false,
+  onSyncNow,
+  onOpenCloudHistory
 }) {
   const isMobile = useIsMobile();
   const [sliderDragging, setSliderDragging] = useState(false);
@@ -319,6 +324,21 @@ export default function SettingsModal({
               </div>
             </div>
           </div>
+          <PrivacySettings />
+
+          <VaultSettings />
+
+          <SyncSettings
+            onSyncNow={onSyncNow}
+            onOpenCloudHistory={
+              onOpenCloudHistory &&
+              (() => {
+                onClose();
+                onOpenCloudHistory();
+              })
+            }
+          />
+
           <div className="form-group" style={{ marginBottom: 16 }}>
             <div className="muted" style={{ marginBottom: 8, fontSize: '0.8rem' }}>
               数据导出
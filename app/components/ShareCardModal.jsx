@@ -0,0 +1,154 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Download, Share2 } from 'lucide-react';
+import { CloseIcon } from './Icons';
+import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
+import {
+  SHARE_VALUE_MODES,
+  canShareImage,
+  canvasToPngBlob,
+  downloadBlob,
+  drawShareCard,
+  shareImageBlob
+} from '@/app/lib/shareCard';
+
+/**
+ * 分享卡片：本地生成收益图片，可选择显示金额、仅百分比或隐藏数值，支持保存与系统分享
+ * @param {object} props
+ * @param {{ id: string, label: string, card: object }[]} props.cards - 可选的卡片类型，多于一个时展示切换
+ * @param {'dark'|'light'} [props.theme]
+ * @param {boolean} [props.masked] - 页面当前是否隐藏金额，为 true 时默认隐藏数值
+ * @param {() => void} props.onClose
+ */
+export default function ShareCardModal({ cards, theme = 'dark', masked = false, onClose }) {
+  const [cardId, setCardId] = useState(cards[0]?.id);
+  const [mode, setMode] = useState(masked ? 'masked' : 'amount');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [shareSupported] = useState(() => canShareImage());
+  // 弹窗内容经 Portal 挂载，使用回调 ref 确保 canvas 就绪后再绘制
+  const [canvas, setCanvas] = useState(null);
+
+  const active = cards.find((c) => c.id === cardId) || cards[0];
+
+  useEffect(() => {
+    if (!canvas || !active) return;
+    drawShareCard(canvas, active.card, { mode, theme });
+  }, [canvas, active, mode, theme]);
+
+  const makeFilename = () => `${active?.card.title || '收益'}-${Date.now()}.png`;
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      downloadBlob(await canvasToPngBlob(canvas), makeFilename());
+    } catch (e) {
+      setError(e?.message || '保存图片失败');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShare = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await shareImageBlob(await canvasToPngBlob(canvas), makeFilename(), active?.card.title);
+    } catch (e) {
+      setError(e?.message ? `分享失败：${e.message}` : '分享失败，请改用保存图片');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose?.()}>
+      <DialogContent
+        showCloseButton={false}
+        className="glass card modal"
+        overlayClassName="modal-overlay"
+        style={{ maxWidth: '420px', width: '92vw', zIndex: 99 }}
+      >
+        <DialogTitle className="sr-only">分享卡片</DialogTitle>
+
+        <div className="title" style={{ marginBottom: 12, justifyContent: 'space-between' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            <Share2 size={18} />
+            <span>分享卡片</span>
+          </div>
+          <button className="icon-button" onClick={onClose} style={{ border: 'none', background: 'transparent' }}>
+            <CloseIcon width="20" height="20" />
+          </button>
+        </div>
+
+        {cards.length > 1 && (
+          <div className="trend-range-bar" style={{ marginBottom: 8 }}>
+            {cards.map((c) => (
+              <button
+                key={c.id}
+                type="button"
+                className={`trend-range-btn ${active?.id === c.id ? 'active' : ''}`}
+                onClick={() => setCardId(c.id)}
+              >
+                {c.label}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="trend-range-bar" style={{ marginBottom: 12 }}>
+          {SHARE_VALUE_MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              className={`trend-range-btn ${mode === m.id ? 'active' : ''}`}
+              onClick={() => setMode(m.id)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        <div
+          style={{
+            maxHeight: '55vh',
+            overflowY: 'auto',
+            borderRadius: 'var(--radius)',
+            border: '1px solid var(--border)'
+          }}
+        >
+          <canvas ref={setCanvas} style={{ display: 'block', width: '100%', height: 'auto' }} />
+        </div>
+
+        {error && (
+          <div style={{ color: 'var(--danger)', fontSize: '12px', marginTop: 8 }} role="alert">
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+          <button
+            type="button"
+            className="button secondary"
+            style={{ flex: 1 }}
+            disabled={busy}
+            onClick={handleDownload}
+          >
+            <Download size={14} style={{ marginRight: 4 }} />
+            保存图片
+          </button>
+          {shareSupported && (
+            <button type="button" className="button" style={{ flex: 1 }} disabled={busy} onClick={handleShare}>
+              <Share2 size={14} style={{ marginRight: 4 }} />
+              分享
+            </button>
+          )}
+        </div>
+        <div className="muted" style={{ fontSize: '11px', marginTop: 8 }}>
+          图片在本机生成，不会上传到服务器
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,258 @@
+'use client';
+
+import { useCallback, useMemo, useState } from 'react';
+import dayjs from 'dayjs';
+import { ChevronLeft, ChevronRight, Download, Printer } from 'lucide-react';
+import { formatMoney } from '@/lib/utils';
+import { formatDate } from '@/app/lib/fundHelpers';
+import { buildStatement, getHeatmapColor, renderStatementHtml } from '@/app/lib/statement';
+import { useStorageStore } from '@/app/stores';
+
+function formatSigned(v, masked) {
+  if (masked) return '******';
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : v < 0 ? '-' : ''}${formatMoney(Math.abs(v))}`;
+}
+
+function formatPlain(v, masked) {
+  if (masked) return '******';
+  if (v == null || !Number.isFinite(v)) return '--';
+  return formatMoney(v);
+}
+
+function formatPercent(v) {
+  if (v == null || !Number.isFinite(v)) return '--';
+  return `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+}
+
+const toneOf = (v) => (v > 0 ? 'up' : v < 0 ? 'down' : '');
+
+/**
+ * 年度 / 月度投资账单：汇总周期内的市值变化、资金进出、收益、手续费与分红，可导出 HTML 或打印
+ * @param {object} props
+ * @param {boolean} [props.masked]
+ * @param {(message: string, type?: string) => void} [props.showToast]
+ */
+export default function StatementPanel({ masked = false, showToast }) {
+  const funds = useStorageStore((s) => s.funds);
+  const transactions = useStorageStore((s) => s.transactions);
+  const fundDailyEarnings = useStorageStore((s) => s.fundDailyEarnings);
+  const fundAssetSnapshots = useStorageStore((s) => s.fundAssetSnapshots);
+  const clearedPositions = useStorageStore((s) => s.clearedPositions);
+
+  const [periodType, setPeriodType] = useState('year');
+  const [cursor, setCursor] = useState(() => dayjs().startOf('month'));
+
+  const todayStr = formatDate();
+  const period = useMemo(
+    () =>
+      periodType === 'year'
+        ? { type: 'year', year: cursor.year() }
+        : { type: 'month', year: cursor.year(), month: cursor.month() + 1 },
+    [periodType, cursor]
+  );
+
+  const report = useMemo(
+    () =>
+      buildStatement({
+        period,
+        store: { funds, transactions, fundDailyEarnings, fundAssetSnapshots, clearedPositions },
+        todayStr
+      }),
+    [period, funds, transactions, fundDailyEarnings, fundAssetSnapshots, clearedPositions, todayStr]
+  );
+
+  const heatmapMax = useMemo(() => Math.max(0, ...report.heatmap.map((c) => Math.abs(c.profit ?? 0))), [report]);
+
+  const unit = periodType === 'year' ? 'year' : 'month';
+  const nextDisabled = cursor.add(1, unit).isAfter(dayjs(), unit);
+
+  const exportHtml = useCallback(() => {
+    const html = renderStatementHtml(report, { generatedAt: dayjs().format('YYYY-MM-DD HH:mm') });
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `投资账单-${report.label}.html`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, [report]);
+
+  const printReport = useCallback(() => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      showToast?.('浏览器拦截了打印窗口，请允许弹出窗口或改用导出 HTML', 'error');
+      return;
+    }
+    win.document.open();
+    win.document.write(renderStatementHtml(report, { generatedAt: dayjs().format('YYYY-MM-DD HH:mm') }));
+    win.document.close();
+    win.focus();
+    setTimeout(() => win.print(), 300);
+  }, [report, showToast]);
+
+  const metrics = [
+    {
+      label: report.startEstimated ? '期初市值（推算）' : '期初市值',
+      value: formatPlain(report.startValue, masked)
+    },
+    { label: '期末市值', value: formatPlain(report.endValue, masked) },
+    { label: '净投入', value: formatSigned(report.netContribution, masked) },
+    { label: '收益', value: formatSigned(report.profit, masked), tone: masked ? '' : toneOf(report.profit) },
+    { label: '收益率', value: formatPercent(report.returnRate), tone: toneOf(report.returnRate) },
+    { label: '手续费', value: formatPlain(report.fees, masked) },
+    { label: '现金分红', value: formatPlain(report.dividendCash, masked) },
+    { label: '红利再投资', value: formatPlain(report.dividendReinvest, masked) },
+    { label: '买卖笔数', value: String(report.tradeCount) }
+  ];
+
+  const renderRank = (title, list) => (
+    <div style={{ minWidth: 0 }}>
+      <div className="muted" style={{ marginBottom: 4 }}>
+        {title}
+      </div>
+      {list.length === 0 ? (
+        <div className="muted">无</div>
+      ) : (
+        list.map((r) => (
+          <div
+            key={r.code}
+            style={{ display: 'flex', justifyContent: 'space-between', gap: 8, padding: '3px 0', minWidth: 0 }}
+          >
+            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={r.code}>
+              {r.name}
+            </span>
+            <span className={masked ? '' : toneOf(r.profit)} style={{ fontFamily: 'var(--font-mono)', flexShrink: 0 }}>
+              {formatSigned(r.profit, masked)}
+            </span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 12, fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <div className="trend-range-bar" style={{ margin: 0 }}>
+          {[
+            { id: 'year', label: '年度' },
+            { id: 'month', label: '月度' }
+          ].map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              className={`trend-range-btn ${periodType === t.id ? 'active' : ''}`}
+              onClick={() => setPeriodType(t.id)}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+          <button
+            type="button"
+            className="icon-button"
+            aria-label={periodType === 'year' ? '上一年' : '上一月'}
+            onClick={() => setCursor((c) => c.subtract(1, unit))}
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span style={{ minWidth: 72, textAlign: 'center', fontWeight: 600 }}>{report.label}</span>
+          <button
+            type="button"
+            className="icon-button"
+            aria-label={periodType === 'year' ? '下一年' : '下一月'}
+            disabled={nextDisabled}
+            style={nextDisabled ? { opacity: 0.4, cursor: 'not-allowed' } : undefined}
+            onClick={() => !nextDisabled && setCursor((c) => c.add(1, unit))}
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      </div>
+
+      {!report.hasData ? (
+        <div className="muted" style={{ textAlign: 'center', padding: '16px 0' }}>
+          {report.label}暂无收益或交易记录
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, minmax(0, 1fr))', gap: 10 }}>
+            {metrics.map((item) => (
+              <div key={item.label} style={{ minWidth: 0 }}>
+                <div className="muted" style={{ marginBottom: 2 }}>
+                  {item.label}
+                </div>
+                <div
+                  className={item.tone || ''}
+                  style={{ fontSize: '14px', fontWeight: 600, fontFamily: 'var(--font-mono)', wordBreak: 'break-all' }}
+                >
+                  {item.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="muted" style={{ marginBottom: 6 }}>
+              {periodType === 'year' ? '月度收益' : '每日收益'}
+            </div>
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: `repeat(${periodType === 'year' ? 6 : 7}, minmax(0, 1fr))`,
+                gap: 4
+              }}
+            >
+              {report.heatmap.map((cell) => (
+                <div
+                  key={cell.key}
+                  title={
+                    cell.profit == null ? `${cell.key} 无记录` : `${cell.key} ${formatSigned(cell.profit, masked)}`
+                  }
+                  style={{
+                    background: getHeatmapColor(cell.profit, heatmapMax),
+                    borderRadius: 6,
+                    padding: '4px 6px',
+                    minHeight: 34
+                  }}
+                >
+                  <div className="muted" style={{ fontSize: '10px' }}>
+                    {cell.label}
+                  </div>
+                  {periodType === 'year' && cell.profit != null && (
+                    <div style={{ fontSize: '11px', fontWeight: 600, fontFamily: 'var(--font-mono)' }}>
+                      {masked ? '***' : formatSigned(cell.profit, false)}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+            {renderRank('收益最多', report.bestFunds)}
+            {renderRank('亏损最多', report.worstFunds)}
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="button" className="button secondary" style={{ flex: 1 }} onClick={exportHtml}>
+              <Download size={14} style={{ marginRight: 4 }} />
+              导出 HTML
+            </button>
+            <button type="button" className="button secondary" style={{ flex: 1 }} onClick={printReport}>
+              <Printer size={14} style={{ marginRight: 4 }} />
+              打印
+            </button>
+          </div>
+          <div className="muted" style={{ fontSize: '11px' }}>
+            导出与打印的账单包含完整金额，不受隐藏金额设置影响
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -10,18 +10,20 @@ export default function SummaryTabContent({
   holdings,
   groups,
   getProfit,
+  getCashFlows,
   summaryTabPortfolioTotals,
   navbarHeight,
   filterBarHeight,
   isGroupSummarySticky,
   setIsGroupSummarySticky,
   maskAmounts,
-  setMaskAmounts,
+  onToggleMaskAmounts,
   shouldShowMarketIndex,
   summaryCardItems,
   isMobile,
   startTransition,
-  setCurrentTab
+  setCurrentTab,
+  theme
 }) {
   return (
     <>
@@ -31,14 +33,16 @@ export default function SummaryTabContent({
         portfolioTabId={SUMMARY_TAB_ID}
         groups={groups}
         getProfit={getProfit}
+        getCashFlows={getCashFlows}
         summaryTotalsOverride={summaryTabPortfolioTotals}
         stickyTop={navbarHeight + filterBarHeight + (isMobile ? -14 : 0)}
         isSticky={isGroupSummarySticky}
         onToggleSticky={(next) => setIsGroupSummarySticky(next)}
         masked={maskAmounts}
-        onToggleMasked={() => setMaskAmounts((v) => !v)}
+        onToggleMasked={onToggleMaskAmounts}
         shouldShowMarketIndex={shouldShowMarketIndex}
         navbarHeight={navbarHeight}
+        theme={theme}
       />
       {summaryCardItems.length > 0 && (
         <div
@@ -71,6 +75,7 @@ export default function SummaryTabContent({
                 upCount={row.upCount}
                 downCount={row.downCount}
                 sparkSeries={row.sparkSeries}
+                xirr={row.xirr}
                 masked={maskAmounts}
               />
             </div>
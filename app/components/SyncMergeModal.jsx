@@ -0,0 +1,120 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { GitMerge } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { CONFLICT_SECTIONS, describeConflictPath, formatConflictValue, getConflictSection } from '@/app/lib/syncMerge';
+
+/**
+ * 同步冲突 / 配置差异处理弹窗：按板块列出本机与云端不一致的项，可整块或逐项选择保留哪一边
+ * @param {object} props
+ * @param {'merge'|'diff'} [props.mode] - merge：三方合并后剩余的冲突；diff：本机与云端两方对比的全部差异
+ * @param {{ id: string, path: string[], local: any, cloud: any }[]} props.conflicts
+ * @param {{ code: string, name?: string }[]} [props.funds]
+ * @param {{ id: string, name?: string }[]} [props.groups]
+ * @param {(choices: Record<string, 'local'|'cloud'>) => void} props.onConfirm
+ * @param {() => void} props.onCancel
+ */
+export default function SyncMergeModal({
+  mode = 'merge',
+  conflicts = [],
+  funds = [],
+  groups = [],
+  onConfirm,
+  onCancel
+}) {
+  const [choices, setChoices] = useState({});
+  const isDiff = mode === 'diff';
+  const absentText = isDiff ? '无' : '已删除';
+
+  const sections = useMemo(
+    () =>
+      CONFLICT_SECTIONS.map((section) => ({
+        ...section,
+        items: conflicts.filter((c) => getConflictSection(c) === section.id)
+      })).filter((section) => section.items.length > 0),
+    [conflicts]
+  );
+
+  const choose = (id, side) => setChoices((prev) => ({ ...prev, [id]: side }));
+  const chooseItems = (items, side) =>
+    setChoices((prev) => ({ ...prev, ...Object.fromEntries(items.map((c) => [c.id, side])) }));
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent showCloseButton={false} className="max-w-[520px] flex flex-col gap-4 p-6">
+        <DialogHeader className="flex flex-row items-center gap-3 text-left">
+          <GitMerge width="20" height="20" className="shrink-0 text-[var(--primary)]" />
+          <DialogTitle className="flex-1 text-base font-semibold">{isDiff ? '对比本机与云端' : '同步冲突'}</DialogTitle>
+        </DialogHeader>
+        <DialogDescription className="text-left text-sm leading-relaxed text-[var(--muted-foreground)]">
+          {isDiff
+            ? `本机与云端共有 ${conflicts.length} 项不一致，请按板块或逐项选择保留哪一边（默认保留本机），确认后合并并同步到云端。`
+            : `其他设备的改动已自动合并，以下 ${conflicts.length} 项在两台设备上改成了不同的值，请选择保留哪一边（默认保留本机）。`}
+        </DialogDescription>
+        <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+          <button type="button" className="button secondary" onClick={() => chooseItems(conflicts, 'local')}>
+            全部保留本机
+          </button>
+          <button type="button" className="button secondary" onClick={() => chooseItems(conflicts, 'cloud')}>
+            全部使用云端
+          </button>
+        </div>
+        <div className="flex flex-col gap-4 overflow-y-auto" style={{ maxHeight: '50vh' }}>
+          {sections.map((section) => (
+            <div key={section.id} className="flex flex-col gap-3">
+              <div className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+                <span style={{ fontSize: '14px', fontWeight: 600 }}>
+                  {section.label}
+                  <span className="muted" style={{ marginLeft: 6, fontSize: '12px', fontWeight: 400 }}>
+                    {section.items.length} 项
+                  </span>
+                </span>
+                <div className="chips">
+                  <button type="button" className="chip" onClick={() => chooseItems(section.items, 'local')}>
+                    本机
+                  </button>
+                  <button type="button" className="chip" onClick={() => chooseItems(section.items, 'cloud')}>
+                    云端
+                  </button>
+                </div>
+              </div>
+              {section.items.map((conflict) => {
+                const side = choices[conflict.id] || 'local';
+                return (
+                  <div key={conflict.id} className="flex flex-col gap-2">
+                    <div style={{ fontSize: '13px' }}>{describeConflictPath(conflict, funds, groups)}</div>
+                    <div className="chips">
+                      <button
+                        type="button"
+                        className={`chip ${side === 'local' ? 'active' : ''}`}
+                        onClick={() => choose(conflict.id, 'local')}
+                      >
+                        本机：{formatConflictValue(conflict.local, absentText)}
+                      </button>
+                      <button
+                        type="button"
+                        className={`chip ${side === 'cloud' ? 'active' : ''}`}
+                        onClick={() => choose(conflict.id, 'cloud')}
+                      >
+                        云端：{formatConflictValue(conflict.cloud, absentText)}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-3">
+          <button type="button" className="button secondary flex-1" onClick={onCancel}>
+            {isDiff ? '返回' : '稍后处理'}
+          </button>
+          <button type="button" className="button flex-1" onClick={() => onConfirm(choices)}>
+            合并并同步
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,257 @@
+'use client';
+
+import { useState } from 'react';
+import { useSyncSettingsStore } from '@/app/stores';
+import { createWebdavTransport, describeWebdavError, normalizeWebdavConfig } from '@/app/lib/webdav';
+import { runWebdavCheck } from '@/app/lib/webdavCheck';
+import { describeSyncApiError, fetchSyncApiSession, isSyncApiEnabled } from '@/app/lib/syncApi';
+
+/**
+ * 设置面板中的自建同步区块：以服务端方式部署时的内置同步服务，以及 WebDAV（立即生效，不随“保存并关闭”提交）
+ * @param {object} props
+ * @param {() => void} [props.onSyncNow]
+ * @param {() => void} [props.onOpenCloudHistory] - 当前同步方式不保留历史版本时不传
+ */
+export default function SyncSettings({ onSyncNow, onOpenCloudHistory }) {
+  return (
+    <>
+      {isSyncApiEnabled && <SyncApiSettings onSyncNow={onSyncNow} onOpenCloudHistory={onOpenCloudHistory} />}
+      <WebdavSettings onSyncNow={onSyncNow} />
+    </>
+  );
+}
+
+/** 内置同步服务：填写服务器管理员分配的同步令牌 */
+function SyncApiSettings({ onSyncNow, onOpenCloudHistory }) {
+  const provider = useSyncSettingsStore((s) => s.provider);
+  const api = useSyncSettingsStore((s) => s.api);
+  const enableSyncApi = useSyncSettingsStore((s) => s.enableSyncApi);
+  const disableSyncApi = useSyncSettingsStore((s) => s.disableSyncApi);
+  const [token, setToken] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const enabled = provider === 'api' && !!api;
+
+  const handleConnect = async () => {
+    const value = token.trim();
+    if (!value) {
+      setMessage('请填写同步令牌');
+      return;
+    }
+    setChecking(true);
+    setMessage('');
+    try {
+      const { data, error } = await fetchSyncApiSession(value);
+      if (error) {
+        setMessage(describeSyncApiError(error));
+        return;
+      }
+      enableSyncApi({ token: value, userId: data.userId });
+      setToken('');
+      setMessage(`已连接，当前用户：${data.userId}`);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="form-group" style={{ marginBottom: 16 }}>
+      <div className="muted" style={{ marginBottom: 8, fontSize: '0.8rem' }}>
+        服务器同步
+      </div>
+      {enabled ? (
+        <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+          <button type="button" className="button secondary" onClick={onSyncNow}>
+            立即同步
+          </button>
+          {onOpenCloudHistory && (
+            <button type="button" className="button secondary" onClick={onOpenCloudHistory}>
+              历史版本
+            </button>
+          )}
+          <button
+            type="button"
+            className="button secondary"
+            onClick={() => {
+              disableSyncApi();
+              setMessage('已断开服务器同步');
+            }}
+          >
+            断开
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col" style={{ gap: 8 }}>
+          <input
+            style={{ width: '100%' }}
+            className="input"
+            type="password"
+            placeholder="同步令牌"
+            autoComplete="off"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+          />
+          <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+            <button type="button" className="button secondary" disabled={checking} onClick={handleConnect}>
+              连接
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="muted" style={{ marginTop: 8, fontSize: '0.75rem' }}>
+        {message ||
+          (enabled
+            ? `已连接：${api.userId}，数据保存在本站服务器`
+            : '使用本站服务器同步数据，令牌由服务器管理员在 SYNC_API_TOKENS 中配置')}
+      </div>
+    </div>
+  );
+}
+
+/** WebDAV：以自建 WebDAV 代替账号同步 */
+function WebdavSettings({ onSyncNow }) {
+  const provider = useSyncSettingsStore((s) => s.provider);
+  const webdav = useSyncSettingsStore((s) => s.webdav);
+  const enableWebdav = useSyncSettingsStore((s) => s.enableWebdav);
+  const disableWebdav = useSyncSettingsStore((s) => s.disableWebdav);
+  const [form, setForm] = useState({ url: '', username: '', password: '' });
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState('');
+  /** 兼容性检查结果 */
+  const [checkResults, setCheckResults] = useState(null);
+
+  const enabled = provider === 'webdav' && !!webdav;
+  const updateField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  /** 连接成功时返回规范化后的配置，失败时显示原因 */
+  const checkConnection = async () => {
+    const config = normalizeWebdavConfig(form);
+    if (!config) {
+      setMessage('请填写以 http:// 或 https:// 开头的地址与用户名');
+      return null;
+    }
+    setChecking(true);
+    setMessage('');
+    try {
+      const { data, error } = await createWebdavTransport(config).load();
+      if (error) {
+        setMessage(describeWebdavError(error));
+        return null;
+      }
+      setMessage(data.exists ? '连接成功，已找到同步数据' : '连接成功，首次同步时将创建同步文件');
+      return config;
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  /** 在临时目录中按同步流程读写一遍，确认服务器支持并发控制等行为 */
+  const handleFullCheck = async () => {
+    const config = normalizeWebdavConfig(form);
+    if (!config) {
+      setMessage('请填写以 http:// 或 https:// 开头的地址与用户名');
+      return;
+    }
+    setChecking(true);
+    setMessage('正在检查…');
+    setCheckResults(null);
+    try {
+      const results = await runWebdavCheck(config);
+      setCheckResults(results);
+      if (results.some((r) => r.status === 'fail')) setMessage('检查未通过，该服务器暂不能用于同步');
+      else if (results.some((r) => r.status === 'warn')) setMessage('可以同步，但存在以下风险');
+      else setMessage('检查通过，该服务器支持同步所需的全部功能');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    const config = await checkConnection();
+    if (!config) return;
+    enableWebdav(config);
+    setForm({ url: '', username: '', password: '' });
+    setMessage('已启用 WebDAV 同步');
+  };
+
+  return (
+    <div className="form-group" style={{ marginBottom: 16 }}>
+      <div className="muted" style={{ marginBottom: 8, fontSize: '0.8rem' }}>
+        WebDAV 同步
+      </div>
+      {enabled ? (
+        <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+          <button type="button" className="button secondary" onClick={onSyncNow}>
+            立即同步
+          </button>
+          <button
+            type="button"
+            className="button secondary"
+            onClick={() => {
+              disableWebdav();
+              setMessage('已停用 WebDAV 同步');
+            }}
+          >
+            停用
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col" style={{ gap: 8 }}>
+          <input
+            style={{ width: '100%' }}
+            className="input"
+            type="url"
+            placeholder="https://dav.example.com/remote.php/dav/files/me"
+            value={form.url}
+            onChange={updateField('url')}
+          />
+          <input
+            style={{ width: '100%' }}
+            className="input"
+            placeholder="用户名"
+            autoComplete="username"
+            value={form.username}
+            onChange={updateField('username')}
+          />
+          <input
+            style={{ width: '100%' }}
+            className="input"
+            type="password"
+            placeholder="密码或应用专用密码"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={updateField('password')}
+          />
+          <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+            <button type="button" className="button secondary" disabled={checking} onClick={checkConnection}>
+              测试连接
+            </button>
+            <button type="button" className="button secondary" disabled={checking} onClick={handleFullCheck}>
+              兼容性检查
+            </button>
+            <button type="button" className="button secondary" disabled={checking} onClick={handleEnable}>
+              启用
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="muted" style={{ marginTop: 8, fontSize: '0.75rem' }}>
+        {message ||
+          (enabled
+            ? `已启用：${webdav.username}@${webdav.url}，数据保存在该目录下的 real-time-fund 文件夹`
+            : '使用自建的 WebDAV（如 Nextcloud、坚果云）代替账号同步，服务器需允许本站跨域访问')}
+      </div>
+      {!enabled && checkResults && (
+        <div className="muted" style={{ marginTop: 4, fontSize: '0.75rem' }}>
+          {checkResults.map((r) => (
+            <div key={r.name} style={r.status === 'pass' ? undefined : { color: 'var(--danger)' }}>
+              {r.status === 'pass' ? '✓' : r.status === 'warn' ? '!' : '✗'} {r.name}
+              {r.detail ? `：${r.detail}` : ''}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
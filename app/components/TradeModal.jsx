@@ -5,7 +5,7 @@ import { AnimatePresence } from 'framer-motion';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc';
 import timezone from 'dayjs/plugin/timezone';
-import { isNumber, isUndefined } from 'lodash';
+import { isArray, isNumber, isUndefined } from 'lodash';
 import { fetchFundPingzhongdata, fetchSmartFundNetValue } from '../api/fund';
 import { DatePicker, NumericInput } from './Common';
 import ConfirmModal from './ConfirmModal';
@@ -14,6 +14,7 @@ import { AlertTriangle } from 'lucide-react';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
 import PendingTradesModal from './PendingTradesModal';
+import RedemptionFeeScheduleEditor from './RedemptionFeeScheduleEditor';
 import { Spinner } from '@/components/ui/spinner';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 import { formatMoney } from '@/lib/utils';
@@ -22,6 +23,14 @@ dayjs.extend(utc);
 dayjs.extend(timezone);
 
 import { DEFAULT_TZ } from '@/app/constants';
+import {
+  PENALTY_HOLDING_DAYS,
+  buildTaxLots,
+  estimateRedemptionFee,
+  getRedemptionFeeRate,
+  normalizeFeeSchedule
+} from '@/app/lib/taxLots';
+import { useStorageStore } from '@/app/stores';
 const getBrowserTimeZone = () => {
   if (typeof Intl !== 'undefined' && Intl.DateTimeFormat) {
     const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -35,8 +44,19 @@ const nowInTz = () => dayjs().tz(TZ);
 const toTz = (input) => (input ? dayjs.tz(input, TZ) : nowInTz());
 const formatDate = (input) => toTz(input).format('YYYY-MM-DD');
 
-export default function TradeModal({ type, fund, holding, onClose, onConfirm, pendingTrades = [], onDeletePending }) {
+export default function TradeModal({
+  type,
+  fund,
+  holding,
+  txScope = null,
+  onClose,
+  onConfirm,
+  pendingTrades = [],
+  onDeletePending,
+  onSaveFeeSchedule
+}) {
   const isBuy = type === 'buy';
+  const transactions = useStorageStore((state) => state.transactions);
   const [share, setShare] = useState('');
   const [amount, setAmount] = useState('');
   const [feeRate, setFeeRate] = useState('0');
@@ -150,12 +170,47 @@ export default function TradeModal({ type, fund, holding, onClose, onConfirm, pe
 
   const [feeMode, setFeeMode] = useState('rate');
   const [feeValue, setFeeValue] = useState('0');
+  // 费率未手动修改时按持有期自动填充；仅在该基金设置过赎回费档位时填充，默认档位只作提示
+  const [feeAuto, setFeeAuto] = useState(true);
+  const [feeSchedule, setFeeSchedule] = useState(() => normalizeFeeSchedule(fund?.redemptionFeeSchedule));
+  const [hasFeeSchedule, setHasFeeSchedule] = useState(
+    () => isArray(fund?.redemptionFeeSchedule) && fund.redemptionFeeSchedule.length > 0
+  );
+  const [editingSchedule, setEditingSchedule] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
 
   const sellShare = parseFloat(share) || 0;
   const sellPrice = parseFloat(price) || 0;
   const sellAmount = sellShare * sellPrice;
 
+  const taxLots = useMemo(() => {
+    if (isBuy) return [];
+    return buildTaxLots({
+      holding,
+      transactions: transactions?.[fund?.code],
+      txScope,
+      pendingSells: currentPendingTrades.filter((t) => t.type === 'sell')
+    });
+  }, [isBuy, holding, transactions, fund?.code, txScope, currentPendingTrades]);
+
+  const feeEstimate = useMemo(
+    () => estimateRedemptionFee({ lots: taxLots, sellShare, sellDate: actualDate || date, schedule: feeSchedule }),
+    [taxLots, sellShare, actualDate, date, feeSchedule]
+  );
+
+  useEffect(() => {
+    if (isBuy || feeMode !== 'rate' || !feeAuto || !hasFeeSchedule || !feeEstimate) return;
+    setFeeValue(String(Number(feeEstimate.rate.toFixed(4))));
+  }, [isBuy, feeMode, feeAuto, hasFeeSchedule, feeEstimate]);
+
+  const handleSaveFeeSchedule = (schedule) => {
+    setFeeSchedule(schedule);
+    setHasFeeSchedule(true);
+    setEditingSchedule(false);
+    setFeeAuto(true);
+    onSaveFeeSchedule?.(schedule);
+  };
+
   let sellFee = 0;
   if (feeMode === 'rate') {
     const rate = parseFloat(feeValue) || 0;
@@ -395,6 +450,12 @@ export default function TradeModal({ type, fund, holding, onClose, onConfirm, pe
                   <span className="muted">预估手续费</span>
                   <span>{price ? `${formatMoney(sellFee)}` : '待计算'}</span>
                 </div>
+                {feeEstimate?.penaltyShare > 0 && (
+                  <div className="row" style={{ justifyContent: 'space-between', marginBottom: 8 }}>
+                    <span className="muted">持有不足{PENALTY_HOLDING_DAYS}天</span>
+                    <span style={{ color: 'var(--danger)' }}>{feeEstimate.penaltyShare.toFixed(2)} 份</span>
+                  </div>
+                )}
                 <div className="row" style={{ justifyContent: 'space-between', marginBottom: 8 }}>
                   <span className="muted">卖出日期</span>
                   <span>{date}</span>
@@ -639,6 +700,7 @@ export default function TradeModal({ type, fund, holding, onClose, onConfirm, pe
                         onClick={() => {
                           setFeeMode((m) => (m === 'rate' ? 'amount' : 'rate'));
                           setFeeValue('0');
+                          setFeeAuto(feeMode !== 'rate');
                         }}
                         style={{
                           background: 'none',
@@ -655,7 +717,10 @@ export default function TradeModal({ type, fund, holding, onClose, onConfirm, pe
                     <div style={{ border: '1px solid var(--border)', borderRadius: 12 }}>
                       <NumericInput
                         value={feeValue}
-                        onChange={setFeeValue}
+                        onChange={(v) => {
+                          setFeeValue(v);
+                          setFeeAuto(false);
+                        }}
                         step={feeMode === 'rate' ? 0.1 : 1}
                         min={0}
                         placeholder={feeMode === 'rate' ? '0.00' : '0.00'}
@@ -670,6 +735,77 @@ export default function TradeModal({ type, fund, holding, onClose, onConfirm, pe
                   </div>
                 </div>
 
+                <div style={{ marginBottom: 16, fontSize: '12px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+                    <span className="muted">
+                      {!feeEstimate && '赎回费按先进先出的持有期计算'}
+                      {feeEstimate &&
+                        (hasFeeSchedule
+                          ? `按先进先出持有期估算费率 ${feeEstimate.rate.toFixed(2)}%`
+                          : `参考常见股票 / 混合型基金档位估算费率 ${feeEstimate.rate.toFixed(2)}%，未设置档位不自动填入`)}
+                      {feeEstimate && !hasFeeSchedule && feeMode === 'rate' && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setFeeValue(String(Number(feeEstimate.rate.toFixed(4))));
+                            setFeeAuto(false);
+                          }}
+                          style={{
+                            background: 'none',
+                            border: 'none',
+                            color: 'var(--primary)',
+                            fontSize: '12px',
+                            cursor: 'pointer',
+                            padding: 0,
+                            marginLeft: 6
+                          }}
+                        >
+                          填入
+                        </button>
+                      )}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setEditingSchedule((v) => !v)}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: 'var(--primary)',
+                        fontSize: '12px',
+                        cursor: 'pointer',
+                        padding: 0,
+                        flexShrink: 0
+                      }}
+                    >
+                      赎回费档位
+                    </button>
+                  </div>
+                  {feeEstimate?.unknownShare > 0 && (
+                    <div className="muted" style={{ marginTop: 4 }}>
+                      {feeEstimate.unknownShare.toFixed(2)} 份缺少买入日期，按最长持有期估算
+                    </div>
+                  )}
+                  {editingSchedule && (
+                    <div style={{ marginTop: 8 }}>
+                      <RedemptionFeeScheduleEditor
+                        schedule={feeSchedule}
+                        onSave={handleSaveFeeSchedule}
+                        onCancel={() => setEditingSchedule(false)}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {feeEstimate?.penaltyShare > 0 && (
+                  <Alert variant="warning" style={{ marginBottom: 16 }}>
+                    <AlertTriangle className="h-4 w-4" />
+                    <AlertDescription>
+                      其中 {feeEstimate.penaltyShare.toFixed(2)} 份持有不足 {PENALTY_HOLDING_DAYS} 天，将按{' '}
+                      {getRedemptionFeeRate(feeSchedule, 0)}% 收取惩罚性赎回费
+                    </AlertDescription>
+                  </Alert>
+                )}
+
                 <div className="form-group" style={{ marginBottom: 12 }}>
                   <label className="muted" style={{ display: 'block', marginBottom: 8, fontSize: '14px' }}>
                     交易时段
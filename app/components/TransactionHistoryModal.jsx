@@ -7,8 +7,46 @@ import ConfirmModal from './ConfirmModal';
 import { Button } from '@/components/ui/button';
 import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
+import { TRANSACTION_TYPE_LABELS, isCorporateAction } from '@/app/lib/corporateActions';
 import { formatMoney } from '@/lib/utils';
 
+const formatShare = (v) => `${Number(v).toFixed(2)} 份`;
+
+/**
+ * 历史记录的明细行：买卖展示成交信息，分红与折算展示权益份额与金额
+ * @param {object} item
+ * @returns {{ label: string, value: string }[]}
+ */
+function getRecordDetails(item) {
+  if (item.type === 'dividend_reinvest') {
+    return [
+      { label: '每份分红', value: Number(item.dividendPerShare).toFixed(4) },
+      { label: '分红金额', value: formatMoney(item.amount) },
+      { label: '再投资份额', value: formatShare(item.share) },
+      item.price && { label: '再投资净值', value: Number(item.price).toFixed(4) }
+    ].filter(Boolean);
+  }
+  if (item.type === 'dividend_cash') {
+    return [
+      { label: '每份分红', value: Number(item.dividendPerShare).toFixed(4) },
+      { label: '权益份额', value: formatShare(item.baseShare) },
+      { label: '分红金额', value: formatMoney(item.amount) }
+    ];
+  }
+  if (item.type === 'split') {
+    return [
+      { label: '折算比例', value: `1 : ${Number(item.ratio).toFixed(4)}` },
+      { label: '折算前份额', value: formatShare(item.baseShare) },
+      { label: '份额变动', value: `${item.share > 0 ? '+' : ''}${formatShare(item.share)}` }
+    ];
+  }
+  return [
+    { label: '成交份额', value: formatShare(item.share) },
+    { label: '成交金额', value: formatMoney(item.amount) },
+    item.price && { label: '成交净值', value: Number(item.price).toFixed(4) }
+  ].filter(Boolean);
+}
+
 export default function TransactionHistoryModal({
   fund,
   transactions = [],
@@ -16,12 +54,13 @@ export default function TransactionHistoryModal({
   nestedModalOpen = false,
   onClose,
   onDeleteTransaction,
+  onUndoTransaction,
   onDeletePending,
   onAddHistory,
   onMergeAllGroups,
   canMergeAllGroups = false
 }) {
-  const [deleteConfirm, setDeleteConfirm] = useState(null); // { type: 'pending' | 'history', item }
+  const [deleteConfirm, setDeleteConfirm] = useState(null); // { type: 'pending' | 'history' | 'undo', item }
   const [mergeConfirmOpen, setMergeConfirmOpen] = useState(false);
   const ignoreDialogCloseUntilRef = useRef(0);
   const prevNestedModalOpenRef = useRef(false);
@@ -54,6 +93,8 @@ export default function TransactionHistoryModal({
     const { type, item } = deleteConfirm;
     if (type === 'pending') {
       onDeletePending(item.id);
+    } else if (type === 'undo') {
+      onUndoTransaction?.(item.id);
     } else {
       onDeleteTransaction(item.id);
     }
@@ -212,54 +253,61 @@ export default function TransactionHistoryModal({
                 暂无历史交易记录
               </div>
             ) : (
-              sortedTransactions.map((item) => (
-                <div key={item.id} className="tx-history-record-item">
-                  <div className="row" style={{ justifyContent: 'space-between', marginBottom: 4 }}>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                      <span
-                        style={{
-                          fontWeight: 600,
-                          fontSize: '14px',
-                          color: item.type === 'buy' ? 'var(--primary)' : 'var(--danger)'
-                        }}
-                      >
-                        {item.type === 'buy' ? '买入' : '卖出'}
+              sortedTransactions.map((item) => {
+                const isAction = isCorporateAction(item);
+                return (
+                  <div
+                    key={item.id}
+                    className="tx-history-record-item"
+                    style={item.undone ? { opacity: 0.55 } : undefined}
+                  >
+                    <div className="row" style={{ justifyContent: 'space-between', marginBottom: 4 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <span
+                          style={{
+                            fontWeight: 600,
+                            fontSize: '14px',
+                            color: item.type === 'sell' ? 'var(--danger)' : 'var(--primary)'
+                          }}
+                        >
+                          {TRANSACTION_TYPE_LABELS[item.type] || '卖出'}
+                        </span>
+                        {item.type === 'buy' && item.isDca && <span className="tx-history-dca-badge">定投</span>}
+                        {item.isAdjustment && <span className="tx-history-dca-badge">校准</span>}
+                        {isAction && <span className="tx-history-dca-badge">{item.undone ? '已撤销' : '自动'}</span>}
+                      </div>
+                      <span className="muted" style={{ fontSize: '12px' }}>
+                        {item.date}
                       </span>
-                      {item.type === 'buy' && item.isDca && <span className="tx-history-dca-badge">定投</span>}
-                    </div>
-                    <span className="muted" style={{ fontSize: '12px' }}>
-                      {item.date}
-                    </span>
-                  </div>
-                  <div className="row" style={{ justifyContent: 'space-between', fontSize: '12px', marginBottom: 2 }}>
-                    <span className="muted">成交份额</span>
-                    <span>{Number(item.share).toFixed(2)} 份</span>
-                  </div>
-                  <div className="row" style={{ justifyContent: 'space-between', fontSize: '12px', marginBottom: 2 }}>
-                    <span className="muted">成交金额</span>
-                    <span>{formatMoney(item.amount)}</span>
-                  </div>
-                  {item.price && (
-                    <div className="row" style={{ justifyContent: 'space-between', fontSize: '12px', marginBottom: 2 }}>
-                      <span className="muted">成交净值</span>
-                      <span>{Number(item.price).toFixed(4)}</span>
                     </div>
-                  )}
-                  <div className="row" style={{ justifyContent: 'space-between', fontSize: '12px', marginTop: 8 }}>
-                    <span className="muted"></span>
-                    <Button
-                      type="button"
-                      size="xs"
-                      variant="destructive"
-                      className="bg-destructive text-white hover:bg-destructive/90"
-                      onClick={() => handleDeleteClick(item, 'history')}
-                      style={{ paddingInline: 10 }}
-                    >
-                      删除记录
-                    </Button>
+                    {getRecordDetails(item).map((detail) => (
+                      <div
+                        key={detail.label}
+                        className="row"
+                        style={{ justifyContent: 'space-between', fontSize: '12px', marginBottom: 2 }}
+                      >
+                        <span className="muted">{detail.label}</span>
+                        <span>{detail.value}</span>
+                      </div>
+                    ))}
+                    {!(isAction && item.undone) && (
+                      <div className="row" style={{ justifyContent: 'space-between', fontSize: '12px', marginTop: 8 }}>
+                        <span className="muted">{isAction ? '除息 / 折算后自动记录' : ''}</span>
+                        <Button
+                          type="button"
+                          size="xs"
+                          variant="destructive"
+                          className="bg-destructive text-white hover:bg-destructive/90"
+                          onClick={() => handleDeleteClick(item, isAction ? 'undo' : 'history')}
+                          style={{ paddingInline: 10 }}
+                        >
+                          {isAction ? '撤销' : '删除记录'}
+                        </Button>
+                      </div>
+                    )}
                   </div>
-                </div>
-              ))
+                );
+              })
             )}
           </div>
         </div>
@@ -268,15 +316,19 @@ export default function TransactionHistoryModal({
           {deleteConfirm && (
             <ConfirmModal
               key="delete-confirm"
-              title={deleteConfirm.type === 'pending' ? '撤销交易' : '删除记录'}
+              title={
+                deleteConfirm.type === 'pending' ? '撤销交易' : deleteConfirm.type === 'undo' ? '撤销记录' : '删除记录'
+              }
               message={
                 deleteConfirm.type === 'pending'
                   ? '确定要撤销这笔待处理交易吗？'
-                  : '确定要删除这条交易记录吗？\n注意：删除记录不会恢复已变更的持仓数据。'
+                  : deleteConfirm.type === 'undo'
+                    ? `确定要撤销这条${TRANSACTION_TYPE_LABELS[deleteConfirm.item.type]}记录吗？\n持仓份额与成本将恢复，之后不会再自动生成。`
+                    : '确定要删除这条交易记录吗？\n注意：删除记录不会恢复已变更的持仓数据。'
               }
               onConfirm={handleConfirmDelete}
               onCancel={() => setDeleteConfirm(null)}
-              confirmText="确认删除"
+              confirmText={deleteConfirm.type === 'undo' ? '确认撤销' : '确认删除'}
             />
           )}
         </AnimatePresence>
@@ -6,7 +6,7 @@ import dayjs from 'dayjs';
 import Image from 'next/image';
 import { AnimatePresence, motion } from 'framer-motion';
 import ConfirmModal from './ConfirmModal';
-import { HelpCircle } from 'lucide-react';
+import { HelpCircle, History, Scale } from 'lucide-react';
 import { CalendarIcon, LoginIcon, LogoutIcon, SettingsIcon, UserIcon, ListIcon } from './Icons';
 import { Tooltip, TooltipTrigger, TooltipContent } from '@/components/ui/tooltip';
 
@@ -17,8 +17,10 @@ export default function UserMenu({
   lastSyncTime,
   isSyncing,
   onSync,
+  onOpenCloudHistory,
   onOpenSettings,
   onOpenPortfolioEarnings,
+  onOpenReconcile,
   onOpenLogin,
   onLogout,
   onLogoutConfirmOpenChange,
@@ -135,6 +137,16 @@ export default function UserMenu({
                         <CalendarIcon width="16" height="16" />
                         <span>我的收益</span>
                       </button>
+                      <button
+                        className="user-menu-item"
+                        onClick={() => {
+                          setUserMenuOpen(false);
+                          onOpenReconcile?.();
+                        }}
+                      >
+                        <Scale width="16" height="16" />
+                        <span>持仓对账</span>
+                      </button>
                       <button
                         className="user-menu-item"
                         onClick={() => {
@@ -207,6 +219,18 @@ export default function UserMenu({
                       <p>手动同步配置到云端</p>
                     </TooltipContent>
                   </Tooltip>
+                  {onOpenCloudHistory && (
+                    <button
+                      className="user-menu-item"
+                      onClick={() => {
+                        setUserMenuOpen(false);
+                        onOpenCloudHistory();
+                      }}
+                    >
+                      <History width="16" height="16" />
+                      <span>云端历史版本</span>
+                    </button>
+                  )}
                   <button
                     className="user-menu-item"
                     onClick={() => {
@@ -252,6 +276,16 @@ export default function UserMenu({
                         <CalendarIcon width="16" height="16" />
                         <span>我的收益</span>
                       </button>
+                      <button
+                        className="user-menu-item"
+                        onClick={() => {
+                          setUserMenuOpen(false);
+                          onOpenReconcile?.();
+                        }}
+                      >
+                        <Scale width="16" height="16" />
+                        <span>持仓对账</span>
+                      </button>
                       <button
                         className="user-menu-item"
                         onClick={() => {
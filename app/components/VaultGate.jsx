@@ -0,0 +1,127 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import ConfirmModal from './ConfirmModal';
+import { useVaultStore } from '../stores';
+import { VAULT_META_KEY } from '../lib/vault';
+
+/** 本机是否保存了加密参数：首次渲染时同步读取，预渲染时视为未启用 */
+const hasVaultMeta = () => {
+  if (typeof window === 'undefined') return false;
+  try {
+    return !!window.localStorage.getItem(VAULT_META_KEY);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 本地加密启动解锁：启用加密后，输入口令解密本地数据前不挂载页面，避免读写到密文；
+ * 未启用加密时照常渲染（静态导出的预渲染内容不为空），只有存在加密参数时才在读取完成前留空
+ */
+export default function VaultGate({ children }) {
+  const status = useVaultStore((s) => s.status);
+  const [metaPresent] = useState(hasVaultMeta);
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [resetConfirmOpen, setResetConfirmOpen] = useState(false);
+
+  useEffect(() => {
+    useVaultStore.getState().initVault();
+    // 其他标签页启用、更换或关闭了加密：本页的密钥已失效，重新加载后按新状态解锁
+    const onStorage = (e) => {
+      if (e.key === VAULT_META_KEY) window.location.reload();
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  // 存在加密参数时首次渲染与预渲染内容不一致，由外层 Suspense 边界改为客户端渲染
+  if (status === 'loading') return metaPresent ? null : children;
+  if (status !== 'locked') return children;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy || !passphrase) return;
+    setBusy(true);
+    setError('');
+    try {
+      const ok = await useVaultStore.getState().unlock(passphrase);
+      if (!ok) setError('口令错误');
+    } catch (err) {
+      setError(err?.message || '解锁失败，本地数据可能已损坏');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 16
+      }}
+    >
+      <form className="glass card" style={{ width: '100%', maxWidth: 380 }} onSubmit={handleSubmit}>
+        <div className="title" style={{ marginBottom: 12 }}>
+          <KeyRound width="20" height="20" />
+          <span>解锁本地数据</span>
+        </div>
+        <div className="muted" style={{ fontSize: '13px', marginBottom: 12 }}>
+          本机数据已加密，请输入口令解锁
+        </div>
+        <input
+          className="input"
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          placeholder="口令"
+          aria-label="口令"
+          style={{ width: '100%' }}
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+        {error && (
+          <div style={{ color: 'var(--danger)', fontSize: '12px', marginTop: 8 }} role="alert">
+            {error}
+          </div>
+        )}
+        <button type="submit" className="button" style={{ width: '100%', marginTop: 12 }} disabled={busy}>
+          {busy ? '解锁中…' : '解锁'}
+        </button>
+        <button
+          type="button"
+          className="muted"
+          style={{
+            width: '100%',
+            marginTop: 12,
+            fontSize: '12px',
+            background: 'none',
+            border: 'none',
+            cursor: 'pointer'
+          }}
+          onClick={() => setResetConfirmOpen(true)}
+        >
+          忘记口令？
+        </button>
+      </form>
+      {resetConfirmOpen && (
+        <ConfirmModal
+          title="清除本地数据"
+          message="口令无法找回。清除后本机的自选、持仓与交易记录将被删除且无法恢复；已登录云端同步的用户可用原口令在其他设备解密。"
+          confirmText="清除并重新开始"
+          onConfirm={() => {
+            setResetConfirmOpen(false);
+            useVaultStore.getState().resetVault();
+          }}
+          onCancel={() => setResetConfirmOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
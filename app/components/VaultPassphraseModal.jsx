@@ -0,0 +1,126 @@
+'use client';
+
+import { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { PASSPHRASE_MIN_LENGTH } from '@/app/lib/vault';
+
+/**
+ * 本地加密口令弹窗：启用加密、更换口令、关闭加密与解密云端数据共用
+ * @param {object} props
+ * @param {string} props.title
+ * @param {string} [props.description]
+ * @param {string} [props.confirmText]
+ * @param {boolean} [props.requireCurrent] - 需要输入当前口令
+ * @param {boolean} [props.requireNext] - 需要设置新口令（输入两次）
+ * @param {(values: { current: string, next: string }) => Promise<string|null>} props.onSubmit - 返回错误提示，成功返回 null
+ * @param {() => void} props.onCancel
+ */
+export default function VaultPassphraseModal({
+  title,
+  description,
+  confirmText = '确定',
+  requireCurrent = false,
+  requireNext = false,
+  onSubmit,
+  onCancel
+}) {
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [repeat, setRepeat] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    if (requireCurrent && !current) {
+      setError('请输入当前口令');
+      return;
+    }
+    if (requireNext && next.length < PASSPHRASE_MIN_LENGTH) {
+      setError(`新口令至少 ${PASSPHRASE_MIN_LENGTH} 位`);
+      return;
+    }
+    if (requireNext && next !== repeat) {
+      setError('两次输入的口令不一致');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    try {
+      const message = await onSubmit({ current, next });
+      if (message) setError(message);
+    } catch (err) {
+      setError(err?.message || '操作失败');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputProps = { className: 'input', type: 'password', autoComplete: 'off', style: { width: '100%' } };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && !busy && onCancel()}>
+      <DialogContent
+        overlayClassName="!z-[12000]"
+        showCloseButton={false}
+        className="!z-[12010] max-w-[400px] flex flex-col gap-4 p-6"
+      >
+        <DialogHeader className="flex flex-row items-center gap-3 text-left">
+          <KeyRound width="20" height="20" className="shrink-0 text-[var(--primary)]" />
+          <DialogTitle className="flex-1 text-base font-semibold">{title}</DialogTitle>
+        </DialogHeader>
+        {description && (
+          <DialogDescription className="text-left text-sm leading-relaxed text-[var(--muted-foreground)]">
+            {description}
+          </DialogDescription>
+        )}
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+          {requireCurrent && (
+            <input
+              {...inputProps}
+              autoFocus
+              placeholder="当前口令"
+              aria-label="当前口令"
+              value={current}
+              onChange={(e) => setCurrent(e.target.value)}
+            />
+          )}
+          {requireNext && (
+            <>
+              <input
+                {...inputProps}
+                autoFocus={!requireCurrent}
+                placeholder={`新口令（至少 ${PASSPHRASE_MIN_LENGTH} 位）`}
+                aria-label="新口令"
+                value={next}
+                onChange={(e) => setNext(e.target.value)}
+              />
+              <input
+                {...inputProps}
+                placeholder="再次输入新口令"
+                aria-label="再次输入新口令"
+                value={repeat}
+                onChange={(e) => setRepeat(e.target.value)}
+              />
+            </>
+          )}
+          {error && (
+            <div style={{ color: 'var(--danger)', fontSize: '12px' }} role="alert">
+              {error}
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button type="button" className="button secondary flex-1" disabled={busy} onClick={onCancel}>
+              取消
+            </button>
+            <button type="submit" className="button flex-1" disabled={busy}>
+              {busy ? '处理中…' : confirmText}
+            </button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,110 @@
+'use client';
+
+import { useState } from 'react';
+import VaultPassphraseModal from './VaultPassphraseModal';
+import { useVaultStore } from '@/app/stores';
+import { isVaultSupported } from '@/app/lib/vault';
+
+/**
+ * 设置面板中的本地加密区块：启用加密、更换口令与关闭加密（立即生效，不随“保存并关闭”提交）
+ */
+export default function VaultSettings() {
+  const status = useVaultStore((s) => s.status);
+  const enable = useVaultStore((s) => s.enable);
+  const changePassphrase = useVaultStore((s) => s.changePassphrase);
+  const disable = useVaultStore((s) => s.disable);
+  // null | 'enable' | 'change' | 'disable'
+  const [action, setAction] = useState(null);
+  const [message, setMessage] = useState('');
+  const [supported] = useState(() => isVaultSupported());
+
+  const enabled = status === 'unlocked';
+
+  const modal = (() => {
+    if (action === 'enable') {
+      return (
+        <VaultPassphraseModal
+          title="启用本地加密"
+          description="启用后持仓、交易等数据以密文保存在本机与云端，每次打开需输入口令。口令遗失后数据无法恢复，请妥善保管。"
+          requireNext
+          confirmText="启用"
+          onSubmit={async ({ next }) => {
+            await enable(next);
+            setAction(null);
+            setMessage('已启用，本机与云端数据将以密文保存');
+            return null;
+          }}
+          onCancel={() => setAction(null)}
+        />
+      );
+    }
+    if (action === 'change') {
+      return (
+        <VaultPassphraseModal
+          title="更换口令"
+          description="更换后将以新口令重新加密全部数据，其他设备需使用新口令"
+          requireCurrent
+          requireNext
+          confirmText="更换"
+          onSubmit={async ({ current, next }) => {
+            if (!(await changePassphrase(current, next))) return '当前口令错误';
+            setAction(null);
+            setMessage('口令已更换');
+            return null;
+          }}
+          onCancel={() => setAction(null)}
+        />
+      );
+    }
+    if (action === 'disable') {
+      return (
+        <VaultPassphraseModal
+          title="关闭本地加密"
+          description="关闭后本机与云端数据恢复为明文保存"
+          requireCurrent
+          confirmText="关闭加密"
+          onSubmit={async ({ current }) => {
+            if (!(await disable(current))) return '口令错误';
+            setAction(null);
+            setMessage('已关闭本地加密');
+            return null;
+          }}
+          onCancel={() => setAction(null)}
+        />
+      );
+    }
+    return null;
+  })();
+
+  return (
+    <div className="form-group" style={{ marginBottom: 16 }}>
+      <div className="muted" style={{ marginBottom: 8, fontSize: '0.8rem' }}>
+        本地加密
+      </div>
+      {supported ? (
+        <div className="row" style={{ gap: 8, justifyContent: 'flex-start' }}>
+          {enabled ? (
+            <>
+              <button type="button" className="button secondary" onClick={() => setAction('change')}>
+                更换口令
+              </button>
+              <button type="button" className="button secondary" onClick={() => setAction('disable')}>
+                关闭加密
+              </button>
+            </>
+          ) : (
+            <button type="button" className="button secondary" onClick={() => setAction('enable')}>
+              启用加密
+            </button>
+          )}
+        </div>
+      ) : null}
+      <div className="muted" style={{ marginTop: 8, fontSize: '0.75rem' }}>
+        {!supported
+          ? '当前浏览器不支持本地加密'
+          : message || (enabled ? '已启用，打开页面时需输入口令' : '使用口令加密本机保存与云端同步的持仓数据')}
+      </div>
+      {modal}
+    </div>
+  );
+}
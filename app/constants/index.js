@@ -23,6 +23,9 @@ export const DEFAULT_FUND_TAG_THEME = 'default';
 /** 每日收益数据管理：全局默认作用域 */
 export const DAILY_EARNINGS_SCOPE_ALL = 'all';
 
+/** 指数跟踪估值：默认股票仓位占比（百分比），即估算涨幅 = 指数涨幅 × 95% */
+export const DEFAULT_INDEX_TRACKING_RATIO = 95;
+
 /** 排序展示模式的合法值集合 */
 export const SORT_DISPLAY_MODES = new Set(['buttons', 'dropdown']);
 
@@ -36,6 +39,7 @@ export const DEFAULT_SORT_RULES = [
   { id: 'todayProfit', label: '当日收益', enabled: false },
   { id: 'yesterdayProfit', label: '昨日收益', enabled: false },
   { id: 'holdingDays', label: '持有天数', enabled: false },
+  { id: 'xirr', label: '年化收益', enabled: false },
   { id: 'holding', label: '持有收益', enabled: true },
   { id: 'estimateProfit', label: '估算收益', enabled: false },
   { id: 'holdingCost', label: '持仓成本', enabled: false },
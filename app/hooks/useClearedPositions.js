@@ -0,0 +1,73 @@
+'use client';
+
+import { useEffect } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useStorageStore } from '../stores';
+import { formatDate } from '../lib/fundHelpers';
+import { collectRemovedPositions, collectSoldOutPositions } from '../lib/realizedProfit';
+
+/**
+ * 写入清仓记录（最新的在前）
+ * @param {object[]} entries - buildClearedPosition 的结果
+ * @returns {number} 新增记录条数
+ */
+function appendClearedPositions(entries) {
+  if (!entries.length) return 0;
+  const now = Date.now();
+  const records = entries.map((entry) => ({ id: uuidv4(), ...entry, archivedAt: now }));
+  useStorageStore.getState().setClearedPositions((prev) => [...records, ...(prev || [])]);
+  return records.length;
+}
+
+/**
+ * 删除基金、移出分组或清空持仓前调用：归档被删除账本内的持仓与交易流水
+ * @param {{ code: string, groupId: string|null }[]} targets - groupId 为 null 表示全局账本
+ * @returns {number} 新增记录条数
+ */
+export function archiveRemovedPositions(targets) {
+  try {
+    const store = useStorageStore.getState();
+    return appendClearedPositions(collectRemovedPositions(store, targets, formatDate()));
+  } catch (e) {
+    console.warn('归档清仓记录失败', e);
+    return 0;
+  }
+}
+
+/**
+ * 从「全部」删除基金前调用：归档该基金在全局与各分组账本内的持仓与交易流水
+ * @param {string[]} codes
+ * @returns {number} 新增记录条数
+ */
+export function archiveRemovedFunds(codes) {
+  const { groupHoldings, transactions } = useStorageStore.getState();
+  const targets = [];
+  (codes || []).forEach((code) => {
+    const groupIds = new Set(Object.keys(groupHoldings || {}));
+    (transactions?.[code] || []).forEach((tx) => {
+      if (tx?.groupId) groupIds.add(tx.groupId);
+    });
+    targets.push({ code, groupId: null }, ...[...groupIds].map((groupId) => ({ code, groupId })));
+  });
+  return archiveRemovedPositions(targets);
+}
+
+/**
+ * 清仓归档：持仓份额卖完后自动把该账本内的交易流水归档为清仓记录
+ * @param {object} params
+ * @param {(message: string, type?: string) => void} [params.showToast]
+ */
+export function useClearedPositions({ showToast }) {
+  const holdings = useStorageStore((s) => s.holdings);
+  const groupHoldings = useStorageStore((s) => s.groupHoldings);
+  const transactions = useStorageStore((s) => s.transactions);
+
+  useEffect(() => {
+    try {
+      const count = appendClearedPositions(collectSoldOutPositions(useStorageStore.getState()));
+      if (count > 0) showToast?.(`已清仓 ${count} 只基金，可在「我的 - 已清仓」查看`, 'success');
+    } catch (e) {
+      console.warn('归档清仓记录失败', e);
+    }
+  }, [holdings, groupHoldings, transactions, showToast]);
+}
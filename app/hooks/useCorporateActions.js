@@ -0,0 +1,83 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useStorageStore } from '../stores';
+import { formatDate } from '../lib/fundHelpers';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+import { collectCorporateActions } from '../lib/corporateActions';
+
+/**
+ * 将已拉取的分红与折算写入交易记录并调整持仓
+ * @returns {number} 新增记录条数
+ */
+function runCorporateActions() {
+  const store = useStorageStore.getState();
+  const results = collectCorporateActions(store, formatDate());
+  if (!results.length) return 0;
+
+  const now = Date.now();
+  let seq = 0;
+  const recordsByCode = {};
+  results.forEach(({ code, records }) => {
+    if (!recordsByCode[code]) recordsByCode[code] = [];
+    records.forEach((record) => {
+      recordsByCode[code].push({ id: uuidv4(), ...record, timestamp: now + seq });
+      seq += 1;
+    });
+  });
+
+  const globalResults = results.filter((r) => r.scope === DAILY_EARNINGS_SCOPE_ALL);
+  const groupResults = results.filter((r) => r.scope !== DAILY_EARNINGS_SCOPE_ALL);
+  if (globalResults.length) {
+    store.setHoldings((prev) => {
+      const next = { ...prev };
+      globalResults.forEach(({ code, holding }) => {
+        next[code] = holding;
+      });
+      return next;
+    });
+  }
+  if (groupResults.length) {
+    store.setGroupHoldings((prev) => {
+      const next = { ...prev };
+      groupResults.forEach(({ scope, code, holding }) => {
+        next[scope] = { ...(next[scope] || {}), [code]: holding };
+      });
+      return next;
+    });
+  }
+  store.setTransactions((prev) => {
+    const next = { ...prev };
+    Object.entries(recordsByCode).forEach(([code, records]) => {
+      next[code] = [...records, ...(next[code] || [])].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    });
+    return next;
+  });
+  return seq;
+}
+
+/**
+ * 分红与份额折算自动入账：每次刷新结束（分红数据已更新）后检查一次
+ * @param {object} params
+ * @param {boolean} params.refreshing
+ * @param {(message: string, type?: string) => void} [params.showToast]
+ */
+export function useCorporateActions({ refreshing, showToast }) {
+  const seenRefreshRef = useRef(false);
+
+  useEffect(() => {
+    if (refreshing) {
+      seenRefreshRef.current = true;
+      return;
+    }
+    if (!seenRefreshRef.current) return;
+    seenRefreshRef.current = false;
+    try {
+      const count = runCorporateActions();
+      if (count > 0) showToast?.(`已自动记录 ${count} 条分红或份额折算`, 'success');
+    } catch (e) {
+      console.warn('分红与份额折算入账失败', e);
+    }
+  }, [refreshing, showToast]);
+}
@@ -2,7 +2,7 @@
 
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { isArray, isNumber, isObject } from 'lodash';
-import { fetchBestValuationSource, fetchFundValuationBySource } from '@/app/api/fund';
+import { fetchBestValuationSource, fetchFundValuationBySource, getAvailableValuationSources } from '@/app/api/fund';
 import { asyncPool } from '@/app/lib/asyncHelper';
 
 const TODAY_LABEL = '今日最准';
@@ -29,15 +29,12 @@ async function resolveAccuracyLabel(row, todayStr) {
   let isYesterdayAccuracy = bestResult.isYesterdayAccuracy === true;
 
   if (fund.jzrq === todayStr) {
-    const values = await Promise.all([
-      fetchFundValuationBySource(code, 1).catch(() => null),
-      fetchFundValuationBySource(code, 2).catch(() => null),
-      fetchFundValuationBySource(code, 3).catch(() => null)
-    ]);
+    const sources = await getAvailableValuationSources(code);
+    const values = await Promise.all(sources.map((s) => fetchFundValuationBySource(code, s.id).catch(() => null)));
     const diffs = {};
     values.forEach((value, index) => {
       if (value?.gszzl != null && Number.isFinite(Number(value.gszzl))) {
-        diffs[String(index + 1)] = Math.abs(Number(value.gszzl) - actualZzl);
+        diffs[String(sources[index].id)] = Math.abs(Number(value.gszzl) - actualZzl);
       }
     });
 
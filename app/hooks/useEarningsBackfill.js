@@ -0,0 +1,118 @@
+'use client';
+
+import { useCallback, useEffect, useRef } from 'react';
+import dayjs from 'dayjs';
+import { useStorageStore } from '../stores';
+import { fetchFundNetValueRange } from '../api/fund';
+import { asyncPool } from '../lib/asyncHelper';
+import { formatDate } from '../lib/fundHelpers';
+import { loadHolidaysForYears } from '../lib/tradingCalendar';
+import {
+  EARNINGS_BACKFILL_MAX_YEARS,
+  buildBackfillEntries,
+  collectBackfillTargets,
+  mergeBackfilledEarnings,
+  stripBackfilledEarnings
+} from '../lib/earningsBackfill';
+
+/** 每日自动补齐一次，记录最近一次补齐日期 */
+const BACKFILL_MARKER_KEY = 'rtf_earnings_backfill_date';
+
+/** 多拉取的天数，保证首个缺失交易日能取到上一交易日净值（覆盖长假） */
+const PREV_NAV_LOOKBACK_DAYS = 20;
+
+/**
+ * 补齐缺失交易日的每日收益
+ * @param {object} [options]
+ * @param {boolean} [options.rebuild=false] - 先移除全部补齐记录再重新计算
+ * @returns {Promise<number>} 写入的补齐记录条数
+ */
+async function runEarningsBackfill({ rebuild = false } = {}) {
+  const todayStr = formatDate();
+  const currentYear = dayjs(todayStr).year();
+  const years = [];
+  for (let y = currentYear - EARNINGS_BACKFILL_MAX_YEARS; y <= currentYear; y++) years.push(y);
+  await loadHolidaysForYears(years);
+
+  const store = useStorageStore.getState();
+  const source = rebuild ? { ...store, fundDailyEarnings: stripBackfilledEarnings(store.fundDailyEarnings) } : store;
+  const targets = collectBackfillTargets(source, todayStr);
+
+  // 同一基金在多个账本内缺失的日期合并为一次净值区间请求
+  const ranges = new Map();
+  targets.forEach((t) => {
+    const sdate = dayjs(t.missingDates[0]).subtract(PREV_NAV_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
+    const edate = t.missingDates[t.missingDates.length - 1];
+    const range = ranges.get(t.code);
+    ranges.set(t.code, {
+      sdate: range && range.sdate < sdate ? range.sdate : sdate,
+      edate: range && range.edate > edate ? range.edate : edate
+    });
+  });
+  const navRowsByCode = new Map();
+  await asyncPool(3, [...ranges.entries()], async ([code, { sdate, edate }]) => {
+    try {
+      navRowsByCode.set(code, await fetchFundNetValueRange(code, sdate, edate));
+    } catch (e) {
+      console.warn(`拉取 ${code} 历史净值失败`, e);
+    }
+  });
+
+  const latest = useStorageStore.getState();
+  const results = targets.map((target) => ({
+    scope: target.scope,
+    code: target.code,
+    entries: buildBackfillEntries({
+      target,
+      transactions: latest.transactions?.[target.code],
+      navRows: navRowsByCode.get(target.code)
+    })
+  }));
+  const count = results.reduce((s, r) => s + r.entries.length, 0);
+  if (count > 0 || rebuild) {
+    latest.setFundDailyEarnings((prev) =>
+      mergeBackfilledEarnings(rebuild ? stripBackfilledEarnings(prev) : prev, results)
+    );
+  }
+  return count;
+}
+
+/**
+ * 每日收益补齐：首次刷新完成后按日自动补齐一次，并提供手动「重建收益历史」
+ * @param {object} params
+ * @param {boolean} params.refreshing - 刷新进行中时推迟自动补齐，避免与刷新写入的收益记录冲突
+ * @returns {{ rebuildEarningsHistory: () => Promise<number> }}
+ */
+export function useEarningsBackfill({ refreshing }) {
+  const seenRefreshRef = useRef(false);
+  const autoRanRef = useRef(false);
+
+  useEffect(() => {
+    if (refreshing) {
+      seenRefreshRef.current = true;
+      return;
+    }
+    if (!seenRefreshRef.current || autoRanRef.current) return;
+    autoRanRef.current = true;
+
+    const todayStr = formatDate();
+    try {
+      if (localStorage.getItem(BACKFILL_MARKER_KEY) === todayStr) return;
+    } catch {
+      /* empty */
+    }
+    runEarningsBackfill()
+      .then(() => {
+        try {
+          localStorage.setItem(BACKFILL_MARKER_KEY, todayStr);
+        } catch {
+          /* empty */
+        }
+      })
+      .catch((e) => console.warn('补齐每日收益失败', e));
+  }, [refreshing]);
+
+  const rebuildEarningsHistory = useCallback(() => runEarningsBackfill({ rebuild: true }), []);
+
+  return { rebuildEarningsHistory };
+}
@@ -1,5 +1,6 @@
 import { isArray, isString } from 'lodash';
 import { useCallback, useRef } from 'react';
+import { withDataReplay } from '../lib/dataReplay';
 import { getQueryClient } from '../lib/get-query-client';
 import * as qk from '../lib/query-keys';
 
@@ -34,61 +35,66 @@ export const useFundFuzzyMatcher = () => {
         getQueryClient().fetchQuery({
           queryKey: qk.eastmoneyFundcodeSearchList(),
           queryFn: () =>
-            new Promise((resolve, reject) => {
-              if (typeof window === 'undefined' || typeof document === 'undefined' || !document.body) {
-                reject(new Error('NO_BROWSER_ENV'));
-                return;
-              }
-
-              const prevR = window.r;
-              const script = document.createElement('script');
-              script.src = `${FUND_CODE_SEARCH_URL}?_=${Date.now()}`;
-              script.async = true;
-
-              let done = false;
-              const cleanup = () => {
-                done = true;
-                if (timer) clearTimeout(timer);
-                if (document.body.contains(script)) {
-                  document.body.removeChild(script);
-                }
-                if (prevR === undefined) {
-                  try {
-                    delete window.r;
-                  } catch (e) {
-                    window.r = undefined;
+            withDataReplay(
+              'fund_code_list',
+              FUND_CODE_SEARCH_URL,
+              () =>
+                new Promise((resolve, reject) => {
+                  if (typeof window === 'undefined' || typeof document === 'undefined' || !document.body) {
+                    reject(new Error('NO_BROWSER_ENV'));
+                    return;
                   }
-                } else {
-                  window.r = prevR;
-                }
-              };
-
-              const timer = setTimeout(() => {
-                if (done) return;
-                cleanup();
-                reject(new Error('LOAD_ALL_FUND_TIMEOUT'));
-              }, 10000);
-
-              script.onload = () => {
-                if (done) return;
-                const snapshot = isArray(window.r) ? JSON.parse(JSON.stringify(window.r)) : [];
-                cleanup();
-                const parsed = formatEastMoneyFundList(snapshot);
-                if (!parsed.length) {
-                  reject(new Error('PARSE_ALL_FUND_FAILED'));
-                  return;
-                }
-                resolve(parsed);
-              };
-
-              script.onerror = () => {
-                if (done) return;
-                cleanup();
-                reject(new Error('LOAD_ALL_FUND_FAILED'));
-              };
-
-              document.body.appendChild(script);
-            }),
+
+                  const prevR = window.r;
+                  const script = document.createElement('script');
+                  script.src = `${FUND_CODE_SEARCH_URL}?_=${Date.now()}`;
+                  script.async = true;
+
+                  let done = false;
+                  const cleanup = () => {
+                    done = true;
+                    if (timer) clearTimeout(timer);
+                    if (document.body.contains(script)) {
+                      document.body.removeChild(script);
+                    }
+                    if (prevR === undefined) {
+                      try {
+                        delete window.r;
+                      } catch (e) {
+                        window.r = undefined;
+                      }
+                    } else {
+                      window.r = prevR;
+                    }
+                  };
+
+                  const timer = setTimeout(() => {
+                    if (done) return;
+                    cleanup();
+                    reject(new Error('LOAD_ALL_FUND_TIMEOUT'));
+                  }, 10000);
+
+                  script.onload = () => {
+                    if (done) return;
+                    const snapshot = isArray(window.r) ? JSON.parse(JSON.stringify(window.r)) : [];
+                    cleanup();
+                    const parsed = formatEastMoneyFundList(snapshot);
+                    if (!parsed.length) {
+                      reject(new Error('PARSE_ALL_FUND_FAILED'));
+                      return;
+                    }
+                    resolve(parsed);
+                  };
+
+                  script.onerror = () => {
+                    if (done) return;
+                    cleanup();
+                    reject(new Error('LOAD_ALL_FUND_FAILED'));
+                  };
+
+                  document.body.appendChild(script);
+                })
+            ),
           staleTime: FUND_LIST_CACHE_TIME
         })
       ]);
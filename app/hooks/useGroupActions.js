@@ -2,6 +2,7 @@ import { isArray, isObject, isPlainObject } from 'lodash';
 import { useStorageStore, useModalStore } from '../stores';
 import { migrateDcaPlansToScoped } from '../lib/fundHelpers';
 import { toast as sonnerToast } from 'sonner';
+import { archiveRemovedPositions } from './useClearedPositions';
 
 /**
  * 分组操作核心逻辑自定义 Hook
@@ -56,6 +57,17 @@ export function useGroupActions({ currentTab, setCurrentTab }) {
       setCurrentTab('all');
     }
     if (removedIds.length > 0) {
+      // 删除分组前归档分组账本内的持仓与交易流水
+      const { groupHoldings: currentGroupHoldings, transactions: currentTransactions } = useStorageStore.getState();
+      const targets = [];
+      removedIds.forEach((groupId) => {
+        const codes = new Set(Object.keys(currentGroupHoldings?.[groupId] || {}));
+        Object.entries(currentTransactions || {}).forEach(([code, list]) => {
+          if (isArray(list) && list.some((t) => t?.groupId === groupId)) codes.add(code);
+        });
+        codes.forEach((code) => targets.push({ code, groupId }));
+      });
+      archiveRemovedPositions(targets);
       setGroupHoldings((prev) => {
         let nextGh = { ...prev };
         let ghChanged = false;
@@ -231,6 +243,7 @@ export function useGroupActions({ currentTab, setCurrentTab }) {
   const stripFundFromGroupScope = (code, groupId, options = {}) => {
     const silent = options?.silent === true;
     if (!code || !groupId) return;
+    archiveRemovedPositions([{ code, groupId }]);
     const nextGroups = groups.map((g) => (g.id === groupId ? { ...g, codes: g.codes.filter((c) => c !== code) } : g));
     setGroups(nextGroups);
 
@@ -284,6 +297,7 @@ export function useGroupActions({ currentTab, setCurrentTab }) {
   const stripManyFundsFromGroupScope = (codes, groupId) => {
     const set = new Set((codes || []).filter(Boolean));
     if (!groupId || set.size === 0) return;
+    archiveRemovedPositions([...set].map((code) => ({ code, groupId })));
 
     setGroups((prev) => {
       const next = prev.map((g) => (g.id === groupId ? { ...g, codes: g.codes.filter((c) => !set.has(c)) } : g));
@@ -1,8 +1,10 @@
 import { useCallback, useRef } from 'react';
-import { isArray, isNumber, isString } from 'lodash';
+import { isNumber, isString } from 'lodash';
 import { useStorageStore } from '../stores';
 import { formatDate, toTz, isNavUpdated } from '../lib/fundHelpers';
 import { countTradingDaysBetween } from '../lib/tradingCalendar';
+import { buildHoldingCashFlows } from '../lib/xirr';
+import { getTxShareDelta, isRecordOnlyTx } from '../lib/corporateActions';
 
 /**
  * 基金持仓与当日/累计收益计算逻辑自定义 Hook
@@ -36,9 +38,8 @@ export function useHoldingProfit({ activeGroupId } = {}) {
       const profitBasisDate =
         canCalcTodayProfit && !useValuation && isString(fund.jzrq) && fund.jzrq ? fund.jzrq : todayStr;
 
-      // 分红与基本份额相关的计算缓存
+      // 当日收益口径份额的计算缓存（分红与份额折算已作为交易记录写入持仓）
       const currentStore = useStorageStore.getState();
-      const cachedDivs = currentStore.fundDividends?.[fund.code]?.list;
       const txs = currentStore.transactions?.[fund.code] || [];
 
       const cacheKey = `${fund.code}_${txScope}`;
@@ -46,100 +47,21 @@ export function useHoldingProfit({ activeGroupId } = {}) {
       const isCacheValid =
         cached &&
         cached.txsRef === txs &&
-        cached.cachedDivsRef === cachedDivs &&
         cached.share === holding.share &&
-        cached.firstPurchaseDate === holding.firstPurchaseDate &&
-        cached.dividendMethod === holding.dividendMethod &&
         cached.txScope === txScope &&
         cached.todayStr === todayStr &&
         cached.profitBasisDate === profitBasisDate &&
         cached.canCalcTodayProfit === canCalcTodayProfit;
 
-      let extraShares = 0;
-      let dividendCash = 0;
-      let shareForTodayProfit = holding.share;
+      const effectiveShare = holding.share;
+      let shareForTodayProfit = effectiveShare;
 
       if (isCacheValid) {
-        extraShares = cached.extraShares;
-        dividendCash = cached.dividendCash;
         shareForTodayProfit = cached.shareForTodayProfit;
       } else {
-        // 1. 计算分红逻辑
-        if (cachedDivs && isArray(cachedDivs)) {
-          let earliestDate = holding.firstPurchaseDate;
-          if (!earliestDate) {
-            for (const tx of txs) {
-              if (tx.type !== 'buy' || !tx.date) continue;
-              const gid = tx.groupId || null;
-              if (
-                txScope !== undefined ? (txScope ? gid !== txScope : gid) : activeGroupId ? gid !== activeGroupId : gid
-              )
-                continue;
-              if (!earliestDate || tx.date < earliestDate) earliestDate = tx.date;
-            }
-          }
-
-          if (earliestDate) {
-            const getShareAtDate = (date) => {
-              let s = 0;
-              let hasTx = false;
-              for (const tx of txs) {
-                const gid = tx.groupId || null;
-                if (
-                  txScope !== undefined
-                    ? txScope
-                      ? gid !== txScope
-                      : gid
-                    : activeGroupId
-                      ? gid !== activeGroupId
-                      : gid
-                )
-                  continue;
-                if (tx.isHistoryOnly) continue;
-                if (tx.date <= date) {
-                  hasTx = true;
-                  if (tx.type === 'buy') s += Number(tx.share) || 0;
-                  if (tx.type === 'sell') s -= Number(tx.share) || 0;
-                }
-              }
-              if (hasTx) return Math.max(0, s);
-              if (date >= earliestDate) return holding.share;
-              return 0;
-            };
-
-            const sortedDivs = [...cachedDivs].sort((a, b) => a.date.localeCompare(b.date));
-            for (const div of sortedDivs) {
-              if (div.date < earliestDate) continue;
-              if (div.date > todayStr) continue;
-              const baseShare = getShareAtDate(div.date);
-              if (baseShare > 0) {
-                const actualShare = baseShare + extraShares;
-                if (!holding.dividendMethod || holding.dividendMethod === 'reinvest') {
-                  if (div.nav > 0) {
-                    extraShares += (actualShare * div.dividend) / div.nav;
-                  }
-                } else {
-                  // 现金分红 (cash)
-                  dividendCash += actualShare * div.dividend;
-                }
-              }
-            }
-          }
-        }
-
-        // 2. 计算有效份额及当日收益口径份额
-        let effectiveShare = holding.share;
-        if (!holding.dividendMethod || holding.dividendMethod === 'reinvest') {
-          effectiveShare += extraShares;
-        }
-
-        shareForTodayProfit = effectiveShare;
-
         if (canCalcTodayProfit) {
-          let buyToday = 0;
-          let sellToday = 0;
-          const list = txs;
-          for (const tx of list) {
+          let shareDelta = 0;
+          for (const tx of txs) {
             if (!tx || !tx.date || tx.date < profitBasisDate) continue;
             const gid = tx.groupId || null;
             if (txScope) {
@@ -147,35 +69,52 @@ export function useHoldingProfit({ activeGroupId } = {}) {
             } else {
               if (gid) continue;
             }
-            if (tx.isHistoryOnly) continue;
-            const s = Number(tx.share);
-            if (!Number.isFinite(s) || s <= 0) continue;
-            if (tx.type === 'buy') buyToday += s;
-            else if (tx.type === 'sell') sellToday += s;
+            if (isRecordOnlyTx(tx)) continue;
+            shareDelta += getTxShareDelta(tx);
           }
-          shareForTodayProfit = Math.max(0, effectiveShare - buyToday + sellToday);
+          shareForTodayProfit = Math.max(0, effectiveShare - shareDelta);
         }
 
         // 写入缓存
         cacheRef.current.set(cacheKey, {
           txsRef: txs,
-          cachedDivsRef: cachedDivs,
           share: holding.share,
-          firstPurchaseDate: holding.firstPurchaseDate,
-          dividendMethod: holding.dividendMethod,
           txScope,
           todayStr,
           profitBasisDate,
           canCalcTodayProfit,
-          extraShares,
-          dividendCash,
           shareForTodayProfit
         });
       }
 
-      let effectiveShare = holding.share;
-      if (!holding.dividendMethod || holding.dividendMethod === 'reinvest') {
-        effectiveShare += extraShares;
+      // 货币基金：净值恒为 1，当日收益 = 份额 × 每万份收益 / 10000；每日收益已在刷新时折算进份额
+      if (fund.isMoneyFund) {
+        const incomePer10k = Number(fund.moneyIncomePer10k);
+        const hasTodayIncome = isString(fund.jzrq) && fund.jzrq === todayStr && Number.isFinite(incomePer10k);
+        return {
+          amount: effectiveShare,
+          nav: 1,
+          profitToday: hasTodayIncome ? (shareForTodayProfit * incomePer10k) / 10000 : null,
+          profitTotal: isNumber(holding.cost) ? effectiveShare - holding.cost * holding.share : null,
+          principalToday: isNumber(holding.cost) ? holding.cost * shareForTodayProfit : 0
+        };
+      }
+
+      // 场内持仓：按二级市场价格计算金额与收益，当日收益 = (现价 - 昨收) × 份额
+      if (holding.onExchange && isNumber(fund.exchangePrice) && fund.exchangePrice > 0) {
+        const price = fund.exchangePrice;
+        const prevClose = Number(fund.exchangePrevClose);
+        const hasTodayQuote = isString(fund.exchangeTime) && fund.exchangeTime.startsWith(todayStr);
+        return {
+          amount: effectiveShare * price,
+          nav: price,
+          profitToday:
+            hasTodayQuote && Number.isFinite(prevClose) && prevClose > 0
+              ? (price - prevClose) * shareForTodayProfit
+              : null,
+          profitTotal: isNumber(holding.cost) ? price * effectiveShare - holding.cost * holding.share : null,
+          principalToday: isNumber(holding.cost) ? holding.cost * shareForTodayProfit : 0
+        };
       }
 
       let currentNav;
@@ -231,10 +170,8 @@ export function useHoldingProfit({ activeGroupId } = {}) {
       const exactNav = Number(fund.dwjz) || currentNav;
       const amount = effectiveShare * exactNav;
 
-      // 总收益 = (确权净值 * 当前有效份额) - 成本总额 + 现金分红
-      const profitTotal = isNumber(holding.cost)
-        ? exactNav * effectiveShare - holding.cost * holding.share + dividendCash
-        : null;
+      // 总收益 = 确权净值 * 持有份额 - 成本总额（现金分红已从成本总额中扣减）
+      const profitTotal = isNumber(holding.cost) ? exactNav * effectiveShare - holding.cost * holding.share : null;
 
       return {
         amount,
@@ -247,5 +184,25 @@ export function useHoldingProfit({ activeGroupId } = {}) {
     [todayStr, activeGroupId]
   );
 
-  return { getHoldingProfit };
+  /**
+   * 持仓现金流（用于计算 XIRR），期末市值取 getHoldingProfit 的持仓金额
+   * @returns {{ date: string, amount: number }[]|null}
+   */
+  const getHoldingCashFlows = useCallback(
+    (fund, holding, scopeGroupIdOverride) => {
+      const profit = getHoldingProfit(fund, holding, scopeGroupIdOverride);
+      if (!profit) return null;
+      const currentStore = useStorageStore.getState();
+      return buildHoldingCashFlows({
+        holding,
+        transactions: currentStore.transactions?.[fund.code],
+        txScope: (scopeGroupIdOverride !== undefined ? scopeGroupIdOverride : activeGroupId) || null,
+        marketValue: profit.amount,
+        todayStr
+      });
+    },
+    [getHoldingProfit, activeGroupId, todayStr]
+  );
+
+  return { getHoldingProfit, getHoldingCashFlows };
 }
@@ -0,0 +1,29 @@
+import { useSyncExternalStore } from 'react';
+
+function subscribe(callback) {
+  if (typeof window === 'undefined') return () => {};
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => {
+    window.removeEventListener('online', callback);
+    window.removeEventListener('offline', callback);
+  };
+}
+
+function getSnapshot() {
+  if (typeof navigator === 'undefined') return true;
+  return navigator.onLine !== false;
+}
+
+// 服务端渲染时视为在线，避免首屏闪现离线提示
+function getServerSnapshot() {
+  return true;
+}
+
+/**
+ * 监听浏览器联网状态（navigator.onLine + online/offline 事件）
+ * @returns {boolean} 是否在线
+ */
+export function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+}
@@ -0,0 +1,38 @@
+'use client';
+
+import { useEffect } from 'react';
+import { usePrivacyStore } from '../stores';
+
+/** 视为用户操作、会重置无操作计时的事件 */
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * 隐私模式自动开启：无操作超过设定时长，或页面切到后台（切换标签页、锁屏）时开启
+ */
+export function usePrivacyAutoLock() {
+  const masked = usePrivacyStore((s) => s.masked);
+  const autoLockMinutes = usePrivacyStore((s) => s.autoLockMinutes);
+  const lockOnHidden = usePrivacyStore((s) => s.lockOnHidden);
+
+  useEffect(() => {
+    if (masked || (!(autoLockMinutes > 0) && !lockOnHidden)) return undefined;
+    const lock = () => usePrivacyStore.getState().lock();
+    let timer = null;
+    const resetTimer = () => {
+      if (timer) clearTimeout(timer);
+      timer = autoLockMinutes > 0 ? setTimeout(lock, autoLockMinutes * 60 * 1000) : null;
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden' && lockOnHidden) lock();
+    };
+
+    resetTimer();
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, resetTimer, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      if (timer) clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, resetTimer));
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [masked, autoLockMinutes, lockOnHidden]);
+}
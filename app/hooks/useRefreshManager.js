@@ -4,7 +4,7 @@ import { useEffect, useRef, useState, useCallback } from 'react';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc';
 import timezone from 'dayjs/plugin/timezone';
-import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { isArray, isNumber, isPlainObject, isString, pick } from 'lodash';
 
 import { useStorageStore, storageStore, useUserStore } from '../stores';
 import { recordValuation, setValuationSeries as persistValuationSeries } from '../lib/valuationTimeseries';
@@ -12,17 +12,30 @@ import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
 import { asyncPool } from '../lib/asyncHelper';
 import {
   fetchFundData,
+  fetchFundNetValueRange,
   fetchNetValueRangeFromTrend,
-  fetchFundDividends,
+  fetchFundCorporateActions,
   fetchFundConfirmDays,
-  fetchFundsBestSources
+  fetchFundsBestSources,
+  fetchExchangeQuotes,
+  prefetchValuationBatches
 } from '../api/fund';
 import { TZ } from '../lib/fundHelpers';
+import { getTxShareDelta, isRecordOnlyTx } from '../lib/corporateActions';
 import { getQueryClient } from '../lib/get-query-client';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
+/** 场内行情字段：本轮行情请求失败时沿用上一次的值 */
+const EXCHANGE_QUOTE_FIELDS = [
+  'exchangeSymbol',
+  'exchangePrice',
+  'exchangePrevClose',
+  'exchangeChangePercent',
+  'exchangeTime'
+];
+
 const getAddBaseSnapshotFromFund = (fund) => {
   const dwjz = Number(fund?.dwjz);
   if (Number.isFinite(dwjz) && dwjz > 0) {
@@ -78,6 +91,16 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
         return;
       }
 
+      // 离线时保留上次估值，不发起注定失败的请求；恢复联网后由 online 事件立即补刷
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        if (timerRef.current) clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => {
+          const nextCodes = refreshCodesRef.current || [];
+          if (nextCodes.length) refreshAll(nextCodes);
+        }, store.refreshMs);
+        return;
+      }
+
       // 重入锁检查
       if (refreshingRef.current) return;
       refreshingRef.current = true;
@@ -214,6 +237,9 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
         const nextFundDividends = { ...currentFundDividends };
         let dividendsChanged = false;
 
+        // 货币基金新入账收益折算的份额：{ [scope]: { [code]: number } }
+        const moneyIncomeShares = {};
+
         let bestSourcesMap = {};
         try {
           const currentFunds = useStorageStore.getState().funds || [];
@@ -252,6 +278,18 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
           console.error('批量获取自动数据源失败', e);
         }
 
+        // 声明了 batch 能力的数据源按本轮基金一次性预取估值
+        const fundsForPrefetch = useStorageStore.getState().funds || [];
+        prefetchValuationBatches(
+          uniqueCodes.map((c) => ({
+            code: c,
+            dataSource: bestSourcesMap[c] || fundsForPrefetch.find((f) => f.code === c)?.dataSource
+          }))
+        );
+
+        // 场内 ETF / LOF 价格与估值并行获取，一次请求覆盖全部场内代码
+        const exchangeQuotesPromise = fetchExchangeQuotes(uniqueCodes).catch(() => ({}));
+
         await asyncPool(3, uniqueCodes, async (c) => {
           if (!fundCodeStillInStorage(c)) return;
           let data = null;
@@ -369,8 +407,8 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
               const todayStr = dayjs().tz(TZ).format('YYYY-MM-DD');
               if (!cached || cached.lastFetchDate !== todayStr) {
                 try {
-                  const divs = await fetchFundDividends(data.code, earliestDate);
-                  nextFundDividends[data.code] = { lastFetchDate: todayStr, list: divs };
+                  const { dividends, splits } = await fetchFundCorporateActions(data.code, earliestDate);
+                  nextFundDividends[data.code] = { lastFetchDate: todayStr, list: dividends, splits };
                   dividendsChanged = true;
                 } catch (e) {
                   console.error(`拉取 ${data.code} 历史分红失败`, e);
@@ -404,14 +442,40 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
                   const gid = tx.groupId || null;
                   const txInScope = scope === DAILY_EARNINGS_SCOPE_ALL ? !gid : gid === scope;
                   if (!txInScope) continue;
-                  if (tx.isHistoryOnly) continue;
-                  const s = Number(tx.share) || 0;
-                  if (tx.type === 'buy') baseShare -= s;
-                  else if (tx.type === 'sell') baseShare += s;
+                  if (isRecordOnlyTx(tx)) continue;
+                  baseShare -= getTxShareDelta(tx);
                 }
                 return Math.max(0, baseShare);
               };
 
+              // 货币基金按每万份收益逐日入账。节假日收益有的基金合并在节前最后一天公布，有的逐日补发，
+              // 一律按公布日期原样记账即可；首次只记录最新一天作为基线（录入的份额视为已含此前收益），
+              // 此后新增的收益同时折算为份额（净值恒为 1）
+              if (data.isMoneyFund) {
+                let incomeRows = [];
+                if (!existing.length) {
+                  incomeRows = [{ date: latestNavDate, incomePer10k: Number(data.moneyIncomePer10k) }];
+                } else if (isValidDateStr(lastRecordedDate) && lastRecordedDate < latestNavDate) {
+                  incomeRows = await fetchFundNetValueRange(data.code, addDays(lastRecordedDate, 1), latestNavDate);
+                }
+                for (const r of incomeRows) {
+                  if (!fundCodeStillInStorage(data.code)) break;
+                  if (r.date > refreshDateStr || !Number.isFinite(r.incomePer10k)) continue;
+                  const share = getEffectiveShare(r.date);
+                  if (share <= 0) continue;
+                  const earnings = (share * r.incomePer10k) / 10000;
+                  const unitCost = Number(h?.cost);
+                  const baseCostAmount = Number.isFinite(unitCost) && unitCost > 0 ? unitCost * share : null;
+                  const rate = calcRateFromEarnings(earnings, baseCostAmount);
+                  localRecordToChanges(scope, data.code, earnings, r.date, rate, baseCostAmount, true);
+                  if (existing.length) {
+                    if (!moneyIncomeShares[scope]) moneyIncomeShares[scope] = {};
+                    moneyIncomeShares[scope][data.code] = (moneyIncomeShares[scope][data.code] || 0) + earnings;
+                  }
+                }
+                continue;
+              }
+
               if (!existing.length) {
                 const share = getEffectiveShare(latestNavDate);
                 const unitCost = Number(h?.cost);
@@ -494,6 +558,17 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
           }
         });
 
+        const exchangeQuotes = await exchangeQuotesPromise;
+        updated.forEach((data) => {
+          const quote = exchangeQuotes[data.code];
+          if (quote) {
+            Object.assign(data, quote);
+          } else {
+            const stored = getStoredFundSnapshot(data.code);
+            if (stored?.exchangeSymbol) Object.assign(data, pick(stored, EXCHANGE_QUOTE_FIELDS));
+          }
+        });
+
         // UI 与存储同步
         if (updated.length > 0) {
           useStorageStore.getState().setFunds((prev) => {
@@ -510,7 +585,9 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
               if (f.dataSource != null) merged.dataSource = f.dataSource;
               if (f.autoSource != null) merged.autoSource = f.autoSource;
               if (f.showImageChart !== undefined) merged.showImageChart = f.showImageChart;
+              if (f.trackingRatio != null) merged.trackingRatio = f.trackingRatio;
               if (f.confirmDays != null) merged.confirmDays = f.confirmDays;
+              if (f.redemptionFeeSchedule != null) merged.redemptionFeeSchedule = f.redemptionFeeSchedule;
               if (merged.addedAt == null || merged.addBaseNav == null || merged.addBaseDate == null) {
                 const snap = getAddBaseSnapshotFromFund(merged);
                 if (merged.addedAt == null) merged.addedAt = Date.now();
@@ -542,6 +619,35 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
           });
         }
 
+        if (Object.keys(moneyIncomeShares).length > 0) {
+          // 收益再投资：份额增加、总成本不变，因此单位成本随之摊薄
+          // 份额不逐日取整：不足 0.005 份的收益也要累计，否则持仓会逐渐少于账本重放结果
+          const applyIncomeShares = (bucket, incomes) => {
+            const next = { ...bucket };
+            for (const [code, income] of Object.entries(incomes)) {
+              const h = next[code];
+              if (!h || !isNumber(h.share) || !Number.isFinite(income) || income <= 0) continue;
+              const share = h.share + income;
+              const cost = isNumber(h.cost) && share > 0 ? (h.cost * h.share) / share : h.cost;
+              next[code] = { ...h, share, cost };
+            }
+            return next;
+          };
+          const { [DAILY_EARNINGS_SCOPE_ALL]: globalIncomes, ...groupIncomes } = moneyIncomeShares;
+          if (globalIncomes) {
+            useStorageStore.getState().setHoldings((prev) => applyIncomeShares(prev, globalIncomes));
+          }
+          if (Object.keys(groupIncomes).length > 0) {
+            useStorageStore.getState().setGroupHoldings((prev) => {
+              const next = { ...prev };
+              for (const [gid, incomes] of Object.entries(groupIncomes)) {
+                if (next[gid]) next[gid] = applyIncomeShares(next[gid], incomes);
+              }
+              return next;
+            });
+          }
+        }
+
         if (dividendsChanged) {
           useStorageStore.getState().setFundDividends((prev) => {
             const next = { ...prev };
@@ -620,5 +726,16 @@ export function useRefreshManager({ scheduleDcaTrades, processPendingQueue, devi
     };
   }, [refreshMs, refreshAll]);
 
+  // 恢复联网后立即刷新一次
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    const onOnline = () => {
+      const codes = refreshCodesRef.current || [];
+      if (codes.length) refreshAll(codes);
+    };
+    window.addEventListener('online', onOnline);
+    return () => window.removeEventListener('online', onOnline);
+  }, [refreshAll]);
+
   return { refreshing, refreshCycleStartRef, manualRefresh, refreshAll };
 }
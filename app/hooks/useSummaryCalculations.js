@@ -3,8 +3,12 @@
 import { useMemo, useEffect } from 'react';
 import { isArray, isNumber, isPlainObject } from 'lodash';
 import { useStorageStore } from '../stores';
-import { SUMMARY_TAB_ID, SUMMARY_SOURCE_GLOBAL } from '@/app/constants';
+import { DAILY_EARNINGS_SCOPE_ALL, SUMMARY_TAB_ID, SUMMARY_SOURCE_GLOBAL } from '@/app/constants';
 import { aggregatePortfolioDailyEarnings, mergeAllScopedDailyEarnings } from '../lib/dailyEarnings';
+import { recordAssetSnapshots } from '../lib/assetSnapshots';
+import { formatDate, isNavUpdated, nowInTz } from '../lib/fundHelpers';
+import { isTradingDay } from '../lib/tradingCalendar';
+import { computeXirr } from '../lib/xirr';
 
 /**
  * 虚拟 Summary Tab 收益/汇总资产计算 Hook
@@ -13,9 +17,10 @@ import { aggregatePortfolioDailyEarnings, mergeAllScopedDailyEarnings } from '..
  * @param {string} deps.currentTab - 当前活跃 Tab ID
  * @param {Function} deps.setCurrentTab - 活跃 Tab 设置方法
  * @param {Function} deps.getHoldingProfit - 获取基金持仓收益的函数方法
+ * @param {Function} [deps.getHoldingCashFlows] - 获取持仓现金流的函数方法，用于计算 XIRR
  */
-export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingProfit }) {
-  const { funds, holdings, groupHoldings, groups, fundDailyEarnings } = useStorageStore();
+export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingProfit, getHoldingCashFlows }) {
+  const { funds, holdings, groupHoldings, groups, fundDailyEarnings, transactions } = useStorageStore();
 
   // 1. 过滤出当前含有持仓的自定义分组
   const groupsWithHoldings = useMemo(() => {
@@ -43,13 +48,30 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
     let totalPrincipalToday = 0;
     let hasHolding = false;
     let hasAnyTodayData = false;
+    const cashFlows = [];
+    // 各账本的市值与成本，用于每日资产快照
+    const totalsByScope = {};
+    const todayStr = formatDate();
 
     const accumulate = (fund, holding, scopeGid) => {
       if (!fund || !holding) return;
       const p = getHoldingProfit(fund, holding, scopeGid);
       if (!p || !Number.isFinite(p.amount) || p.amount <= 0) return;
       hasHolding = true;
+      cashFlows.push(...(getHoldingCashFlows?.(fund, holding, scopeGid) || []));
       totalAsset += Math.round(p.amount * 100) / 100;
+      const scopeKey = scopeGid || DAILY_EARNINGS_SCOPE_ALL;
+      const scopeTotals =
+        totalsByScope[scopeKey] || (totalsByScope[scopeKey] = { marketValue: 0, cost: 0, navPublished: true });
+      scopeTotals.marketValue += Math.round(p.amount * 100) / 100;
+      // 与每日收益同口径：当日净值公布前持仓金额仍是上一交易日净值，延迟确认基金以最近一次应到的确权净值为准
+      const confirmDays = Number(fund.confirmDays) || 1;
+      if (confirmDays >= 2 ? !isNavUpdated(fund.jzrq, todayStr, confirmDays) : fund.jzrq !== todayStr) {
+        scopeTotals.navPublished = false;
+      }
+      if (isNumber(holding.cost) && isNumber(holding.share)) {
+        scopeTotals.cost += holding.cost * holding.share;
+      }
       if (p.profitToday != null) {
         totalProfitToday += p.profitToday;
         totalPrincipalToday += p.principalToday || 0;
@@ -85,9 +107,22 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
       hasHolding,
       returnRate,
       todayReturnRate,
-      hasAnyTodayData
+      hasAnyTodayData,
+      xirr: computeXirr(cashFlows),
+      totalsByScope
     };
-  }, [funds, holdings, groupHoldings, groups, getHoldingProfit]);
+  }, [funds, holdings, groupHoldings, groups, getHoldingProfit, getHoldingCashFlows]);
+
+  // 2.1 每日资产快照：交易日按汇总资产同口径写入各账本当日市值与成本（净值未全部公布时为临时快照），并由每日收益倒推补齐历史
+  const { totalsByScope } = summaryTabPortfolioTotals;
+  useEffect(() => {
+    if (!isTradingDay(nowInTz())) return;
+    const store = useStorageStore.getState();
+    const scopes = [DAILY_EARNINGS_SCOPE_ALL, ...(groups || []).filter((g) => g?.id).map((g) => g.id)];
+    store.setFundAssetSnapshots((prev) =>
+      recordAssetSnapshots(prev, { totalsByScope, scopes, store, todayStr: formatDate() })
+    );
+  }, [totalsByScope, groups, transactions, fundDailyEarnings]);
 
   // 3. 全局持仓在 Summary 中是否有持仓占比
   const hasGlobalPortfolioForSummary = useMemo(() => {
@@ -174,6 +209,7 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
       let hasAnyTodayData = false;
       let upCount = 0;
       let downCount = 0;
+      const cashFlows = [];
 
       for (const fund of funds || []) {
         const holding = holdings[fund.code];
@@ -181,6 +217,7 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
         const profit = getHoldingProfit(fund, holding, null);
         if (!profit) continue;
         totalAsset += Math.round(profit.amount * 100) / 100;
+        cashFlows.push(...(getHoldingCashFlows?.(fund, holding, null) || []));
         if (profit.profitToday != null) {
           totalProfitToday += profit.profitToday;
           totalPrincipalToday += profit.principalToday || 0;
@@ -221,7 +258,8 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
         hasAnyTodayData,
         upCount,
         downCount,
-        sparkSeries
+        sparkSeries,
+        xirr: computeXirr(cashFlows)
       });
     }
 
@@ -237,12 +275,14 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
         let hasAnyTodayData = false;
         let upCount = 0;
         let downCount = 0;
+        const cashFlows = [];
 
         for (const fund of groupFunds) {
           const holding = bucket[fund.code];
           const profit = getHoldingProfit(fund, holding, g.id);
           if (profit) {
             totalAsset += Math.round(profit.amount * 100) / 100;
+            cashFlows.push(...(getHoldingCashFlows?.(fund, holding, g.id) || []));
             if (profit.profitToday != null) {
               totalProfitToday += profit.profitToday;
               totalPrincipalToday += profit.principalToday || 0;
@@ -285,7 +325,8 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
           hasAnyTodayData,
           upCount,
           downCount,
-          sparkSeries
+          sparkSeries,
+          xirr: computeXirr(cashFlows)
         };
       })
     );
@@ -297,6 +338,7 @@ export function useSummaryCalculations({ currentTab, setCurrentTab, getHoldingPr
     groupHoldings,
     holdings,
     getHoldingProfit,
+    getHoldingCashFlows,
     fundDailyEarnings,
     hasGlobalPortfolioForSummary
   ]);
@@ -9,12 +9,18 @@ import {
   storageStore,
   useUserStore,
   useModalStore,
+  useVaultStore,
+  useSyncSettingsStore,
+  selectSelfHostedAccountId,
+  getSyncTransport,
   getFundCodesSignature,
   ensurePresetGroups,
   SORT_DISPLAY_MODES
 } from '../stores';
-import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { isSupabaseConfigured } from '../lib/supabase';
 import { withRetry } from '../lib/asyncHelper';
+import { isEncryptedCloudPayload } from '../lib/vault';
+import { SYNC_BASE_KEY, diffSyncPayload, hasLocalChanges, mergeSyncPayload, pickSyncBase } from '../lib/syncMerge';
 import { DAILY_EARNINGS_SCOPE_ALL, DCA_SCOPE_GLOBAL, DEFAULT_FUND_TAG_THEME } from '@/app/constants';
 import { normalizeCode, cleanCodeArray, normalizeNumber, dedupeByCode } from '../lib/normalize';
 import {
@@ -61,6 +67,34 @@ const mergeValuationFieldsByGztime = (localFund, cloudFund) => {
   return { ...cloudFund, ...patch };
 };
 
+/**
+ * 读取上次同步成功时的数据（三方合并的基准），与当前账号不符时视为没有
+ * @param {string} userId
+ * @returns {object|null}
+ */
+const readSyncBase = (userId) => {
+  const saved = storageStore.getItem(SYNC_BASE_KEY, null);
+  if (!isPlainObject(saved) || saved.userId !== userId || !isPlainObject(saved.data)) return null;
+  return saved.data;
+};
+
+/**
+ * 保存同步基准
+ * @param {string} userId
+ * @param {object} payload - 已与云端一致的数据
+ * @param {boolean} [replace] - false 时仅覆盖 payload 中的 key（增量同步）
+ */
+const saveSyncBase = (userId, payload, replace = true) => {
+  if (!userId) return;
+  try {
+    const prev = replace ? null : readSyncBase(userId);
+    const data = { ...(prev || {}), ...pickSyncBase(payload) };
+    storageStore.setItem(SYNC_BASE_KEY, JSON.stringify({ userId, at: nowInTz().toISOString(), data }));
+  } catch (e) {
+    console.warn('保存同步基准失败', e);
+  }
+};
+
 /**
  * 云端同步管理 Hook
  *
@@ -82,6 +116,9 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
   const deviceConflictModalOpenRef = useRef(false);
   const dirtyKeysRef = useRef(new Set());
   const syncUserConfigRef = useRef(null);
+  const mergeWithCloudRef = useRef(null);
+  // 三方合并进行中（含等待用户处理冲突），期间暂停自动同步
+  const mergingRef = useRef(false);
 
   // deviceId init
   useEffect(() => {
@@ -108,21 +145,23 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
     }
   }, []);
 
-  // user → userIdRef
+  // user → userIdRef（启用 WebDAV 或内置同步服务时以对应账号代替登录用户）
   const user = useUserStore((s) => s.user);
+  const selfHostedAccountId = useSyncSettingsStore(selectSelfHostedAccountId);
   useEffect(() => {
-    userIdRef.current = user?.id || null;
-  }, [user]);
+    userIdRef.current = selfHostedAccountId || user?.id || null;
+  }, [user, selfHostedAccountId]);
 
-  // deviceConflictModalOpenRef sync
+  // deviceConflictModalOpenRef sync（同步合并弹窗打开时同样暂停刷新）
   useEffect(() => {
     const unsub = useModalStore.subscribe(
-      (s) => s.deviceConflictModal.open,
+      (s) => s.deviceConflictModal.open || s.syncMergeModal.open,
       (open) => {
         deviceConflictModalOpenRef.current = open;
       }
     );
-    deviceConflictModalOpenRef.current = useModalStore.getState().deviceConflictModal.open;
+    const { deviceConflictModal, syncMergeModal } = useModalStore.getState();
+    deviceConflictModalOpenRef.current = deviceConflictModal.open || syncMergeModal.open;
     return unsub;
   }, []);
 
@@ -372,6 +411,12 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
       .sort()
       .join('\n');
 
+    const clearedPositionsSig = (isArray(payload.clearedPositions) ? payload.clearedPositions : [])
+      .map((entry) => String(entry?.id ?? ''))
+      .filter(Boolean)
+      .sort()
+      .join(',');
+
     return JSON.stringify({
       funds: uniqueFundCodes,
       tagsSig,
@@ -387,7 +432,8 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
       transactions,
       dcaPlans,
       customSettings,
-      fundDailyEarningsSig
+      fundDailyEarningsSig,
+      clearedPositionsSig
     });
   }
 
@@ -446,6 +492,9 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
       if (!keys || keys.has('tags')) {
         all.tags = storageStore.getItem('tags', []);
       }
+      if (!keys || keys.has('clearedPositions')) {
+        all.clearedPositions = storageStore.getItem('clearedPositions', []);
+      }
 
       if (!keys) {
         all.funds = isArray(all.funds) ? all.funds.map(stripLegacyTagsFromFundObject) : [];
@@ -615,6 +664,7 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
           dcaPlans: cleanedDcaPlans,
           customSettings: isPlainObject(all.customSettings) ? all.customSettings : {},
           fundDailyEarnings: cleanedFundDailyEarnings,
+          clearedPositions: isArray(all.clearedPositions) ? all.clearedPositions : [],
           fundValuationTimeseries: isPlainObject(all.fundValuationTimeseries) ? all.fundValuationTimeseries : {},
           ytdReturnRate
         };
@@ -663,7 +713,7 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
   // 通过 syncUserConfigRef 间接调用 syncUserConfig，避免空依赖导致的闭包陷阱
   const scheduleSync = useCallback(() => {
     if (!userIdRef.current) return;
-    if (skipSyncRef.current) return;
+    if (skipSyncRef.current || mergingRef.current) return;
     if (syncDebounceRef.current) clearTimeout(syncDebounceRef.current);
     syncDebounceRef.current = setTimeout(() => {
       const dirtyKeys = new Set(dirtyKeysRef.current);
@@ -697,6 +747,30 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
         showToast(`userId 不存在，请重新登录`, 'error');
         return;
       }
+      // 云端数据已加密但本机尚未输入口令：暂停上传，避免明文覆盖密文
+      if (useVaultStore.getState().cloudMeta) {
+        if (showTip) showToast('云端数据已加密，请先输入口令', 'error');
+        return;
+      }
+      const { encryptForCloud } = useVaultStore.getState();
+      // 其他设备已同步过：有同步基准时与云端三方合并，否则提示接管
+      const handleDeviceConflict = () => {
+        setIsSyncing(false);
+        skipSyncRef.current = true;
+        if (mergeWithCloudRef.current && readSyncBase(userId)) {
+          mergeWithCloudRef.current(userId);
+          return;
+        }
+        useModalStore.setState({
+          deviceConflictModal: {
+            open: true,
+            message: '您的账号已在其他设备登录。当前设备的同步已被拦截。是否确认拉取云端最新数据覆盖本地并恢复同步？',
+            userId,
+            payload,
+            isPartial
+          }
+        });
+      };
       try {
         setIsSyncing(true);
         const baseData = payload || collectLocalPayload();
@@ -726,82 +800,43 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
               }
             }
           : { _syncMeta: { deviceId, at: now } };
+        const uploadData = await encryptForCloud(dataToSync);
+        const transport = getSyncTransport(userId);
+        // 上传成功后与云端一致的数据，作为下次三方合并的基准
+        let syncedData = dataToSync;
+        let replaceBase = !isPartial;
 
         if (isPartial) {
           const { error: rpcError } = await withRetry(() =>
-            supabase.rpc('update_user_config_partial', {
-              payload: dataToSync,
-              p_last_device_id: deviceId,
-              p_force_takeover: forceTakeover
-            })
+            transport.save(userId, uploadData, { deviceId, forceTakeover, partial: true })
           );
 
           if (rpcError) {
             if (rpcError.message?.includes('DEVICE_CONFLICT')) {
-              setIsSyncing(false);
-              skipSyncRef.current = true;
-              useModalStore.setState({
-                deviceConflictModal: {
-                  open: true,
-                  message:
-                    '您的账号已在其他设备登录。当前设备的同步已被拦截。是否确认拉取云端最新数据覆盖本地并恢复同步？',
-                  userId,
-                  payload,
-                  isPartial
-                }
-              });
+              handleDeviceConflict();
               return;
             }
             console.error('增量同步失败，尝试全量同步', rpcError);
-            const fullPayload = collectLocalPayload();
+            const fullData = collectLocalPayload();
+            const fullPayload = await encryptForCloud(fullData);
             const { error: fullError } = await withRetry(() =>
-              supabase.rpc('update_user_config_full', {
-                payload: fullPayload,
-                p_last_device_id: deviceId,
-                p_force_takeover: forceTakeover
-              })
+              transport.save(userId, fullPayload, { deviceId, forceTakeover })
             );
             if (fullError) {
               if (fullError.message?.includes('DEVICE_CONFLICT')) {
-                setIsSyncing(false);
-                skipSyncRef.current = true;
-                useModalStore.setState({
-                  deviceConflictModal: {
-                    open: true,
-                    message:
-                      '您的账号已在其他设备登录。当前设备的同步已被拦截。是否确认拉取云端最新数据覆盖本地并恢复同步？',
-                    userId,
-                    payload,
-                    isPartial
-                  }
-                });
+                handleDeviceConflict();
                 return;
               }
               throw fullError;
             }
+            syncedData = fullData;
+            replaceBase = true;
           }
         } else {
-          const { error } = await withRetry(() =>
-            supabase.rpc('update_user_config_full', {
-              payload: dataToSync,
-              p_last_device_id: deviceId,
-              p_force_takeover: forceTakeover
-            })
-          );
+          const { error } = await withRetry(() => transport.save(userId, uploadData, { deviceId, forceTakeover }));
           if (error) {
             if (error.message?.includes('DEVICE_CONFLICT')) {
-              setIsSyncing(false);
-              skipSyncRef.current = true;
-              useModalStore.setState({
-                deviceConflictModal: {
-                  open: true,
-                  message:
-                    '您的账号已在其他设备登录。当前设备的同步已被拦截。是否确认拉取云端最新数据覆盖本地并恢复同步？',
-                  userId,
-                  payload,
-                  isPartial
-                }
-              });
+              handleDeviceConflict();
               return;
             }
             throw error;
@@ -810,6 +845,7 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
 
         storageStore.setItem('localUpdatedAt', now);
         setLastSyncTime(now);
+        saveSyncBase(userId, syncedData, replaceBase);
 
         if (forceTakeover) {
           lastSyncedRef.current = getComparablePayload(dataToSync);
@@ -878,7 +914,8 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
       'pendingTrades',
       'dcaPlans',
       'customSettings',
-      'fundDailyEarnings'
+      'fundDailyEarnings',
+      'clearedPositions'
     ]);
     const onStorage = (e) => {
       if (!e.key) return;
@@ -1057,6 +1094,12 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
           } catch {}
         }
 
+        if (hasOwn(cloudData, 'clearedPositions')) {
+          useStorageStore
+            .getState()
+            .setClearedPositions(isArray(cloudData.clearedPositions) ? cloudData.clearedPositions : []);
+        }
+
         if (hasOwn(cloudData, 'dcaPlans')) {
           const cloudDcaScoped = migrateDcaPlansToScoped(isPlainObject(cloudData.dcaPlans) ? cloudData.dcaPlans : {});
           const nextDcaPlans = {};
@@ -1239,6 +1282,10 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
 
         const payload = collectLocalPayload();
         lastSyncedRef.current = getComparablePayload(payload);
+        // 接管上传成功时已由 syncUserConfig 保存基准；上传失败则保留旧基准，下次仍能识别本机改动
+        if (!options.forceTakeover) {
+          saveSyncBase(options.userId || userIdRef.current, payload);
+        }
       } finally {
         skipSyncRef.current = false;
       }
@@ -1246,33 +1293,166 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
     [showToast, setTempSeconds, setFundTagRecords, syncUserConfig]
   );
 
+  // --- mergeWithCloud ---
+  // 三方合并：以同步基准比较本机与云端的改动，无冲突直接应用并上传，有冲突交由用户逐项选择
+  const mergeWithCloud = useCallback(
+    async (userId, cloud = null) => {
+      if (mergingRef.current) return;
+      mergingRef.current = true;
+      let awaitingUser = false;
+      try {
+        let target = cloud;
+        if (!target) {
+          const { data: meta, error } = await withRetry(() => getSyncTransport(userId).load(userId));
+          if (error) throw error;
+          let cloudData = meta?.data;
+          if (isEncryptedCloudPayload(cloudData)) {
+            cloudData = await useVaultStore.getState().decryptFromCloud(cloudData);
+          }
+          if (!isPlainObject(cloudData)) return;
+          target = { data: cloudData, updatedAt: meta.updatedAt };
+        }
+        const base = readSyncBase(userId);
+        const { merged, conflicts } = mergeSyncPayload(base, collectLocalPayload(), target.data);
+        if (conflicts.length > 0) {
+          awaitingUser = true;
+          useModalStore.setState({
+            syncMergeModal: {
+              open: true,
+              mode: 'merge',
+              userId,
+              conflicts,
+              base,
+              cloudData: target.data,
+              updatedAt: target.updatedAt
+            }
+          });
+          return;
+        }
+        await applyCloudConfig(merged, target.updatedAt, { userId, forceTakeover: true });
+      } catch (e) {
+        console.error('合并云端数据失败', e);
+      } finally {
+        if (!awaitingUser) {
+          mergingRef.current = false;
+          skipSyncRef.current = false;
+        }
+      }
+    },
+    [applyCloudConfig]
+  );
+
+  useEffect(() => {
+    mergeWithCloudRef.current = mergeWithCloud;
+  }, [mergeWithCloud]);
+
+  // --- compareCloudConfig ---
+  // 登录时本机与云端配置不一致：逐项对比两份数据，代替整体二选一
+  const compareCloudConfig = useCallback(async () => {
+    const { userId, cloudData } = useModalStore.getState().cloudConfigModal;
+    if (!isPlainObject(cloudData)) return;
+    const { conflicts } = diffSyncPayload(collectLocalPayload(), cloudData);
+    useModalStore.getState().closeModal('cloudConfigModal');
+    if (conflicts.length === 0) {
+      // 仅估值等行情字段不同：直接应用云端
+      await applyCloudConfig(cloudData, null, { userId });
+      showToast('本机与云端数据一致', 'success');
+      return;
+    }
+    mergingRef.current = true;
+    useModalStore.setState({
+      syncMergeModal: { open: true, mode: 'diff', userId, conflicts, base: null, cloudData, updatedAt: null }
+    });
+  }, [applyCloudConfig, showToast]);
+
+  // --- restoreCloudSnapshot ---
+  // 恢复云端历史快照：覆盖本机并强制上传，恢复前的云端数据会由触发器保留为新的快照
+  const restoreCloudSnapshot = useCallback(
+    async (data) => {
+      const userId = userIdRef.current;
+      if (!userId || !isPlainObject(data)) return;
+      await applyCloudConfig(data, null, { userId, forceTakeover: true, refreshAfterApply: true });
+    },
+    [applyCloudConfig]
+  );
+
+  // --- resolveSyncMerge ---
+  // 按用户的选择重新合并（期间本机的新改动一并保留）并上传
+  const resolveSyncMerge = useCallback(
+    async (choices = {}) => {
+      const { mode, userId, base, cloudData, updatedAt } = useModalStore.getState().syncMergeModal;
+      useModalStore.getState().closeModal('syncMergeModal');
+      try {
+        const local = collectLocalPayload();
+        const { merged } =
+          mode === 'diff'
+            ? diffSyncPayload(local, cloudData, choices)
+            : mergeSyncPayload(base, local, cloudData, choices);
+        await applyCloudConfig(merged, updatedAt, { userId, forceTakeover: true });
+      } catch (e) {
+        console.error('合并云端数据失败', e);
+      } finally {
+        mergingRef.current = false;
+        skipSyncRef.current = false;
+      }
+    },
+    [applyCloudConfig]
+  );
+
+  // --- cancelSyncMerge ---
+  // 暂不处理冲突：恢复自动同步，下次上传时会再次合并；对比差异时返回整体二选一
+  const cancelSyncMerge = useCallback(() => {
+    const { mode, userId, cloudData } = useModalStore.getState().syncMergeModal;
+    useModalStore.getState().closeModal('syncMergeModal');
+    mergingRef.current = false;
+    if (mode === 'diff') {
+      useModalStore.setState({ cloudConfigModal: { open: true, userId, type: 'conflict', cloudData } });
+      return;
+    }
+    skipSyncRef.current = false;
+  }, []);
+
   // --- fetchCloudConfig ---
   const fetchCloudConfig = useCallback(
     async (userId, checkConflict = false, options = {}) => {
       if (!userId) return;
       try {
-        const { data: meta, error: metaError } = await withRetry(() =>
-          supabase.from('user_configs').select('id, data, updated_at').eq('user_id', userId).maybeSingle()
-        );
+        const transport = getSyncTransport(userId);
+        const { data: meta, error: metaError } = await withRetry(() => transport.load(userId));
 
         if (metaError) throw metaError;
 
-        if (!meta?.id) {
-          const { error: insertError } = await withRetry(() =>
-            supabase.from('user_configs').insert({ user_id: userId })
-          );
+        if (!meta?.exists) {
+          const { error: insertError } = await withRetry(() => transport.create(userId));
           if (insertError) throw insertError;
           useModalStore.setState({ cloudConfigModal: { open: true, userId, type: 'empty' } });
           return;
         }
 
+        let cloudData = meta.data;
+        if (isEncryptedCloudPayload(cloudData)) {
+          cloudData = await useVaultStore.getState().decryptFromCloud(cloudData);
+          // 本机无法解密：保持暂停同步，待输入口令后重新拉取
+          if (!cloudData) {
+            skipSyncRef.current = true;
+            return;
+          }
+        }
+
+        // 本机在上次同步后有改动：与云端三方合并，不直接覆盖也不再询问
+        const base = readSyncBase(userId);
+        if (base && isPlainObject(cloudData) && hasLocalChanges(base, collectLocalPayload())) {
+          await mergeWithCloud(userId, { data: cloudData, updatedAt: meta.updatedAt });
+          return;
+        }
+
         if (checkConflict) {
-          useModalStore.setState({ cloudConfigModal: { open: true, userId, type: 'conflict', cloudData: meta.data } });
+          useModalStore.setState({ cloudConfigModal: { open: true, userId, type: 'conflict', cloudData } });
           return;
         }
 
-        if (meta.data && isPlainObject(meta.data) && Object.keys(meta.data).length > 0) {
-          await applyCloudConfig(meta.data, meta.updated_at, { ...options, userId });
+        if (cloudData && isPlainObject(cloudData) && Object.keys(cloudData).length > 0) {
+          await applyCloudConfig(cloudData, meta.updatedAt, { ...options, userId });
           return;
         }
 
@@ -1282,7 +1462,38 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
         skipSyncRef.current = false;
       }
     },
-    [applyCloudConfig]
+    [applyCloudConfig, mergeWithCloud]
+  );
+
+  // 本地加密密钥变更（启用、更换口令、关闭）后全量上传，使云端数据与本机加密状态一致；输入云端口令后重新拉取
+  useEffect(
+    () =>
+      useVaultStore.subscribe((state, prev) => {
+        const userId = userIdRef.current;
+        if (!userId) return;
+        if (state.keyVersion !== prev.keyVersion) {
+          syncUserConfigRef.current?.(userId, false, null, false);
+        } else if (state.cloudVersion !== prev.cloudVersion) {
+          fetchCloudConfig(userId);
+        }
+      }),
+    [fetchCloudConfig]
+  );
+
+  // 启用 / 停用自建同步（WebDAV、内置同步服务）后拉取对应账号的云端数据：启动时恢复设置等同刷新页面，直接以云端为准；用户新启用时与登录一样检查冲突
+  useEffect(
+    () =>
+      useSyncSettingsStore.subscribe((state, prev) => {
+        const accountId = selectSelfHostedAccountId(state);
+        if (accountId === selectSelfHostedAccountId(prev)) return;
+        const userId = accountId || useUserStore.getState().user?.id || null;
+        userIdRef.current = userId;
+        if (!userId) return;
+        skipSyncRef.current = true;
+        const isRestore = !prev.loaded;
+        fetchCloudConfig(userId, !isRestore, { refreshAfterApply: isRestore });
+      }),
+    [fetchCloudConfig]
   );
 
   // --- handleSyncLocalConfig ---
@@ -1301,6 +1512,10 @@ export function useSyncManager({ showToast, refreshAllRef, setTempSeconds, setFu
     fetchCloudConfig,
     applyCloudConfig,
     handleSyncLocalConfig,
+    compareCloudConfig,
+    restoreCloudSnapshot,
+    resolveSyncMerge,
+    cancelSyncMerge,
     triggerCustomSettingsSync,
     skipSyncRef,
     deviceConflictModalOpenRef,
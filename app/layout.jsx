@@ -1,3 +1,4 @@
+import { Suspense } from 'react';
 import { Toaster } from '@/components/ui/sonner';
 import './globals.css';
 import AnalyticsGate from './components/AnalyticsGate';
@@ -6,6 +7,7 @@ import PwaRegister from './components/PwaRegister';
 import ThemeColorSync from './components/ThemeColorSync';
 import ClientErrorBoundary from './components/ClientErrorBoundary';
 import GlobalClientErrorHandler from './components/GlobalClientErrorHandler';
+import VaultGate from './components/VaultGate';
 import { QueryClientProviderWrapper } from './providers/query-client-provider';
 import { TooltipProvider } from '@/components/ui/tooltip';
 import packageJson from '../package.json';
@@ -45,7 +47,9 @@ export default function RootLayout({ children }) {
         <QueryClientProviderWrapper>
           <TooltipProvider>
             <ClientErrorBoundary toastTitle="页面渲染异常" toastId="app-render-error" closeModals>
-              {children}
+              <Suspense>
+                <VaultGate>{children}</VaultGate>
+              </Suspense>
             </ClientErrorBoundary>
           </TooltipProvider>
         </QueryClientProviderWrapper>
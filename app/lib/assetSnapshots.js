@@ -0,0 +1,257 @@
+/**
+ * 每日资产快照（按账本分桶）：
+ * {
+ *   [scope]: Array<{
+ *     date: string, marketValue: number, cost: number, netInflow: number, backfilled?: boolean, provisional?: boolean
+ *   }>
+ * }
+ * - scope: 'all'（全局账本）或自定义分组 id
+ * - marketValue: 当日收盘后持仓市值（元），与汇总页资产口径一致
+ * - cost: 当日持仓成本金额（元）
+ * - netInflow: 当日净现金流（买入为正、卖出与现金分红为负），含补录的历史记录与校准交易
+ * - backfilled: 由每日收益与交易现金流倒推的记录，实时快照写入同日时被替换
+ * - provisional: 当日净值尚未全部公布时写入的临时快照（市值仍按上一交易日净值计算），不作为倒推锚点，
+ *   之后能由更晚的实时快照倒推到该日时被替换
+ */
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+import { aggregatePortfolioDailyEarnings } from './dailyEarnings';
+import { collectNetFlows } from './performance';
+import { isLedgerTx } from './corporateActions';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * 按日期汇总成本变动：买入计入成交金额，卖出按卖出记录的持仓成本价（costPrice，缺失时取所在账本当前的持仓单位成本）扣减，
+ * 现金分红扣减分红金额；
+ * 与 collectNetFlows 同样按 isLedgerTx 取交易流水（含补录记录与校准交易）
+ * @param {Record<string, object[]>} transactions - { [code]: 交易记录[] }
+ * @param {string} todayStr
+ * @param {string|null} txScope - 分组 ID，null 表示全局账本
+ * @param {(code: string) => number} getUnitCost - 该账本内基金当前的持仓单位成本
+ * @returns {Map<string, number>}
+ */
+export function collectCostFlows(transactions, todayStr, txScope, getUnitCost) {
+  const flows = new Map();
+  if (!isPlainObject(transactions)) return flows;
+  Object.entries(transactions).forEach(([code, list]) => {
+    if (!isArray(list)) return;
+    list.forEach((tx) => {
+      if (!isLedgerTx(tx) || tx.date > todayStr) return;
+      if (tx.type !== 'buy' && tx.type !== 'sell' && tx.type !== 'dividend_cash') return;
+      const gid = tx.groupId || null;
+      if (txScope ? gid !== txScope : gid) return;
+      let delta = 0;
+      if (tx.type === 'buy') {
+        const amount = Number(tx.amount);
+        delta = Number.isFinite(amount) && amount > 0 ? amount : (Number(tx.share) || 0) * (Number(tx.price) || 0);
+      } else if (tx.type === 'dividend_cash') {
+        delta = -(Number(tx.amount) || 0);
+      } else {
+        const unitCost = isNumber(tx.costPrice) ? tx.costPrice : Number(getUnitCost(code)) || 0;
+        delta = -(Number(tx.share) || 0) * unitCost;
+      }
+      if (Number.isFinite(delta) && delta !== 0) flows.set(tx.date, (flows.get(tx.date) ?? 0) + delta);
+    });
+  });
+  return flows;
+}
+
+/**
+ * 用实时快照作为锚点，按每日收益与现金流倒推缺失日期的资产快照
+ * 期末市值(前一日) = 期末市值(d) - 当日收益(d) - 当日净现金流(d)，成本同理扣减当日成本变动；
+ * 倒推市值不为正时视为建仓前，直到遇到更早的实时快照再继续；临时快照不作为锚点，仅在无法倒推到该日时保留
+ * @param {object} params
+ * @param {object[]} params.list - 该账本已有的快照
+ * @param {{ date: string, earnings: number }[]} params.dailySeries - 该账本每日收益（按日期升序）
+ * @param {Map<string, number>} params.netFlows - collectNetFlows 的结果
+ * @param {Map<string, number>} params.costFlows - collectCostFlows 的结果
+ * @param {string} params.todayStr
+ * @returns {object[]} 按日期升序
+ */
+export function rebuildAssetSnapshots({ list, dailySeries, netFlows, costFlows, todayStr }) {
+  const live = new Map();
+  const provisional = new Map();
+  (isArray(list) ? list : []).forEach((snap) => {
+    if (!snap || snap.backfilled || !isString(snap.date) || snap.date > todayStr) return;
+    if (!isNumber(snap.marketValue) || !Number.isFinite(snap.marketValue)) return;
+    (snap.provisional ? provisional : live).set(snap.date, snap);
+  });
+  const earningsByDate = new Map();
+  (isArray(dailySeries) ? dailySeries : []).forEach((row) => {
+    if (!row || !isString(row.date) || row.date > todayStr || !Number.isFinite(row.earnings)) return;
+    earningsByDate.set(row.date, (earningsByDate.get(row.date) ?? 0) + row.earnings);
+  });
+
+  const dates = [
+    ...new Set([...live.keys(), ...provisional.keys(), ...earningsByDate.keys(), ...netFlows.keys()])
+  ].sort((a, b) => b.localeCompare(a));
+  const out = [];
+  let value = null;
+  let cost = null;
+  for (const date of dates) {
+    const snap = live.get(date);
+    if (snap) {
+      value = snap.marketValue;
+      cost = Number(snap.cost) || 0;
+      out.push(snap);
+    } else if (value == null) {
+      if (provisional.has(date)) out.push(provisional.get(date));
+      continue;
+    } else {
+      out.push({
+        date,
+        marketValue: round2(value),
+        cost: round2(Math.max(0, cost)),
+        netInflow: round2(netFlows.get(date) ?? 0),
+        backfilled: true
+      });
+    }
+    value -= (earningsByDate.get(date) ?? 0) + (netFlows.get(date) ?? 0);
+    cost -= costFlows.get(date) ?? 0;
+    if (!(value > 0.005)) {
+      value = null;
+      cost = null;
+    }
+  }
+  return out.reverse();
+}
+
+/**
+ * 写入当日实时快照并重建各账本的倒推快照；账本内基金当日净值未全部公布时写为临时快照
+ * @param {object} prev - 当前 fundAssetSnapshots
+ * @param {object} params
+ * @param {Record<string, { marketValue: number, cost: number, navPublished?: boolean }>} params.totalsByScope
+ *   各账本当日市值、成本与当日净值是否已全部公布
+ * @param {string[]} params.scopes - 仍然有效的账本（'all' 与现存分组 id），其余账本的快照被清理
+ * @param {object} params.store - useStorageStore 的状态（holdings, groupHoldings, transactions, fundDailyEarnings）
+ * @param {string} params.todayStr
+ * @returns {object} 内容未变化时返回 prev
+ */
+export function recordAssetSnapshots(prev, { totalsByScope, scopes, store, todayStr }) {
+  const current = isPlainObject(prev) ? prev : {};
+  const next = {};
+  let changed = false;
+
+  scopes.forEach((scope) => {
+    const txScope = scope === DAILY_EARNINGS_SCOPE_ALL ? null : scope;
+    const bucket = txScope ? store.groupHoldings?.[txScope] : store.holdings;
+    const netFlows = collectNetFlows(store.transactions, todayStr, txScope);
+    let list = isArray(current[scope]) ? current[scope] : [];
+    const totals = totalsByScope[scope];
+    if (totals && totals.marketValue > 0) {
+      const snap = {
+        date: todayStr,
+        marketValue: round2(totals.marketValue),
+        cost: round2(totals.cost),
+        netInflow: round2(netFlows.get(todayStr) ?? 0)
+      };
+      if (totals.navPublished === false) snap.provisional = true;
+      list = [...list.filter((s) => s?.date !== todayStr), snap];
+    }
+    if (!list.some((s) => !s.backfilled)) {
+      if (current[scope]) changed = true;
+      return;
+    }
+
+    const scopeDaily = isPlainObject(store.fundDailyEarnings?.[scope]) ? store.fundDailyEarnings[scope] : {};
+    const rebuilt = rebuildAssetSnapshots({
+      list,
+      dailySeries: aggregatePortfolioDailyEarnings(scopeDaily),
+      netFlows,
+      costFlows: collectCostFlows(store.transactions, todayStr, txScope, (code) => bucket?.[code]?.cost),
+      todayStr
+    });
+    next[scope] = rebuilt;
+    if (JSON.stringify(rebuilt) !== JSON.stringify(current[scope] || [])) changed = true;
+  });
+  if (Object.keys(current).some((scope) => !scopes.includes(scope))) changed = true;
+  return changed ? next : prev;
+}
+
+/**
+ * 合并多个账本的快照为组合快照：某账本在某日无快照时沿用其最近一次快照，最后一条快照之后不再计入；
+ * 账本首次出现与清仓退出分别按市值计入净现金流
+ * @param {object} snapshotsByScope - fundAssetSnapshots
+ * @param {string[]} [scopes] - 参与合并的账本，默认全部
+ * @returns {{ date: string, marketValue: number, cost: number, netInflow: number }[]} 按日期升序
+ */
+export function mergeScopeSnapshots(snapshotsByScope, scopes) {
+  if (!isPlainObject(snapshotsByScope)) return [];
+  const lists = (scopes || Object.keys(snapshotsByScope))
+    .map((scope) => snapshotsByScope[scope])
+    .filter((list) => isArray(list) && list.length > 0);
+  if (lists.length === 1) return lists[0];
+  const dates = [...new Set(lists.flatMap((list) => list.map((s) => s.date)))].sort();
+  const cursors = lists.map(() => ({ index: 0, last: null, exited: false }));
+  return dates.map((date) => {
+    let marketValue = 0;
+    let cost = 0;
+    let netInflow = 0;
+    lists.forEach((list, i) => {
+      const cursor = cursors[i];
+      const entering = cursor.last == null && list[0].date <= date;
+      while (cursor.index < list.length && list[cursor.index].date <= date) {
+        cursor.last = list[cursor.index];
+        cursor.index += 1;
+      }
+      if (!cursor.last) return;
+      // 账本最后一条快照之后视为已清仓，按市值转出计入现金流
+      if (cursor.index >= list.length && cursor.last.date < date) {
+        if (!cursor.exited) netInflow -= cursor.last.marketValue;
+        cursor.exited = true;
+        return;
+      }
+      marketValue += cursor.last.marketValue;
+      cost += cursor.last.cost || 0;
+      // 账本首次出现时整体视为转入，避免回撤计算把新账本当作收益
+      if (entering) netInflow += cursor.last.marketValue;
+      else if (cursor.last.date === date) netInflow += cursor.last.netInflow || 0;
+    });
+    return { date, marketValue: round2(marketValue), cost: round2(cost), netInflow: round2(netInflow) };
+  });
+}
+
+/**
+ * 资产曲线与回撤：回撤按剔除资金进出后的单位净值计算，避免赎回被误判为亏损
+ * 单位净值(d) = 单位净值(前一日) × (市值(d) - 净现金流(d)) / 市值(前一日)
+ * @param {object[]} snapshots - 按日期升序的快照
+ * @param {string|null} [startDate] - 区间起点（不含），null 表示全部
+ * @returns {{
+ *   points: { date: string, marketValue: number, cost: number, drawdown: number }[],
+ *   maxDrawdown: number,
+ *   maxDrawdownDate: string|null,
+ *   currentDrawdown: number
+ * }} 回撤为百分比数值（≤ 0）
+ */
+export function buildAssetCurve(snapshots, startDate = null) {
+  const list = (isArray(snapshots) ? snapshots : []).filter(
+    (s) => s && isString(s.date) && (!startDate || s.date > startDate) && Number.isFinite(s.marketValue)
+  );
+  const points = [];
+  let unit = 1;
+  let peak = 1;
+  let prevValue = null;
+  let maxDrawdown = 0;
+  let maxDrawdownDate = null;
+  list.forEach((s) => {
+    if (prevValue != null && prevValue > 0) {
+      const growth = (s.marketValue - (s.netInflow || 0)) / prevValue;
+      if (Number.isFinite(growth) && growth > 0) unit *= growth;
+    }
+    prevValue = s.marketValue;
+    peak = Math.max(peak, unit);
+    const drawdown = (unit / peak - 1) * 100;
+    if (drawdown < maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownDate = s.date;
+    }
+    points.push({ date: s.date, marketValue: s.marketValue, cost: s.cost || 0, drawdown });
+  });
+  return {
+    points,
+    maxDrawdown,
+    maxDrawdownDate,
+    currentDrawdown: points.length ? points[points.length - 1].drawdown : 0
+  };
+}
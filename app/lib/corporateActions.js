@@ -0,0 +1,203 @@
+/**
+ * 分红与份额折算入账：除息日 / 折算日之后按持仓的分红方式生成交易记录，并同步调整持仓份额与成本
+ * - dividend_reinvest：红利再投资，份额增加、成本总额不变（单位成本被摊薄）
+ * - dividend_cash：现金分红，份额不变、成本总额扣减分红金额（不低于 0）
+ * - split：份额拆分 / 折算，份额按比例增加、成本总额不变
+ * 权益份额按除息日之前的持仓计算：除息日及之后的交易不参与分配
+ * 用户撤销的记录保留并标记 undone，撤销时恢复持仓，之后不再重复生成
+ */
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+
+export const CORPORATE_ACTION_TYPES = ['dividend_reinvest', 'dividend_cash', 'split'];
+
+/** 交易记录类型的展示名称 */
+export const TRANSACTION_TYPE_LABELS = {
+  buy: '买入',
+  sell: '卖出',
+  dividend_reinvest: '红利再投资',
+  dividend_cash: '现金分红',
+  split: '份额折算'
+};
+
+const SHARE_EPSILON = 1e-6;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * @param {object} tx
+ * @returns {boolean} 是否为分红 / 折算记录
+ */
+export const isCorporateAction = (tx) => !!tx && CORPORATE_ACTION_TYPES.includes(tx.type);
+
+/**
+ * 是否参与账本重放：未撤销的买入、卖出（含补录的历史记录与校准交易）及分红 / 折算记录；
+ * 对账、XIRR、业绩与资产曲线等按交易流水推算的模块均以此为准，账本范围由调用方另行筛选
+ * @param {object} tx
+ * @returns {boolean}
+ */
+export const isLedgerTx = (tx) =>
+  !!tx && isString(tx.date) && !tx.undone && (tx.type === 'buy' || tx.type === 'sell' || isCorporateAction(tx));
+
+/**
+ * 录入时未改变持仓的记录：补录的历史记录与持仓对账的校准交易。由当前持仓回推某日份额时不计入
+ * @param {object} tx
+ * @returns {boolean}
+ */
+export const isRecordOnlyTx = (tx) => !!tx && (!!tx.isHistoryOnly || !!tx.isAdjustment);
+
+/**
+ * 交易记录对持仓份额的影响：买入、红利再投资与份额折算为正，卖出为负，现金分红与已撤销的记录为 0
+ * @param {object} tx
+ * @returns {number}
+ */
+export function getTxShareDelta(tx) {
+  if (!tx || tx.undone) return 0;
+  const share = Number(tx.share) || 0;
+  if (tx.type === 'buy' || tx.type === 'dividend_reinvest' || tx.type === 'split') return share;
+  if (tx.type === 'sell') return -share;
+  return 0;
+}
+
+/**
+ * 将分红 / 折算记录作用到持仓
+ * @param {object} holding
+ * @param {object} tx
+ * @param {1|-1} [direction=1] - -1 表示撤销
+ * @returns {object} 新的持仓
+ */
+export function applyCorporateAction(holding, tx, direction = 1) {
+  const share = Number(holding?.share) || 0;
+  const costAmount = (Number(holding?.cost) || 0) * share;
+  let nextShare = share;
+  let nextCostAmount = costAmount;
+  if (tx.type === 'dividend_cash') {
+    nextCostAmount = Math.max(0, costAmount - direction * (Number(tx.amount) || 0));
+  } else {
+    nextShare = Math.max(0, share + direction * (Number(tx.share) || 0));
+  }
+  nextShare = round2(nextShare);
+  return {
+    ...holding,
+    share: nextShare,
+    cost: nextShare > 0 ? Number((nextCostAmount / nextShare).toFixed(4)) : 0
+  };
+}
+
+/**
+ * 为单个账本内的单只基金生成尚未入账的分红与折算记录，并按日期顺序作用到持仓
+ * @param {object} params
+ * @param {object} params.holding - 该账本内的持仓
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {string|null} params.txScope - 分组 ID，null 表示全局账本
+ * @param {{ date: string, dividend: number, nav: number }[]} [params.dividends]
+ * @param {{ date: string, ratio: number, nav: number }[]} [params.splits]
+ * @param {string} params.todayStr
+ * @returns {{ holding: object, records: object[] }} records 不含 id / timestamp
+ */
+export function planCorporateActions({ holding, transactions, txScope, dividends, splits, todayStr }) {
+  const list = isArray(transactions) ? transactions : [];
+  const scopedTxs = list.filter((tx) => {
+    if (!tx || !isString(tx.date)) return false;
+    const gid = tx.groupId || null;
+    return txScope ? gid === txScope : !gid;
+  });
+  let openDate = isString(holding?.firstPurchaseDate) ? holding.firstPurchaseDate : null;
+  scopedTxs.forEach((tx) => {
+    if (tx.type === 'buy' && !tx.undone && (!openDate || tx.date < openDate)) openDate = tx.date;
+  });
+  if (!openDate) return { holding, records: [] };
+
+  // 已入账（含已撤销）的记录按「类别 + 日期」去重；分红方式变更后不重复生成
+  const recorded = new Set(
+    scopedTxs.filter(isCorporateAction).map((tx) => `${tx.type === 'split' ? 'split' : 'dividend'}|${tx.date}`)
+  );
+  const events = [];
+  (isArray(dividends) ? dividends : []).forEach((div) => {
+    const perShare = Number(div?.dividend);
+    if (!Number.isFinite(perShare) || perShare <= 0) return;
+    events.push({ kind: 'dividend', date: div.date, perShare, nav: Number(div.nav) });
+  });
+  (isArray(splits) ? splits : []).forEach((split) => {
+    const ratio = Number(split?.ratio);
+    if (!Number.isFinite(ratio) || ratio <= 0 || ratio === 1) return;
+    events.push({ kind: 'split', date: split.date, ratio, nav: Number(split.nav) });
+  });
+  const pending = events
+    .filter((e) => isString(e.date) && e.date > openDate && e.date <= todayStr && !recorded.has(`${e.kind}|${e.date}`))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let nextHolding = holding;
+  const records = [];
+  pending.forEach((event) => {
+    // 除息日之前的持仓：当前份额扣除除息日及之后（含本次新生成）的份额变动；补录与校准记录未改变持仓，不扣除
+    let baseShare = Number(nextHolding.share) || 0;
+    [...scopedTxs, ...records].forEach((tx) => {
+      if (tx.date >= event.date && !isRecordOnlyTx(tx)) baseShare -= getTxShareDelta(tx);
+    });
+    baseShare = round2(baseShare);
+    if (baseShare <= SHARE_EPSILON) return;
+
+    const nav = Number.isFinite(event.nav) && event.nav > 0 ? event.nav : null;
+    const groupField = txScope ? { groupId: txScope } : {};
+    let record = null;
+    if (event.kind === 'split') {
+      const share = round2(baseShare * (event.ratio - 1));
+      if (Math.abs(share) < 0.01) return;
+      record = { type: 'split', date: event.date, share, ratio: event.ratio, price: nav, baseShare, ...groupField };
+    } else {
+      const amount = round2(baseShare * event.perShare);
+      if (amount <= 0) return;
+      if (nextHolding.dividendMethod === 'cash') {
+        record = { type: 'dividend_cash', date: event.date, amount, dividendPerShare: event.perShare, baseShare };
+      } else {
+        if (!nav) return;
+        record = {
+          type: 'dividend_reinvest',
+          date: event.date,
+          share: round2(amount / nav),
+          amount,
+          price: nav,
+          dividendPerShare: event.perShare,
+          baseShare
+        };
+      }
+      Object.assign(record, groupField);
+    }
+    records.push(record);
+    nextHolding = applyCorporateAction(nextHolding, record);
+  });
+  return { holding: nextHolding, records };
+}
+
+/**
+ * 遍历全局与各分组账本，收集待入账的分红与折算
+ * @param {object} store - useStorageStore 的状态（holdings, groupHoldings, transactions, fundDividends）
+ * @param {string} todayStr
+ * @returns {{ scope: string, code: string, holding: object, records: object[] }[]} 仅包含有新记录的持仓
+ */
+export function collectCorporateActions(store, todayStr) {
+  const scopes = [[DAILY_EARNINGS_SCOPE_ALL, store.holdings]];
+  Object.entries(isPlainObject(store.groupHoldings) ? store.groupHoldings : {}).forEach(([gid, bucket]) => {
+    scopes.push([gid, bucket]);
+  });
+  const results = [];
+  scopes.forEach(([scope, bucket]) => {
+    if (!isPlainObject(bucket)) return;
+    Object.entries(bucket).forEach(([code, holding]) => {
+      if (!isPlainObject(holding) || !isNumber(holding.share) || holding.share <= 0) return;
+      const cached = store.fundDividends?.[code];
+      if (!cached) return;
+      const planned = planCorporateActions({
+        holding,
+        transactions: store.transactions?.[code],
+        txScope: scope === DAILY_EARNINGS_SCOPE_ALL ? null : scope,
+        dividends: cached.list,
+        splits: cached.splits,
+        todayStr
+      });
+      if (planned.records.length) results.push({ scope, code, ...planned });
+    });
+  });
+  return results;
+}
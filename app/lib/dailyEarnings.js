@@ -2,7 +2,7 @@
  * 每日收益数据管理（按作用域分桶）：
  * {
  *   [scope]: {
- *     [code]: Array<{ date: string, earnings: number, rate?: number|null, baseCostAmount?: number|null }>
+ *     [code]: Array<{ date: string, earnings: number, rate?: number|null, baseCostAmount?: number|null, backfilled?: boolean }>
  *   }
  * }
  * - scope: 'all'（全局）或自定义分组 id
@@ -10,6 +10,7 @@
  * - earnings: 当日收益（元）
  * - rate: 当日收益率（百分比数值，如 1.23 表示 +1.23%），基于用户成本价计算，即 (当日收益 / 成本金额) × 100
  * - baseCostAmount: 当日成本快照金额（元），用于冻结当日收益率分母
+ * - backfilled: 由历史净值补齐的记录（见 earningsBackfill），实时记录写入同日时被替换
  */
 import { isArray, isNumber, isObject, isPlainObject, isString } from 'lodash';
 import { storageStore } from '@/app/stores';
@@ -28,7 +29,9 @@ function normalizeItem(item) {
   const normalizedRate = isNumber(rate) && Number.isFinite(rate) ? rate : null;
   const normalizedBaseCostAmount =
     isNumber(baseCostAmount) && Number.isFinite(baseCostAmount) && baseCostAmount > 0 ? baseCostAmount : null;
-  return { date, earnings, rate: normalizedRate, baseCostAmount: normalizedBaseCostAmount };
+  const normalized = { date, earnings, rate: normalizedRate, baseCostAmount: normalizedBaseCostAmount };
+  if (item.backfilled === true) normalized.backfilled = true;
+  return normalized;
 }
 
 function getStored() {
@@ -0,0 +1,208 @@
+/**
+ * 第三方行情数据录制 / 回放
+ * 通过环境变量 NEXT_PUBLIC_DATA_REPLAY_MODE 选择模式：
+ * - 未配置：直接请求线上接口（默认）
+ * - record：正常请求线上接口，同时把每个原始响应记录到内存中的夹具包，控制台执行 window.__RTF_DATA_REPLAY__.download() 导出
+ * - replay：不再访问第三方接口，从 NEXT_PUBLIC_DATA_REPLAY_FIXTURE 指向的夹具包读取响应（缺失时报错），
+ *   并把应用时钟拨到夹具的录制时刻（recordedAt），交易日、净值是否更新等判断与录制时一致
+ *
+ * 录制的是 JSONP / script 注入得到的原始载荷（如 jsonpgz 参数、window.apidata、腾讯 v_* 字符串），
+ * 解析逻辑在回放时照常执行，因此可以复现某个交易日的估值异常。
+ */
+import { cloneDeep, isFunction, isPlainObject } from 'lodash';
+
+/** 夹具包格式版本 */
+export const DATA_REPLAY_BUNDLE_VERSION = 1;
+
+/** 未配置 NEXT_PUBLIC_DATA_REPLAY_FIXTURE 时的默认夹具地址（放在 public 目录下） */
+const DEFAULT_FIXTURE_URL = '/replay/fixture.json';
+
+/** 仅用于防缓存 / JSONP 回调的参数，生成录制键时去掉 */
+const VOLATILE_PARAMS = ['_', '_t', 'rt', 'v', 'callback', 'cb', 'deviceid'];
+
+/** 控制台调试入口 */
+const WINDOW_KEY = '__RTF_DATA_REPLAY__';
+
+/**
+ * 当前模式
+ * @returns {'live'|'record'|'replay'}
+ */
+export function getDataReplayMode() {
+  const mode = String(process.env.NEXT_PUBLIC_DATA_REPLAY_MODE || '')
+    .trim()
+    .toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'live';
+}
+
+/**
+ * 生成录制键：去掉防缓存参数与回调名，其余参数（含日期）原样保留。
+ * 回放时应用时钟已拨到录制时刻，按「今天」推算的日期与录制时一致
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeReplayKey(url) {
+  const raw = String(url || '');
+  try {
+    const parsed = new URL(raw);
+    VOLATILE_PARAMS.forEach((p) => parsed.searchParams.delete(p));
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch (e) {
+    return raw;
+  }
+}
+
+const createEmptyBundle = () => ({
+  version: DATA_REPLAY_BUNDLE_VERSION,
+  recordedAt: new Date().toISOString(),
+  entries: {}
+});
+
+let recordingBundle = null;
+let fixturePromise = null;
+
+const getRecordingBundle = () => {
+  if (!recordingBundle) {
+    recordingBundle = createEmptyBundle();
+    installWindowApi();
+  }
+  return recordingBundle;
+};
+
+const getFixtureUrl = () => process.env.NEXT_PUBLIC_DATA_REPLAY_FIXTURE || DEFAULT_FIXTURE_URL;
+
+/**
+ * 把全局 Date 拨到录制时刻：Date.now() 与无参 new Date()（dayjs()、nowInTz() 均基于此）从 recordedAt 起继续走时，
+ * 带参数构造的日期不受影响
+ * @param {string} recordedAt - ISO 时间
+ */
+function installReplayClock(recordedAt) {
+  const target = Date.parse(recordedAt);
+  if (!Number.isFinite(target) || typeof window === 'undefined' || Date.isReplayClock) return;
+  const RealDate = Date;
+  const offset = target - RealDate.now();
+  class ReplayDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [RealDate.now() + offset]));
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+
+    // 拨时钟之前创建的 Date 仍视为 Date
+    static [Symbol.hasInstance](value) {
+      return value instanceof RealDate;
+    }
+  }
+  ReplayDate.isReplayClock = true;
+  window.Date = ReplayDate;
+}
+
+const acceptFixtureBundle = (bundle) => {
+  if (!isPlainObject(bundle) || !isPlainObject(bundle.entries)) throw new Error('回放夹具格式无效');
+  if (bundle.version !== DATA_REPLAY_BUNDLE_VERSION) {
+    throw new Error(`回放夹具版本不兼容：${bundle.version}`);
+  }
+  installReplayClock(bundle.recordedAt);
+  installWindowApi(bundle);
+  return bundle;
+};
+
+const loadFixtureBundle = () => {
+  if (fixturePromise) return fixturePromise;
+  fixturePromise = fetch(getFixtureUrl(), { cache: 'no-store' })
+    .then((res) => {
+      if (!res.ok) throw new Error(`回放夹具加载失败：HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(acceptFixtureBundle)
+    .catch((e) => {
+      // 允许修正夹具后重试
+      fixturePromise = null;
+      throw e;
+    });
+  return fixturePromise;
+};
+
+/** 导出当前录制的夹具包（浏览器下载 JSON 文件） */
+function downloadRecording() {
+  if (typeof document === 'undefined') return;
+  const bundle = getRecordingBundle();
+  const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = `rtf-replay-${bundle.recordedAt.replace(/[:.]/g, '-')}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+}
+
+function installWindowApi(replayBundle) {
+  if (typeof window === 'undefined') return;
+  window[WINDOW_KEY] = {
+    mode: getDataReplayMode(),
+    getBundle: () => replayBundle || recordingBundle,
+    download: downloadRecording,
+    clear: () => {
+      recordingBundle = createEmptyBundle();
+    }
+  };
+}
+
+/**
+ * 按当前模式执行一次第三方请求
+ * @template T
+ * @param {string} channel - 数据通道，如 fundgz、sina_estimate、eastmoney_apidata、tencent_quote
+ * @param {string} url - 请求地址（用于生成录制键）
+ * @param {() => Promise<T>} liveFn - 实际发起请求并返回原始载荷
+ * @param {{ shouldRecord?: (result: T) => boolean }} [options] - 返回 false 的结果（如失败占位）不写入夹具
+ * @returns {Promise<T>}
+ */
+export async function withDataReplay(channel, url, liveFn, options = {}) {
+  const mode = getDataReplayMode();
+  if (mode === 'live') return liveFn();
+
+  const key = normalizeReplayKey(url);
+
+  if (mode === 'replay') {
+    const bundle = await loadFixtureBundle();
+    const bucket = bundle.entries[channel];
+    if (!bucket || !Object.prototype.hasOwnProperty.call(bucket, key)) {
+      throw new Error(`回放夹具缺少响应：${channel} ${key}`);
+    }
+    return cloneDeep(bucket[key]);
+  }
+
+  const result = await liveFn();
+  const { shouldRecord } = options;
+  if (result !== undefined && (!isFunction(shouldRecord) || shouldRecord(result))) {
+    const bundle = getRecordingBundle();
+    if (!bundle.entries[channel]) bundle.entries[channel] = {};
+    bundle.entries[channel][key] = cloneDeep(result);
+  }
+  return result;
+}
+
+/**
+ * 回放模式下在模块加载时同步读取夹具包，使应用在首次计算日期前就已拨好时钟；
+ * 失败时由首次回放请求经 fetch 重新加载并报错
+ */
+function preloadFixtureBundle() {
+  if (typeof window === 'undefined' || typeof XMLHttpRequest === 'undefined') return;
+  try {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', getFixtureUrl(), false);
+    xhr.send();
+    if (xhr.status < 200 || xhr.status >= 300) throw new Error(`回放夹具加载失败：HTTP ${xhr.status}`);
+    fixturePromise = Promise.resolve(acceptFixtureBundle(JSON.parse(xhr.responseText)));
+  } catch (e) {
+    console.error('[dataReplay]', e);
+  }
+}
+
+// 录制模式下尽早挂载控制台入口，便于在首次请求前确认模式；回放模式下尽早拨好时钟
+if (getDataReplayMode() === 'record') getRecordingBundle();
+if (getDataReplayMode() === 'replay') preloadFixtureBundle();
@@ -0,0 +1,202 @@
+/**
+ * 每日收益补齐：recordDailyEarnings 只在净值公布后打开应用时写入当日收益，
+ * 未打开应用的交易日会在 fundDailyEarnings 中留下缺口。这里按账本找出缺失的交易日，
+ * 由交易流水回推当日份额、用历史净值重算收益，写入的记录带 backfilled 标记：
+ * - 只填补缺口，不覆盖实时记录；刷新时实时写入同日记录会替换掉补齐记录
+ * - 区间为 (首次持有日, 最后一条已记录日期)，最后一条之后的日期由刷新流程补齐
+ * - 份额口径与刷新流程一致：当日及之后的交易不计入当日份额，补录的历史记录与校准交易不参与回推
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+import { isTradingDay } from './tradingCalendar';
+import { getTxShareDelta, isRecordOnlyTx } from './corporateActions';
+
+/** 最多回溯的年数，避免首次补齐时拉取过长的净值区间 */
+export const EARNINGS_BACKFILL_MAX_YEARS = 3;
+
+const isValidDateStr = (s) => isString(s) && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+/**
+ * @typedef {object} BackfillTarget
+ * @property {string} scope - 'all' 或分组 ID
+ * @property {string} code
+ * @property {object} holding - 该账本内的持仓
+ * @property {string} startDate - 首次持有日期（不含）
+ * @property {string} endDate - 最后一条已记录日期（不含）
+ * @property {string[]} missingDates - 缺失的交易日，升序
+ * @property {boolean} isMoneyFund
+ */
+
+/**
+ * 找出 (startDate, endDate) 内未记录收益的交易日，调用前需已加载相关年份的节假日数据
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {Set<string>} recordedDates
+ * @returns {string[]}
+ */
+export function findMissingTradingDates(startDate, endDate, recordedDates) {
+  const result = [];
+  if (!isValidDateStr(startDate) || !isValidDateStr(endDate) || startDate >= endDate) return result;
+  const end = dayjs(endDate);
+  for (let d = dayjs(startDate).add(1, 'day'); d.isBefore(end, 'day'); d = d.add(1, 'day')) {
+    const dateStr = d.format('YYYY-MM-DD');
+    if (!recordedDates.has(dateStr) && isTradingDay(d)) result.push(dateStr);
+  }
+  return result;
+}
+
+/**
+ * 由当前持仓与交易流水回推某日的持有份额：当日及之后的交易不计入
+ * 红利再投资与份额折算同样代表已发生的份额变动（当前持仓已包含），回推时一并扣除；
+ * 补录的历史记录与校准交易录入时未改变持仓，与刷新流程（getEffectiveShare）一致不参与回推
+ * @param {object} params
+ * @param {object} params.holding
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {string} params.scope
+ * @param {string} params.date
+ * @returns {number}
+ */
+export function getShareAtDate({ holding, transactions, scope, date }) {
+  let share = Number(holding?.share) || 0;
+  (isArray(transactions) ? transactions : []).forEach((tx) => {
+    if (!tx || !isValidDateStr(tx.date) || tx.date < date || isRecordOnlyTx(tx)) return;
+    const gid = tx.groupId || null;
+    if (scope === DAILY_EARNINGS_SCOPE_ALL ? gid : gid !== scope) return;
+    share -= getTxShareDelta(tx);
+  });
+  return Math.max(0, share);
+}
+
+/**
+ * 收集需要补齐的账本与基金：当前有持仓、已有至少一条收益记录、且存在缺失交易日
+ * @param {object} store - useStorageStore 的状态（funds, holdings, groupHoldings, transactions, fundDailyEarnings）
+ * @param {string} todayStr
+ * @returns {BackfillTarget[]}
+ */
+export function collectBackfillTargets(store, todayStr) {
+  const moneyFundCodes = new Set(
+    (isArray(store.funds) ? store.funds : []).filter((f) => f?.isMoneyFund).map((f) => f.code)
+  );
+  const earliestAllowed = dayjs(todayStr).subtract(EARNINGS_BACKFILL_MAX_YEARS, 'year').format('YYYY-MM-DD');
+  const scopes = [[DAILY_EARNINGS_SCOPE_ALL, store.holdings]];
+  Object.entries(isPlainObject(store.groupHoldings) ? store.groupHoldings : {}).forEach(([gid, bucket]) => {
+    scopes.push([gid, bucket]);
+  });
+
+  const targets = [];
+  scopes.forEach(([scope, bucket]) => {
+    if (!isPlainObject(bucket)) return;
+    Object.entries(bucket).forEach(([code, holding]) => {
+      if (!isPlainObject(holding) || !isNumber(holding.share) || holding.share <= 0) return;
+      const list = store.fundDailyEarnings?.[scope]?.[code];
+      if (!isArray(list) || list.length === 0) return;
+      const recordedDates = new Set(list.map((item) => item?.date).filter(isValidDateStr));
+      const endDate = [...recordedDates].sort().pop();
+      if (!endDate) return;
+
+      let startDate = isValidDateStr(holding.firstPurchaseDate) ? holding.firstPurchaseDate : null;
+      (store.transactions?.[code] || []).forEach((tx) => {
+        if (!tx || tx.type !== 'buy' || !isValidDateStr(tx.date)) return;
+        const gid = tx.groupId || null;
+        if (scope === DAILY_EARNINGS_SCOPE_ALL ? gid : gid !== scope) return;
+        if (!startDate || tx.date < startDate) startDate = tx.date;
+      });
+      if (!startDate) return;
+      if (startDate < earliestAllowed) startDate = earliestAllowed;
+
+      const missingDates = findMissingTradingDates(startDate, endDate, recordedDates);
+      if (missingDates.length === 0) return;
+      targets.push({ scope, code, holding, startDate, endDate, missingDates, isMoneyFund: moneyFundCodes.has(code) });
+    });
+  });
+  return targets;
+}
+
+/**
+ * 用历史净值计算缺失交易日的收益记录
+ * - 普通基金：(当日净值 - 上一交易日净值 + 当日每份派现) × 份额，派现日净值下跌不计为亏损；
+ *   份额折算日按折算前份额计，当日净值乘以折算比例
+ * - 货币基金：份额 × 每万份收益 / 10000
+ * @param {object} params
+ * @param {BackfillTarget} params.target
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {{ date: string, nav: number, dividend?: number|null, split?: number|null, incomePer10k?: number }[]} params.navRows - 按日期升序
+ * @returns {{ date: string, earnings: number, rate: number|null, baseCostAmount: number|null, backfilled: true }[]}
+ */
+export function buildBackfillEntries({ target, transactions, navRows }) {
+  const rows = isArray(navRows) ? navRows : [];
+  const indexByDate = new Map(rows.map((r, i) => [r.date, i]));
+  const unitCost = Number(target.holding?.cost);
+  const entries = [];
+
+  target.missingDates.forEach((date) => {
+    const idx = indexByDate.get(date);
+    if (idx == null) return;
+    const row = rows[idx];
+    const share = getShareAtDate({ holding: target.holding, transactions, scope: target.scope, date });
+    if (share <= 0) return;
+
+    let earnings = null;
+    if (target.isMoneyFund) {
+      const incomePer10k = Number(row.incomePer10k);
+      if (Number.isFinite(incomePer10k)) earnings = (share * incomePer10k) / 10000;
+    } else if (idx > 0) {
+      const nav = Number(row.nav);
+      const prevNav = Number(rows[idx - 1].nav);
+      const dividend = Number(row.dividend) || 0;
+      const ratio = Number(row.split) > 0 ? Number(row.split) : 1;
+      if (nav > 0 && prevNav > 0) earnings = (nav * ratio - prevNav + dividend) * share;
+    }
+    if (!Number.isFinite(earnings)) return;
+
+    const baseCostAmount = Number.isFinite(unitCost) && unitCost > 0 ? unitCost * share : null;
+    entries.push({
+      date,
+      earnings,
+      rate: baseCostAmount ? (earnings / baseCostAmount) * 100 : null,
+      baseCostAmount,
+      backfilled: true
+    });
+  });
+  return entries;
+}
+
+/**
+ * 移除所有补齐记录，保留实时记录（用于手动重建收益历史）
+ * @param {object} fundDailyEarnings - { [scope]: { [code]: Array } }
+ * @returns {object}
+ */
+export function stripBackfilledEarnings(fundDailyEarnings) {
+  if (!isPlainObject(fundDailyEarnings)) return {};
+  const next = {};
+  Object.entries(fundDailyEarnings).forEach(([scope, bucket]) => {
+    if (!isPlainObject(bucket)) return;
+    next[scope] = {};
+    Object.entries(bucket).forEach(([code, list]) => {
+      next[scope][code] = isArray(list) ? list.filter((item) => !item?.backfilled) : list;
+    });
+  });
+  return next;
+}
+
+/**
+ * 将补齐记录合并进收益数据：同日已有记录时保留原记录
+ * @param {object} fundDailyEarnings
+ * @param {{ scope: string, code: string, entries: object[] }[]} results
+ * @returns {object}
+ */
+export function mergeBackfilledEarnings(fundDailyEarnings, results) {
+  const next = isPlainObject(fundDailyEarnings) ? { ...fundDailyEarnings } : {};
+  results.forEach(({ scope, code, entries }) => {
+    if (!entries.length) return;
+    const bucket = isPlainObject(next[scope]) ? { ...next[scope] } : {};
+    const list = isArray(bucket[code]) ? bucket[code] : [];
+    const recorded = new Set(list.map((item) => item?.date));
+    const added = entries.filter((item) => !recorded.has(item.date));
+    if (!added.length) return;
+    bucket[code] = [...list, ...added].sort((a, b) => a.date.localeCompare(b.date));
+    next[scope] = bucket;
+  });
+  return next;
+}
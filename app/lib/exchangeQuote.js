@@ -0,0 +1,56 @@
+/**
+ * 场内 ETF / LOF：交易代码识别与溢价率计算
+ */
+import { isNumber, isString } from 'lodash';
+
+/** 溢价 / 折价率绝对值达到该百分比时高亮提醒 */
+export const PREMIUM_ALERT_THRESHOLD = 3;
+
+/**
+ * 根据基金代码推断场内交易代码（腾讯行情格式）
+ * 深市：159 开头 ETF、16 开头 LOF；沪市：50/51/52/56/58 开头 ETF、LOF
+ * 场外份额代码与场内不同的基金（如 ETF 联接）返回 null
+ * @param {string} code - 基金代码
+ * @returns {string|null} 如 'sz159915'、'sh510300'
+ */
+export function getExchangeSymbol(code) {
+  const c = String(code || '').trim();
+  if (!/^\d{6}$/.test(c)) return null;
+  if (c.startsWith('159') || c.startsWith('16')) return `sz${c}`;
+  if (/^5[01268]/.test(c)) return `sh${c}`;
+  return null;
+}
+
+/**
+ * 溢价率参照的净值：盘中有当日估值时用估算净值，否则用最新单位净值
+ * @param {object} fund
+ * @param {string} todayStr - 'YYYY-MM-DD'
+ * @returns {number|null}
+ */
+function getReferenceNav(fund, todayStr) {
+  const hasTodayValuation =
+    !fund.noValuation && isString(fund.gztime) && fund.gztime.startsWith(todayStr) && isNumber(fund.gsz);
+  const nav = hasTodayValuation ? fund.gsz : Number(fund.dwjz);
+  return Number.isFinite(nav) && nav > 0 ? nav : null;
+}
+
+/**
+ * 场内价格相对净值的溢价率
+ * @param {object} fund - 含 exchangePrice 的基金对象
+ * @param {string} todayStr - 'YYYY-MM-DD'
+ * @returns {number|null} 百分比数值，正数为溢价、负数为折价
+ */
+export function computePremiumRate(fund, todayStr) {
+  if (!fund || fund.isMoneyFund || !isNumber(fund.exchangePrice) || fund.exchangePrice <= 0) return null;
+  const nav = getReferenceNav(fund, todayStr);
+  if (nav == null) return null;
+  return (fund.exchangePrice / nav - 1) * 100;
+}
+
+/**
+ * @param {number|null} premiumRate
+ * @returns {boolean}
+ */
+export function isPremiumAlert(premiumRate) {
+  return Number.isFinite(premiumRate) && Math.abs(premiumRate) >= PREMIUM_ALERT_THRESHOLD;
+}
@@ -0,0 +1,56 @@
+/**
+ * 被动指数基金跟踪误差：比较基金实际日涨幅与「指数日涨幅 × 跟踪仓位」的偏离
+ */
+import { isArray } from 'lodash';
+
+/** 年化交易日数 */
+const TRADING_DAYS_PER_YEAR = 250;
+
+/**
+ * 按日期对齐基金与指数的日涨跌幅并计算跟踪误差
+ * @param {{ date: string, equityReturn: number|null }[]} fundHistory - fetchFundHistory 结果
+ * @param {{ date: string, pct: number|null }[]} indexHistory - fetchIndexDailyHistory 结果
+ * @param {number} trackingRatio - 跟踪仓位百分比，如 95
+ * @returns {{
+ *   days: number,
+ *   trackingError: number|null,
+ *   meanAbsDeviation: number|null,
+ *   fundReturn: number|null,
+ *   estimateReturn: number|null,
+ *   points: { date: string, fund: number, estimate: number, diff: number }[]
+ * }} 百分比数值：trackingError 为年化跟踪误差，meanAbsDeviation 为日均绝对偏离，两个 Return 为区间累计涨幅
+ */
+export function computeTrackingError(fundHistory, indexHistory, trackingRatio) {
+  const ratio = Number(trackingRatio) / 100;
+  const indexPctByDate = new Map();
+  (isArray(indexHistory) ? indexHistory : []).forEach((row) => {
+    if (row?.date && Number.isFinite(row.pct)) indexPctByDate.set(row.date, row.pct);
+  });
+
+  const points = [];
+  (isArray(fundHistory) ? fundHistory : []).forEach((row) => {
+    const fund = row?.equityReturn != null ? Number(row.equityReturn) : Number.NaN;
+    const indexPct = indexPctByDate.get(row?.date);
+    if (!Number.isFinite(fund) || indexPct == null || !Number.isFinite(ratio)) return;
+    const estimate = indexPct * ratio;
+    points.push({ date: row.date, fund, estimate, diff: fund - estimate });
+  });
+
+  const days = points.length;
+  if (days < 2) {
+    return { days, trackingError: null, meanAbsDeviation: null, fundReturn: null, estimateReturn: null, points };
+  }
+
+  const meanDiff = points.reduce((sum, p) => sum + p.diff, 0) / days;
+  const variance = points.reduce((sum, p) => sum + (p.diff - meanDiff) ** 2, 0) / (days - 1);
+  const compound = (key) => (points.reduce((acc, p) => acc * (1 + p[key] / 100), 1) - 1) * 100;
+
+  return {
+    days,
+    trackingError: Math.sqrt(variance) * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    meanAbsDeviation: points.reduce((sum, p) => sum + Math.abs(p.diff), 0) / days,
+    fundReturn: compound('fund'),
+    estimateReturn: compound('estimate'),
+    points
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * 组合业绩：由每日收益与交易现金流倒推每日市值，计算时间加权收益率（TWR）并与指数基准对比
+ * 约定：买入 / 卖出按当日收盘净值成交，现金流视为发生在当日收盘后，不参与当日收益
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { getTxAmount } from './xirr';
+import { isLedgerTx } from './corporateActions';
+
+/** 业绩对比的统计区间 */
+export const PERFORMANCE_WINDOWS = [
+  { id: '1m', label: '近1月' },
+  { id: '3m', label: '近3月' },
+  { id: 'ytd', label: '今年' },
+  { id: '1y', label: '近1年' },
+  { id: 'all', label: '成立以来' }
+];
+
+/** 默认业绩比较基准：沪深300 */
+export const DEFAULT_BENCHMARK_CODE = 'sh000300';
+
+/**
+ * 区间起点（不含当日收益）；'all' 返回 null，由首个收益日推算
+ * @param {string} windowId
+ * @param {string} todayStr - 'YYYY-MM-DD'
+ * @returns {string|null}
+ */
+export function getWindowStart(windowId, todayStr) {
+  const today = dayjs(todayStr);
+  switch (windowId) {
+    case '1m':
+      return today.subtract(1, 'month').format('YYYY-MM-DD');
+    case '3m':
+      return today.subtract(3, 'month').format('YYYY-MM-DD');
+    case 'ytd':
+      return today.startOf('year').subtract(1, 'day').format('YYYY-MM-DD');
+    case '1y':
+      return today.subtract(1, 'year').format('YYYY-MM-DD');
+    default:
+      return null;
+  }
+}
+
+/**
+ * 拉取指数日线所需的区间标识（与 fetchIndexDailyHistory 一致），需覆盖区间起点
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {string} todayStr
+ * @returns {'1m'|'3m'|'6m'|'1y'|'3y'|'all'}
+ */
+export function getIndexHistoryRange(startDate, todayStr) {
+  const today = dayjs(todayStr);
+  const start = dayjs(startDate);
+  if (!start.isBefore(today.subtract(1, 'month'))) return '1m';
+  if (!start.isBefore(today.subtract(3, 'month'))) return '3m';
+  if (!start.isBefore(today.subtract(6, 'month'))) return '6m';
+  if (!start.isBefore(today.subtract(1, 'year'))) return '1y';
+  if (!start.isBefore(today.subtract(3, 'year'))) return '3y';
+  return 'all';
+}
+
+/**
+ * 按日期汇总净现金流（买入为正、卖出与现金分红为负）；与 XIRR、持仓对账同样按 isLedgerTx 取交易流水（含补录记录与校准交易）
+ * @param {Record<string, object[]>} transactions - { [code]: 交易记录[] }
+ * @param {string} todayStr
+ * @param {string|null} [txScope] - 分组 ID，null 表示全局账本，undefined 表示全部账本
+ * @returns {Map<string, number>}
+ */
+export function collectNetFlows(transactions, todayStr, txScope) {
+  const flows = new Map();
+  if (!isPlainObject(transactions)) return flows;
+  Object.values(transactions).forEach((list) => {
+    if (!isArray(list)) return;
+    list.forEach((tx) => {
+      if (!isLedgerTx(tx) || tx.date > todayStr) return;
+      // 红利再投资与份额折算不产生现金流
+      if (tx.type !== 'buy' && tx.type !== 'sell' && tx.type !== 'dividend_cash') return;
+      if (txScope !== undefined) {
+        const gid = tx.groupId || null;
+        if (txScope ? gid !== txScope : gid) return;
+      }
+      const amount = getTxAmount(tx);
+      if (amount == null) return;
+      flows.set(tx.date, (flows.get(tx.date) ?? 0) + (tx.type === 'buy' ? amount : -amount));
+    });
+  });
+  return flows;
+}
+
+/**
+ * 由当前市值倒推每日期初市值，得到每日收益率
+ * 期初市值(d) = 期末市值(d) - 当日收益(d) - 当日净现金流(d)；期初市值不为正时视为建仓前，停止回溯
+ * @param {{ date: string, earnings: number }[]} dailySeries - 组合每日收益（按日期升序）
+ * @param {Map<string, number>} netFlows - collectNetFlows 的结果
+ * @param {number} endValue - 当前持仓市值
+ * @param {string} todayStr
+ * @returns {{ date: string, rate: number }[]} rate 为小数，按日期升序
+ */
+export function buildDailyReturns(dailySeries, netFlows, endValue, todayStr) {
+  if (!isArray(dailySeries) || !Number.isFinite(endValue) || endValue <= 0) return [];
+  const earningsByDate = new Map();
+  dailySeries.forEach((row) => {
+    if (!row || !isString(row.date) || row.date > todayStr) return;
+    if (!isNumber(row.earnings) || !Number.isFinite(row.earnings)) return;
+    earningsByDate.set(row.date, (earningsByDate.get(row.date) ?? 0) + row.earnings);
+  });
+
+  const dates = [...new Set([...earningsByDate.keys(), ...netFlows.keys()])]
+    .filter((d) => d <= todayStr)
+    .sort((a, b) => b.localeCompare(a));
+
+  const out = [];
+  let value = endValue;
+  for (const date of dates) {
+    const earnings = earningsByDate.get(date) ?? 0;
+    const startValue = value - earnings - (netFlows.get(date) ?? 0);
+    if (!(startValue > 0)) break;
+    if (earningsByDate.has(date)) out.push({ date, rate: earnings / startValue });
+    value = startValue;
+  }
+  return out.reverse();
+}
+
+/**
+ * 指数在某日的收盘点位：取该日及之前最近一个交易日
+ * @param {{ date: string, close: number }[]} history - 按日期升序
+ * @param {string} date
+ * @returns {number|null}
+ */
+function closeOnOrBefore(history, date) {
+  let close = null;
+  for (const pt of history) {
+    if (pt.date > date) break;
+    close = pt.close;
+  }
+  return close;
+}
+
+/**
+ * 区间内组合 TWR 与基准指数累计涨跌幅对比
+ * @param {object} params
+ * @param {{ date: string, rate: number }[]} params.dailyReturns - buildDailyReturns 的结果
+ * @param {{ date: string, close: number }[]} [params.indexHistory] - 基准指数日线
+ * @param {string} params.windowId - PERFORMANCE_WINDOWS 中的 id
+ * @param {string} params.todayStr
+ * @returns {{
+ *   startDate: string,
+ *   labels: string[],
+ *   portfolio: number[],
+ *   benchmark: (number|null)[],
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number|null,
+ *   excessReturn: number|null
+ * }|null} 收益率均为百分比数值；区间内无收益记录时为 null
+ */
+export function buildPerformanceComparison({ dailyReturns, indexHistory, windowId, todayStr }) {
+  if (!isArray(dailyReturns) || dailyReturns.length === 0) return null;
+  const windowStart = getWindowStart(windowId, todayStr);
+  const inWindow = windowStart ? dailyReturns.filter((r) => r.date > windowStart) : dailyReturns;
+  if (!inWindow.length) return null;
+
+  // 成立以来：以首个收益日的前一天为起点；其他区间起点早于首个收益日时同样收紧到建仓前一天
+  const firstDayBefore = dayjs(inWindow[0].date).subtract(1, 'day').format('YYYY-MM-DD');
+  const startDate = windowStart && windowStart > firstDayBefore ? windowStart : firstDayBefore;
+
+  const labels = [startDate];
+  const portfolio = [0];
+  let compounded = 1;
+  inWindow.forEach((r) => {
+    compounded *= 1 + r.rate;
+    labels.push(r.date);
+    portfolio.push((compounded - 1) * 100);
+  });
+
+  const history = (isArray(indexHistory) ? indexHistory : [])
+    .filter((pt) => pt && isString(pt.date) && Number.isFinite(pt.close) && pt.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  // 指数数据未覆盖起点时退回到区间内第一个交易日
+  const baseClose = history.length ? (closeOnOrBefore(history, startDate) ?? history[0].close) : null;
+  const benchmark = labels.map((date) => {
+    if (baseClose == null) return null;
+    const close = closeOnOrBefore(history, date);
+    return close == null ? 0 : (close / baseClose - 1) * 100;
+  });
+
+  const portfolioReturn = portfolio[portfolio.length - 1];
+  const benchmarkReturn = baseClose == null ? null : benchmark[benchmark.length - 1];
+  return {
+    startDate,
+    labels,
+    portfolio,
+    benchmark,
+    portfolioReturn,
+    benchmarkReturn,
+    excessReturn: benchmarkReturn == null ? null : portfolioReturn - benchmarkReturn
+  };
+}
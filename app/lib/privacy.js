@@ -0,0 +1,50 @@
+/**
+ * 隐私模式：PIN 仅以加盐 SHA-256 摘要保存在本机，不参与云端同步
+ */
+
+/** PIN 为 4-6 位数字 */
+export const PIN_PATTERN = /^\d{4,6}$/;
+
+/** 连续输错后的冷却：达到次数后需等待的毫秒数 */
+export const PIN_MAX_ATTEMPTS = 5;
+export const PIN_COOLDOWN_MS = 30 * 1000;
+
+/** 无操作自动开启隐私模式的可选时长（分钟），0 表示关闭 */
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15];
+
+/**
+ * 生成随机盐
+ * @returns {string} 十六进制字符串
+ */
+export function createPinSalt() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算 PIN 摘要
+ * @param {string} pin
+ * @param {string} salt
+ * @returns {Promise<string>} 十六进制字符串
+ */
+export async function hashPin(pin, salt) {
+  const data = new TextEncoder().encode(`${salt}:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * PIN 校验结果对应的提示文案
+ * @param {'ok'|'invalid'|'cooldown'} result
+ * @param {{ failedAttempts?: number, cooldownUntil?: number }} state - 校验后的隐私 Store 状态
+ * @returns {string|null} 校验通过返回 null
+ */
+export function describePinResult(result, { failedAttempts = 0, cooldownUntil = 0 } = {}) {
+  if (result === 'ok') return null;
+  const waitMs = cooldownUntil - Date.now();
+  if (result === 'cooldown' || waitMs > 0) {
+    return `尝试次数过多，请 ${Math.max(1, Math.ceil(waitMs / 1000))} 秒后再试`;
+  }
+  return `PIN 错误，还可尝试 ${PIN_MAX_ATTEMPTS - failedAttempts} 次`;
+}
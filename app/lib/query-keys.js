@@ -48,3 +48,11 @@ export const fundBestSource = (fundCode) => ['fundBestSource', String(fundCode).
 
 /** @param {string} fundCode */
 export const isQdiiFund = (fundCode) => ['isQdiiFund', String(fundCode).trim()];
+
+export const fundTrackingTargets = () => ['fundTrackingTargets'];
+
+/** @param {string} fundCode */
+export const fundTrackingTarget = (fundCode) => ['fundTrackingTarget', String(fundCode).trim()];
+
+/** @param {string} secid @param {string} range */
+export const indexDailyHistory = (secid, range) => ['indexDailyHistory', String(secid).trim(), range];
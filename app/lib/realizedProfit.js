@@ -0,0 +1,348 @@
+/**
+ * 已实现收益与清仓归档：
+ * - 卖出的已实现收益 = 卖出金额 - 卖出份额 × 卖出时的持仓单位成本（加权平均）；
+ *   新的卖出记录保存 costPrice，旧记录按交易流水回放推算
+ * - 持有收益（profitTotal）只包含未实现部分，累计收益 = 已实现收益 + 持有收益
+ * - 账本内份额卖完或删除基金时，把尚未归档的交易流水快照为一条清仓记录（clearedPositions），
+ *   保留最终收益、持有天数与 XIRR；删除基金后仍可在汇总与年度回顾中统计
+ *
+ * clearedPositions: Array<{
+ *   id: string, code: string, name: string, groupId?: string, reason: 'sold'|'removed',
+ *   openDate: string, closeDate: string, holdingDays: number,
+ *   buyAmount: number, sellAmount: number, dividendAmount: number,
+ *   realizedProfit: number, returnRate: number|null, xirr: number|null,
+ *   transactions: object[], dailyEarnings?: { date: string, earnings: number }[], archivedAt: number
+ * }>
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+import { getTxShareDelta, isCorporateAction, isLedgerTx } from './corporateActions';
+import { computeXirr, getTxAmount } from './xirr';
+
+/** 清仓原因的展示名称 */
+export const CLEARED_REASON_LABELS = {
+  sold: '卖出清仓',
+  removed: '删除基金'
+};
+
+/** 份额容差：剩余份额不超过该值视为已卖完 */
+const SHARE_EPSILON = 0.01;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * @param {object[]} clearedPositions
+ * @returns {Set<string>} 已归档的交易记录 id
+ */
+export function getArchivedTxIds(clearedPositions) {
+  const ids = new Set();
+  (isArray(clearedPositions) ? clearedPositions : []).forEach((entry) => {
+    (isArray(entry?.transactions) ? entry.transactions : []).forEach((tx) => {
+      if (tx?.id) ids.add(tx.id);
+    });
+  });
+  return ids;
+}
+
+/**
+ * 账本内尚未归档的买卖与分红折算记录（已撤销的除外），按日期升序，同日分红折算在前
+ * @param {object[]} transactions - 该基金的交易记录
+ * @param {string|null} txScope - 分组 ID，null 表示全局账本
+ * @param {Set<string>} archivedIds
+ * @returns {object[]}
+ */
+export function getOpenLedgerTxs(transactions, txScope, archivedIds) {
+  return (isArray(transactions) ? transactions : [])
+    .filter((tx) => {
+      if (!isLedgerTx(tx)) return false;
+      if (tx.id && archivedIds.has(tx.id)) return false;
+      const gid = tx.groupId || null;
+      return txScope ? gid === txScope : !gid;
+    })
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (isCorporateAction(b) ? 1 : 0) - (isCorporateAction(a) ? 1 : 0) ||
+        (a.timestamp || 0) - (b.timestamp || 0)
+    );
+}
+
+/**
+ * 回放一段交易流水，按加权平均成本计算每笔卖出的已实现收益
+ * 流水结束时的份额多于流水推算份额的部分，视为首笔交易之前以 openingCost 建仓
+ * 校准记录（isAdjustment）只调整份额，不计入已实现收益
+ * @param {object} params
+ * @param {object[]} params.txs - getOpenLedgerTxs 的结果
+ * @param {number} params.endShare - 流水结束时的持仓份额
+ * @param {number|null} [params.openingCost] - 期初建仓单位成本，缺失时取首笔卖出记录的 costPrice
+ * @returns {{
+ *   openingShare: number, openingCost: number|null,
+ *   buyAmount: number, sellAmount: number, dividendAmount: number,
+ *   realized: number, soldCost: number,
+ *   sells: { id: string, date: string, share: number, amount: number|null, costPrice: number|null, realized: number|null }[]
+ * }}
+ */
+export function replayRealized({ txs, endShare, openingCost = null }) {
+  const list = isArray(txs) ? txs : [];
+  const txShare = list.reduce((sum, tx) => sum + getTxShareDelta(tx), 0);
+  const openingShare = round2(Math.max(0, (Number(endShare) || 0) - txShare));
+  let resolvedOpeningCost = isNumber(openingCost) && openingCost > 0 ? openingCost : null;
+  if (openingShare > 0 && resolvedOpeningCost == null) {
+    const firstSell = list.find((tx) => tx.type === 'sell' && isNumber(tx.costPrice));
+    resolvedOpeningCost = firstSell ? firstSell.costPrice : null;
+  }
+
+  let share = openingShare;
+  let costAmount = openingShare * (resolvedOpeningCost ?? 0);
+  let costKnown = openingShare <= 0 || resolvedOpeningCost != null;
+  let buyAmount = 0;
+  let sellAmount = 0;
+  let dividendAmount = 0;
+  let realized = 0;
+  let soldCost = 0;
+  const sells = [];
+
+  list.forEach((tx) => {
+    const s = Number(tx.share) || 0;
+    if (tx.type === 'dividend_cash') {
+      const amount = Number(tx.amount) || 0;
+      costAmount = Math.max(0, costAmount - amount);
+      dividendAmount += amount;
+      return;
+    }
+    if (tx.type === 'dividend_reinvest' || tx.type === 'split') {
+      share = Math.max(0, share + s);
+      return;
+    }
+    if (s <= 0) return;
+    const amount = getTxAmount(tx);
+    if (tx.type === 'buy') {
+      share += s;
+      costAmount += amount ?? 0;
+      buyAmount += amount ?? 0;
+      return;
+    }
+    if (!tx.isAdjustment) {
+      let costPrice = isNumber(tx.costPrice) ? tx.costPrice : null;
+      if (costPrice == null && costKnown && share > SHARE_EPSILON) costPrice = costAmount / share;
+      const sellRealized = amount != null && costPrice != null ? round2(amount - s * costPrice) : null;
+      sellAmount += amount ?? 0;
+      if (sellRealized != null) {
+        realized += sellRealized;
+        soldCost += s * costPrice;
+      }
+      sells.push({ id: tx.id, date: tx.date, share: s, amount, costPrice, realized: sellRealized });
+    }
+    const sold = Math.min(s, share);
+    costAmount = share > 0 ? costAmount * (1 - sold / share) : 0;
+    share -= sold;
+    if (share <= SHARE_EPSILON) {
+      share = 0;
+      costAmount = 0;
+      costKnown = true;
+    }
+  });
+
+  return {
+    openingShare,
+    openingCost: resolvedOpeningCost,
+    buyAmount: round2(buyAmount),
+    sellAmount: round2(sellAmount),
+    dividendAmount: round2(dividendAmount),
+    realized: round2(realized),
+    soldCost: round2(soldCost),
+    sells
+  };
+}
+
+/**
+ * 生成一条清仓记录
+ * @param {object} params
+ * @param {string} params.code
+ * @param {string} [params.name]
+ * @param {string|null} params.txScope - 分组 ID，null 表示全局账本
+ * @param {object[]} params.txs - 该账本内尚未归档的流水（getOpenLedgerTxs 的结果）
+ * @param {object} [params.holding] - 归档时的持仓
+ * @param {'sold'|'removed'} params.reason
+ * @param {string} params.closeDate
+ * @param {number|null} [params.marketValue] - 删除基金时剩余份额的市值，按卖出计入
+ * @param {object[]} [params.dailyEarnings] - 该账本内该基金的每日收益，持有期间的记录随归档保存
+ * @returns {object|null} 不含 id / archivedAt；没有可归档的内容时为 null
+ */
+export function buildClearedPosition({
+  code,
+  name,
+  txScope,
+  txs,
+  holding,
+  reason,
+  closeDate,
+  marketValue = null,
+  dailyEarnings = []
+}) {
+  const list = isArray(txs) ? txs : [];
+  const remainingShare = reason === 'removed' ? Number(holding?.share) || 0 : 0;
+  const ledger = [...list];
+  if (remainingShare > SHARE_EPSILON) {
+    const value = Number.isFinite(marketValue) && marketValue > 0 ? round2(marketValue) : null;
+    ledger.push({ type: 'sell', date: closeDate, share: remainingShare, amount: value, costPrice: holding?.cost });
+  }
+  const replay = replayRealized({ txs: ledger, endShare: 0, openingCost: holding?.cost });
+  if (!list.length && replay.openingShare <= 0) return null;
+
+  const firstTxDate = list[0]?.date || closeDate;
+  const openDate =
+    isString(holding?.firstPurchaseDate) && holding.firstPurchaseDate < firstTxDate
+      ? holding.firstPurchaseDate
+      : firstTxDate;
+
+  const flows = [];
+  if (replay.openingShare > 0 && replay.openingCost != null) {
+    flows.push({ date: openDate, amount: -replay.openingShare * replay.openingCost });
+  }
+  ledger.forEach((tx) => {
+    if (tx.type !== 'buy' && tx.type !== 'sell' && tx.type !== 'dividend_cash') return;
+    const amount = getTxAmount(tx);
+    if (amount == null) return;
+    flows.push({ date: tx.date, amount: tx.type === 'buy' ? -amount : amount });
+  });
+  const earnings = (isArray(dailyEarnings) ? dailyEarnings : [])
+    .filter((row) => row && isString(row.date) && row.date >= openDate && row.date <= closeDate)
+    .filter((row) => isNumber(row.earnings) && Number.isFinite(row.earnings))
+    .map((row) => ({ date: row.date, earnings: row.earnings }));
+
+  return {
+    code,
+    name: name || code,
+    ...(txScope ? { groupId: txScope } : {}),
+    reason,
+    openDate,
+    closeDate,
+    holdingDays: Math.max(0, dayjs(closeDate).diff(dayjs(openDate), 'day')),
+    buyAmount: replay.buyAmount,
+    sellAmount: replay.sellAmount,
+    dividendAmount: replay.dividendAmount,
+    realizedProfit: replay.realized,
+    returnRate: replay.soldCost > 0 ? (replay.realized / replay.soldCost) * 100 : null,
+    xirr: computeXirr(flows),
+    transactions: list,
+    ...(earnings.length ? { dailyEarnings: earnings } : {})
+  };
+}
+
+const getScopeBucket = (store, scope) =>
+  scope === DAILY_EARNINGS_SCOPE_ALL ? store.holdings : store.groupHoldings?.[scope];
+
+const getTxScopeKey = (tx) => tx?.groupId || DAILY_EARNINGS_SCOPE_ALL;
+
+const getScopeDailyEarnings = (store, scope, code) => store.fundDailyEarnings?.[scope]?.[code];
+
+/**
+ * 找出已卖完但尚未归档的持仓：账本内持仓份额为 0（或已不存在），且有未归档的卖出记录
+ * @param {object} store - useStorageStore 的状态（funds, holdings, groupHoldings, transactions, fundDailyEarnings, clearedPositions）
+ * @returns {object[]} 新的清仓记录（不含 id / archivedAt）
+ */
+export function collectSoldOutPositions(store) {
+  const archivedIds = getArchivedTxIds(store.clearedPositions);
+  const fundByCode = new Map((isArray(store.funds) ? store.funds : []).map((f) => [f?.code, f]));
+  const results = [];
+  Object.entries(isPlainObject(store.transactions) ? store.transactions : {}).forEach(([code, list]) => {
+    if (!isArray(list)) return;
+    const scopes = new Set(list.filter((tx) => tx?.type === 'sell').map(getTxScopeKey));
+    scopes.forEach((scope) => {
+      const holding = getScopeBucket(store, scope)?.[code];
+      if ((Number(holding?.share) || 0) > SHARE_EPSILON) return;
+      const txScope = scope === DAILY_EARNINGS_SCOPE_ALL ? null : scope;
+      const txs = getOpenLedgerTxs(list, txScope, archivedIds);
+      const lastSell = [...txs].reverse().find((tx) => tx.type === 'sell' && !tx.isAdjustment);
+      if (!lastSell) return;
+      const entry = buildClearedPosition({
+        code,
+        name: fundByCode.get(code)?.name,
+        txScope,
+        txs,
+        holding,
+        reason: 'sold',
+        closeDate: lastSell.date,
+        dailyEarnings: getScopeDailyEarnings(store, scope, code)
+      });
+      if (entry) results.push(entry);
+    });
+  });
+  return results;
+}
+
+/**
+ * 删除基金或清空持仓前，归档被删除账本内的持仓与流水；剩余份额按最新净值折算为卖出
+ * @param {object} store - useStorageStore 的状态
+ * @param {{ code: string, groupId: string|null }[]} targets - 被删除的账本与基金
+ * @param {string} todayStr
+ * @returns {object[]} 新的清仓记录（不含 id / archivedAt）
+ */
+export function collectRemovedPositions(store, targets, todayStr) {
+  const archivedIds = getArchivedTxIds(store.clearedPositions);
+  const fundByCode = new Map((isArray(store.funds) ? store.funds : []).map((f) => [f?.code, f]));
+  const results = [];
+  (isArray(targets) ? targets : []).forEach(({ code, groupId }) => {
+    const txScope = groupId || null;
+    const holding = getScopeBucket(store, txScope || DAILY_EARNINGS_SCOPE_ALL)?.[code];
+    const txs = getOpenLedgerTxs(store.transactions?.[code], txScope, archivedIds);
+    const share = Number(holding?.share) || 0;
+    if (!txs.length && share <= SHARE_EPSILON) return;
+    const fund = fundByCode.get(code);
+    const nav = Number(fund?.dwjz);
+    const entry = buildClearedPosition({
+      code,
+      name: fund?.name,
+      txScope,
+      txs,
+      holding,
+      reason: 'removed',
+      closeDate: todayStr,
+      marketValue: Number.isFinite(nav) && nav > 0 ? share * nav : null,
+      dailyEarnings: getScopeDailyEarnings(store, txScope || DAILY_EARNINGS_SCOPE_ALL, code)
+    });
+    if (entry) results.push(entry);
+  });
+  return results;
+}
+
+/**
+ * 汇总已实现收益：已归档清仓记录的最终收益 + 仍在账本内（未归档）的卖出记录的已实现收益
+ * @param {object} store - useStorageStore 的状态（holdings, groupHoldings, transactions, clearedPositions）
+ * @param {string[]|null} scopes - 参与汇总的账本（'all' 或分组 id），null 表示全部（含已删除分组的清仓记录）
+ * @param {(code: string) => boolean} [codeFilter]
+ * @returns {{ realized: number, hasRealized: boolean }}
+ */
+export function summarizeRealizedProfit(store, scopes, codeFilter) {
+  const scopeSet = scopes ? new Set(scopes) : null;
+  const cleared = isArray(store.clearedPositions) ? store.clearedPositions : [];
+  const archivedIds = getArchivedTxIds(cleared);
+  let realized = 0;
+  let hasRealized = false;
+
+  cleared.forEach((entry) => {
+    if (!entry || (scopeSet && !scopeSet.has(getTxScopeKey(entry)))) return;
+    if (codeFilter && !codeFilter(entry.code)) return;
+    realized += Number(entry.realizedProfit) || 0;
+    hasRealized = true;
+  });
+
+  Object.entries(isPlainObject(store.transactions) ? store.transactions : {}).forEach(([code, list]) => {
+    if (!isArray(list) || (codeFilter && !codeFilter(code))) return;
+    const sellScopes = new Set(list.filter((tx) => tx?.type === 'sell').map(getTxScopeKey));
+    sellScopes.forEach((scope) => {
+      if (scopeSet && !scopeSet.has(scope)) return;
+      const txs = getOpenLedgerTxs(list, scope === DAILY_EARNINGS_SCOPE_ALL ? null : scope, archivedIds);
+      if (!txs.some((tx) => tx.type === 'sell')) return;
+      const holding = getScopeBucket(store, scope)?.[code];
+      const replay = replayRealized({ txs, endShare: holding?.share, openingCost: holding?.cost });
+      if (!replay.sells.some((s) => s.realized != null)) return;
+      realized += replay.realized;
+      hasRealized = true;
+    });
+  });
+
+  return { realized: round2(realized), hasRealized };
+}
@@ -0,0 +1,295 @@
+/**
+ * 持仓对账：由交易流水（含分红与份额折算记录）与货币基金收益结转重放出「账本持仓」，与存储的 holdings 比对漂移
+ * 口径与 useHoldingProfit 一致：
+ * - 交易流水含补录的历史记录与校准交易；基金转换在确认后拆成转出卖出与转入买入，已包含在流水内
+ * - 买入按金额（含手续费）计入成本，卖出按加权平均成本等比例减少成本，单位成本不变
+ * - 货币基金每日收益结转为份额、总成本不变
+ * - 红利再投资与份额折算增加份额、总成本不变，现金分红扣减成本；已撤销的记录不计入
+ */
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { DAILY_EARNINGS_SCOPE_ALL } from '@/app/constants';
+import { getTxAmount } from './xirr';
+import { isCorporateAction, isLedgerTx } from './corporateActions';
+
+/** 份额容差：持仓份额按两位小数保存 */
+export const RECONCILE_SHARE_TOLERANCE = 0.01;
+
+/** 成本金额容差（元），另按单位成本四位小数的舍入误差随份额放宽 */
+export const RECONCILE_COST_TOLERANCE = 0.01;
+
+const SHARE_EPSILON = 1e-6;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/** 成本金额差异的容差随份额放宽 */
+const getCostTolerance = (share) => RECONCILE_COST_TOLERANCE + share * 0.0001;
+
+/**
+ * @typedef {object} LedgerPosition
+ * @property {number} share - 账本份额
+ * @property {number} costAmount - 账本成本金额
+ * @property {number} cost - 账本单位成本
+ * @property {string|null} firstPurchaseDate - 首笔买入日期
+ * @property {number} dividendShare - 红利再投资份额
+ * @property {number} dividendCash - 现金分红累计
+ * @property {number} splitShare - 份额折算增加的份额
+ * @property {number} moneyIncomeShare - 货币基金收益结转份额
+ * @property {number} txCount - 参与重放的交易笔数
+ */
+
+/**
+ * 重放单只基金在某个账本内的交易流水
+ * @param {object} params
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {string|null} params.txScope - 分组 ID，null 表示全局账本
+ * @param {{ date: string, earnings: number }[]} [params.moneyIncomes] - 货币基金每日收益（仅货币基金传入）
+ * @returns {LedgerPosition}
+ */
+export function replayLedger({ transactions, txScope, moneyIncomes }) {
+  const scopedTxs = (isArray(transactions) ? transactions : [])
+    .filter((tx) => {
+      if (!isLedgerTx(tx)) return false;
+      const gid = tx.groupId || null;
+      return txScope ? gid === txScope : !gid;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.timestamp || 0) - (b.timestamp || 0));
+
+  const firstPurchaseDate = scopedTxs.find((tx) => tx.type === 'buy')?.date || null;
+
+  // 同日先处理分红与折算（按除息日之前的持仓计算），再处理交易与收益结转
+  const events = scopedTxs.map((tx) => ({ date: tx.date, order: isCorporateAction(tx) ? 0 : 1, tx }));
+  if (firstPurchaseDate) {
+    (isArray(moneyIncomes) ? moneyIncomes : []).forEach((row) => {
+      // 首个收益日只作为基准写入，不结转份额
+      if (!row || !isString(row.date) || row.date <= firstPurchaseDate) return;
+      if (!isNumber(row.earnings) || !(row.earnings > 0)) return;
+      events.push({ date: row.date, order: 2, income: row.earnings });
+    });
+  }
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+  let share = 0;
+  let costAmount = 0;
+  let dividendShare = 0;
+  let dividendCash = 0;
+  let splitShare = 0;
+  let moneyIncomeShare = 0;
+
+  events.forEach(({ tx, income }) => {
+    if (income != null) {
+      if (share > 0) {
+        share += income;
+        moneyIncomeShare += income;
+      }
+      return;
+    }
+    const s = Number(tx.share) || 0;
+    if (tx.type === 'dividend_cash') {
+      const amount = Number(tx.amount) || 0;
+      costAmount = Math.max(0, costAmount - amount);
+      dividendCash += amount;
+      return;
+    }
+    if (tx.type === 'dividend_reinvest' || tx.type === 'split') {
+      share = Math.max(0, share + s);
+      if (tx.type === 'split') splitShare += s;
+      else dividendShare += s;
+      return;
+    }
+    if (s <= 0) return;
+    if (tx.type === 'buy') {
+      share += s;
+      costAmount += getTxAmount(tx) ?? 0;
+    } else {
+      const sold = Math.min(s, share);
+      costAmount = share > 0 ? costAmount * (1 - sold / share) : 0;
+      share -= sold;
+      if (share <= SHARE_EPSILON) {
+        share = 0;
+        costAmount = 0;
+      }
+    }
+  });
+
+  return {
+    share,
+    costAmount,
+    cost: share > 0 ? costAmount / share : 0,
+    firstPurchaseDate,
+    dividendShare,
+    dividendCash,
+    splitShare,
+    moneyIncomeShare,
+    txCount: scopedTxs.length
+  };
+}
+
+/**
+ * @typedef {object} ReconcileRow
+ * @property {string} code
+ * @property {string|null} groupId - null 表示全局账本
+ * @property {{ share: number, cost: number, firstPurchaseDate: string|null }|null} stored - 存储的持仓
+ * @property {LedgerPosition} computed - 账本重放结果
+ * @property {number} shareDiff - 存储份额 - 账本份额
+ * @property {number} costAmountDiff - 存储成本金额 - 账本成本金额
+ * @property {boolean} drifted
+ */
+
+/**
+ * 对比单个账本内单只基金的存储持仓与账本持仓
+ * @param {object} params
+ * @param {string} params.code
+ * @param {string|null} params.groupId
+ * @param {object|undefined} params.holding - 存储的持仓
+ * @param {object} params.store - { transactions, fundDailyEarnings }
+ * @param {boolean} [params.isMoneyFund]
+ * @returns {ReconcileRow}
+ */
+export function reconcileHolding({ code, groupId, holding, store, isMoneyFund = false }) {
+  const scopeKey = groupId || DAILY_EARNINGS_SCOPE_ALL;
+  const computed = replayLedger({
+    transactions: store.transactions?.[code],
+    txScope: groupId,
+    moneyIncomes: isMoneyFund ? store.fundDailyEarnings?.[scopeKey]?.[code] : null
+  });
+  const storedShare = isNumber(holding?.share) ? holding.share : 0;
+  const storedCostAmount = isNumber(holding?.cost) ? holding.cost * storedShare : 0;
+  const shareDiff = storedShare - computed.share;
+  const costAmountDiff = storedCostAmount - computed.costAmount;
+  return {
+    code,
+    groupId,
+    stored:
+      holding && isNumber(holding.share)
+        ? { share: storedShare, cost: Number(holding.cost) || 0, firstPurchaseDate: holding.firstPurchaseDate || null }
+        : null,
+    computed,
+    shareDiff,
+    costAmountDiff,
+    drifted:
+      Math.abs(shareDiff) >= RECONCILE_SHARE_TOLERANCE ||
+      Math.abs(costAmountDiff) >= getCostTolerance(Math.max(storedShare, computed.share))
+  };
+}
+
+/**
+ * 全部账本的对账结果：全局持仓与各分组持仓，以及只有流水、没有持仓记录的基金
+ * @param {object} store - useStorageStore 的状态（holdings, groupHoldings, transactions, fundDailyEarnings, funds）
+ * @returns {{ groupId: string|null, rows: ReconcileRow[] }[]} 按账本分组，全局账本在前
+ */
+export function reconcileAll(store) {
+  const moneyFundCodes = new Set(
+    (isArray(store.funds) ? store.funds : []).filter((f) => f?.isMoneyFund).map((f) => f.code)
+  );
+  const transactions = isPlainObject(store.transactions) ? store.transactions : {};
+  const groupHoldings = isPlainObject(store.groupHoldings) ? store.groupHoldings : {};
+
+  // 账本 → 需要对账的基金代码
+  const scopes = new Map([[null, new Set(Object.keys(isPlainObject(store.holdings) ? store.holdings : {}))]]);
+  Object.entries(groupHoldings).forEach(([gid, bucket]) => {
+    scopes.set(gid, new Set(Object.keys(isPlainObject(bucket) ? bucket : {})));
+  });
+  Object.entries(transactions).forEach(([code, list]) => {
+    if (!isArray(list)) return;
+    list.forEach((tx) => {
+      if (!tx || (tx.type !== 'buy' && tx.type !== 'sell')) return;
+      const gid = tx.groupId || null;
+      if (!scopes.has(gid)) scopes.set(gid, new Set());
+      scopes.get(gid).add(code);
+    });
+  });
+
+  return [...scopes.entries()].map(([groupId, codes]) => {
+    const bucket = groupId ? groupHoldings[groupId] : store.holdings;
+    const rows = [...codes].sort().map((code) =>
+      reconcileHolding({
+        code,
+        groupId,
+        holding: bucket?.[code],
+        store,
+        isMoneyFund: moneyFundCodes.has(code)
+      })
+    );
+    return { groupId, rows };
+  });
+}
+
+/**
+ * 生成使账本与存储持仓一致的校准交易（以 isAdjustment 标记，不改变持仓，但与其他交易一样参与账本重放与现金流统计）
+ * 日期均为当天，重放后份额与成本金额都与存储持仓一致：
+ * - 存储份额与成本金额都多于账本：补一笔买入，金额为成本金额差
+ * - 存储份额少于账本、单位成本一致：补一笔卖出，按账本单位成本计价
+ * - 其他情况（含只有成本差异）：按账本单位成本卖出全部账本份额，再按存储持仓买入
+ * @param {ReconcileRow} row
+ * @param {string} todayStr
+ * @returns {object[]} 交易记录（不含 id），时间戳按写入顺序递增，重放时先卖后买；没有漂移时为空数组
+ */
+export function buildAdjustmentTransactions(row, todayStr) {
+  if (!row.drifted) return [];
+  const now = Date.now();
+  return planAdjustments(row, todayStr).map((tx, i) => ({ ...tx, timestamp: now + i }));
+}
+
+function planAdjustments(row, todayStr) {
+  const base = {
+    date: todayStr,
+    isAfter3pm: false,
+    isDca: false,
+    isAdjustment: true,
+    ...(row.groupId ? { groupId: row.groupId } : {})
+  };
+  const makeTx = (type, share, amount) => ({
+    type,
+    share,
+    amount: round2(amount),
+    price: Number((amount / share).toFixed(4)),
+    ...base
+  });
+
+  const ledgerShare = row.computed.share;
+  const ledgerCostAmount = row.computed.costAmount;
+  const storedShare = row.stored?.share || 0;
+  const storedCostAmount = storedShare * (row.stored?.cost || 0);
+  const buyBack = storedShare > SHARE_EPSILON ? [makeTx('buy', storedShare, storedCostAmount)] : [];
+  if (ledgerShare <= SHARE_EPSILON) return buyBack;
+
+  const shareDiff = round2(row.shareDiff);
+  if (shareDiff >= RECONCILE_SHARE_TOLERANCE && row.costAmountDiff > 0) {
+    return [makeTx('buy', shareDiff, row.costAmountDiff)];
+  }
+  const ledgerCost = ledgerCostAmount / ledgerShare;
+  // 卖出记录带上成交时的持仓单位成本，与普通卖出一致
+  const makeSell = (share) => ({
+    ...makeTx('sell', share, share * ledgerCost),
+    costPrice: Number(ledgerCost.toFixed(4))
+  });
+  if (
+    shareDiff <= -RECONCILE_SHARE_TOLERANCE &&
+    storedShare > SHARE_EPSILON &&
+    Math.abs(storedCostAmount - storedShare * ledgerCost) < getCostTolerance(ledgerShare)
+  ) {
+    return [makeSell(-shareDiff)];
+  }
+  // 卖出份额向上取到两位小数，保证清空账本持仓
+  return [makeSell(Math.ceil(ledgerShare * 100) / 100), ...buyBack];
+}
+
+/**
+ * 插入校准交易后重新对账，确认该账本内的基金不再漂移
+ * @param {object} store - 同 reconcileAll
+ * @param {ReconcileRow} row
+ * @param {object[]} records - 待插入的校准交易
+ * @returns {boolean}
+ */
+export function isReconciledWith(store, row, records) {
+  const bucket = row.groupId ? store.groupHoldings?.[row.groupId] : store.holdings;
+  const list = store.transactions?.[row.code];
+  const next = reconcileHolding({
+    code: row.code,
+    groupId: row.groupId,
+    holding: bucket?.[row.code],
+    store: { ...store, transactions: { ...store.transactions, [row.code]: [...records, ...(list || [])] } },
+    isMoneyFund: (isArray(store.funds) ? store.funds : []).some((f) => f?.code === row.code && f.isMoneyFund)
+  });
+  return !next.drifted;
+}
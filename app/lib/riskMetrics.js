@@ -0,0 +1,109 @@
+/**
+ * 基金风险指标：由净值走势计算年化波动率、最大回撤（含回撤区间与修复时间）、夏普、索提诺与卡玛比率
+ * 建议传入累计净值，避免分红导致单位净值下跌被误算为回撤
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+
+/** 年化使用的交易日数 */
+const TRADING_DAYS_PER_YEAR = 252;
+
+/** 默认无风险利率（年化百分比） */
+export const DEFAULT_RISK_FREE_RATE = 1.5;
+
+/** 风险指标至少需要的净值点数，过少时波动率等失真 */
+export const RISK_METRICS_MIN_POINTS = 20;
+
+/**
+ * 从 customSettings 读取无风险利率
+ * @param {object} [customSettings]
+ * @returns {number} 年化百分比
+ */
+export function resolveRiskFreeRate(customSettings) {
+  const v = isPlainObject(customSettings) ? Number(customSettings.riskFreeRate) : Number.NaN;
+  return Number.isFinite(v) && v >= 0 && v < 100 ? v : DEFAULT_RISK_FREE_RATE;
+}
+
+const mean = (list) => list.reduce((s, v) => s + v, 0) / list.length;
+
+/**
+ * @typedef {object} RiskMetrics
+ * @property {number} annualizedReturn - 年化收益率（%）
+ * @property {number} volatility - 年化波动率（%）
+ * @property {number} maxDrawdown - 最大回撤（%，正数）
+ * @property {string|null} drawdownPeakDate - 最大回撤起点（前高）
+ * @property {string|null} drawdownTroughDate - 最大回撤谷底
+ * @property {string|null} recoveryDate - 回到前高的日期，未修复为 null
+ * @property {number|null} recoveryDays - 谷底到修复的自然日数；未修复时为 null
+ * @property {number|null} sharpe
+ * @property {number|null} sortino
+ * @property {number|null} calmar
+ */
+
+/**
+ * 计算风险指标
+ * @param {{ date: string, value: number }[]} history - 净值走势
+ * @param {{ riskFreeRate?: number }} [options] - riskFreeRate 为年化百分比
+ * @returns {RiskMetrics|null} 数据不足时为 null
+ */
+export function computeRiskMetrics(history, { riskFreeRate = DEFAULT_RISK_FREE_RATE } = {}) {
+  const points = (isArray(history) ? history : [])
+    .filter((p) => p && isString(p.date) && isNumber(p.value) && Number.isFinite(p.value) && p.value > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (points.length < RISK_METRICS_MIN_POINTS) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const spanDays = dayjs(last.date).diff(dayjs(first.date), 'day');
+  if (!(spanDays > 0)) return null;
+
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    returns.push(points[i].value / points[i - 1].value - 1);
+  }
+
+  const totalReturn = last.value / first.value - 1;
+  const annualizedReturn = Math.pow(1 + totalReturn, 365 / spanDays) - 1;
+
+  const avg = mean(returns);
+  const variance = returns.reduce((s, r) => s + (r - avg) ** 2, 0) / Math.max(1, returns.length - 1);
+  const volatility = Math.sqrt(variance) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  // 下行偏差：仅统计低于日化无风险收益的部分
+  const rf = riskFreeRate / 100;
+  const dailyRf = Math.pow(1 + rf, 1 / TRADING_DAYS_PER_YEAR) - 1;
+  const downside =
+    Math.sqrt(mean(returns.map((r) => Math.min(0, r - dailyRf) ** 2))) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  let peak = first;
+  let maxDrawdown = 0;
+  let drawdownPeak = null;
+  let drawdownTrough = null;
+  for (const p of points) {
+    if (p.value > peak.value) peak = p;
+    const dd = 1 - p.value / peak.value;
+    if (dd > maxDrawdown) {
+      maxDrawdown = dd;
+      drawdownPeak = peak;
+      drawdownTrough = p;
+    }
+  }
+
+  let recovery = null;
+  if (drawdownTrough) {
+    recovery = points.find((p) => p.date > drawdownTrough.date && p.value >= drawdownPeak.value) || null;
+  }
+
+  return {
+    annualizedReturn: annualizedReturn * 100,
+    volatility: volatility * 100,
+    maxDrawdown: maxDrawdown * 100,
+    drawdownPeakDate: drawdownPeak?.date ?? null,
+    drawdownTroughDate: drawdownTrough?.date ?? null,
+    recoveryDate: recovery?.date ?? null,
+    recoveryDays: recovery ? dayjs(recovery.date).diff(dayjs(drawdownTrough.date), 'day') : null,
+    sharpe: volatility > 0 ? (annualizedReturn - rf) / volatility : null,
+    sortino: downside > 0 ? (annualizedReturn - rf) / downside : null,
+    calmar: maxDrawdown > 0 ? annualizedReturn / maxDrawdown : null
+  };
+}
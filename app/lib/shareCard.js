@@ -0,0 +1,337 @@
+/**
+ * 分享卡片：在浏览器本地用 canvas 绘制收益 / 单只基金 / 分组配置卡片，不经过服务器
+ * 卡片数据：
+ * {
+ *   title: string, subtitle?: string,
+ *   headline: { label: string, amount?: number|null, rate?: number|null },
+ *   metrics?: Array<{ label: string, amount?: number|null, rate?: number|null, text?: string }>, // text 为不涉及金额的说明（如天数），任何模式下都展示
+ *   bars?: number[],                                   // 每日收益，绘制为柱状走势
+ *   allocation?: Array<{ label: string, amount: number, weight: number }> // weight 为百分比
+ * }
+ * 数值展示方式：amount 显示金额与百分比；percent 仅显示百分比；masked 全部数值以 * 代替
+ */
+import { isArray, isNumber, isString } from 'lodash';
+
+export const SHARE_VALUE_MODES = [
+  { id: 'amount', label: '显示金额' },
+  { id: 'percent', label: '仅百分比' },
+  { id: 'masked', label: '隐藏数值' }
+];
+
+const CARD_WIDTH = 720;
+const PADDING = 48;
+const PIXEL_RATIO = 2;
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif";
+const ALLOCATION_LIMIT = 8;
+const ALLOCATION_COLORS = ['#22d3ee', '#f97316', '#a78bfa', '#facc15', '#34d399', '#f472b6', '#60a5fa', '#94a3b8'];
+
+const CARD_THEMES = {
+  dark: {
+    background: ['#0f172a', '#1e293b'],
+    text: '#e5e7eb',
+    muted: '#94a3b8',
+    border: 'rgba(148, 163, 184, 0.2)',
+    up: '#f87171',
+    down: '#34d399',
+    brand: '#22d3ee'
+  },
+  light: {
+    background: ['#ffffff', '#f1f5f9'],
+    text: '#0f172a',
+    muted: '#64748b',
+    border: 'rgba(100, 116, 139, 0.2)',
+    up: '#dc2626',
+    down: '#059669',
+    brand: '#0891b2'
+  }
+};
+
+const isFiniteNumber = (v) => isNumber(v) && Number.isFinite(v);
+
+const formatMoneyText = (v) =>
+  Math.abs(v).toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const signOf = (v) => (v > 0 ? '+' : v < 0 ? '-' : '');
+
+/**
+ * 按展示方式格式化一条数值：优先展示金额，仅百分比模式下展示收益率
+ * @param {{ amount?: number|null, rate?: number|null, text?: string }} item
+ * @param {'amount'|'percent'|'masked'} mode
+ * @returns {{ primary: string|null, secondary: string|null, tone: number }} primary 为 null 表示该模式下不展示
+ */
+export function formatShareValue(item, mode) {
+  if (isString(item?.text)) return { primary: item.text, secondary: null, tone: 0 };
+  const hasAmount = isFiniteNumber(item?.amount);
+  const hasRate = isFiniteNumber(item?.rate);
+  const tone = hasAmount ? item.amount : hasRate ? item.rate : 0;
+  const rateText = hasRate ? `${signOf(item.rate)}${Math.abs(item.rate).toFixed(2)}%` : null;
+  if (mode === 'masked') {
+    if (!hasAmount && !hasRate) return { primary: null, secondary: null, tone: 0 };
+    return { primary: hasAmount ? '****' : '**.**%', secondary: hasAmount && hasRate ? '**.**%' : null, tone: 0 };
+  }
+  if (mode === 'percent') return { primary: rateText, secondary: null, tone };
+  if (hasAmount) return { primary: `${signOf(item.amount)}${formatMoneyText(item.amount)}`, secondary: rateText, tone };
+  return { primary: rateText, secondary: null, tone };
+}
+
+/**
+ * 按日复利累计区间收益率
+ * @param {{ rate?: number }[]} series - 每日收益（rate 为当日收益率百分比）
+ * @returns {number|null}
+ */
+export function compoundDailyRates(series) {
+  const rows = (isArray(series) ? series : []).filter((row) => isFiniteNumber(row?.rate));
+  if (!rows.length) return null;
+  return (rows.reduce((acc, row) => acc * (1 + row.rate / 100), 1) - 1) * 100;
+}
+
+/**
+ * 分组配置：按市值排序，超出展示数量的基金合并为「其他」
+ * @param {{ label: string, amount: number }[]} items
+ * @returns {{ label: string, amount: number, weight: number }[]}
+ */
+export function buildAllocation(items) {
+  const list = (isArray(items) ? items : [])
+    .filter((item) => isFiniteNumber(item?.amount) && item.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+  const total = list.reduce((s, item) => s + item.amount, 0);
+  if (!(total > 0)) return [];
+  const head = list.slice(0, ALLOCATION_LIMIT - 1);
+  const rest = list.slice(ALLOCATION_LIMIT - 1);
+  const merged =
+    rest.length > 1
+      ? [...head, { label: `其他 ${rest.length} 只`, amount: rest.reduce((s, item) => s + item.amount, 0) }]
+      : list;
+  return merged.map((item) => ({ label: item.label, amount: item.amount, weight: (item.amount / total) * 100 }));
+}
+
+function roundRectPath(ctx, x, y, w, h, r) {
+  const radius = Math.min(r, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + w, y, x + w, y + h, radius);
+  ctx.arcTo(x + w, y + h, x, y + h, radius);
+  ctx.arcTo(x, y + h, x, y, radius);
+  ctx.arcTo(x, y, x + w, y, radius);
+  ctx.closePath();
+}
+
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let out = text;
+  while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+  return `${out}…`;
+}
+
+/** 计算卡片高度，与 drawShareCard 的布局保持一致 */
+function measureCardHeight(card, mode) {
+  let height = PADDING + 40 + 36 + 28 + 120;
+  const metrics = (card.metrics || []).filter((m) => formatShareValue(m, mode).primary != null);
+  if (metrics.length) height += 96;
+  if (isArray(card.bars) && card.bars.length > 1) height += 150;
+  if (isArray(card.allocation) && card.allocation.length) height += 56 + card.allocation.length * 40;
+  return height + 72 + PADDING;
+}
+
+/**
+ * 绘制分享卡片
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} card
+ * @param {object} [options]
+ * @param {'amount'|'percent'|'masked'} [options.mode]
+ * @param {'dark'|'light'} [options.theme]
+ * @param {string} [options.footer] - 底部说明文案
+ */
+export function drawShareCard(
+  canvas,
+  card,
+  { mode = 'amount', theme = 'dark', footer = '基估宝 · 实时基金估值' } = {}
+) {
+  const colors = CARD_THEMES[theme] || CARD_THEMES.dark;
+  const height = measureCardHeight(card, mode);
+  canvas.width = CARD_WIDTH * PIXEL_RATIO;
+  canvas.height = height * PIXEL_RATIO;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(PIXEL_RATIO, 0, 0, PIXEL_RATIO, 0, 0);
+  const toneColor = (v) => (v > 0 ? colors.up : v < 0 ? colors.down : colors.text);
+  const contentWidth = CARD_WIDTH - PADDING * 2;
+
+  const gradient = ctx.createLinearGradient(0, 0, CARD_WIDTH, height);
+  gradient.addColorStop(0, colors.background[0]);
+  gradient.addColorStop(1, colors.background[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, CARD_WIDTH, height);
+  ctx.textBaseline = 'top';
+
+  let y = PADDING;
+  ctx.fillStyle = colors.text;
+  ctx.font = `600 30px ${FONT_FAMILY}`;
+  ctx.fillText(fitText(ctx, card.title || '', contentWidth), PADDING, y);
+  y += 40;
+  ctx.fillStyle = colors.muted;
+  ctx.font = `22px ${FONT_FAMILY}`;
+  ctx.fillText(fitText(ctx, card.subtitle || '', contentWidth), PADDING, y);
+  y += 36 + 28;
+
+  const headline = formatShareValue(card.headline, mode);
+  ctx.fillStyle = colors.muted;
+  ctx.font = `22px ${FONT_FAMILY}`;
+  ctx.fillText(card.headline?.label || '', PADDING, y);
+  ctx.fillStyle = toneColor(headline.tone);
+  ctx.font = `700 64px ${FONT_FAMILY}`;
+  const headlineText = headline.primary ?? '--';
+  ctx.fillText(fitText(ctx, headlineText, contentWidth), PADDING, y + 34);
+  if (headline.secondary) {
+    const offset = Math.min(ctx.measureText(headlineText).width, contentWidth) + 16;
+    ctx.font = `600 28px ${FONT_FAMILY}`;
+    ctx.fillText(headline.secondary, PADDING + offset, y + 64);
+  }
+  y += 120;
+
+  const metrics = (card.metrics || []).filter((m) => formatShareValue(m, mode).primary != null);
+  if (metrics.length) {
+    const cellWidth = contentWidth / metrics.length;
+    metrics.forEach((m, i) => {
+      const value = formatShareValue(m, mode);
+      const x = PADDING + cellWidth * i;
+      ctx.fillStyle = colors.muted;
+      ctx.font = `20px ${FONT_FAMILY}`;
+      ctx.fillText(fitText(ctx, m.label, cellWidth - 12), x, y);
+      ctx.fillStyle = toneColor(value.tone);
+      ctx.font = `600 28px ${FONT_FAMILY}`;
+      ctx.fillText(fitText(ctx, value.primary, cellWidth - 12), x, y + 30);
+      if (value.secondary) {
+        ctx.font = `20px ${FONT_FAMILY}`;
+        ctx.fillText(fitText(ctx, value.secondary, cellWidth - 12), x, y + 64);
+      }
+    });
+    y += 96;
+  }
+
+  if (isArray(card.bars) && card.bars.length > 1) {
+    // 只绘制走势形状，不带坐标轴数值，隐藏模式下同样不泄露金额
+    const chartHeight = 120;
+    const maxAbs = Math.max(...card.bars.map((v) => Math.abs(Number(v) || 0)), 0.01);
+    const hasNegative = card.bars.some((v) => v < 0);
+    const baseline = hasNegative ? y + chartHeight / 2 : y + chartHeight;
+    const scale = (hasNegative ? chartHeight / 2 : chartHeight) / maxAbs;
+    const slot = contentWidth / card.bars.length;
+    const barWidth = Math.max(1, slot * 0.7);
+    card.bars.forEach((raw, i) => {
+      const v = Number(raw) || 0;
+      const h = Math.max(1, Math.abs(v) * scale);
+      ctx.fillStyle = v >= 0 ? colors.up : colors.down;
+      ctx.fillRect(PADDING + slot * i + (slot - barWidth) / 2, v >= 0 ? baseline - h : baseline, barWidth, h);
+    });
+    ctx.strokeStyle = colors.border;
+    ctx.beginPath();
+    ctx.moveTo(PADDING, baseline);
+    ctx.lineTo(PADDING + contentWidth, baseline);
+    ctx.stroke();
+    y += 150;
+  }
+
+  if (isArray(card.allocation) && card.allocation.length) {
+    const barY = y + 8;
+    let offsetX = PADDING;
+    roundRectPath(ctx, PADDING, barY, contentWidth, 20, 10);
+    ctx.save();
+    ctx.clip();
+    card.allocation.forEach((item, i) => {
+      const w = (contentWidth * item.weight) / 100;
+      ctx.fillStyle = ALLOCATION_COLORS[i % ALLOCATION_COLORS.length];
+      ctx.fillRect(offsetX, barY, w, 20);
+      offsetX += w;
+    });
+    ctx.restore();
+    y += 56;
+    card.allocation.forEach((item, i) => {
+      ctx.fillStyle = ALLOCATION_COLORS[i % ALLOCATION_COLORS.length];
+      roundRectPath(ctx, PADDING, y + 6, 14, 14, 4);
+      ctx.fill();
+      const valueText =
+        mode === 'masked'
+          ? '**.**%'
+          : mode === 'percent'
+            ? `${item.weight.toFixed(2)}%`
+            : `${formatMoneyText(item.amount)}  ${item.weight.toFixed(2)}%`;
+      ctx.font = `600 22px ${FONT_FAMILY}`;
+      ctx.fillStyle = colors.text;
+      ctx.textAlign = 'right';
+      ctx.fillText(valueText, PADDING + contentWidth, y);
+      const valueWidth = ctx.measureText(valueText).width;
+      ctx.textAlign = 'left';
+      ctx.font = `22px ${FONT_FAMILY}`;
+      ctx.fillText(fitText(ctx, item.label, contentWidth - valueWidth - 40), PADDING + 26, y);
+      y += 40;
+    });
+  }
+
+  ctx.strokeStyle = colors.border;
+  ctx.beginPath();
+  ctx.moveTo(PADDING, height - PADDING - 44);
+  ctx.lineTo(PADDING + contentWidth, height - PADDING - 44);
+  ctx.stroke();
+  ctx.fillStyle = colors.brand;
+  ctx.font = `600 20px ${FONT_FAMILY}`;
+  ctx.fillText(footer, PADDING, height - PADDING - 20);
+}
+
+/**
+ * canvas 转 PNG
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('生成图片失败'))), 'image/png');
+  });
+}
+
+/**
+ * 下载图片
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 当前环境是否支持通过 Web Share API 分享图片文件
+ * @returns {boolean}
+ */
+export function canShareImage() {
+  if (typeof navigator === 'undefined' || typeof navigator.share !== 'function') return false;
+  if (typeof navigator.canShare !== 'function' || typeof File === 'undefined') return false;
+  try {
+    return navigator.canShare({ files: [new File([''], 'card.png', { type: 'image/png' })] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 通过系统分享面板分享图片；用户取消时返回 false
+ * @param {Blob} blob
+ * @param {string} filename
+ * @param {string} [title]
+ * @returns {Promise<boolean>}
+ */
+export async function shareImageBlob(blob, filename, title) {
+  const file = new File([blob], filename, { type: 'image/png' });
+  try {
+    await navigator.share({ files: [file], title });
+    return true;
+  } catch (e) {
+    if (e?.name === 'AbortError') return false;
+    throw e;
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * 年度 / 月度投资账单：基于每日收益、交易记录与每日资产快照汇总单个周期
+ * - 收益：周期内每日收益之和（含已清仓基金随归档保存的每日收益）
+ * - 净投入：买入 - 卖出 - 现金分红，与资产快照的净现金流同口径
+ * - 期初 / 期末市值：取周期开始前 / 结束时最近一次资产快照；缺少期初快照时按 期末 - 净投入 - 收益 倒推
+ * - 收益率：Modified Dietz，按资金在周期内停留的天数加权
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+import { mergeScopeSnapshots } from './assetSnapshots';
+import { getTxAmount } from './xirr';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/** 最佳 / 最差基金各展示的数量 */
+const RANK_SIZE = 3;
+
+/**
+ * @param {{ type: 'year'|'month', year: number, month?: number }} period - month 为 1-12
+ * @returns {{ start: string, end: string, label: string }}
+ */
+export function getStatementRange(period) {
+  if (period.type === 'month') {
+    const base = dayjs(`${period.year}-${String(period.month).padStart(2, '0')}-01`);
+    return {
+      start: base.format('YYYY-MM-DD'),
+      end: base.endOf('month').format('YYYY-MM-DD'),
+      label: base.format('YYYY年M月')
+    };
+  }
+  return { start: `${period.year}-01-01`, end: `${period.year}-12-31`, label: `${period.year}年` };
+}
+
+/**
+ * 交易手续费：优先使用记录的 fee；旧的买入记录按 成交金额 - 份额 × 成交净值 推算
+ * @param {object} tx
+ * @returns {number}
+ */
+export function getTxFee(tx) {
+  if (!tx || (tx.type !== 'buy' && tx.type !== 'sell')) return 0;
+  if (isNumber(tx.fee) && Number.isFinite(tx.fee)) return Math.max(0, tx.fee);
+  if (tx.type !== 'buy') return 0;
+  const gross = (Number(tx.share) || 0) * (Number(tx.price) || 0);
+  const fee = (Number(tx.amount) || 0) - gross;
+  return gross > 0 && fee > 0.005 ? fee : 0;
+}
+
+/**
+ * 合并当前交易记录与清仓归档中的交易快照（按 id 去重）
+ * @param {Record<string, object[]>} transactions
+ * @param {object[]} clearedPositions
+ * @returns {{ code: string, tx: object }[]}
+ */
+function collectStatementTransactions(transactions, clearedPositions) {
+  const out = [];
+  const seen = new Set();
+  const push = (code, tx) => {
+    if (!tx || !isString(tx.date) || tx.undone || tx.isAdjustment) return;
+    if (tx.id) {
+      if (seen.has(tx.id)) return;
+      seen.add(tx.id);
+    }
+    out.push({ code, tx });
+  };
+  Object.entries(isPlainObject(transactions) ? transactions : {}).forEach(([code, list]) => {
+    (isArray(list) ? list : []).forEach((tx) => push(code, tx));
+  });
+  (isArray(clearedPositions) ? clearedPositions : []).forEach((entry) => {
+    (isArray(entry?.transactions) ? entry.transactions : []).forEach((tx) => push(entry.code, tx));
+  });
+  return out;
+}
+
+/**
+ * 合并各账本的每日收益：当前记录优先，已删除的记录由清仓归档补充
+ * @returns {{ code: string, date: string, earnings: number }[]}
+ */
+function collectStatementEarnings(fundDailyEarnings, clearedPositions) {
+  const rows = new Map();
+  Object.entries(isPlainObject(fundDailyEarnings) ? fundDailyEarnings : {}).forEach(([scope, bucket]) => {
+    if (!isPlainObject(bucket)) return;
+    Object.entries(bucket).forEach(([code, list]) => {
+      (isArray(list) ? list : []).forEach((row) => {
+        if (!row || !isString(row.date) || !isNumber(row.earnings) || !Number.isFinite(row.earnings)) return;
+        rows.set(`${scope}|${code}|${row.date}`, { code, date: row.date, earnings: row.earnings });
+      });
+    });
+  });
+  (isArray(clearedPositions) ? clearedPositions : []).forEach((entry) => {
+    const scope = entry?.groupId || 'all';
+    (isArray(entry?.dailyEarnings) ? entry.dailyEarnings : []).forEach((row) => {
+      const key = `${scope}|${entry.code}|${row?.date}`;
+      if (rows.has(key) || !isString(row?.date) || !Number.isFinite(row?.earnings)) return;
+      rows.set(key, { code: entry.code, date: row.date, earnings: row.earnings });
+    });
+  });
+  return [...rows.values()];
+}
+
+/**
+ * @typedef {object} StatementReport
+ * @property {{ type: 'year'|'month', year: number, month?: number }} period
+ * @property {string} start
+ * @property {string} end
+ * @property {string} label
+ * @property {number|null} startValue
+ * @property {boolean} startEstimated - 期初市值由期末倒推
+ * @property {number|null} endValue
+ * @property {number} buyAmount
+ * @property {number} sellAmount
+ * @property {number} netContribution
+ * @property {number} profit
+ * @property {number|null} returnRate - 百分比数值
+ * @property {number} fees
+ * @property {number} dividendCash
+ * @property {number} dividendReinvest
+ * @property {number} tradeCount
+ * @property {{ code: string, name: string, profit: number }[]} bestFunds
+ * @property {{ code: string, name: string, profit: number }[]} worstFunds
+ * @property {{ key: string, label: string, profit: number|null }[]} heatmap - 年度为 12 个月，月度为每一天
+ * @property {boolean} hasData
+ */
+
+/**
+ * 生成单个周期的账单
+ * @param {object} params
+ * @param {{ type: 'year'|'month', year: number, month?: number }} params.period
+ * @param {object} params.store - useStorageStore 的状态（funds, transactions, fundDailyEarnings, fundAssetSnapshots, clearedPositions）
+ * @param {string} params.todayStr
+ * @returns {StatementReport}
+ */
+export function buildStatement({ period, store, todayStr }) {
+  const { start, end, label } = getStatementRange(period);
+  const inRange = (date) => date >= start && date <= end && date <= todayStr;
+
+  const names = new Map();
+  (isArray(store.clearedPositions) ? store.clearedPositions : []).forEach((entry) => {
+    if (entry?.code && entry.name) names.set(entry.code, entry.name);
+  });
+  (isArray(store.funds) ? store.funds : []).forEach((f) => {
+    if (f?.code && f.name) names.set(f.code, f.name);
+  });
+
+  let buyAmount = 0;
+  let sellAmount = 0;
+  let fees = 0;
+  let dividendCash = 0;
+  let dividendReinvest = 0;
+  let tradeCount = 0;
+  const flows = [];
+  collectStatementTransactions(store.transactions, store.clearedPositions).forEach(({ tx }) => {
+    if (!inRange(tx.date)) return;
+    if (tx.type === 'dividend_cash' || tx.type === 'dividend_reinvest') {
+      const amount = Number(tx.amount) || 0;
+      if (tx.type === 'dividend_cash') {
+        dividendCash += amount;
+        flows.push({ date: tx.date, amount: -amount });
+      } else {
+        dividendReinvest += amount;
+      }
+      return;
+    }
+    if (tx.type !== 'buy' && tx.type !== 'sell') return;
+    const amount = getTxAmount(tx) ?? 0;
+    tradeCount += 1;
+    fees += getTxFee(tx);
+    if (tx.type === 'buy') buyAmount += amount;
+    else sellAmount += amount;
+    flows.push({ date: tx.date, amount: tx.type === 'buy' ? amount : -amount });
+  });
+
+  let profit = 0;
+  const profitByCode = new Map();
+  const profitByCell = new Map();
+  const cellKeyOf = (date) => (period.type === 'year' ? date.slice(0, 7) : date);
+  collectStatementEarnings(store.fundDailyEarnings, store.clearedPositions).forEach((row) => {
+    if (!inRange(row.date)) return;
+    profit += row.earnings;
+    profitByCode.set(row.code, (profitByCode.get(row.code) ?? 0) + row.earnings);
+    const key = cellKeyOf(row.date);
+    profitByCell.set(key, (profitByCell.get(key) ?? 0) + row.earnings);
+  });
+
+  const snapshots = mergeScopeSnapshots(store.fundAssetSnapshots);
+  let startSnapshot = null;
+  let endSnapshot = null;
+  snapshots.forEach((snap) => {
+    if (snap.date < start) startSnapshot = snap;
+    if (snap.date <= end) endSnapshot = snap;
+  });
+  const netContribution = flows.reduce((s, f) => s + f.amount, 0);
+  const endValue = endSnapshot ? endSnapshot.marketValue : null;
+  let startValue = startSnapshot ? startSnapshot.marketValue : null;
+  let startEstimated = false;
+  if (startValue == null && endValue != null) {
+    startValue = Math.max(0, endValue - netContribution - profit);
+    startEstimated = true;
+  }
+
+  // Modified Dietz：资金按在周期内停留的天数加权
+  const effectiveEnd = end < todayStr ? end : todayStr;
+  const totalDays = Math.max(1, dayjs(effectiveEnd).diff(dayjs(start), 'day') + 1);
+  const weightedFlows = flows.reduce(
+    (s, f) => s + f.amount * (Math.max(0, dayjs(effectiveEnd).diff(dayjs(f.date), 'day')) / totalDays),
+    0
+  );
+  const denominator = (startValue ?? 0) + weightedFlows;
+  const returnRate = denominator > 0 ? (profit / denominator) * 100 : null;
+
+  const ranked = [...profitByCode.entries()]
+    .map(([code, value]) => ({ code, name: names.get(code) || code, profit: round2(value) }))
+    .sort((a, b) => b.profit - a.profit);
+
+  const heatmap = [];
+  if (period.type === 'year') {
+    for (let m = 1; m <= 12; m++) {
+      const key = `${period.year}-${String(m).padStart(2, '0')}`;
+      heatmap.push({ key, label: `${m}月`, profit: profitByCell.has(key) ? round2(profitByCell.get(key)) : null });
+    }
+  } else {
+    for (let d = dayjs(start); !d.isAfter(dayjs(end), 'day'); d = d.add(1, 'day')) {
+      const key = d.format('YYYY-MM-DD');
+      heatmap.push({
+        key,
+        label: String(d.date()),
+        profit: profitByCell.has(key) ? round2(profitByCell.get(key)) : null
+      });
+    }
+  }
+
+  return {
+    period,
+    start,
+    end,
+    label,
+    startValue: startValue == null ? null : round2(startValue),
+    startEstimated,
+    endValue: endValue == null ? null : round2(endValue),
+    buyAmount: round2(buyAmount),
+    sellAmount: round2(sellAmount),
+    netContribution: round2(netContribution),
+    profit: round2(profit),
+    returnRate,
+    fees: round2(fees),
+    dividendCash: round2(dividendCash),
+    dividendReinvest: round2(dividendReinvest),
+    tradeCount,
+    bestFunds: ranked.filter((r) => r.profit > 0).slice(0, RANK_SIZE),
+    worstFunds: ranked
+      .filter((r) => r.profit < 0)
+      .reverse()
+      .slice(0, RANK_SIZE),
+    heatmap,
+    hasData: tradeCount > 0 || profitByCode.size > 0 || dividendCash > 0 || dividendReinvest > 0
+  };
+}
+
+/**
+ * 热力图单元格颜色：收益为红、亏损为绿，按周期内最大绝对值归一化
+ * @param {number|null} value
+ * @param {number} maxAbs
+ * @returns {string} CSS 颜色
+ */
+export function getHeatmapColor(value, maxAbs) {
+  if (value == null || !(maxAbs > 0) || value === 0) return 'rgba(148, 163, 184, 0.12)';
+  const alpha = 0.15 + 0.65 * Math.min(1, Math.abs(value) / maxAbs);
+  return value > 0 ? `rgba(220, 38, 38, ${alpha.toFixed(2)})` : `rgba(5, 150, 105, ${alpha.toFixed(2)})`;
+}
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]
+  );
+
+const formatAmount = (v) =>
+  v == null || !Number.isFinite(v)
+    ? '--'
+    : v.toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatSignedAmount = (v) => (v == null || !Number.isFinite(v) ? '--' : `${v > 0 ? '+' : ''}${formatAmount(v)}`);
+
+const formatRate = (v) => (v == null || !Number.isFinite(v) ? '--' : `${v > 0 ? '+' : ''}${v.toFixed(2)}%`);
+
+const toneClass = (v) => (v > 0 ? 'up' : v < 0 ? 'down' : '');
+
+/**
+ * 生成可独立打开与打印的 HTML 账单（样式内联，不依赖外部资源）
+ * @param {StatementReport} report
+ * @param {object} [options]
+ * @param {string} [options.generatedAt] - 生成时间文案
+ * @returns {string}
+ */
+export function renderStatementHtml(report, { generatedAt = '' } = {}) {
+  const maxAbs = Math.max(0, ...report.heatmap.map((c) => Math.abs(c.profit ?? 0)));
+  const title = `${report.label}投资账单`;
+  const metrics = [
+    ['期初市值', `${formatAmount(report.startValue)}${report.startEstimated ? '（推算）' : ''}`, ''],
+    ['期末市值', formatAmount(report.endValue), ''],
+    ['净投入', formatSignedAmount(report.netContribution), ''],
+    ['收益', formatSignedAmount(report.profit), toneClass(report.profit)],
+    ['收益率', formatRate(report.returnRate), toneClass(report.returnRate)],
+    ['买入 / 卖出', `${formatAmount(report.buyAmount)} / ${formatAmount(report.sellAmount)}`, ''],
+    ['手续费', formatAmount(report.fees), ''],
+    ['分红（现金 / 再投资）', `${formatAmount(report.dividendCash)} / ${formatAmount(report.dividendReinvest)}`, '']
+  ];
+  const rankRows = (list) =>
+    list.length
+      ? list
+          .map(
+            (r) =>
+              `<tr><td>${escapeHtml(r.name)}<span class="muted"> ${escapeHtml(r.code)}</span></td><td class="num ${toneClass(r.profit)}">${formatSignedAmount(r.profit)}</td></tr>`
+          )
+          .join('')
+      : '<tr><td class="muted" colspan="2">无</td></tr>';
+  const cells = report.heatmap
+    .map(
+      (c) =>
+        `<div class="cell" style="background:${getHeatmapColor(c.profit, maxAbs)}"><div class="cell-label">${escapeHtml(c.label)}</div><div class="cell-value">${c.profit == null ? '' : formatSignedAmount(c.profit)}</div></div>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif; color: #0f172a; margin: 0; padding: 32px; background: #fff; }
+  .sheet { max-width: 760px; margin: 0 auto; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 10px; }
+  .muted { color: #64748b; font-size: 12px; }
+  .metrics { display: grid; grid-template-columns: repeat(4, minmax(0, 1fr)); gap: 12px; margin-top: 20px; }
+  .metric { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 12px; }
+  .metric-value { font-size: 15px; font-weight: 600; margin-top: 4px; font-variant-numeric: tabular-nums; }
+  .up { color: #dc2626; }
+  .down { color: #059669; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  td { padding: 6px 0; border-bottom: 1px solid #f1f5f9; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .ranks { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+  .heatmap { display: grid; grid-template-columns: repeat(${report.period.type === 'year' ? 6 : 7}, minmax(0, 1fr)); gap: 6px; }
+  .cell { border-radius: 6px; padding: 6px 8px; min-height: 40px; }
+  .cell-label { font-size: 11px; color: #475569; }
+  .cell-value { font-size: 12px; font-weight: 600; margin-top: 2px; font-variant-numeric: tabular-nums; }
+  @media print { body { padding: 0; } .metric, .cell { break-inside: avoid; -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<div class="sheet">
+  <h1>${escapeHtml(title)}</h1>
+  <div class="muted">${report.start} 至 ${report.end}${generatedAt ? ` · 生成于 ${escapeHtml(generatedAt)}` : ''}</div>
+  <div class="metrics">
+    ${metrics.map(([k, v, tone]) => `<div class="metric"><div class="muted">${k}</div><div class="metric-value ${tone}">${v}</div></div>`).join('')}
+  </div>
+  <h2>${report.period.type === 'year' ? '月度收益' : '每日收益'}</h2>
+  <div class="heatmap">${cells}</div>
+  <div class="ranks">
+    <div><h2>收益最多</h2><table>${rankRows(report.bestFunds)}</table></div>
+    <div><h2>亏损最多</h2><table>${rankRows(report.worstFunds)}</table></div>
+  </div>
+  <p class="muted" style="margin-top: 28px;">收益为每日收益之和（含已清仓基金）；净投入 = 买入 - 卖出 - 现金分红；收益率按资金停留天数加权（Modified Dietz）。共 ${report.tradeCount} 笔买卖交易。</p>
+</div>
+</body>
+</html>
+`;
+}
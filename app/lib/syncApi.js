@@ -0,0 +1,90 @@
+/**
+ * 内置同步服务（客户端）：以服务端方式自建部署时（NEXT_PUBLIC_SYNC_API=true），通过同源的 /api/sync 接口同步，
+ * 以同步令牌代替 Supabase 登录
+ */
+import { isString } from 'lodash';
+
+/** 是否启用内置同步服务（构建时确定，代替 isSupabaseConfigured 决定是否可同步） */
+export const isSyncApiEnabled = process.env.NEXT_PUBLIC_SYNC_API === 'true';
+
+/** 内置同步服务账号标识前缀，用于区分 Supabase 用户 ID */
+export const SYNC_API_ACCOUNT_PREFIX = 'api:';
+
+/**
+ * @param {string} userId - 服务端令牌对应的用户名
+ * @returns {string}
+ */
+export function getSyncApiAccountId(userId) {
+  return `${SYNC_API_ACCOUNT_PREFIX}${userId}`;
+}
+
+/**
+ * @param {unknown} accountId
+ * @returns {boolean}
+ */
+export function isSyncApiAccountId(accountId) {
+  return isString(accountId) && accountId.startsWith(SYNC_API_ACCOUNT_PREFIX);
+}
+
+/**
+ * 内置同步服务请求错误的提示文案
+ * @param {any} error
+ * @returns {string}
+ */
+export function describeSyncApiError(error) {
+  if (error?.status === 401) return '同步令牌无效';
+  if (error?.status === 503) return '服务器未配置同步令牌（SYNC_API_TOKENS）';
+  if (error?.status) return error.message || `同步服务返回错误（HTTP ${error.status}）`;
+  return '无法连接同步服务，请稍后再试';
+}
+
+const request = async (token, path, { method = 'GET', body } = {}) => {
+  const res = await fetch(`/api/sync/${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+    cache: 'no-store'
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok) {
+    const error = new Error(json?.error || `HTTP ${res.status}`);
+    error.status = res.status;
+    throw error;
+  }
+  return json;
+};
+
+/** 与 Supabase 客户端一致，以 { data, error } 返回而不抛出 */
+const settle = async (fn) => {
+  try {
+    return { data: await fn(), error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+/**
+ * 校验同步令牌
+ * @param {string} token
+ * @returns {Promise<{ data: { userId: string }|null, error: any }>}
+ */
+export function fetchSyncApiSession(token) {
+  return settle(() => request(token, 'session'));
+}
+
+/**
+ * 创建内置同步服务的传输层
+ * @param {string} token
+ * @returns {import('./syncTransport').SyncTransport}
+ */
+export function createSyncApiTransport(token) {
+  return {
+    supportsSnapshots: true,
+    load: () => settle(() => request(token, 'config')),
+    create: () => settle(() => request(token, 'config', { method: 'POST' })),
+    save: (accountId, payload, { deviceId, forceTakeover = false, partial = false } = {}) =>
+      settle(() => request(token, 'config', { method: 'PUT', body: { payload, deviceId, forceTakeover, partial } })),
+    listSnapshots: () => settle(() => request(token, 'snapshots')),
+    loadSnapshot: (id) => settle(async () => (await request(token, `snapshots/${encodeURIComponent(id)}`)).data)
+  };
+}
@@ -0,0 +1,428 @@
+/**
+ * 云端同步三方合并：以上次同步成功时的数据为基准（base），分别比较本机（local）与云端（cloud）的改动
+ * 只有两边都改了同一字段且结果不同时才算冲突，其余改动自动合并
+ * 没有基准时可按两方对比（diffSyncPayload）：所有不一致的项都列为差异，由用户逐项选择
+ */
+import { isArray, isEqual, isNumber, isPlainObject, isString, pick, union } from 'lodash';
+
+/** 上次同步成功时的数据快照，仅保存在本机 */
+export const SYNC_BASE_KEY = 'syncBase';
+
+/** 参与三方合并并记录基准快照的 key（fundValuationTimeseries 由 applyCloudConfig 按时间点合并，不在此列） */
+export const MERGE_KEYS = [
+  'funds',
+  'tags',
+  'favorites',
+  'groups',
+  'collapsedCodes',
+  'collapsedTrends',
+  'collapsedValuationTrends',
+  'collapsedEarnings',
+  'refreshMs',
+  'holdings',
+  'groupHoldings',
+  'pendingTrades',
+  'transactions',
+  'dcaPlans',
+  'customSettings',
+  'fundDailyEarnings',
+  'fundDividends',
+  'clearedPositions'
+];
+
+/** funds 中由用户设置的字段；其余为估值、净值等行情字段，各设备刷新后必然不同，不视为改动 */
+const FUND_USER_FIELDS = ['code', 'dataSource', 'showImageChart', 'trackingRatio', 'redemptionFeeSchedule'];
+
+const fundEq = (a, b) => isEqual(a && pick(a, FUND_USER_FIELDS), b && pick(b, FUND_USER_FIELDS));
+
+const isPrimitiveArray = (v) => isArray(v) && v.every((x) => x === null || typeof x !== 'object');
+
+const roundTo = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * 单值三方合并：一边未改取另一边，两边改成不同值记为冲突（按用户选择取值，默认保留本机）
+ * 两方对比时不看基准，不一致即为差异
+ * @param {{ conflicts: object[], choices: Record<string, 'local'|'cloud'>, twoWay: boolean }} ctx
+ * @param {string[]} path
+ */
+function mergeValue(ctx, path, base, local, cloud, eq = isEqual) {
+  if (eq(local, cloud)) return local;
+  if (!ctx.twoWay) {
+    if (eq(base, local)) return cloud;
+    if (eq(base, cloud)) return local;
+  }
+  const id = path.join('/');
+  ctx.conflicts.push({ id, path, local, cloud });
+  return ctx.choices[id] === 'cloud' ? cloud : local;
+}
+
+/** 计算型数据（每日收益、分红缓存）：两边都改时保留本机，不打扰用户 */
+function mergePreferLocal(ctx, path, base, local, cloud) {
+  if (isEqual(base, cloud)) return local;
+  if (isEqual(base, local)) return cloud;
+  return local === undefined ? cloud : local;
+}
+
+/** 基本类型数组按集合合并：保留两边新增，去掉任一边删除的元素；两方对比时元素不同即整体作为一项差异 */
+function mergeSet(ctx, path, base, local, cloud) {
+  const l = isArray(local) ? local : [];
+  const c = isArray(cloud) ? cloud : [];
+  if (ctx.twoWay) {
+    return isEqual(new Set(l), new Set(c)) ? local : mergeValue(ctx, path, base, local, cloud);
+  }
+  const b = new Set(isArray(base) ? base : []);
+  const removed = new Set([...b].filter((x) => !l.includes(x) || !c.includes(x)));
+  return Array.from(new Set([...l, ...c])).filter((x) => !removed.has(x));
+}
+
+/** 对象按属性合并，属性值交给 mergeEntry；一边删除另一边未改时删除 */
+function mergeRecord(ctx, path, base, local, cloud, mergeEntry) {
+  if (!isPlainObject(local) || !isPlainObject(cloud)) return mergeValue(ctx, path, base, local, cloud);
+  const b = isPlainObject(base) ? base : {};
+  const out = {};
+  union(Object.keys(local), Object.keys(cloud), Object.keys(b)).forEach((key) => {
+    const value = mergeEntry(ctx, [...path, key], b[key], local[key], cloud[key]);
+    if (value !== undefined) out[key] = value;
+  });
+  return out;
+}
+
+/** 对象按字段合并（持仓、分组等）：字段为基本类型数组时按集合合并 */
+function mergeFields(ctx, path, base, local, cloud) {
+  if (!isPlainObject(local) || !isPlainObject(cloud)) return mergeValue(ctx, path, base, local, cloud);
+  return mergeRecord(ctx, path, base, local, cloud, (c, p, b, l, cl) =>
+    isPrimitiveArray(l) && isPrimitiveArray(cl) ? mergeSet(c, p, b, l, cl) : mergeValue(c, p, b, l, cl)
+  );
+}
+
+/** 数组按 id 合并，结果保持本机顺序，云端新增的追加在后 */
+function mergeById(ctx, path, base, local, cloud, idOf, mergeEntry) {
+  if (!isArray(local) || !isArray(cloud)) return mergeValue(ctx, path, base, local, cloud);
+  const toMap = (list) => {
+    const map = new Map();
+    (isArray(list) ? list : []).forEach((item) => {
+      const id = idOf(item);
+      map.set(id == null ? JSON.stringify(item) : String(id), item);
+    });
+    return map;
+  };
+  const b = toMap(base);
+  const l = toMap(local);
+  const c = toMap(cloud);
+  const out = [];
+  union([...l.keys()], [...c.keys()], [...b.keys()]).forEach((id) => {
+    const value = mergeEntry(ctx, [...path, id], b.get(id), l.get(id), c.get(id));
+    if (value !== undefined) out.push(value);
+  });
+  return out;
+}
+
+function mergeFund(ctx, path, base, local, cloud) {
+  if (!isPlainObject(local) || !isPlainObject(cloud)) return mergeValue(ctx, path, base, local, cloud, fundEq);
+  const out = { ...cloud };
+  FUND_USER_FIELDS.forEach((field) => {
+    const value = mergeValue(ctx, [...path, field], base?.[field], local[field], cloud[field]);
+    if (value === undefined) delete out[field];
+    else out[field] = value;
+  });
+  return out;
+}
+
+/**
+ * 持仓合并：两边都有新交易时，份额与持仓成本金额按增量叠加（base + 本机增量 + 云端增量），
+ * 避免两台设备同日交易时一方的交易被覆盖；其余情况按字段合并
+ */
+function mergeHolding(ctx, path, base, local, cloud, additive) {
+  const canAdd =
+    additive &&
+    isPlainObject(local) &&
+    isPlainObject(cloud) &&
+    isNumber(local.share) &&
+    isNumber(cloud.share) &&
+    isNumber(local.cost) &&
+    isNumber(cloud.cost);
+  if (!canAdd) return mergeFields(ctx, path, base, local, cloud);
+  const baseShare = isNumber(base?.share) ? base.share : 0;
+  const baseCostAmount = baseShare * (isNumber(base?.cost) ? base.cost : 0);
+  const share = roundTo(local.share + cloud.share - baseShare, 2);
+  const costAmount = local.share * local.cost + cloud.share * cloud.cost - baseCostAmount;
+  const rest = mergeFields(ctx, path, base, { ...local, share: 0, cost: 0 }, { ...cloud, share: 0, cost: 0 });
+  return { ...rest, share, cost: share > 0 ? roundTo(costAmount / share, 4) : local.cost };
+}
+
+/** 找出本机与云端自上次同步后都新增了交易的账本与基金，形如 `${groupId || ''}|${code}` */
+function collectBothTraded(base, local, cloud) {
+  const newKeys = (source) => {
+    const keys = new Set();
+    Object.entries(isPlainObject(source) ? source : {}).forEach(([code, list]) => {
+      const baseIds = new Set((isArray(base?.[code]) ? base[code] : []).map((t) => t?.id));
+      (isArray(list) ? list : []).forEach((t) => {
+        if (t?.id != null && !baseIds.has(t.id)) keys.add(`${t.groupId || ''}|${code}`);
+      });
+    });
+    return keys;
+  };
+  const localKeys = newKeys(local);
+  return new Set([...newKeys(cloud)].filter((k) => localKeys.has(k)));
+}
+
+const KEY_MERGERS = {
+  funds: (ctx, b, l, c) => mergeById(ctx, ['funds'], b, l, c, (f) => f?.code, mergeFund),
+  tags: (ctx, b, l, c) => mergeById(ctx, ['tags'], b, l, c, (t) => t?.id, mergeFields),
+  groups: (ctx, b, l, c) => mergeById(ctx, ['groups'], b, l, c, (g) => g?.id, mergeFields),
+  favorites: (ctx, b, l, c) => mergeSet(ctx, ['favorites'], b, l, c),
+  collapsedCodes: (ctx, b, l, c) => mergeSet(ctx, ['collapsedCodes'], b, l, c),
+  collapsedTrends: (ctx, b, l, c) => mergeSet(ctx, ['collapsedTrends'], b, l, c),
+  collapsedValuationTrends: (ctx, b, l, c) => mergeSet(ctx, ['collapsedValuationTrends'], b, l, c),
+  collapsedEarnings: (ctx, b, l, c) => mergeSet(ctx, ['collapsedEarnings'], b, l, c),
+  refreshMs: (ctx, b, l, c) => mergeValue(ctx, ['refreshMs'], b, l, c),
+  holdings: (ctx, b, l, c) =>
+    mergeRecord(ctx, ['holdings'], b, l, c, (cx, p, hb, hl, hc) =>
+      mergeHolding(cx, p, hb, hl, hc, ctx.bothTraded.has(`|${p[1]}`))
+    ),
+  groupHoldings: (ctx, b, l, c) =>
+    mergeRecord(ctx, ['groupHoldings'], b, l, c, (cx, gp, gb, gl, gc) =>
+      mergeRecord(cx, gp, gb, gl, gc, (cx2, p, hb, hl, hc) =>
+        mergeHolding(cx2, p, hb, hl, hc, ctx.bothTraded.has(`${p[1]}|${p[2]}`))
+      )
+    ),
+  pendingTrades: (ctx, b, l, c) => mergeById(ctx, ['pendingTrades'], b, l, c, (t) => t?.id, mergeValue),
+  transactions: (ctx, b, l, c) =>
+    mergeRecord(ctx, ['transactions'], b, l, c, (cx, p, tb, tl, tc) => {
+      const list = mergeById(cx, p, tb, tl, tc, (t) => t?.id, mergeValue);
+      return isArray(list) ? list.sort((x, y) => (y?.timestamp || 0) - (x?.timestamp || 0)) : list;
+    }),
+  dcaPlans: (ctx, b, l, c) =>
+    mergeRecord(ctx, ['dcaPlans'], b, l, c, (cx, p, sb, sl, sc) => mergeRecord(cx, p, sb, sl, sc, mergeFields)),
+  customSettings: (ctx, b, l, c) => mergeFields(ctx, ['customSettings'], b, l, c),
+  fundDailyEarnings: (ctx, b, l, c) =>
+    mergeRecord(ctx, ['fundDailyEarnings'], b, l, c, (cx, sp, sb, sl, sc) =>
+      mergeRecord(cx, sp, sb, sl, sc, (cx2, p, eb, el, ec) =>
+        mergeById(cx2, p, eb, el, ec, (e) => e?.date, mergePreferLocal)
+      )
+    ),
+  fundDividends: (ctx, b, l, c) => mergeRecord(ctx, ['fundDividends'], b, l, c, mergePreferLocal),
+  clearedPositions: (ctx, b, l, c) => mergeById(ctx, ['clearedPositions'], b, l, c, (e) => e?.id, mergeValue)
+};
+
+/**
+ * 三方合并同步数据
+ * @param {object|null} base - 上次同步成功时的数据
+ * @param {object} local - 本机数据
+ * @param {object} cloud - 云端数据
+ * @param {Record<string, 'local'|'cloud'>} [choices] - 用户对冲突的选择，按冲突 id 索引
+ * @returns {{ merged: object, conflicts: { id: string, path: string[], local: any, cloud: any }[] }}
+ */
+export function mergeSyncPayload(base, local, cloud, choices = {}) {
+  return runMerge(base, local, cloud, choices, false);
+}
+
+/**
+ * 两方对比本机与云端数据（没有同步基准时使用）：所有不一致的项都作为差异返回
+ * @param {object} local
+ * @param {object} cloud
+ * @param {Record<string, 'local'|'cloud'>} [choices] - 用户对每项差异的选择，未选择的保留本机
+ * @returns {{ merged: object, conflicts: { id: string, path: string[], local: any, cloud: any }[] }}
+ */
+export function diffSyncPayload(local, cloud, choices = {}) {
+  return runMerge(null, local, cloud, choices, true);
+}
+
+function runMerge(base, local, cloud, choices, twoWay) {
+  const b = isPlainObject(base) ? base : {};
+  const l = isPlainObject(local) ? local : {};
+  const c = isPlainObject(cloud) ? cloud : {};
+  // 两方对比时无法区分双方各自新增的交易，不做持仓叠加
+  const bothTraded = twoWay ? new Set() : collectBothTraded(b.transactions, l.transactions, c.transactions);
+  const ctx = { conflicts: [], choices, twoWay, bothTraded };
+  // 不参与三方合并的字段以云端为准，由 applyCloudConfig 自行与本机合并（如估值分时）
+  const merged = { ...l, ...c };
+  MERGE_KEYS.forEach((key) => {
+    if (l[key] === undefined && c[key] === undefined) return;
+    const value = KEY_MERGERS[key](ctx, b[key], l[key], c[key]);
+    if (value === undefined) delete merged[key];
+    else merged[key] = value;
+  });
+  return { merged, conflicts: ctx.conflicts };
+}
+
+/**
+ * 本机自上次同步后是否有改动（funds 只比较用户设置的字段）
+ * @param {object|null} base
+ * @param {object} local
+ * @returns {boolean}
+ */
+export function hasLocalChanges(base, local) {
+  if (!isPlainObject(base)) return false;
+  return MERGE_KEYS.some((key) => {
+    if (key === 'funds') {
+      const codes = (list) => (isArray(list) ? list.map((f) => f && pick(f, FUND_USER_FIELDS)) : list);
+      return !isEqual(codes(base.funds), codes(local?.funds));
+    }
+    return local?.[key] !== undefined && !isEqual(base[key], local[key]);
+  });
+}
+
+/**
+ * 从同步数据中提取基准快照
+ * @param {object} payload
+ * @returns {object}
+ */
+export function pickSyncBase(payload) {
+  return isPlainObject(payload) ? pick(payload, MERGE_KEYS) : {};
+}
+
+/**
+ * 同步数据概要（历史快照预览用）
+ * @param {object} payload
+ * @returns {{ funds: number, holdings: number, transactions: number, groups: number }}
+ */
+export function summarizeSyncPayload(payload) {
+  const data = isPlainObject(payload) ? payload : {};
+  const holdingCount = (record) =>
+    Object.values(isPlainObject(record) ? record : {}).filter((h) => isNumber(h?.share) && h.share > 0).length;
+  return {
+    funds: isArray(data.funds) ? data.funds.length : 0,
+    holdings:
+      holdingCount(data.holdings) +
+      Object.values(isPlainObject(data.groupHoldings) ? data.groupHoldings : {}).reduce(
+        (sum, record) => sum + holdingCount(record),
+        0
+      ),
+    transactions: Object.values(isPlainObject(data.transactions) ? data.transactions : {}).reduce(
+      (sum, list) => sum + (isArray(list) ? list.length : 0),
+      0
+    ),
+    groups: isArray(data.groups) ? data.groups.filter((g) => !g?.isPreset).length : 0
+  };
+}
+
+const KEY_LABELS = {
+  funds: '基金',
+  favorites: '自选',
+  collapsedCodes: '折叠的基金',
+  collapsedTrends: '折叠的走势图',
+  collapsedValuationTrends: '折叠的估值走势',
+  collapsedEarnings: '折叠的收益',
+  tags: '标签',
+  groups: '分组',
+  refreshMs: '刷新频率',
+  holdings: '持仓',
+  groupHoldings: '分组持仓',
+  pendingTrades: '待确认交易',
+  transactions: '交易记录',
+  dcaPlans: '定投计划',
+  customSettings: '个性化设置',
+  clearedPositions: '清仓记录'
+};
+
+const FIELD_LABELS = {
+  share: '份额',
+  cost: '成本价',
+  firstPurchaseDate: '首次买入日期',
+  onExchange: '场内持仓',
+  name: '名称',
+  dataSource: '数据源',
+  showImageChart: '图片走势',
+  trackingRatio: '跟踪比例',
+  redemptionFeeSchedule: '赎回费率',
+  amount: '金额',
+  enabled: '启用',
+  codes: '包含基金',
+  fundCodes: '包含基金'
+};
+
+/** 差异按板块分组展示，可整块选择本机或云端 */
+export const CONFLICT_SECTIONS = [
+  { id: 'funds', label: '基金', keys: ['funds', 'favorites'] },
+  { id: 'holdings', label: '持仓', keys: ['holdings', 'groupHoldings', 'clearedPositions'] },
+  { id: 'transactions', label: '交易与定投', keys: ['transactions', 'pendingTrades', 'dcaPlans'] },
+  { id: 'groups', label: '标签与分组', keys: ['tags', 'groups'] },
+  {
+    id: 'settings',
+    label: '设置',
+    keys: [
+      'refreshMs',
+      'customSettings',
+      'collapsedCodes',
+      'collapsedTrends',
+      'collapsedValuationTrends',
+      'collapsedEarnings'
+    ]
+  }
+];
+
+/**
+ * 冲突所属板块 id
+ * @param {{ path: string[] }} conflict
+ * @returns {string}
+ */
+export function getConflictSection(conflict) {
+  return CONFLICT_SECTIONS.find((section) => section.keys.includes(conflict.path[0]))?.id || 'settings';
+}
+
+const TX_TYPE_LABELS = {
+  buy: '买入',
+  sell: '卖出',
+  dividend_reinvest: '红利再投资',
+  dividend_cash: '现金分红',
+  split: '份额折算'
+};
+
+/**
+ * 冲突位置的可读描述
+ * @param {{ path: string[] }} conflict
+ * @param {{ code: string, name?: string }[]} [funds] - 用于显示基金名称
+ * @param {{ id: string, name?: string }[]} [groups] - 用于显示分组名称
+ * @returns {string}
+ */
+export function describeConflictPath(conflict, funds = [], groups = []) {
+  const [key, ...rest] = conflict.path;
+  const fundName = (code) => funds.find((f) => f?.code === code)?.name || code;
+  const groupName = (id) => groups.find((g) => g?.id === id)?.name || id;
+  const parts = [KEY_LABELS[key] || key];
+  if (key === 'holdings' || key === 'funds') {
+    parts.push(fundName(rest[0]));
+    if (rest[1]) parts.push(FIELD_LABELS[rest[1]] || rest[1]);
+  } else if (key === 'groupHoldings') {
+    parts.push(groupName(rest[0]), fundName(rest[1]));
+    if (rest[2]) parts.push(FIELD_LABELS[rest[2]] || rest[2]);
+  } else if (key === 'transactions') {
+    parts.push(fundName(rest[0]));
+  } else if (key === 'groups') {
+    parts.push(groupName(rest[0]));
+    if (rest[1]) parts.push(FIELD_LABELS[rest[1]] || rest[1]);
+  } else if (key === 'dcaPlans') {
+    parts.push(fundName(rest[1]));
+    if (rest[2]) parts.push(FIELD_LABELS[rest[2]] || rest[2]);
+  } else if (rest.length) {
+    parts.push(FIELD_LABELS[rest[rest.length - 1]] || rest[rest.length - 1]);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * 冲突值的简短描述
+ * @param {any} value
+ * @param {string} [absentText] - 该侧没有此项时的文案（三方合并为删除，两方对比为不存在）
+ * @returns {string}
+ */
+export function formatConflictValue(value, absentText = '已删除') {
+  if (value === undefined) return absentText;
+  if (value === null) return '空';
+  if (typeof value === 'boolean') return value ? '是' : '否';
+  if (typeof value !== 'object') return String(value);
+  if (isPlainObject(value) && value.type && value.date) {
+    const amount = isNumber(value.amount) ? ` ${value.amount}元` : '';
+    const share = isNumber(value.share) ? ` ${value.share}份` : '';
+    return `${TX_TYPE_LABELS[value.type] || value.type} ${value.date}${amount}${share}`;
+  }
+  if (isPlainObject(value) && (isNumber(value.share) || isNumber(value.cost))) {
+    return `份额 ${value.share ?? '—'} / 成本价 ${value.cost ?? '—'}`;
+  }
+  if (isPlainObject(value) && isString(value.code)) return value.name ? `${value.name}（${value.code}）` : value.code;
+  if (isArray(value) && value.length === 0) return '空';
+  if (isArray(value) && !isPrimitiveArray(value)) return `共 ${value.length} 条`;
+  const text = isArray(value) ? value.join('、') : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
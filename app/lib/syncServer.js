@@ -0,0 +1,246 @@
+/**
+ * 内置同步服务（仅服务端，Docker 自建部署时代替 Supabase）：用户配置保存在本地 SQLite 文件，
+ * 增量更新、设备冲突与历史快照的行为与 doc/supabase.sql 中的 update_user_config_* 函数及快照触发器一致
+ */
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { isArray, isPlainObject, isString, trim } from 'lodash';
+
+/** SQLite 文件位置，Docker 中挂载 /app/data 持久化 */
+const DB_PATH = process.env.SYNC_DB_PATH || join(process.cwd(), 'data', 'sync.db');
+
+/** 保留最近 N 次同步的快照，另保留 90 天内每天最后一次 */
+const SNAPSHOT_KEEP_RECENT = 30;
+const SNAPSHOT_KEEP_DAYS = 90;
+
+const DEVICE_CONFLICT_MESSAGE = 'DEVICE_CONFLICT: Logged in on another device';
+
+const shanghaiDate = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Shanghai' });
+
+let db = null;
+
+const getDb = () => {
+  if (db) return db;
+  // 通过 getBuiltinModule 加载，避免打包工具解析 node:sqlite（需 Node.js 22.13+）
+  const sqlite = process.getBuiltinModule?.('node:sqlite');
+  if (!sqlite) throw new Error('内置同步服务需要 Node.js 22.13 及以上版本（node:sqlite）');
+  mkdirSync(dirname(DB_PATH), { recursive: true });
+  db = new sqlite.DatabaseSync(DB_PATH);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS user_configs (
+      user_id TEXT PRIMARY KEY,
+      data TEXT,
+      updated_at TEXT NOT NULL,
+      last_device_id TEXT
+    );
+    CREATE TABLE IF NOT EXISTS user_config_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      device_id TEXT,
+      data TEXT NOT NULL,
+      encrypted INTEGER NOT NULL DEFAULT 0,
+      fund_count INTEGER,
+      transaction_count INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_config_snapshots_user_created
+      ON user_config_snapshots (user_id, created_at DESC);
+  `);
+  return db;
+};
+
+/** 在事务中执行，出错时回滚 */
+const transaction = (fn) => {
+  const conn = getDb();
+  conn.exec('BEGIN IMMEDIATE');
+  try {
+    const result = fn(conn);
+    conn.exec('COMMIT');
+    return result;
+  } catch (e) {
+    conn.exec('ROLLBACK');
+    throw e;
+  }
+};
+
+const parseJson = (text) => {
+  if (!isString(text)) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 同步令牌：环境变量 SYNC_API_TOKENS，格式 `用户名:令牌`，多个以逗号分隔
+ * @returns {{ userId: string, digest: Buffer }[]}
+ */
+const readTokens = () =>
+  String(process.env.SYNC_API_TOKENS || '')
+    .split(',')
+    .map((entry) => {
+      const index = entry.indexOf(':');
+      const userId = trim(entry.slice(0, index));
+      const token = trim(entry.slice(index + 1));
+      return index > 0 && userId && token ? { userId, digest: createHash('sha256').update(token).digest() } : null;
+    })
+    .filter(Boolean);
+
+/**
+ * 按请求头 `Authorization: Bearer <令牌>` 识别用户
+ * @param {Request} request
+ * @returns {string|null}
+ */
+const authenticate = (request, tokens) => {
+  const header = request.headers.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) return null;
+  const digest = createHash('sha256').update(token).digest();
+  const matched = tokens.find((t) => timingSafeEqual(t.digest, digest));
+  return matched?.userId || null;
+};
+
+/**
+ * 路由处理包装：校验令牌后执行 handler，统一返回 JSON
+ * @param {Request} request
+ * @param {(userId: string) => Promise<{ status?: number, body: object }>|{ status?: number, body: object }} handler
+ * @returns {Promise<Response>}
+ */
+export async function handleSyncRequest(request, handler) {
+  const tokens = readTokens();
+  if (tokens.length === 0) {
+    return Response.json({ error: '服务器未配置同步令牌（SYNC_API_TOKENS）' }, { status: 503 });
+  }
+  const userId = authenticate(request, tokens);
+  if (!userId) return Response.json({ error: '同步令牌无效' }, { status: 401 });
+  try {
+    const { status = 200, body } = await handler(userId);
+    return Response.json(body, { status, headers: { 'Cache-Control': 'no-store' } });
+  } catch (e) {
+    console.error('同步服务异常', e);
+    return Response.json({ error: e?.message || '同步服务异常' }, { status: 500 });
+  }
+}
+
+/**
+ * 读取用户配置
+ * @param {string} userId
+ * @returns {{ exists: boolean, data: object|null, updatedAt: string|null }}
+ */
+export function loadUserConfig(userId) {
+  const row = getDb().prepare('SELECT data, updated_at FROM user_configs WHERE user_id = ?').get(userId);
+  return { exists: !!row, data: row ? parseJson(row.data) : null, updatedAt: row?.updated_at ?? null };
+}
+
+/**
+ * 创建空的用户配置（已存在时不变）
+ * @param {string} userId
+ */
+export function createUserConfig(userId) {
+  getDb()
+    .prepare('INSERT OR IGNORE INTO user_configs (user_id, data, updated_at) VALUES (?, NULL, ?)')
+    .run(userId, new Date().toISOString());
+}
+
+/** 快照中的基金、交易数量：加密数据无法统计 */
+const countSnapshot = (data) => {
+  if (isPlainObject(data._vault)) return { encrypted: 1, fundCount: null, txCount: null };
+  const fundCount = isArray(data.funds) ? data.funds.length : null;
+  const txCount = isPlainObject(data.transactions)
+    ? Object.values(data.transactions).reduce((sum, list) => sum + (isArray(list) ? list.length : 0), 0)
+    : null;
+  return { encrypted: 0, fundCount, txCount };
+};
+
+/** 写入快照并清理：保留最近 30 次，另保留 90 天内每天（北京时间）最后一次 */
+const snapshotUserConfig = (conn, userId, deviceId, dataText, createdAt) => {
+  const { encrypted, fundCount, txCount } = countSnapshot(parseJson(dataText) || {});
+  conn
+    .prepare(
+      `INSERT INTO user_config_snapshots (created_at, user_id, device_id, data, encrypted, fund_count, transaction_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(createdAt, userId, deviceId, dataText, encrypted, fundCount, txCount);
+
+  const rows = conn
+    .prepare('SELECT id, created_at FROM user_config_snapshots WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+    .all(userId);
+  const since = Date.now() - SNAPSHOT_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const keep = new Set(rows.slice(0, SNAPSHOT_KEEP_RECENT).map((r) => r.id));
+  const days = new Set();
+  rows.forEach((r) => {
+    const time = new Date(r.created_at);
+    if (time.getTime() <= since) return;
+    const day = shanghaiDate.format(time);
+    if (days.has(day)) return;
+    days.add(day);
+    keep.add(r.id);
+  });
+  const remove = conn.prepare('DELETE FROM user_config_snapshots WHERE id = ?');
+  rows.forEach((r) => {
+    if (!keep.has(r.id)) remove.run(r.id);
+  });
+};
+
+/**
+ * 保存用户配置，语义同 update_user_config_full / update_user_config_partial：
+ * 其他设备最后上传且未强制接管时拒绝；增量更新按顶层 key 合并且仅更新已有记录
+ * @param {string} userId
+ * @param {{ payload: object, deviceId?: string, forceTakeover?: boolean, partial?: boolean }} params
+ * @returns {{ status?: number, body: object }}
+ */
+export function saveUserConfig(userId, { payload, deviceId = null, forceTakeover = false, partial = false }) {
+  if (!isPlainObject(payload)) return { status: 400, body: { error: 'payload 必须为对象' } };
+  const device = isString(deviceId) && deviceId ? deviceId : null;
+  return transaction((conn) => {
+    const row = conn.prepare('SELECT data, last_device_id FROM user_configs WHERE user_id = ?').get(userId);
+    if (row?.last_device_id && device && row.last_device_id !== device && !forceTakeover) {
+      return { status: 409, body: { error: DEVICE_CONFLICT_MESSAGE } };
+    }
+    const now = new Date().toISOString();
+    if (partial && !row) return { body: { updatedAt: null } };
+    const next = partial ? { ...(parseJson(row.data) || {}), ...payload } : payload;
+    const dataText = JSON.stringify(next);
+    const lastDeviceId = device || row?.last_device_id || null;
+    conn
+      .prepare(
+        `INSERT INTO user_configs (user_id, data, updated_at, last_device_id) VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id) DO UPDATE SET
+           data = excluded.data, updated_at = excluded.updated_at, last_device_id = excluded.last_device_id`
+      )
+      .run(userId, dataText, now, lastDeviceId);
+    if (row?.data !== dataText) snapshotUserConfig(conn, userId, lastDeviceId, dataText, now);
+    return { body: { updatedAt: now } };
+  });
+}
+
+/**
+ * 历史快照列表（不含数据）
+ * @param {string} userId
+ * @returns {object[]}
+ */
+export function listSnapshots(userId) {
+  return getDb()
+    .prepare(
+      `SELECT id, created_at, device_id, encrypted, fund_count, transaction_count
+       FROM user_config_snapshots WHERE user_id = ? ORDER BY created_at DESC, id DESC`
+    )
+    .all(userId)
+    .map((r) => ({ ...r, encrypted: !!r.encrypted }));
+}
+
+/**
+ * 读取单个快照的数据，不属于该用户时返回 null
+ * @param {string} userId
+ * @param {string|number} id
+ * @returns {object|null}
+ */
+export function loadSnapshot(userId, id) {
+  const row = getDb()
+    .prepare('SELECT data FROM user_config_snapshots WHERE id = ? AND user_id = ?')
+    .get(Number(id), userId);
+  return row ? parseJson(row.data) : null;
+}
@@ -0,0 +1,57 @@
+/**
+ * 云端同步传输层：同步模块只通过以下接口读写云端数据，Supabase 与 WebDAV 各自实现
+ *
+ * @typedef {object} SyncTransport
+ * @property {boolean} supportsSnapshots - 是否保留云端历史快照
+ * @property {(accountId: string) => Promise<{ data: { exists: boolean, data: object|null, updatedAt: string|null }|null, error: any }>} load
+ *   读取云端数据；exists 为 false 表示尚未创建
+ * @property {(accountId: string) => Promise<{ error: any }>} create - 创建空的云端数据
+ * @property {(accountId: string, payload: object, options: { deviceId?: string, forceTakeover?: boolean, partial?: boolean }) => Promise<{ error: any }>} save
+ *   上传数据：partial 时仅覆盖 payload 中的 key；其他设备最后上传且未强制接管时返回 message 含 DEVICE_CONFLICT 的错误
+ * @property {(accountId: string) => Promise<{ data: object[]|null, error: any }>} [listSnapshots]
+ *   历史快照列表（supportsSnapshots 时提供），每项含 id、created_at、device_id、encrypted、fund_count、transaction_count
+ * @property {(id: string|number) => Promise<{ data: object|null, error: any }>} [loadSnapshot] - 单个快照的数据
+ */
+import { supabase } from './supabase';
+
+/** 其他设备已接管同步时的错误信息（同步模块据此提示合并或接管） */
+export const DEVICE_CONFLICT_MESSAGE = 'DEVICE_CONFLICT: Logged in on another device';
+
+/**
+ * Supabase：user_configs 表按登录用户保存一行，设备校验由 update_user_config_* 函数完成
+ * @type {SyncTransport}
+ */
+export const supabaseTransport = {
+  supportsSnapshots: true,
+
+  load: async (accountId) => {
+    const { data, error } = await supabase
+      .from('user_configs')
+      .select('id, data, updated_at')
+      .eq('user_id', accountId)
+      .maybeSingle();
+    if (error) return { data: null, error };
+    return { data: { exists: !!data?.id, data: data?.data ?? null, updatedAt: data?.updated_at ?? null }, error: null };
+  },
+
+  create: (accountId) => supabase.from('user_configs').insert({ user_id: accountId }),
+
+  save: (accountId, payload, { deviceId, forceTakeover = false, partial = false } = {}) =>
+    supabase.rpc(partial ? 'update_user_config_partial' : 'update_user_config_full', {
+      payload,
+      p_last_device_id: deviceId,
+      p_force_takeover: forceTakeover
+    }),
+
+  listSnapshots: (accountId) =>
+    supabase
+      .from('user_config_snapshots')
+      .select('id, created_at, device_id, encrypted, fund_count, transaction_count')
+      .eq('user_id', accountId)
+      .order('created_at', { ascending: false }),
+
+  loadSnapshot: async (id) => {
+    const { data, error } = await supabase.from('user_config_snapshots').select('data').eq('id', id).maybeSingle();
+    return { data: data?.data ?? null, error };
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * 持仓批次（FIFO）与按持有期计算的赎回费
+ * 持仓只存合计份额与成本，批次由交易记录重建：买入与红利再投资形成批次，卖出按先进先出消耗最早的批次，
+ * 份额折算按比例调整已有批次
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber } from 'lodash';
+import { getTxShareDelta, isCorporateAction, isLedgerTx } from './corporateActions';
+
+/** 持有不足该天数赎回会收取惩罚性赎回费（不低于 1.5%） */
+export const PENALTY_HOLDING_DAYS = 7;
+
+/**
+ * 默认赎回费档位（常见股票 / 混合型基金）：持有天数小于 days 时适用 rate（%），days 为 null 表示其余期限；
+ * 货币基金、C 类份额等费率差异较大，未设置档位的基金只以此估算提示，不自动填入卖出费率
+ * @type {{ days: number|null, rate: number }[]}
+ */
+export const DEFAULT_REDEMPTION_FEE_SCHEDULE = [
+  { days: 7, rate: 1.5 },
+  { days: 30, rate: 0.75 },
+  { days: 365, rate: 0.5 },
+  { days: 730, rate: 0.25 },
+  { days: null, rate: 0 }
+];
+
+/** 份额容差 */
+const SHARE_EPSILON = 1e-6;
+
+/**
+ * 规范化赎回费档位：剔除非法项、按天数升序，并保证末尾有「其余期限」档
+ * @param {unknown} schedule
+ * @returns {{ days: number|null, rate: number }[]}
+ */
+export function normalizeFeeSchedule(schedule) {
+  if (!isArray(schedule) || schedule.length === 0) return DEFAULT_REDEMPTION_FEE_SCHEDULE;
+  const bounded = [];
+  let tailRate = 0;
+  schedule.forEach((tier) => {
+    const rate = Number(tier?.rate);
+    if (!Number.isFinite(rate) || rate < 0) return;
+    if (tier.days == null) {
+      tailRate = rate;
+      return;
+    }
+    const days = Math.floor(Number(tier.days));
+    if (Number.isFinite(days) && days > 0) bounded.push({ days, rate });
+  });
+  bounded.sort((a, b) => a.days - b.days);
+  const deduped = bounded.filter((tier, i) => i === 0 || tier.days !== bounded[i - 1].days);
+  return [...deduped, { days: null, rate: tailRate }];
+}
+
+/**
+ * 持有天数对应的赎回费率
+ * @param {{ days: number|null, rate: number }[]} schedule - 已规范化的档位
+ * @param {number|null} days - 持有天数，未知时按最长持有期计算
+ * @returns {number} 百分比
+ */
+export function getRedemptionFeeRate(schedule, days) {
+  if (days == null) return schedule[schedule.length - 1].rate;
+  const tier = schedule.find((t) => t.days == null || days < t.days);
+  return tier ? tier.rate : 0;
+}
+
+/**
+ * @typedef {object} TaxLot
+ * @property {string|null} date - 买入（确认）日期；null 表示持仓中无法对应到交易记录且缺少首次买入日期的部分
+ * @property {number} share - 剩余份额
+ * @property {number|null} price - 买入净值
+ */
+
+/**
+ * 由交易记录重建剩余持仓批次（FIFO）
+ * - 持仓份额多于交易记录推算份额的部分，作为首次买入日的期初批次
+ * - 交易记录推算份额多于持仓（如手动调减持仓）时，多出部分按先进先出扣减
+ * @param {object} params
+ * @param {{ share: number, cost?: number, firstPurchaseDate?: string }} params.holding
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {string|null} params.txScope - 分组 ID，null 表示全局账本
+ * @param {{ share: number }[]} [params.pendingSells] - 尚未确认的卖出，先于本次卖出消耗批次
+ * @returns {TaxLot[]} 按买入日期升序
+ */
+export function buildTaxLots({ holding, transactions, txScope, pendingSells = [] }) {
+  if (!holding || !isNumber(holding.share) || holding.share <= 0) return [];
+
+  const scopedTxs = (isArray(transactions) ? transactions : [])
+    .filter((tx) => {
+      // 现金分红不改变份额，不影响批次
+      if (!isLedgerTx(tx) || tx.type === 'dividend_cash') return false;
+      const gid = tx.groupId || null;
+      return txScope ? gid === txScope : !gid;
+    })
+    // 同日的分红与折算按除息日之前的持仓计算，先于当日交易处理
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        Number(isCorporateAction(b)) - Number(isCorporateAction(a)) ||
+        (a.timestamp || 0) - (b.timestamp || 0)
+    );
+
+  const txShare = scopedTxs.reduce((s, tx) => s + getTxShareDelta(tx), 0);
+  const residual = holding.share - txShare;
+
+  const lots = [];
+  const consume = (share) => {
+    let remaining = share;
+    while (remaining > SHARE_EPSILON && lots.length) {
+      const lot = lots[0];
+      const used = Math.min(lot.share, remaining);
+      lot.share -= used;
+      remaining -= used;
+      if (lot.share <= SHARE_EPSILON) lots.shift();
+    }
+  };
+
+  if (residual > SHARE_EPSILON) {
+    const openDate = holding.firstPurchaseDate || scopedTxs.find((tx) => tx.type === 'buy')?.date || null;
+    lots.push({ date: openDate, share: residual, price: isNumber(holding.cost) ? holding.cost : null });
+  }
+  scopedTxs.forEach((tx) => {
+    const share = Number(tx.share) || 0;
+    if (tx.type === 'split') {
+      // 份额折算按比例调整所有批次，持有期不变
+      const total = lots.reduce((s, lot) => s + lot.share, 0);
+      if (total <= SHARE_EPSILON) return;
+      const ratio = Math.max(0, (total + share) / total);
+      lots.forEach((lot) => {
+        lot.share *= ratio;
+        if (lot.price != null && ratio > 0) lot.price /= ratio;
+      });
+      return;
+    }
+    if (share <= 0) return;
+    if (tx.type === 'buy' || tx.type === 'dividend_reinvest') {
+      lots.push({ date: tx.date, share, price: Number(tx.price) || null });
+    } else {
+      consume(share);
+    }
+  });
+
+  const lotShare = lots.reduce((s, lot) => s + lot.share, 0);
+  if (lotShare - holding.share > SHARE_EPSILON) consume(lotShare - holding.share);
+
+  (isArray(pendingSells) ? pendingSells : []).forEach((t) => consume(Number(t?.share) || 0));
+  return lots;
+}
+
+/**
+ * 按 FIFO 批次估算本次卖出的赎回费
+ * @param {object} params
+ * @param {TaxLot[]} params.lots - buildTaxLots 的结果
+ * @param {number} params.sellShare
+ * @param {string} params.sellDate - 'YYYY-MM-DD'
+ * @param {{ days: number|null, rate: number }[]} [params.schedule]
+ * @returns {{
+ *   rate: number,
+ *   penaltyShare: number,
+ *   unknownShare: number,
+ *   breakdown: { date: string|null, share: number, days: number|null, rate: number }[]
+ * }|null} rate 为加权平均费率（%）；卖出份额为 0 时为 null
+ */
+export function estimateRedemptionFee({ lots, sellShare, sellDate, schedule }) {
+  if (!(sellShare > 0) || !isArray(lots)) return null;
+  const tiers = normalizeFeeSchedule(schedule);
+
+  const breakdown = [];
+  let remaining = sellShare;
+  for (const lot of lots) {
+    if (remaining <= SHARE_EPSILON) break;
+    const share = Math.min(lot.share, remaining);
+    const days = lot.date ? Math.max(0, dayjs(sellDate).diff(dayjs(lot.date), 'day')) : null;
+    breakdown.push({ date: lot.date, share, days, rate: getRedemptionFeeRate(tiers, days) });
+    remaining -= share;
+  }
+  const covered = sellShare - Math.max(0, remaining);
+  if (!(covered > 0)) return null;
+
+  const weighted = breakdown.reduce((s, b) => s + b.share * b.rate, 0);
+  return {
+    rate: weighted / covered,
+    penaltyShare: breakdown
+      .filter((b) => b.days != null && b.days < PENALTY_HOLDING_DAYS)
+      .reduce((s, b) => s + b.share, 0),
+    unknownShare: breakdown.filter((b) => b.days == null).reduce((s, b) => s + b.share, 0),
+    breakdown
+  };
+}
+
+/**
+ * 卖出手续费（与交易弹框的计算一致）
+ * @param {number} amount - 卖出金额（份额 × 成交净值）
+ * @param {'rate'|'amount'|'none'} [feeMode] - 按费率（%）或固定金额
+ * @param {number|string} [feeValue]
+ * @returns {number}
+ */
+export function computeSellFee(amount, feeMode, feeValue) {
+  const value = parseFloat(feeValue) || 0;
+  if (feeMode === 'none' || !(value > 0)) return 0;
+  const fee = feeMode === 'rate' ? (Number(amount) || 0) * (value / 100) : value;
+  return Math.round(fee * 100) / 100;
+}
@@ -0,0 +1,97 @@
+/**
+ * 估值数据源注册表
+ * 每个数据源是一个适配器：{ id, key, label, capabilities, fetch }，fetch 统一返回 UnifiedFundValuation 结构。
+ * 内置数据源（天天基金、新浪、Supabase QDII）在 app/api/fund.js 中注册；
+ * 数据源切换弹框、准确度标签、估值走势图与定时刷新均从这里读取，新增估算器只需调用 registerValuationSource。
+ */
+import { isFunction, isPlainObject, isString } from 'lodash';
+
+/** 未指定或指定了未注册的数据源时回退到的编号（天天基金） */
+export const DEFAULT_VALUATION_SOURCE_ID = 1;
+
+/**
+ * @typedef {object} ValuationSourceCapabilities
+ * @property {boolean} [qdii] - 仅适用于 QDII 基金（仅在 isQdiiFund 为 true 时展示）
+ * @property {boolean} [intraday] - 返回结果携带 fundValuationTimeseries 分时序列
+ * @property {boolean} [batch] - 提供 fetchBatch(codes) 批量接口，刷新时一次性拉取
+ */
+
+/**
+ * @typedef {object} ValuationSourceAdapter
+ * @property {number} id - 数据源编号，持久化在 fund.dataSource
+ * @property {string} key - 写入 valuationSource 字段的标识，如 fundgz、sina_ds2
+ * @property {string} label - 展示名称，如「数据源 1」
+ * @property {string} [badge] - 可选角标文案，如「限免」
+ * @property {ValuationSourceCapabilities} capabilities
+ * @property {(code: string) => Promise<import('../api/fund').UnifiedFundValuation>} fetch
+ * @property {(codes: string[]) => Promise<Record<string, import('../api/fund').UnifiedFundValuation>>} [fetchBatch]
+ * @property {(code: string) => Promise<boolean>} [isAvailable] - 该基金是否可用此数据源，缺省视为可用
+ */
+
+const registry = new Map(); // id -> adapter
+
+/**
+ * 注册（或覆盖同 id 的）估值数据源
+ * @param {ValuationSourceAdapter} adapter
+ * @returns {() => void} 取消注册函数
+ */
+export function registerValuationSource(adapter) {
+  const id = Number(adapter?.id);
+  if (!Number.isInteger(id) || id <= 0) throw new Error('数据源 id 必须为正整数');
+  if (!isString(adapter.key) || !adapter.key) throw new Error('数据源 key 无效');
+  if (!isFunction(adapter.fetch)) throw new Error('数据源缺少 fetch 实现');
+  if (adapter.capabilities?.batch && !isFunction(adapter.fetchBatch)) {
+    throw new Error('声明 batch 能力的数据源必须提供 fetchBatch');
+  }
+
+  const normalized = {
+    ...adapter,
+    id,
+    label: adapter.label || `数据源 ${id}`,
+    capabilities: isPlainObject(adapter.capabilities) ? { ...adapter.capabilities } : {}
+  };
+  registry.set(id, normalized);
+  return () => {
+    if (registry.get(id) === normalized) registry.delete(id);
+  };
+}
+
+/**
+ * 按编号获取数据源
+ * @param {number|string} id
+ * @returns {ValuationSourceAdapter|null}
+ */
+export function getValuationSource(id) {
+  return registry.get(Number(id)) || null;
+}
+
+/**
+ * 按 valuationSource 标识获取数据源（如 Supabase 返回的 'sina_ds2'）
+ * @param {string} key
+ * @returns {ValuationSourceAdapter|null}
+ */
+export function getValuationSourceByKey(key) {
+  if (!isString(key) || !key) return null;
+  for (const adapter of registry.values()) {
+    if (adapter.key === key) return adapter;
+  }
+  return null;
+}
+
+/**
+ * 所有已注册的数据源，按编号升序
+ * @returns {ValuationSourceAdapter[]}
+ */
+export function listValuationSources() {
+  return Array.from(registry.values()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * 将任意输入规整为已注册的数据源编号，未注册时回退到默认数据源
+ * @param {number|string} id
+ * @returns {number}
+ */
+export function normalizeValuationSourceId(id) {
+  const n = Number(id);
+  return registry.has(n) ? n : DEFAULT_VALUATION_SOURCE_ID;
+}
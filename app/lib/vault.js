@@ -0,0 +1,288 @@
+/**
+ * 本地加密（可选）：口令经 PBKDF2 派生 AES-GCM 密钥，持仓、交易等数据以密文保存在 localStorage 与云端
+ * 密钥仅保存在内存中，口令与密钥都不会落盘或上传
+ */
+import { isPlainObject, isString } from 'lodash';
+
+/** 加密参数（盐、迭代次数、校验密文）的 localStorage key，仅保存在本机 */
+export const VAULT_META_KEY = 'vaultMeta';
+
+/** 云端数据中携带加密参数的字段，供其他设备使用同一口令解密 */
+export const CLOUD_VAULT_FIELD = '_vault';
+
+/** 密文前缀，便于区分旧版明文 */
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+export const PBKDF2_ITERATIONS = 310000;
+
+/** 口令最小长度 */
+export const PASSPHRASE_MIN_LENGTH = 8;
+
+/** 本地加密保存的 key：全部参与云端同步的持仓数据，以及仅本地保存的资产快照、同步基准与同步账号 */
+export const ENCRYPTED_KEYS = new Set([
+  'funds',
+  'tags',
+  'favorites',
+  'groups',
+  'collapsedCodes',
+  'collapsedTrends',
+  'collapsedValuationTrends',
+  'collapsedEarnings',
+  'refreshMs',
+  'holdings',
+  'groupHoldings',
+  'pendingTrades',
+  'transactions',
+  'dcaPlans',
+  'customSettings',
+  'fundDailyEarnings',
+  'fundDividends',
+  'clearedPositions',
+  'fundAssetSnapshots',
+  'syncBase',
+  'syncSettings'
+]);
+
+/** 上传云端时不加密的字段（同步元信息与加密参数本身） */
+const CLOUD_PLAIN_FIELDS = new Set(['_syncMeta', CLOUD_VAULT_FIELD, 'exportedAt']);
+
+/** 启用加密时不上传的字段：ytdReturnRate 需由服务端按数值读取（收益排名），加密后无法解析，明文上传又会泄露收益 */
+const CLOUD_OMITTED_FIELDS = new Set(['ytdReturnRate']);
+
+const VAULT_CHECK_TEXT = 'real-time-fund-vault';
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/.{2}/g) || [], (h) => parseInt(h, 16));
+
+/**
+ * 当前环境是否支持本地加密
+ * @returns {boolean}
+ */
+export function isVaultSupported() {
+  return typeof window !== 'undefined' && !!window.crypto?.subtle;
+}
+
+/**
+ * 由口令派生 AES-GCM 密钥
+ * @param {string} passphrase
+ * @param {string} salt - 十六进制
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveVaultKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey'
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromHex(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * 加密字符串
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @returns {Promise<string>} `enc:v1:<iv>:<密文>`（Base64）
+ */
+export async function encryptString(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return `${ENCRYPTED_PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(cipher))}`;
+}
+
+/**
+ * 解密字符串，密钥不匹配或数据损坏时抛出异常
+ * @param {CryptoKey} key
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+export async function decryptString(key, payload) {
+  const [iv, data] = payload.slice(ENCRYPTED_PREFIX.length).split(':');
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * 是否为本模块生成的密文
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return isString(value) && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * 是否为合法的加密参数
+ * @param {unknown} meta
+ * @returns {boolean}
+ */
+export function isVaultMeta(meta) {
+  return (
+    isPlainObject(meta) &&
+    isString(meta.salt) &&
+    Number.isInteger(meta.iterations) &&
+    meta.iterations > 0 &&
+    isEncryptedValue(meta.check)
+  );
+}
+
+/**
+ * 由口令生成新的加密参数与密钥
+ * @param {string} passphrase
+ * @returns {Promise<{ key: CryptoKey, meta: { version: number, salt: string, iterations: number, check: string } }>}
+ */
+export async function createVault(passphrase) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveVaultKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const check = await encryptString(key, VAULT_CHECK_TEXT);
+  return { key, meta: { version: 1, salt, iterations: PBKDF2_ITERATIONS, check } };
+}
+
+/**
+ * 用口令打开已有的加密参数
+ * @param {string} passphrase
+ * @param {object} meta
+ * @returns {Promise<CryptoKey|null>} 口令错误返回 null
+ */
+export async function openVault(passphrase, meta) {
+  if (!isVaultMeta(meta)) return null;
+  const key = await deriveVaultKey(passphrase, meta.salt, meta.iterations);
+  try {
+    return (await decryptString(key, meta.check)) === VAULT_CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 加密上传云端的数据：每个 key 单独加密，保持增量同步按 key 合并的能力
+ * @param {CryptoKey} key
+ * @param {object} meta
+ * @param {object} payload
+ * @returns {Promise<object>}
+ */
+export async function encryptCloudPayload(key, meta, payload) {
+  const next = {};
+  for (const [field, value] of Object.entries(payload)) {
+    if (CLOUD_OMITTED_FIELDS.has(field)) continue;
+    next[field] = CLOUD_PLAIN_FIELDS.has(field) ? value : await encryptString(key, JSON.stringify(value));
+  }
+  next[CLOUD_VAULT_FIELD] = { version: meta.version, salt: meta.salt, iterations: meta.iterations, check: meta.check };
+  return next;
+}
+
+/**
+ * 云端数据是否为加密格式
+ * @param {unknown} data
+ * @returns {boolean}
+ */
+export function isEncryptedCloudPayload(data) {
+  return isPlainObject(data) && isVaultMeta(data[CLOUD_VAULT_FIELD]);
+}
+
+/**
+ * 解密云端数据，未加密的字段原样保留（兼容启用加密前上传的旧数据）
+ * @param {CryptoKey} key
+ * @param {object} data
+ * @returns {Promise<object>}
+ */
+export async function decryptCloudPayload(key, data) {
+  const next = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (field === CLOUD_VAULT_FIELD) continue;
+    next[field] = isEncryptedValue(value) ? JSON.parse(await decryptString(key, value)) : value;
+  }
+  return next;
+}
+
+/**
+ * 创建加密存储层：内存中保存明文供同步读取，写入时异步加密后落盘
+ * @param {CryptoKey} key
+ * @param {Storage} storage
+ */
+export function createSecureLayer(key, storage) {
+  const cache = new Map();
+  // 每个 key 的写入序号，丢弃过期的异步写入，避免旧密文覆盖新数据
+  const versions = new Map();
+  let pending = Promise.resolve();
+  let disposed = false;
+
+  const persist = (name, value) => {
+    const version = (versions.get(name) || 0) + 1;
+    versions.set(name, version);
+    if (disposed) return;
+    if (value === null) {
+      storage.removeItem(name);
+      return;
+    }
+    pending = pending
+      .then(() => encryptString(key, value))
+      .then((cipher) => {
+        if (!disposed && versions.get(name) === version) storage.setItem(name, cipher);
+      })
+      .catch((e) => console.error('加密写入失败', name, e));
+  };
+
+  return {
+    has: (name) => ENCRYPTED_KEYS.has(name),
+    read: (name) => (cache.has(name) ? cache.get(name) : null),
+    write: (name, value) => {
+      cache.set(name, value);
+      persist(name, value);
+    },
+    remove: (name) => {
+      cache.delete(name);
+      persist(name, null);
+    },
+    clear: () => {
+      cache.clear();
+      versions.clear();
+    },
+    /**
+     * 解密 localStorage 中的全部加密 key 到内存，旧版明文直接读入；无法解密的 key 跳过（视为空）
+     * @returns {Promise<void>}
+     */
+    load: async () => {
+      for (const name of ENCRYPTED_KEYS) {
+        const raw = storage.getItem(name);
+        if (raw === null) continue;
+        if (!isEncryptedValue(raw)) {
+          cache.set(name, raw);
+          continue;
+        }
+        try {
+          cache.set(name, await decryptString(key, raw));
+        } catch (e) {
+          console.error('解密本地数据失败', name, e);
+        }
+      }
+    },
+    /** 直接填充内存明文，不写入 localStorage（密文已由调用方写入） */
+    seed: (entries) => {
+      entries.forEach(([name, value]) => cache.set(name, value));
+    },
+    /** 内存中的全部明文（关闭加密时写回 localStorage） */
+    entries: () => Array.from(cache.entries()),
+    /** 等待所有加密写入完成 */
+    flush: () => pending,
+    /** 停用存储层（更换密钥或关闭加密后），之后的写入不再落盘 */
+    dispose: () => {
+      disposed = true;
+    }
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * WebDAV 同步（可自建，替代 Supabase）：每个用户在 `<地址>/real-time-fund/` 下保存一个 JSON 文件，
+ * 内容与 Supabase 的 user_configs.data 相同；以 ETag 做乐观并发控制，以数据中的 _syncMeta.deviceId 判断其他设备接管
+ */
+import { isPlainObject, isString, trim } from 'lodash';
+import { DEVICE_CONFLICT_MESSAGE } from './syncTransport';
+
+/** WebDAV 账号标识前缀，用于区分 Supabase 用户 ID */
+export const WEBDAV_ACCOUNT_PREFIX = 'webdav:';
+
+/** 同步文件所在目录 */
+export const WEBDAV_FOLDER = 'real-time-fund';
+
+/** 其他设备同时写入（ETag 不匹配）时的最大重试次数 */
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * 规范化 WebDAV 配置，不合法时返回 null
+ * @param {unknown} config
+ * @returns {{ url: string, username: string, password: string }|null}
+ */
+export function normalizeWebdavConfig(config) {
+  if (!isPlainObject(config)) return null;
+  const url = trim(config.url).replace(/\/+$/, '');
+  const username = trim(config.username);
+  const password = isString(config.password) ? config.password : '';
+  if (!/^https?:\/\/[^/]+/i.test(url) || !username) return null;
+  return { url, username, password };
+}
+
+/**
+ * WebDAV 账号标识（同步基准等按账号区分的数据以此为 key）
+ * @param {{ url: string, username: string }} config
+ * @returns {string}
+ */
+export function getWebdavAccountId(config) {
+  return `${WEBDAV_ACCOUNT_PREFIX}${config.username}@${config.url.replace(/^https?:\/\//i, '')}`;
+}
+
+/**
+ * @param {unknown} accountId
+ * @returns {boolean}
+ */
+export function isWebdavAccountId(accountId) {
+  return isString(accountId) && accountId.startsWith(WEBDAV_ACCOUNT_PREFIX);
+}
+
+/**
+ * WebDAV 请求错误的提示文案
+ * @param {any} error
+ * @returns {string}
+ */
+export function describeWebdavError(error) {
+  const status = error?.status;
+  if (status === 401 || status === 403) return '用户名或密码错误，或该账号无权访问此地址';
+  if (status === 404 || status === 409) return '地址不存在，请检查 WebDAV 地址';
+  if (status) return `服务器返回错误（HTTP ${status}）`;
+  return '无法连接服务器：请检查地址，并确认服务器允许本站跨域访问（CORS）';
+}
+
+const httpError = (res, action) => {
+  const error = new Error(`WebDAV ${action} 失败：HTTP ${res.status}`);
+  error.status = res.status;
+  return error;
+};
+
+/**
+ * Basic 认证头（用户名、密码按 UTF-8 编码）
+ * @param {string} username
+ * @param {string} password
+ * @returns {string}
+ */
+export const encodeBasicAuth = (username, password) => {
+  let binary = '';
+  new TextEncoder().encode(`${username}:${password}`).forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return `Basic ${btoa(binary)}`;
+};
+
+/**
+ * 创建 WebDAV 同步传输层
+ * @param {{ url: string, username: string, password: string }} config
+ * @param {typeof fetch} [fetchImpl] - 便于对接本地测试服务器
+ * @returns {import('./syncTransport').SyncTransport}
+ */
+export function createWebdavTransport(config, fetchImpl = (...args) => fetch(...args)) {
+  const folderUrl = `${config.url}/${WEBDAV_FOLDER}/`;
+  const fileUrl = `${folderUrl}${encodeURIComponent(config.username)}.json`;
+  const authorization = encodeBasicAuth(config.username, config.password);
+
+  const request = (method, target, headers = {}, body) =>
+    fetchImpl(target, { method, headers: { Authorization: authorization, ...headers }, body, cache: 'no-store' });
+
+  /** 创建同步目录，已存在（405）视为成功 */
+  const ensureFolder = async () => {
+    const res = await request('MKCOL', folderUrl);
+    if (!res.ok && res.status !== 405) throw httpError(res, '创建目录');
+  };
+
+  const readFile = async () => {
+    const res = await request('GET', fileUrl);
+    if (res.status === 404) return { exists: false, data: null, etag: null, lastModified: null };
+    if (!res.ok) throw httpError(res, '读取');
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      throw new Error('WebDAV 同步文件不是有效的 JSON');
+    }
+    return {
+      exists: true,
+      data: isPlainObject(data) ? data : null,
+      etag: res.headers.get('ETag'),
+      lastModified: res.headers.get('Last-Modified')
+    };
+  };
+
+  /**
+   * 条件写入：文件已存在时要求 ETag 未变，不存在时要求仍未被创建
+   * @returns {Promise<boolean>} 被其他设备抢先写入（412）时返回 false
+   */
+  const writeFile = async (data, { exists, etag }) => {
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    // 个别服务器不返回 ETag：无法做并发控制，退化为直接覆盖
+    if (etag) headers['If-Match'] = etag;
+    else if (!exists) headers['If-None-Match'] = '*';
+    const body = JSON.stringify(data);
+    let res = await request('PUT', fileUrl, headers, body);
+    if (res.status === 409 && !exists) {
+      // 父目录不存在
+      await ensureFolder();
+      res = await request('PUT', fileUrl, headers, body);
+    }
+    if (res.status === 412) return false;
+    if (!res.ok) throw httpError(res, '写入');
+    return true;
+  };
+
+  return {
+    supportsSnapshots: false,
+
+    load: async () => {
+      try {
+        const { exists, data, lastModified } = await readFile();
+        const updatedAt = data?._syncMeta?.at || (lastModified ? new Date(lastModified).toISOString() : null);
+        return { data: { exists, data, updatedAt }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    create: async () => {
+      try {
+        await ensureFolder();
+        return { error: null };
+      } catch (error) {
+        return { error };
+      }
+    },
+
+    save: async (accountId, payload, { deviceId, forceTakeover = false, partial = false } = {}) => {
+      try {
+        for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+          const current = await readFile();
+          // 与 Supabase 一致：增量同步要求云端已有完整数据，否则由调用方改为全量同步
+          if (partial && !current.data) return { error: new Error('WebDAV 同步文件不存在，需全量同步') };
+          const lastDeviceId = current.data?._syncMeta?.deviceId;
+          if (lastDeviceId && deviceId && lastDeviceId !== deviceId && !forceTakeover) {
+            return { error: new Error(DEVICE_CONFLICT_MESSAGE) };
+          }
+          const next = partial ? { ...current.data, ...payload } : payload;
+          if (await writeFile(next, current)) return { error: null };
+        }
+        return { error: new Error('WebDAV 同步文件正被其他设备修改，请稍后重试') };
+      } catch (error) {
+        return { error };
+      }
+    }
+  };
+}
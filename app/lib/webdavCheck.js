@@ -0,0 +1,155 @@
+/**
+ * WebDAV 兼容性检查：在 `<地址>/real-time-fund-check/` 临时目录中按同步流程读写一遍，验证目录创建、全量 / 增量写入、
+ * 设备冲突与 ETag 并发控制（通过 createWebdavTransport 的 fetchImpl 注入 412 与并发写入），结束后删除临时目录。
+ * 不读写正式的同步文件
+ */
+import { isEqual } from 'lodash';
+import { WEBDAV_FOLDER, createWebdavTransport, describeWebdavError, encodeBasicAuth } from './webdav';
+
+/** 临时目录名 */
+export const WEBDAV_CHECK_FOLDER = 'real-time-fund-check';
+
+/**
+ * @typedef {object} WebdavCheckResult
+ * @property {string} name - 检查项
+ * @property {'pass'|'warn'|'fail'} status - warn 表示可以同步但存在风险
+ * @property {string} [detail]
+ */
+
+/**
+ * 执行兼容性检查
+ * @param {{ url: string, username: string, password: string }} config - 已规范化的配置
+ * @param {typeof fetch} [fetchImpl]
+ * @returns {Promise<WebdavCheckResult[]>} 某项失败时后续依赖它的检查不再执行
+ */
+export async function runWebdavCheck(config, fetchImpl = (...args) => fetch(...args)) {
+  const results = [];
+  const pass = (name, detail) => results.push({ name, status: 'pass', detail });
+  const warn = (name, detail) => results.push({ name, status: 'warn', detail });
+  const fail = (name, error) => {
+    results.push({ name, status: 'fail', detail: error?.status ? describeWebdavError(error) : error?.message || '' });
+    return results;
+  };
+
+  const baseUrl = `${config.url}/${WEBDAV_CHECK_FOLDER}`;
+  const fileUrl = `${baseUrl}/${WEBDAV_FOLDER}/${encodeURIComponent(config.username)}.json`;
+  const authorization = encodeBasicAuth(config.username, config.password);
+  const rawRequest = (method, target, headers = {}, body) =>
+    fetchImpl(target, { method, headers: { Authorization: authorization, ...headers }, body, cache: 'no-store' });
+
+  // 注入点：下一次 PUT 前模拟 412，或先由「另一台设备」写入
+  let injectPreconditionFailed = false;
+  let beforeNextPut = null;
+  let putCount = 0;
+  const checkFetch = async (target, init) => {
+    if (init?.method === 'PUT' && target === fileUrl) {
+      putCount += 1;
+      if (injectPreconditionFailed) {
+        injectPreconditionFailed = false;
+        return new Response(null, { status: 412 });
+      }
+      if (beforeNextPut) {
+        const hook = beforeNextPut;
+        beforeNextPut = null;
+        await hook();
+      }
+    }
+    return fetchImpl(target, init);
+  };
+  const transport = createWebdavTransport({ ...config, url: baseUrl }, checkFetch);
+  const read = async () => {
+    const { data, error } = await transport.load();
+    if (error) throw error;
+    return data;
+  };
+  const save = async (payload, options) => {
+    const { error } = await transport.save(null, payload, options);
+    if (error) throw error;
+  };
+  const meta = (deviceId) => ({ _syncMeta: { deviceId, at: new Date().toISOString() } });
+
+  try {
+    const res = await rawRequest('MKCOL', `${baseUrl}/`);
+    if (!res.ok && res.status !== 405) {
+      const error = new Error(`HTTP ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+    pass('创建临时目录');
+  } catch (e) {
+    return fail('创建临时目录', e);
+  }
+
+  try {
+    try {
+      const initial = await read();
+      if (initial.exists) await rawRequest('DELETE', fileUrl);
+      await save({ funds: ['000001'], ...meta('check-a') }, { deviceId: 'check-a' });
+      const loaded = await read();
+      if (!isEqual(loaded.data?.funds, ['000001'])) throw new Error('读回的内容与写入不一致');
+      pass('全量写入与读取');
+    } catch (e) {
+      return fail('全量写入与读取', e);
+    }
+
+    try {
+      await save({ groups: ['g'], ...meta('check-a') }, { deviceId: 'check-a', partial: true });
+      const loaded = await read();
+      if (!isEqual(loaded.data?.funds, ['000001']) || !isEqual(loaded.data?.groups, ['g'])) {
+        throw new Error('增量写入覆盖了其他字段');
+      }
+      pass('增量写入');
+    } catch (e) {
+      return fail('增量写入', e);
+    }
+
+    try {
+      const { error } = await transport.save(null, { funds: [], ...meta('check-b') }, { deviceId: 'check-b' });
+      if (!String(error?.message || '').includes('DEVICE_CONFLICT')) {
+        throw new Error(error ? error.message : '其他设备写入未被拒绝');
+      }
+      await save({ funds: ['000002'], ...meta('check-b') }, { deviceId: 'check-b', forceTakeover: true });
+      pass('设备冲突与强制接管');
+    } catch (e) {
+      return fail('设备冲突与强制接管', e);
+    }
+
+    try {
+      injectPreconditionFailed = true;
+      putCount = 0;
+      await save({ funds: ['000003'], ...meta('check-b') }, { deviceId: 'check-b' });
+      if (putCount < 2) throw new Error('收到 412 后未重新读取并重试');
+      pass('412 重试');
+    } catch (e) {
+      return fail('412 重试', e);
+    }
+
+    try {
+      // 本次写入读取文件之后、PUT 之前，另一台设备改写了文件：服务器应按 If-Match 拒绝，重试时合并对方的改动
+      beforeNextPut = async () => {
+        const current = await read();
+        await rawRequest(
+          'PUT',
+          fileUrl,
+          { 'Content-Type': 'application/json; charset=utf-8' },
+          JSON.stringify({ ...current.data, tags: ['concurrent'] })
+        );
+      };
+      await save({ groups: ['g2'], ...meta('check-b') }, { deviceId: 'check-b', partial: true });
+      const loaded = await read();
+      if (isEqual(loaded.data?.tags, ['concurrent']) && isEqual(loaded.data?.groups, ['g2'])) {
+        pass('ETag 并发控制');
+      } else {
+        warn('ETag 并发控制', '服务器未按 If-Match 拒绝过期写入，多台设备同时同步时可能互相覆盖');
+      }
+    } catch (e) {
+      return fail('ETag 并发控制', e);
+    }
+  } finally {
+    // 部分服务器不支持递归删除目录，先删文件
+    await rawRequest('DELETE', fileUrl).catch(() => undefined);
+    await rawRequest('DELETE', `${baseUrl}/${WEBDAV_FOLDER}/`).catch(() => undefined);
+    await rawRequest('DELETE', `${baseUrl}/`).catch(() => undefined);
+  }
+  return results;
+}
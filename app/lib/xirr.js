@@ -0,0 +1,139 @@
+/**
+ * 资金加权收益率（XIRR）：由交易流水、现金分红与当前市值推算年化收益率
+ * 现金流约定：买入为负（投入），卖出、现金分红与期末市值为正（取回）
+ */
+import dayjs from 'dayjs';
+import { isArray, isNumber, isString } from 'lodash';
+import { getTxShareDelta, isLedgerTx } from './corporateActions';
+
+const DAYS_PER_YEAR = 365;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+
+/** 首笔现金流距今不足该天数时年化结果失真，不计算 */
+export const XIRR_MIN_HOLDING_DAYS = 30;
+
+/** 份额对账容差：交易流水推算份额与持仓份额相差不超过该值视为一致 */
+const SHARE_EPSILON = 0.01;
+
+/**
+ * @typedef {object} CashFlow
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {number} amount - 负数为投入，正数为取回
+ */
+
+const npv = (rate, flows, t0) =>
+  flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, dayjs(f.date).diff(t0, 'day') / DAYS_PER_YEAR), 0);
+
+const dNpv = (rate, flows, t0) =>
+  flows.reduce((sum, f) => {
+    const t = dayjs(f.date).diff(t0, 'day') / DAYS_PER_YEAR;
+    return sum - (t * f.amount) / Math.pow(1 + rate, t + 1);
+  }, 0);
+
+/**
+ * 计算 XIRR：先用牛顿法，不收敛时退回二分法
+ * @param {CashFlow[]} flows
+ * @returns {number|null} 年化收益率（百分比数值，如 8.5 表示 8.5%）；现金流不足或跨度过短时为 null
+ */
+export function computeXirr(flows) {
+  const list = (isArray(flows) ? flows : []).filter(
+    (f) => f && isString(f.date) && isNumber(f.amount) && Number.isFinite(f.amount) && f.amount !== 0
+  );
+  if (!list.some((f) => f.amount < 0) || !list.some((f) => f.amount > 0)) return null;
+
+  const sorted = [...list].sort((a, b) => a.date.localeCompare(b.date));
+  const t0 = dayjs(sorted[0].date);
+  const spanDays = dayjs(sorted[sorted.length - 1].date).diff(t0, 'day');
+  if (!(spanDays >= XIRR_MIN_HOLDING_DAYS)) return null;
+
+  let rate = 0.1;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const value = npv(rate, sorted, t0);
+    const derivative = dNpv(rate, sorted, t0);
+    if (!Number.isFinite(value) || !Number.isFinite(derivative) || derivative === 0) break;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < TOLERANCE) return next * 100;
+    rate = next;
+  }
+
+  // 二分法：npv 在 (-1, +∞) 上单调（先投入后取回），先扩大上界找到变号区间
+  let low = -0.999999;
+  let high = 1;
+  while (npv(high, sorted, t0) > 0 && high < 1e6) high *= 2;
+  if (Math.sign(npv(low, sorted, t0)) === Math.sign(npv(high, sorted, t0))) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid, sorted, t0);
+    if (Math.abs(value) < TOLERANCE || high - low < TOLERANCE) return mid * 100;
+    if (Math.sign(value) === Math.sign(npv(low, sorted, t0))) low = mid;
+    else high = mid;
+  }
+  return ((low + high) / 2) * 100;
+}
+
+/**
+ * 交易金额：优先取 amount，缺失时按份额 × 成交净值估算
+ * @param {{ amount?: number, share?: number, price?: number }} tx
+ * @returns {number|null}
+ */
+export const getTxAmount = (tx) => {
+  const amount = Number(tx.amount);
+  if (Number.isFinite(amount) && amount > 0) return amount;
+  const byPrice = Number(tx.share) * Number(tx.price);
+  return Number.isFinite(byPrice) && byPrice > 0 ? byPrice : null;
+};
+
+/**
+ * 由单个持仓构造现金流
+ * - 交易流水（isLedgerTx，含补录的历史记录与校准交易，与业绩、资产曲线口径一致）：买入为投入、卖出为取回；基金转换拆成转出卖出与转入买入，已包含在内
+ * - 持仓份额多于流水推算份额的部分视为首次买入日以持仓成本价建仓
+ * - 现金分红记录计入取回；红利再投资与份额折算只增加份额，不产生现金流
+ * - 期末以当前市值作为取回
+ * @param {object} params
+ * @param {{ share: number, cost?: number, firstPurchaseDate?: string }} params.holding
+ * @param {object[]} params.transactions - 该基金的交易记录
+ * @param {string|null} params.txScope - 分组 ID，null 表示全局账本
+ * @param {number} params.marketValue - 当前持仓市值
+ * @param {string} params.todayStr - 'YYYY-MM-DD'
+ * @returns {CashFlow[]|null} 无法确定投入日期时为 null
+ */
+export function buildHoldingCashFlows({ holding, transactions, txScope, marketValue, todayStr }) {
+  if (!holding || !isNumber(holding.share)) return null;
+
+  const scopedTxs = (isArray(transactions) ? transactions : []).filter((tx) => {
+    if (!isLedgerTx(tx) || tx.date > todayStr) return false;
+    const gid = tx.groupId || null;
+    return txScope ? gid === txScope : !gid;
+  });
+
+  const flows = [];
+  let txShare = 0;
+  let earliestTxDate = null;
+  scopedTxs.forEach((tx) => {
+    txShare += getTxShareDelta(tx);
+    if (tx.type === 'dividend_reinvest' || tx.type === 'split') return;
+    const amount = getTxAmount(tx);
+    if (amount == null) return;
+    if (tx.type === 'buy') {
+      flows.push({ date: tx.date, amount: -amount });
+    } else {
+      flows.push({ date: tx.date, amount });
+    }
+    if (tx.type !== 'dividend_cash' && (!earliestTxDate || tx.date < earliestTxDate)) earliestTxDate = tx.date;
+  });
+
+  const openDate = holding.firstPurchaseDate || earliestTxDate;
+  const residualShare = holding.share - txShare;
+  if (residualShare > SHARE_EPSILON) {
+    if (!openDate || !isNumber(holding.cost)) return null;
+    flows.push({ date: openDate, amount: -residualShare * holding.cost });
+  }
+  if (!openDate) return null;
+
+  if (Number.isFinite(marketValue) && marketValue > 0) {
+    flows.push({ date: todayStr, amount: marketValue });
+  }
+  return flows;
+}
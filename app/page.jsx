@@ -35,10 +35,15 @@ const UpdateChecker = dynamic(() => import('./components/UpdateChecker'), { ssr:
 import MarketIndexAccordion from './components/MarketIndexAccordion';
 import githubImg from './assets/github.svg';
 import { supabase, isSupabaseConfigured } from './lib/supabase';
+import { isSyncApiEnabled } from './lib/syncApi';
 import { getAllValuationSeries, clearFund } from './lib/valuationTimeseries';
 import { aggregatePortfolioDailyEarnings } from './lib/dailyEarnings';
 import { loadHolidaysForYears, isTradingDay as isDateTradingDay } from './lib/tradingCalendar';
 import { asyncPool } from './lib/asyncHelper';
+import { computePremiumRate, isPremiumAlert } from './lib/exchangeQuote';
+import { computeXirr } from './lib/xirr';
+import { applyCorporateAction, isCorporateAction } from './lib/corporateActions';
+import { computeSellFee } from './lib/taxLots';
 import {
   fetchSmartFundNetValue,
   fetchSmartFundNetValueBackward,
@@ -52,6 +57,7 @@ import MineTab from './components/MineTab';
 import MarketTab from './components/MarketTab';
 import PcSideNav from './components/PcSideNav';
 import SearchFund from './components/SearchFund';
+import OfflineBanner from './components/OfflineBanner';
 import { useTheme } from './hooks/useTheme';
 import { useTradingDay } from './hooks/useTradingDay';
 import { useHoldingProfit } from './hooks/useHoldingProfit';
@@ -60,8 +66,12 @@ import { useSummaryCalculations } from './hooks/useSummaryCalculations';
 import { useNavHeights } from './hooks/useNavHeights';
 import { useScanImport } from './hooks/useScanImport';
 import { useRefreshManager } from './hooks/useRefreshManager';
+import { useEarningsBackfill } from './hooks/useEarningsBackfill';
+import { useCorporateActions } from './hooks/useCorporateActions';
+import { archiveRemovedFunds, archiveRemovedPositions, useClearedPositions } from './hooks/useClearedPositions';
 import { useSyncManager, normalizeFundDailyEarningsScoped } from './hooks/useSyncManager';
 import { useIsMobile } from './hooks/useIsMobile';
+import { usePrivacyAutoLock } from './hooks/usePrivacyAutoLock';
 import {
   useUserStore,
   clearAuthUser,
@@ -70,7 +80,11 @@ import {
   storageStore,
   normalizePendingTrades,
   useModalStore,
-  useSettingsStore
+  useSettingsStore,
+  usePrivacyStore,
+  useSyncSettingsStore,
+  selectSelfHostedAccountId,
+  getSyncTransport
 } from './stores';
 import ModalsLayer from './components/ModalsLayer';
 
@@ -155,6 +169,10 @@ export default function HomePage() {
     initCustomSettings,
     initFundDailyEarnings,
     initFundDividends,
+    initFundAssetSnapshots,
+    initClearedPositions,
+    clearedPositions,
+    setClearedPositions,
     sortBy,
     setSortBy,
     sortOrder,
@@ -260,11 +278,18 @@ export default function HomePage() {
 
   // 视图模式
   const [viewMode, setViewMode] = useState('list'); // card, list
-  // 全局隐藏金额状态（影响分组汇总、列表和卡片）
-  const [maskAmounts, setMaskAmounts] = useState(false);
+  // 全局隐私模式：隐藏所有金额（影响分组汇总、列表、卡片与图表），设置 PIN 后需验证才能关闭
+  const maskAmounts = usePrivacyStore((s) => s.masked);
+  const toggleMaskAmounts = usePrivacyStore((s) => s.toggleMasked);
+  const initPrivacy = usePrivacyStore((s) => s.initPrivacy);
+  const initSyncSettings = useSyncSettingsStore((s) => s.initSyncSettings);
+  usePrivacyAutoLock();
 
   // 用户认证状态（Supabase 会话仍由客户端持久化；用户信息由 zustand 全局管理）
   const user = useUserStore((s) => s.user);
+  // 启用 WebDAV 或内置同步服务时，手动同步等操作针对对应账号而非登录用户
+  const selfHostedAccountId = useSyncSettingsStore(selectSelfHostedAccountId);
+  const syncAccountId = selfHostedAccountId || user?.id;
   const userAvatar = useMemo(() => {
     if (!user?.id) return '';
     return createAvatar(identicon, {
@@ -328,6 +353,7 @@ export default function HomePage() {
   const setIsLogoutConfirmOpen = (v) => _ms({ isLogoutConfirmOpen: isFunction(v) ? v(_gs().isLogoutConfirmOpen) : v });
   const setPortfolioEarningsOpen = (v) =>
     _ms({ portfolioEarningsOpen: isFunction(v) ? v(_gs().portfolioEarningsOpen) : v });
+  const setReconcileOpen = (v) => _ms({ reconcileOpen: isFunction(v) ? v(_gs().reconcileOpen) : v });
   const setMobileFundDrawerOpen = (v) =>
     _ms({ mobileFundDrawerOpen: isFunction(v) ? v(_gs().mobileFundDrawerOpen) : v });
   const setTutorialDrawerOpen = (v) => _ms({ tutorialDrawerOpen: isFunction(v) ? v(_gs().tutorialDrawerOpen) : v });
@@ -354,6 +380,7 @@ export default function HomePage() {
     _ms({ fundDeleteBulkConfirm: isFunction(v) ? v(_gs().fundDeleteBulkConfirm) : v });
   const setFundTagsEdit = (v) => _ms({ fundTagsEdit: isFunction(v) ? v(_gs().fundTagsEdit) : v });
   const setSuccessModal = (v) => _ms({ successModal: isFunction(v) ? v(_gs().successModal) : v });
+  const setCloudConfigModal = (v) => _ms({ cloudConfigModal: isFunction(v) ? v(_gs().cloudConfigModal) : v });
 
   const fundDetailDrawerCloseRef = useRef(null); // 由 MobileFundTable 注入，用于确认删除时关闭基金详情 Drawer
   const fundDetailDialogCloseRef = useRef(null); // 由 PcFundTable 注入，用于确认删除时关闭基金详情 Dialog
@@ -422,7 +449,7 @@ export default function HomePage() {
       : null;
 
   // 计算持仓收益（抽离至自定义 Hook 管理）
-  const { getHoldingProfit } = useHoldingProfit({ activeGroupId });
+  const { getHoldingProfit, getHoldingCashFlows } = useHoldingProfit({ activeGroupId });
 
   const {
     groupsWithHoldings,
@@ -432,7 +459,7 @@ export default function HomePage() {
     summaryMergedHoldings,
     summaryHoldingSourceGroupByCode,
     summaryCardItems
-  } = useSummaryCalculations({ currentTab, setCurrentTab, getHoldingProfit });
+  } = useSummaryCalculations({ currentTab, setCurrentTab, getHoldingProfit, getHoldingCashFlows });
 
   const getHoldingProfitForTab = useCallback(
     (fund, holding) => {
@@ -447,6 +474,24 @@ export default function HomePage() {
     [currentTab, summaryHoldingSourceGroupByCode, getHoldingProfit]
   );
 
+  const getHoldingCashFlowsForTab = useCallback(
+    (fund, holding) => {
+      if (currentTab === SUMMARY_TAB_ID) {
+        const src = summaryHoldingSourceGroupByCode[fund?.code];
+        if (src === undefined) return null;
+        return getHoldingCashFlows(fund, holding, src === SUMMARY_SOURCE_GLOBAL ? null : src);
+      }
+      return getHoldingCashFlows(fund, holding);
+    },
+    [currentTab, summaryHoldingSourceGroupByCode, getHoldingCashFlows]
+  );
+
+  /** 单只基金的资金加权年化收益率（XIRR，百分比） */
+  const getHoldingXirrForTab = useCallback(
+    (fund, holding) => computeXirr(getHoldingCashFlowsForTab(fund, holding)),
+    [getHoldingCashFlowsForTab]
+  );
+
   /**
    * 全部/自选：当全局 holdings 无该基金持仓，但自定义分组存在持仓时，
    * 仅用于展示地将其它分组的持仓汇总到当前 tab（不写入 localStorage）。
@@ -839,6 +884,11 @@ export default function HomePage() {
         ? new Map(filtered.map((f) => [f.code, getHoldingProfitForTab(f, holdingsForTabWithLinked[f.code])]))
         : null;
 
+    const xirrByCode =
+      sortBy === 'xirr'
+        ? new Map(filtered.map((f) => [f.code, getHoldingXirrForTab(f, holdingsForTabWithLinked[f.code])]))
+        : null;
+
     const estimateProfitByCode =
       sortBy === 'estimateProfit'
         ? new Map(
@@ -955,6 +1005,16 @@ export default function HomePage() {
         if (!hasB) return -1;
         return sortOrder === 'asc' ? valA - valB : valB - valA;
       }
+      if (sortBy === 'xirr') {
+        const valA = xirrByCode?.get(a.code);
+        const valB = xirrByCode?.get(b.code);
+        const hasA = valA != null && Number.isFinite(valA);
+        const hasB = valB != null && Number.isFinite(valB);
+        if (!hasA && !hasB) return 0;
+        if (!hasA) return 1;
+        if (!hasB) return -1;
+        return sortOrder === 'asc' ? valA - valB : valB - valA;
+      }
       if (sortBy === 'estimateProfit') {
         const valA = estimateProfitByCode ? estimateProfitByCode.get(a.code) : null;
         const valB = estimateProfitByCode ? estimateProfitByCode.get(b.code) : null;
@@ -1113,6 +1173,7 @@ export default function HomePage() {
     sortOrder,
     holdingsForTabWithLinked,
     getHoldingProfitForTab,
+    getHoldingXirrForTab,
     deferredGroupFundSearchTerm,
     shouldShowGroupFundSearch,
     currentFundDailyEarnings,
@@ -1171,8 +1232,14 @@ export default function HomePage() {
   const pcFundTableData = useMemo(() => {
     return displayFunds.map((f) => {
       const hasTodayData = isNavUpdated(f.jzrq, todayStr, f.confirmDays);
-      const latestNav =
-        f.dwjz != null && f.dwjz !== '' ? (isNumber(f.dwjz) ? Number(f.dwjz).toFixed(4) : String(f.dwjz)) : '—';
+      const isMoneyFund = f.isMoneyFund === true;
+      const latestNav = isMoneyFund
+        ? '1.0000'
+        : f.dwjz != null && f.dwjz !== ''
+          ? isNumber(f.dwjz)
+            ? Number(f.dwjz).toFixed(4)
+            : String(f.dwjz)
+          : '—';
       const estimateNav = f.noValuation
         ? '—'
         : f.gsz != null
@@ -1181,17 +1248,30 @@ export default function HomePage() {
             : String(f.gsz)
           : '—';
 
-      const yesterdayChangePercent =
-        f.zzl != null && f.zzl !== '' ? `${f.zzl > 0 ? '+' : ''}${Number(f.zzl).toFixed(2)}%` : '—';
-      const yesterdayChangeValue = f.zzl != null && f.zzl !== '' ? Number(f.zzl) : null;
+      // 货币基金：「最新涨幅」列展示每万份收益，「估算涨幅」列展示 7 日年化收益率
+      let yesterdayChangePercent;
+      let yesterdayChangeValue;
+      let estimateChangePercent;
+      let estimateChangeValue;
+      if (isMoneyFund) {
+        yesterdayChangePercent = isNumber(f.moneyIncomePer10k) ? f.moneyIncomePer10k.toFixed(4) : '—';
+        yesterdayChangeValue = null;
+        estimateChangePercent = isNumber(f.moneyYield7d) ? `${f.moneyYield7d.toFixed(3)}%` : '—';
+        estimateChangeValue = null;
+      } else {
+        yesterdayChangePercent =
+          f.zzl != null && f.zzl !== '' ? `${f.zzl > 0 ? '+' : ''}${Number(f.zzl).toFixed(2)}%` : '—';
+        yesterdayChangeValue = f.zzl != null && f.zzl !== '' ? Number(f.zzl) : null;
+        estimateChangePercent = f.noValuation
+          ? '—'
+          : isNumber(f.gszzl)
+            ? `${f.gszzl > 0 ? '+' : ''}${Number(f.gszzl).toFixed(2)}%`
+            : (f.gszzl ?? '—');
+        estimateChangeValue = f.noValuation ? null : isNumber(f.gszzl) ? Number(f.gszzl) : null;
+      }
       const yesterdayDate = f.jzrq || '-';
+      const premiumRate = computePremiumRate(f, todayStr);
 
-      const estimateChangePercent = f.noValuation
-        ? '—'
-        : isNumber(f.gszzl)
-          ? `${f.gszzl > 0 ? '+' : ''}${Number(f.gszzl).toFixed(2)}%`
-          : (f.gszzl ?? '—');
-      const estimateChangeValue = f.noValuation ? null : isNumber(f.gszzl) ? Number(f.gszzl) : null;
       const estimateTime = f.noValuation ? f.jzrq || '-' : f.gztime || f.time || '-';
       const hasTodayEstimate = !f.noValuation && isString(f.gztime) && f.gztime.startsWith(todayStr);
 
@@ -1209,6 +1289,8 @@ export default function HomePage() {
       const holdingDaysValue = holding?.firstPurchaseDate
         ? dayjs.tz(todayStr, TZ).diff(dayjs.tz(holding.firstPurchaseDate, TZ), 'day')
         : null;
+      const xirrValue = profit ? getHoldingXirrForTab(f, holding) : null;
+      const xirr = xirrValue == null ? '—' : `${xirrValue > 0 ? '+' : ''}${xirrValue.toFixed(2)}%`;
 
       const profitToday = profit ? profit.profitToday : null;
       const todayProfit =
@@ -1375,13 +1457,17 @@ export default function HomePage() {
         latestNavDate: yesterdayDate,
         estimateNav,
         estimateNavDate: estimateTime,
+        exchangePrice: isNumber(f.exchangePrice) ? f.exchangePrice : null,
+        premiumRate,
+        premiumAlert: isPremiumAlert(premiumRate),
         yesterdayChangePercent,
         yesterdayChangeValue,
         yesterdayDate,
         estimateChangePercent,
         estimateChangeValue,
-        estimateChangeMuted: f.noValuation,
+        estimateChangeMuted: f.noValuation && !isMoneyFund,
         estimateTime,
+        isMoneyFund,
         hasTodayEstimate,
         totalChangePercent: estimateProfitPercent,
         estimateProfit,
@@ -1399,6 +1485,8 @@ export default function HomePage() {
         costNav,
         costNavValue,
         holdingDaysValue,
+        xirr,
+        xirrValue,
         todayProfit,
         todayProfitPercent,
         todayProfitValue,
@@ -1418,6 +1506,7 @@ export default function HomePage() {
     isTradingDay,
     todayStr,
     getHoldingProfitForTab,
+    getHoldingXirrForTab,
     dcaPlansForTab,
     pendingCodesForTab,
     latestDailyByCode,
@@ -1515,6 +1604,7 @@ export default function HomePage() {
             ? currentTab
             : null
       );
+      archiveRemovedPositions([{ code, groupId: gid }]);
       if (!gid) {
         setHoldings((prev) => {
           const next = { ...prev };
@@ -1648,6 +1738,7 @@ export default function HomePage() {
           let newShare, newCost;
           let tradeShare = 0;
           let tradeAmount = 0;
+          let tradeFee = 0;
 
           if (trade.type === 'buy') {
             const feeRate = trade.feeRate || 0;
@@ -1658,6 +1749,7 @@ export default function HomePage() {
 
             tradeShare = share;
             tradeAmount = trade.amount;
+            tradeFee = trade.amount - netAmount;
           } else {
             const sellShare =
               trade.share != null && Number.isFinite(Number(trade.share)) && Number(trade.share) > 0
@@ -1671,10 +1763,12 @@ export default function HomePage() {
 
             tradeShare = sellShare;
             tradeAmount = sellShare * result.value;
+            tradeFee = computeSellFee(tradeAmount, trade.feeMode, trade.feeValue);
           }
 
           writeCurrent(trade.fundCode, tradeGid, newShare, newCost, {
             ...(current.firstPurchaseDate ? { firstPurchaseDate: current.firstPurchaseDate } : {}),
+            ...(current.onExchange ? { onExchange: true } : {}),
             ...(trade.type === 'buy' && !current.firstPurchaseDate && result.date
               ? { firstPurchaseDate: result.date }
               : {})
@@ -1694,6 +1788,8 @@ export default function HomePage() {
             isAfter3pm: trade.isAfter3pm,
             isDca: !!trade.isDca,
             timestamp: Date.now(),
+            ...(trade.type === 'sell' ? { costPrice: current.cost } : {}),
+            ...(tradeFee > 0 ? { fee: Math.round(tradeFee * 100) / 100 } : {}),
             ...(tradeGid ? { groupId: tradeGid } : {})
           });
         }
@@ -1718,6 +1814,8 @@ export default function HomePage() {
               isDca: tx.isDca,
               timestamp: tx.timestamp
             };
+            if (isNumber(tx.costPrice)) row.costPrice = tx.costPrice;
+            if (isNumber(tx.fee)) row.fee = tx.fee;
             if (tx.groupId) row.groupId = tx.groupId;
             nextTransactions[tx.fundCode] = [row, ...current].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
           }
@@ -1756,6 +1854,32 @@ export default function HomePage() {
     showToast('交易记录已删除', 'success');
   };
 
+  // 撤销自动生成的分红 / 折算记录：恢复持仓份额与成本，记录保留并标记为已撤销，避免再次生成
+  const handleUndoTransaction = (fundCode, transactionId, groupIdOverride) => {
+    const gid = getScopedGroupId(groupIdOverride);
+    const tx = (transactions?.[fundCode] || []).find(
+      (t) => t?.id === transactionId && (!gid ? !t.groupId : t.groupId === gid)
+    );
+    if (!tx || !isCorporateAction(tx) || tx.undone) return;
+    if (!gid) {
+      setHoldings((prev) => {
+        if (!prev?.[fundCode]) return prev;
+        return { ...prev, [fundCode]: applyCorporateAction(prev[fundCode], tx, -1) };
+      });
+    } else {
+      setGroupHoldings((prev) => {
+        const current = prev?.[gid]?.[fundCode];
+        if (!current) return prev;
+        return { ...prev, [gid]: { ...prev[gid], [fundCode]: applyCorporateAction(current, tx, -1) } };
+      });
+    }
+    setTransactions((prev) => ({
+      ...prev,
+      [fundCode]: (prev[fundCode] || []).map((t) => (t === tx || t.id === tx.id ? { ...t, undone: true } : t))
+    }));
+    showToast('已撤销，持仓已恢复', 'success');
+  };
+
   const handleMergeAllGroupTransactionsToCurrent = (fundCode, groupIdOverride) => {
     const targetGid = getScopedGroupId(groupIdOverride);
     if (!fundCode || !targetGid) return;
@@ -1918,11 +2042,15 @@ export default function HomePage() {
         share: newShare,
         cost: newCost,
         ...(current.firstPurchaseDate ? { firstPurchaseDate: current.firstPurchaseDate } : {}),
+        ...(current.onExchange ? { onExchange: true } : {}),
         ...(isBuy && !current.firstPurchaseDate && data.date ? { firstPurchaseDate: data.date } : {})
       },
       tradeGid
     );
 
+    const tradeFee = isBuy
+      ? Math.round(((data.totalCost ?? data.price * data.share) - data.price * data.share) * 100) / 100
+      : computeSellFee(data.share * data.price, data.feeMode, data.feeValue);
     setTransactions((prev) => {
       const curList = prev[fund.code] || [];
       const record = {
@@ -1935,6 +2063,8 @@ export default function HomePage() {
         isAfter3pm: data.isAfter3pm,
         isDca: false,
         timestamp: Date.now(),
+        ...(isBuy ? {} : { costPrice: current.cost }),
+        ...(tradeFee > 0 ? { fee: tradeFee } : {}),
         ...(tradeGid ? { groupId: tradeGid } : {})
       };
       const next = [record, ...curList];
@@ -2058,6 +2188,12 @@ export default function HomePage() {
   // 定投计划自动生成买入队列的逻辑会在 storageHelper 定义之后实现
 
   const handleOpenLogin = () => {
+    if (!isSupabaseConfigured && isSyncApiEnabled) {
+      // 内置同步服务以同步令牌代替登录
+      setSettingsOpen(true);
+      showToast('请在设置的「服务器同步」中填写同步令牌', 'info');
+      return;
+    }
     if (!isSupabaseConfigured) {
       showToast('未配置 Supabase，无法登录', 'error');
       return;
@@ -2102,6 +2238,10 @@ export default function HomePage() {
     fetchCloudConfig,
     applyCloudConfig,
     handleSyncLocalConfig,
+    compareCloudConfig,
+    restoreCloudSnapshot,
+    resolveSyncMerge,
+    cancelSyncMerge,
     triggerCustomSettingsSync,
     skipSyncRef,
     deviceConflictModalOpenRef,
@@ -2113,6 +2253,13 @@ export default function HomePage() {
     setFundTagRecords
   });
 
+  const handleSyncNow = () => syncAccountId && syncUserConfig(syncAccountId);
+  // WebDAV 不保留历史快照，不提供入口
+  const handleOpenCloudHistory =
+    syncAccountId && getSyncTransport(syncAccountId).supportsSnapshots
+      ? () => setCloudConfigModal({ open: true, userId: syncAccountId, type: 'history', cloudData: null })
+      : undefined;
+
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
@@ -2560,6 +2707,9 @@ export default function HomePage() {
   useEffect(() => {
     refreshAllRef.current = refreshAll;
   }, [refreshAll]);
+  const { rebuildEarningsHistory } = useEarningsBackfill({ refreshing });
+  useCorporateActions({ refreshing, showToast });
+  useClearedPositions({ showToast });
 
   const {
     handleAddGroup,
@@ -2637,7 +2787,11 @@ export default function HomePage() {
       initCustomSettings();
       initFundDailyEarnings();
       initFundDividends();
+      initFundAssetSnapshots();
+      initClearedPositions();
       initSort();
+      initPrivacy();
+      initSyncSettings();
       try {
         // 已登录用户：不在此处调用 refreshAll，等 fetchCloudConfig 完成后由 applyCloudConfig 统一刷新
         let shouldRefreshFromLocal = true;
@@ -2812,6 +2966,8 @@ export default function HomePage() {
         setLoginModalOpen(false);
         setLoginInitialError('');
       }
+      // 已启用自建同步：云端数据由对应账号提供，不再拉取 Supabase
+      if (selectSelfHostedAccountId(useSyncSettingsStore.getState())) return;
       // 仅在明确的登录动作（SIGNED_IN）时检查冲突；INITIAL_SESSION（刷新页面等）不检查，直接以云端为准
       fetchCloudConfig(session.user.id, isExplicitLogin, {
         refreshAfterApply: event === 'INITIAL_SESSION'
@@ -3301,6 +3457,7 @@ export default function HomePage() {
   };
 
   const removeFund = (removeCode) => {
+    archiveRemovedFunds([removeCode]);
     const next = funds.filter((f) => f.code !== removeCode);
     setFunds(next);
 
@@ -3425,6 +3582,7 @@ export default function HomePage() {
     const set = new Set((codes || []).filter(Boolean));
     if (set.size === 0) return;
 
+    archiveRemovedFunds([...set]);
     setFunds((prev) => prev.filter((f) => !set.has(f.code)));
 
     setGroups((prev) => {
@@ -3748,6 +3906,7 @@ export default function HomePage() {
         dcaPlans,
         customSettings: customSettings || {},
         fundDailyEarnings,
+        clearedPositions,
         exportedAt: nowInTz().toISOString()
       };
       const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
@@ -4024,6 +4183,16 @@ export default function HomePage() {
           } catch {}
         }
 
+        if (isArray(data.clearedPositions)) {
+          const existingIds = new Set((clearedPositions || []).map((entry) => entry?.id));
+          const incoming = data.clearedPositions.filter((entry) => entry?.id && !existingIds.has(entry.id));
+          if (incoming.length) {
+            setClearedPositions((prev) =>
+              [...(prev || []), ...incoming].sort((a, b) => (b.archivedAt || 0) - (a.archivedAt || 0))
+            );
+          }
+        }
+
         // 导入成功后，仅刷新新追加的基金
         if (appendedCodes.length) {
           // 这里需要确保 refreshAll 不会因为闭包问题覆盖掉刚刚合并好的 mergedFunds
@@ -4209,7 +4378,7 @@ export default function HomePage() {
   }, []);
 
   const handleDataSourceSelect = useCallback(
-    (fundCode, sourceId, autoSource) => {
+    (fundCode, sourceId, autoSource, options = {}) => {
       setFunds((prev) => {
         const next = [...prev];
         const idx = next.findIndex((f) => f.code === fundCode);
@@ -4218,6 +4387,7 @@ export default function HomePage() {
             ...next[idx],
             dataSource: sourceId,
             autoSource: !!autoSource,
+            ...(options.trackingRatio != null ? { trackingRatio: options.trackingRatio } : {}),
             gsz: null,
             gszzl: null,
             gztime: null,
@@ -4244,6 +4414,25 @@ export default function HomePage() {
     [setFunds]
   ); // refreshAll is omitted from deps to avoid loop, it's stable enough in page scope
 
+  const handleSaveRedemptionFeeSchedule = useCallback(
+    (fundCode, schedule) => {
+      if (!fundCode) return;
+      setFunds((prev) => prev.map((f) => (f.code === fundCode ? { ...f, redemptionFeeSchedule: schedule } : f)));
+      showToast('赎回费档位已保存', 'success');
+    },
+    [setFunds]
+  );
+
+  const handleRebuildEarningsHistory = useCallback(async () => {
+    try {
+      const count = await rebuildEarningsHistory();
+      showToast(count > 0 ? `已补齐 ${count} 条每日收益` : '收益历史已重建，没有需要补齐的交易日', 'success');
+    } catch (e) {
+      console.error('重建收益历史失败', e);
+      showToast('重建收益历史失败，请稍后重试', 'error');
+    }
+  }, [rebuildEarningsHistory]);
+
   const openActionModal = useCallback(
     (fund) => {
       const code = fund?.code;
@@ -4286,6 +4475,7 @@ export default function HomePage() {
         theme,
         isTradingDay,
         getHoldingProfit: getHoldingProfitForTab,
+        getHoldingXirr: getHoldingXirrForTab,
         onToggleFavorite: toggleFavorite,
         onAddFund: handleMarketTabAddFund,
         onRemoveFund: handleRemoveFundEntry,
@@ -4327,6 +4517,7 @@ export default function HomePage() {
       theme,
       isTradingDay,
       getHoldingProfitForTab,
+      getHoldingXirrForTab,
       toggleFavorite,
       handleRemoveFundEntry,
       openHoldingModal,
@@ -4351,8 +4542,11 @@ export default function HomePage() {
   const modalCbRef = useRef({});
   modalCbRef.current = {
     // 业务回调
+    handleSyncNow,
+    handleOpenCloudHistory,
     handleClearConfirm,
     handleDeleteTransaction,
+    handleUndoTransaction,
     handleAddHistory,
     handleAction,
     handleTrade,
@@ -4361,7 +4555,13 @@ export default function HomePage() {
     handleUpdateGroups,
     handleAddFundsToGroup,
     handleDataSourceSelect,
+    handleSaveRedemptionFeeSchedule,
+    handleRebuildEarningsHistory,
     handleSyncLocalConfig,
+    compareCloudConfig,
+    restoreCloudSnapshot,
+    resolveSyncMerge,
+    cancelSyncMerge,
     handleSaveFundTags,
     handleAddPoolTag,
     handleDeleteGlobalTag,
@@ -4409,6 +4609,8 @@ export default function HomePage() {
     refreshing,
     user,
     portfolioDailySeries,
+    portfolioTotalAsset: summaryTabPortfolioTotals?.totalAsset ?? 0,
+    theme,
     currentTab,
     // Settings
     tempSeconds,
@@ -4472,6 +4674,7 @@ export default function HomePage() {
           <Announcement />
           <div className="navbar glass" ref={navbarRef}>
             {refreshing && <div className="loading-bar"></div>}
+            <OfflineBanner />
             <div className={`brand ${isSearchFocused || selectedFunds.length > 0 ? 'search-focused-sibling' : ''}`}>
               <Tooltip>
                 <TooltipTrigger asChild>
@@ -4634,9 +4837,11 @@ export default function HomePage() {
                 navbarHeight={navbarHeight}
                 lastSyncTime={lastSyncTime}
                 isSyncing={isSyncing}
-                onSync={() => user?.id && syncUserConfig(user.id)}
+                onSync={handleSyncNow}
+                onOpenCloudHistory={handleOpenCloudHistory}
                 onOpenSettings={() => setSettingsOpen(true)}
                 onOpenPortfolioEarnings={() => setPortfolioEarningsOpen(true)}
+                onOpenReconcile={() => setReconcileOpen(true)}
                 onOpenLogin={handleOpenLogin}
                 onLogout={handleLogout}
                 onLogoutConfirmOpenChange={setIsLogoutConfirmOpen}
@@ -5067,18 +5272,20 @@ export default function HomePage() {
                         holdings={holdingsForTabWithLinked}
                         groups={groups}
                         getProfit={getHoldingProfitForTab}
+                        getCashFlows={getHoldingCashFlowsForTab}
                         summaryTabPortfolioTotals={summaryTabPortfolioTotals}
                         navbarHeight={navbarHeight}
                         filterBarHeight={filterBarHeight}
                         isGroupSummarySticky={isGroupSummarySticky}
                         setIsGroupSummarySticky={setIsGroupSummarySticky}
                         maskAmounts={maskAmounts}
-                        setMaskAmounts={setMaskAmounts}
+                        onToggleMaskAmounts={toggleMaskAmounts}
                         shouldShowMarketIndex={shouldShowMarketIndex}
                         summaryCardItems={summaryCardItems}
                         isMobile={isMobile}
                         startTransition={startTransition}
                         setCurrentTab={setCurrentTab}
+                        theme={theme}
                       />
                     ) : (
                       <GroupSummary
@@ -5087,14 +5294,16 @@ export default function HomePage() {
                         portfolioTabId={currentTab}
                         groups={groups}
                         getProfit={getHoldingProfitForTab}
+                        getCashFlows={getHoldingCashFlowsForTab}
                         summaryTotalsOverride={null}
                         stickyTop={navbarHeight + filterBarHeight + (isMobile ? -14 : 0)}
                         isSticky={isGroupSummarySticky}
                         onToggleSticky={(next) => setIsGroupSummarySticky(next)}
                         masked={maskAmounts}
-                        onToggleMasked={() => setMaskAmounts((v) => !v)}
+                        onToggleMasked={toggleMaskAmounts}
                         shouldShowMarketIndex={shouldShowMarketIndex}
                         navbarHeight={navbarHeight}
+                        theme={theme}
                       />
                     )}
                     {currentTab !== SUMMARY_TAB_ID && (
@@ -5172,6 +5381,7 @@ export default function HomePage() {
                             theme={theme}
                             isTradingDay={isTradingDay}
                             getHoldingProfitForTab={getHoldingProfitForTab}
+                            getHoldingXirrForTab={getHoldingXirrForTab}
                             toggleFavorite={toggleFavorite}
                             openHoldingModal={openHoldingModal}
                             openActionModal={openActionModal}
@@ -5352,6 +5562,9 @@ export default function HomePage() {
           lastSyncDisplay={lastSyncTime ? dayjs(lastSyncTime).format('MM-DD HH:mm') : null}
           onLogin={handleOpenLogin}
           onMyEarnings={() => setPortfolioEarningsOpen(true)}
+          onReconcile={() => setReconcileOpen(true)}
+          groups={groups}
+          masked={maskAmounts}
           onTutorial={() => {
             if (isMobile) {
               setTutorialDrawerOpen(true);
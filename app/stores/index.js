@@ -2,3 +2,6 @@ export * from './userStore';
 export * from './storageStore';
 export * from './modalStore';
 export * from './settingsStore';
+export * from './privacyStore';
+export * from './vaultStore';
+export * from './syncSettingsStore';
@@ -21,6 +21,15 @@ const DEFAULTS = {
   holdingMigrateDialog: { open: false, code: null, name: '', targetGroupId: null },
   cloudConfigModal: { open: false, userId: null, type: null, cloudData: null },
   deviceConflictModal: { open: false, message: '', userId: null, payload: null, isPartial: false },
+  syncMergeModal: {
+    open: false,
+    mode: 'merge',
+    userId: null,
+    conflicts: [],
+    base: null,
+    cloudData: null,
+    updatedAt: null
+  },
   successModal: { open: false, message: '' }
 };
 
@@ -38,6 +47,7 @@ const getClosedModalState = () => ({
   mobileTableSettingModalOpen: false,
   mobileFundDrawerOpen: false,
   portfolioEarningsOpen: false,
+  reconcileOpen: false,
   sortSettingOpen: false,
   allSectorsModalOpen: false,
   groupModalOpen: false,
@@ -61,6 +71,7 @@ const getClosedModalState = () => ({
   holdingMigrateDialog: { ...DEFAULTS.holdingMigrateDialog },
   cloudConfigModal: { ...DEFAULTS.cloudConfigModal },
   deviceConflictModal: { ...DEFAULTS.deviceConflictModal },
+  syncMergeModal: { ...DEFAULTS.syncMergeModal },
   successModal: { ...DEFAULTS.successModal },
   scanModalOpen: false,
   scanConfirmModalOpen: false,
@@ -89,6 +100,7 @@ export const useModalStore = create((set, get) => ({
   mobileTableSettingModalOpen: false,
   mobileFundDrawerOpen: false,
   portfolioEarningsOpen: false,
+  reconcileOpen: false,
   sortSettingOpen: false,
   allSectorsModalOpen: false,
   allSectorsFilter: 'industry',
@@ -123,6 +135,7 @@ export const useModalStore = create((set, get) => ({
   // ---- Cloud/sync modals ----
   cloudConfigModal: { ...DEFAULTS.cloudConfigModal },
   deviceConflictModal: { ...DEFAULTS.deviceConflictModal },
+  syncMergeModal: { ...DEFAULTS.syncMergeModal },
   successModal: { ...DEFAULTS.successModal },
 
   // ---- Scan modals (migrated from useScanImport) ----
@@ -0,0 +1,121 @@
+import { isBoolean, isFunction, isPlainObject, isString } from 'lodash';
+import { create } from 'zustand';
+import { AUTO_LOCK_OPTIONS, PIN_COOLDOWN_MS, PIN_MAX_ATTEMPTS, createPinSalt, hashPin } from '@/app/lib/privacy';
+import { storageStore } from './storageStore';
+
+/** 仅保存在本机的 localStorage key，不参与云端同步与导入/导出 */
+const PRIVACY_STORAGE_KEY = 'privacySettings';
+
+const PERSISTED_DEFAULTS = {
+  masked: false,
+  pinHash: null,
+  pinSalt: null,
+  autoLockMinutes: 0,
+  lockOnHidden: false
+};
+
+const pickPersisted = (state) => ({
+  masked: state.masked,
+  pinHash: state.pinHash,
+  pinSalt: state.pinSalt,
+  autoLockMinutes: state.autoLockMinutes,
+  lockOnHidden: state.lockOnHidden
+});
+
+/**
+ * 全局隐私模式 Zustand Store：开启后隐藏所有金额（保留百分比），设置 PIN 后需验证才能关闭
+ */
+export const usePrivacyStore = create((set, get) => {
+  const persist = (patch) => {
+    set(patch);
+    try {
+      storageStore.setItem(PRIVACY_STORAGE_KEY, JSON.stringify(pickPersisted(get())));
+    } catch (e) {
+      console.warn('保存隐私设置失败', e);
+    }
+  };
+
+  return {
+    ...PERSISTED_DEFAULTS,
+    /** 是否展示 PIN 验证弹窗 */
+    pinPromptOpen: false,
+    failedAttempts: 0,
+    cooldownUntil: 0,
+
+    /** 从 localStorage 恢复隐私设置 */
+    initPrivacy: () => {
+      const saved = storageStore.getItem(PRIVACY_STORAGE_KEY, null);
+      if (!isPlainObject(saved)) return;
+      const hasPin = isString(saved.pinHash) && isString(saved.pinSalt);
+      set({
+        masked: isBoolean(saved.masked) ? saved.masked : false,
+        pinHash: hasPin ? saved.pinHash : null,
+        pinSalt: hasPin ? saved.pinSalt : null,
+        autoLockMinutes: AUTO_LOCK_OPTIONS.includes(saved.autoLockMinutes) ? saved.autoLockMinutes : 0,
+        lockOnHidden: saved.lockOnHidden === true
+      });
+    },
+
+    /** 开启隐私模式（自动锁定与手动开启共用） */
+    lock: () => {
+      if (!get().masked) persist({ masked: true });
+    },
+
+    /** 切换隐私模式：已设置 PIN 时关闭需先验证 */
+    toggleMasked: () => {
+      const { masked, pinHash } = get();
+      if (!masked) persist({ masked: true });
+      else if (pinHash) set({ pinPromptOpen: true });
+      else persist({ masked: false });
+    },
+
+    closePinPrompt: () => set({ pinPromptOpen: false }),
+
+    /**
+     * 校验 PIN
+     * @param {string} pin
+     * @returns {Promise<'ok'|'invalid'|'cooldown'>}
+     */
+    verifyPin: async (pin) => {
+      const { pinHash, pinSalt, cooldownUntil, failedAttempts } = get();
+      if (!pinHash) return 'ok';
+      if (Date.now() < cooldownUntil) return 'cooldown';
+      if ((await hashPin(pin, pinSalt)) === pinHash) {
+        set({ failedAttempts: 0, cooldownUntil: 0 });
+        return 'ok';
+      }
+      const attempts = failedAttempts + 1;
+      set(
+        attempts >= PIN_MAX_ATTEMPTS
+          ? { failedAttempts: 0, cooldownUntil: Date.now() + PIN_COOLDOWN_MS }
+          : { failedAttempts: attempts }
+      );
+      return 'invalid';
+    },
+
+    /**
+     * 验证 PIN 并关闭隐私模式
+     * @param {string} pin
+     * @returns {Promise<'ok'|'invalid'|'cooldown'>}
+     */
+    unlock: async (pin) => {
+      const result = await get().verifyPin(pin);
+      if (result === 'ok') persist({ masked: false, pinPromptOpen: false });
+      return result;
+    },
+
+    /**
+     * 设置或修改 PIN（调用方负责先验证旧 PIN）
+     * @param {string} pin
+     */
+    setPin: async (pin) => {
+      const salt = createPinSalt();
+      persist({ pinHash: await hashPin(pin, salt), pinSalt: salt });
+    },
+
+    clearPin: () => persist({ pinHash: null, pinSalt: null }),
+
+    setAutoLockMinutes: (val) => persist({ autoLockMinutes: isFunction(val) ? val(get().autoLockMinutes) : val }),
+    setLockOnHidden: (val) => persist({ lockOnHidden: isFunction(val) ? val(get().lockOnHidden) : val })
+  };
+});
@@ -11,12 +11,22 @@ export const getFundCodesSignature = (value, extraFields = []) => {
     const list = isArray(value) ? value : JSON.parse(value || '[]');
     if (!isArray(list)) return '';
     const fields = Array.from(
-      new Set(['jzrq', 'dwjz', 'dataSource', 'showImageChart', ...(isArray(extraFields) ? extraFields : [])])
+      new Set([
+        'jzrq',
+        'dwjz',
+        'dataSource',
+        'showImageChart',
+        'trackingRatio',
+        'redemptionFeeSchedule',
+        ...(isArray(extraFields) ? extraFields : [])
+      ])
     );
     const items = list
       .map((item) => {
         if (!item?.code) return null;
-        const extras = fields.map((field) => item?.[field] ?? '').join(':');
+        const extras = fields
+          .map((field) => (isObject(item?.[field]) ? JSON.stringify(item[field]) : (item?.[field] ?? '')))
+          .join(':');
         return `${item.code}:${extras}`;
       })
       .filter(Boolean);
@@ -93,7 +103,8 @@ const SYNC_KEYS = new Set([
   'dcaPlans',
   'customSettings',
   'fundDailyEarnings',
-  'fundDividends'
+  'fundDividends',
+  'clearedPositions'
 ]);
 
 export { SORT_DISPLAY_MODES, DEFAULT_SORT_RULES };
@@ -116,6 +127,31 @@ export const normalizePendingTrades = (value) => {
   return next;
 };
 
+/**
+ * 本地加密存储层（见 app/lib/vault.js），启用加密并解锁后由 vaultStore 注入
+ * 注入后加密 key 的读写走内存明文缓存，落盘为密文
+ */
+let secureLayer = null;
+
+export const setSecureStorageLayer = (layer) => {
+  secureLayer = layer;
+};
+
+const readRaw = (key) => {
+  if (typeof window === 'undefined') return null;
+  return secureLayer?.has(key) ? secureLayer.read(key) : window.localStorage.getItem(key);
+};
+
+const writeRaw = (key, value) => {
+  if (secureLayer?.has(key)) secureLayer.write(key, value);
+  else window.localStorage.setItem(key, value);
+};
+
+const removeRaw = (key) => {
+  if (secureLayer?.has(key)) secureLayer.remove(key);
+  else window.localStorage.removeItem(key);
+};
+
 const normalizeStorageValue = (key, value) => {
   if (key !== 'pendingTrades') return value;
   try {
@@ -152,6 +188,8 @@ export const useStorageStore = create((set, get) => ({
   customSettings: {},
   fundDailyEarnings: {},
   fundDividends: {},
+  fundAssetSnapshots: {},
+  clearedPositions: [],
 
   // 估值分时序列（每次调用估值接口记录，用于分时图，不持久化）
   valuationSeries: {},
@@ -253,6 +291,20 @@ export const useStorageStore = create((set, get) => ({
     }
   },
 
+  initFundAssetSnapshots: () => {
+    if (typeof window !== 'undefined') {
+      const parsed = get().getItem('fundAssetSnapshots', {});
+      set({ fundAssetSnapshots: isObject(parsed) && !isArray(parsed) ? parsed : {} });
+    }
+  },
+
+  initClearedPositions: () => {
+    if (typeof window !== 'undefined') {
+      const saved = get().getItem('clearedPositions', []);
+      set({ clearedPositions: isArray(saved) ? saved : [] });
+    }
+  },
+
   initCollapsed: () => {
     if (typeof window !== 'undefined') {
       const cc = get().getItem('collapsedCodes', []);
@@ -491,6 +543,21 @@ export const useStorageStore = create((set, get) => ({
     get().setItem('fundDividends', JSON.stringify(next));
   },
 
+  setFundAssetSnapshots: (nextFundAssetSnapshots) => {
+    const next = isFunction(nextFundAssetSnapshots)
+      ? nextFundAssetSnapshots(get().fundAssetSnapshots)
+      : nextFundAssetSnapshots;
+    if (next === get().fundAssetSnapshots) return;
+    set({ fundAssetSnapshots: next });
+    get().setItem('fundAssetSnapshots', JSON.stringify(next));
+  },
+
+  setClearedPositions: (nextClearedPositions) => {
+    const next = isFunction(nextClearedPositions) ? nextClearedPositions(get().clearedPositions) : nextClearedPositions;
+    set({ clearedPositions: next });
+    get().setItem('clearedPositions', JSON.stringify(next));
+  },
+
   setValuationSeries: (nextValuationSeries) => {
     const next = isFunction(nextValuationSeries) ? nextValuationSeries(get().valuationSeries) : nextValuationSeries;
     set({ valuationSeries: next });
@@ -503,7 +570,7 @@ export const useStorageStore = create((set, get) => ({
    */
   setItem: (key, value) => {
     const normalizedValue = normalizeStorageValue(key, value);
-    const prevValue = typeof window !== 'undefined' ? window.localStorage.getItem(key) : null;
+    const prevValue = readRaw(key);
     let skipStorageWrite = false;
 
     // 检查内容是否真的发生了变化 (使用 lodash isEqual 进行深对比)
@@ -520,7 +587,7 @@ export const useStorageStore = create((set, get) => ({
 
     // 更新本地存储
     if (!skipStorageWrite && typeof window !== 'undefined') {
-      window.localStorage.setItem(key, normalizedValue);
+      writeRaw(key, normalizedValue);
     }
 
     // 同步更新 Store 状态，确保 UI 响应
@@ -542,6 +609,8 @@ export const useStorageStore = create((set, get) => ({
       else if (key === 'customSettings') set({ customSettings: parsed });
       else if (key === 'fundDailyEarnings') set({ fundDailyEarnings: parsed });
       else if (key === 'fundDividends') set({ fundDividends: parsed });
+      else if (key === 'fundAssetSnapshots') set({ fundAssetSnapshots: parsed });
+      else if (key === 'clearedPositions') set({ clearedPositions: parsed });
       else if (key === 'localSortBy') set({ sortBy: parsed });
       else if (key === 'localSortOrder') set({ sortOrder: parsed });
     } catch (e) {
@@ -578,8 +647,8 @@ export const useStorageStore = create((set, get) => ({
    * 删除 key
    */
   removeItem: (key) => {
-    const prevValue = key === 'funds' || key === 'tags' ? window.localStorage.getItem(key) : null;
-    window.localStorage.removeItem(key);
+    const prevValue = key === 'funds' || key === 'tags' ? readRaw(key) : null;
+    removeRaw(key);
 
     const { onSync } = get();
     if (onSync && SYNC_KEYS.has(key)) {
@@ -592,6 +661,7 @@ export const useStorageStore = create((set, get) => ({
    */
   clear: () => {
     window.localStorage.clear();
+    secureLayer?.clear();
     const { onSync } = get();
     if (onSync) {
       onSync('__clear__', null, null);
@@ -602,7 +672,7 @@ export const useStorageStore = create((set, get) => ({
    * 获取数据（封装 JSON 解析）
    */
   getItem: (key, defaultValue = null) => {
-    const val = window.localStorage.getItem(key);
+    const val = readRaw(key);
     if (val === null) return defaultValue;
     try {
       return JSON.parse(val);
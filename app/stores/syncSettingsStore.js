@@ -0,0 +1,99 @@
+import { isPlainObject, isString, trim } from 'lodash';
+import { create } from 'zustand';
+import { supabaseTransport } from '@/app/lib/syncTransport';
+import { createWebdavTransport, getWebdavAccountId, isWebdavAccountId, normalizeWebdavConfig } from '@/app/lib/webdav';
+import { createSyncApiTransport, getSyncApiAccountId, isSyncApiAccountId, isSyncApiEnabled } from '@/app/lib/syncApi';
+import { storageStore } from './storageStore';
+
+/** 仅保存在本机的 localStorage key（含 WebDAV 密码与同步令牌，启用本地加密时以密文保存），不参与云端同步与导入/导出 */
+const SYNC_SETTINGS_KEY = 'syncSettings';
+
+/**
+ * @param {unknown} api
+ * @returns {{ token: string, userId: string }|null}
+ */
+const normalizeSyncApiConfig = (api) => {
+  if (!isPlainObject(api) || !isString(api.token) || !isString(api.userId)) return null;
+  const token = trim(api.token);
+  const userId = trim(api.userId);
+  return token && userId ? { token, userId } : null;
+};
+
+/**
+ * 当前生效的自建同步账号标识（WebDAV 或内置同步服务），使用 Supabase 账号同步时为 null
+ * @param {{ provider: string, webdav: object|null, api: object|null }} state
+ * @returns {string|null}
+ */
+export const selectSelfHostedAccountId = (state) => {
+  if (state.provider === 'webdav' && state.webdav) return getWebdavAccountId(state.webdav);
+  if (state.provider === 'api' && state.api) return getSyncApiAccountId(state.api.userId);
+  return null;
+};
+
+/**
+ * 云端同步方式 Zustand Store：默认使用 Supabase 账号同步，可改为自建的 WebDAV，
+ * 或以服务端方式部署时使用内置同步服务（同一时间只启用一种）
+ */
+export const useSyncSettingsStore = create((set) => {
+  const persist = (patch) => {
+    set(patch);
+    try {
+      const { provider, webdav, api } = useSyncSettingsStore.getState();
+      storageStore.setItem(SYNC_SETTINGS_KEY, JSON.stringify({ provider, webdav, api }));
+    } catch (e) {
+      console.warn('保存同步设置失败', e);
+    }
+  };
+
+  return {
+    /** 'supabase' | 'webdav' | 'api' */
+    provider: 'supabase',
+    /** { url, username, password } */
+    webdav: null,
+    /** 内置同步服务：{ token, userId } */
+    api: null,
+    /** 已从 localStorage 恢复（之后的变更视为用户操作） */
+    loaded: false,
+
+    /** 从 localStorage 恢复同步设置 */
+    initSyncSettings: () => {
+      const saved = storageStore.getItem(SYNC_SETTINGS_KEY, null);
+      const webdav = isPlainObject(saved) ? normalizeWebdavConfig(saved.webdav) : null;
+      const api = isPlainObject(saved) && isSyncApiEnabled ? normalizeSyncApiConfig(saved.api) : null;
+      let provider = 'supabase';
+      if (webdav && saved.provider === 'webdav') provider = 'webdav';
+      else if (api && saved.provider === 'api') provider = 'api';
+      set({ provider, webdav, api, loaded: true });
+    },
+
+    /**
+     * 启用 WebDAV 同步
+     * @param {{ url: string, username: string, password: string }} config - 已规范化的配置
+     */
+    enableWebdav: (config) => persist({ provider: 'webdav', webdav: config, api: null }),
+
+    /** 停用 WebDAV 同步并清除保存的账号密码 */
+    disableWebdav: () => persist({ provider: 'supabase', webdav: null }),
+
+    /**
+     * 启用内置同步服务
+     * @param {{ token: string, userId: string }} config - 已校验的令牌与对应用户名
+     */
+    enableSyncApi: (config) => persist({ provider: 'api', api: normalizeSyncApiConfig(config), webdav: null }),
+
+    /** 断开内置同步服务并清除保存的令牌 */
+    disableSyncApi: () => persist({ provider: 'supabase', api: null })
+  };
+});
+
+/**
+ * 按账号标识取同步传输层：自建同步账号使用当前保存的配置，其余为 Supabase 用户
+ * @param {string} accountId
+ * @returns {import('@/app/lib/syncTransport').SyncTransport}
+ */
+export function getSyncTransport(accountId) {
+  const { webdav, api } = useSyncSettingsStore.getState();
+  if (isWebdavAccountId(accountId) && webdav) return createWebdavTransport(webdav);
+  if (isSyncApiAccountId(accountId) && api) return createSyncApiTransport(api.token);
+  return supabaseTransport;
+}
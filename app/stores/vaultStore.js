@@ -0,0 +1,216 @@
+import { create } from 'zustand';
+import {
+  ENCRYPTED_KEYS,
+  VAULT_META_KEY,
+  createSecureLayer,
+  createVault,
+  decryptCloudPayload,
+  encryptCloudPayload,
+  encryptString,
+  isVaultMeta,
+  openVault
+} from '@/app/lib/vault';
+import { setSecureStorageLayer } from './storageStore';
+
+// 密钥与加密存储层只保存在内存中
+let vaultKey = null;
+let vaultLayer = null;
+
+/** 当前全部加密 key 的明文：已解锁时取内存缓存，未启用加密时读取 localStorage */
+const readEntries = () => {
+  if (vaultLayer) return vaultLayer.entries();
+  const entries = [];
+  ENCRYPTED_KEYS.forEach((name) => {
+    const value = window.localStorage.getItem(name);
+    if (value !== null) entries.push([name, value]);
+  });
+  return entries;
+};
+
+/** 切换到新的存储层，旧存储层中尚未完成的异步写入作废 */
+const attachLayer = (key, layer) => {
+  vaultLayer?.dispose();
+  vaultKey = key;
+  vaultLayer = layer;
+  setSecureStorageLayer(layer);
+};
+
+/**
+ * 以新密钥保存全部数据：先在内存中完成加密，再在同一轮事件循环内写入密文与加密参数，避免中途关闭页面导致密钥与密文不一致
+ */
+const commitVault = async (key, meta) => {
+  if (vaultLayer) await vaultLayer.flush();
+  const snapshot = new Map(readEntries());
+  const ciphers = new Map(
+    await Promise.all(Array.from(snapshot, async ([name, value]) => [name, await encryptString(key, value)]))
+  );
+  // 加密期间可能有新的写入：以最新明文为准，变化过的 key 交由新存储层重新加密
+  const latest = readEntries();
+  const layer = createSecureLayer(key, window.localStorage);
+  layer.seed(latest);
+  snapshot.forEach((_, name) => {
+    if (!latest.some(([n]) => n === name)) window.localStorage.removeItem(name);
+  });
+  latest.forEach(([name, value]) => {
+    if (snapshot.get(name) === value) window.localStorage.setItem(name, ciphers.get(name));
+    else layer.write(name, value);
+  });
+  window.localStorage.setItem(VAULT_META_KEY, JSON.stringify(meta));
+  attachLayer(key, layer);
+};
+
+/**
+ * 本地加密 Zustand Store：口令解锁、启用 / 更换口令 / 关闭加密，以及云端数据的加解密
+ */
+export const useVaultStore = create((set, get) => ({
+  /** 'loading' | 'disabled' | 'locked' | 'unlocked' */
+  status: 'loading',
+  /** 本机加密参数（不含密钥） */
+  meta: null,
+  /** 密钥变更次数：启用、更换口令、关闭加密后递增，同步模块据此全量上传 */
+  keyVersion: 0,
+  /** 云端数据已加密但本机无法解密时，待输入口令的云端加密参数 */
+  cloudMeta: null,
+  /** 用户取消了云端口令输入（同步保持暂停，下次拉取云端数据时再次询问） */
+  cloudPromptDismissed: false,
+  /** 采用云端加密参数后递增，同步模块据此重新拉取云端数据 */
+  cloudVersion: 0,
+
+  /** 读取本机加密参数，决定是否需要解锁 */
+  initVault: () => {
+    let meta = null;
+    try {
+      meta = JSON.parse(window.localStorage.getItem(VAULT_META_KEY) || 'null');
+    } catch {
+      meta = null;
+    }
+    set(isVaultMeta(meta) ? { status: vaultKey ? 'unlocked' : 'locked', meta } : { status: 'disabled', meta: null });
+  },
+
+  /**
+   * 启动时解锁：解密本地数据到内存
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} 口令错误返回 false
+   */
+  unlock: async (passphrase) => {
+    const { meta } = get();
+    const key = await openVault(passphrase, meta);
+    if (!key) return false;
+    const layer = createSecureLayer(key, window.localStorage);
+    await layer.load();
+    attachLayer(key, layer);
+    set({ status: 'unlocked' });
+    return true;
+  },
+
+  /**
+   * 启用本地加密，已有数据立即改为密文保存
+   * @param {string} passphrase
+   */
+  enable: async (passphrase) => {
+    const { key, meta } = await createVault(passphrase);
+    await commitVault(key, meta);
+    set((s) => ({ status: 'unlocked', meta, keyVersion: s.keyVersion + 1 }));
+  },
+
+  /**
+   * 更换口令并以新密钥重新加密全部数据
+   * @param {string} currentPassphrase
+   * @param {string} nextPassphrase
+   * @returns {Promise<boolean>} 当前口令错误返回 false
+   */
+  changePassphrase: async (currentPassphrase, nextPassphrase) => {
+    if (!(await openVault(currentPassphrase, get().meta))) return false;
+    const { key, meta } = await createVault(nextPassphrase);
+    await commitVault(key, meta);
+    set((s) => ({ meta, keyVersion: s.keyVersion + 1 }));
+    return true;
+  },
+
+  /**
+   * 关闭本地加密，数据恢复为明文保存
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} 口令错误返回 false
+   */
+  disable: async (passphrase) => {
+    if (!(await openVault(passphrase, get().meta))) return false;
+    if (vaultLayer) await vaultLayer.flush();
+    readEntries().forEach(([name, value]) => window.localStorage.setItem(name, value));
+    window.localStorage.removeItem(VAULT_META_KEY);
+    vaultLayer?.dispose();
+    vaultKey = null;
+    vaultLayer = null;
+    setSecureStorageLayer(null);
+    set((s) => ({ status: 'disabled', meta: null, keyVersion: s.keyVersion + 1 }));
+    return true;
+  },
+
+  /**
+   * 加密上传云端的数据；未启用加密时原样返回
+   * @param {object} payload
+   * @returns {Promise<object>}
+   */
+  encryptForCloud: async (payload) => {
+    const { status, meta } = get();
+    if (status !== 'unlocked' || !vaultKey) return payload;
+    return encryptCloudPayload(vaultKey, meta, payload);
+  },
+
+  /**
+   * 解密云端数据；本机无法解密时记录云端加密参数并返回 null，等待用户输入口令
+   * @param {object} data - 加密格式的云端数据
+   * @returns {Promise<object|null>}
+   */
+  decryptFromCloud: async (data) => {
+    const { status, meta } = get();
+    const cloudMeta = data._vault;
+    if (status === 'unlocked' && vaultKey && meta?.salt === cloudMeta.salt) {
+      try {
+        return await decryptCloudPayload(vaultKey, data);
+      } catch (e) {
+        console.error('解密云端数据失败', e);
+      }
+    }
+    set({ cloudMeta, cloudPromptDismissed: false });
+    return null;
+  },
+
+  /**
+   * 解密云端历史快照：仅尝试当前密钥，失败（如快照早于更换口令）时返回 null，不提示输入口令
+   * @param {object} data - 加密格式的快照数据
+   * @returns {Promise<object|null>}
+   */
+  decryptSnapshot: async (data) => {
+    const { status, meta } = get();
+    if (status !== 'unlocked' || !vaultKey || meta?.salt !== data._vault?.salt) return null;
+    try {
+      return await decryptCloudPayload(vaultKey, data);
+    } catch (e) {
+      console.error('解密云端快照失败', e);
+      return null;
+    }
+  },
+
+  /**
+   * 输入云端数据的口令：本机改用云端的加密参数，之后重新拉取云端数据
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} 口令错误返回 false
+   */
+  adoptCloudVault: async (passphrase) => {
+    const { cloudMeta } = get();
+    const key = await openVault(passphrase, cloudMeta);
+    if (!key) return false;
+    await commitVault(key, cloudMeta);
+    set((s) => ({ status: 'unlocked', meta: cloudMeta, cloudMeta: null, cloudVersion: s.cloudVersion + 1 }));
+    return true;
+  },
+
+  dismissCloudRequest: () => set({ cloudPromptDismissed: true }),
+
+  /** 忘记口令时清除本机的加密数据（无法恢复），之后以空数据启动 */
+  resetVault: () => {
+    ENCRYPTED_KEYS.forEach((name) => window.localStorage.removeItem(name));
+    window.localStorage.removeItem(VAULT_META_KEY);
+    set({ status: 'disabled', meta: null });
+  }
+}));
@@ -144,6 +144,93 @@ GRANT EXECUTE ON FUNCTION public.get_ytd_percentile(numeric) TO service_role;
 GRANT EXECUTE ON FUNCTION public.update_user_config_partial(jsonb, text, boolean) TO authenticated;
 GRANT EXECUTE ON FUNCTION public.update_user_config_partial(jsonb, text, boolean) TO service_role;
 
+-- --------------------------------------------------------
+-- 云端配置历史快照表 (user_config_snapshots)
+-- 每次 user_configs.data 变化后由触发器写入，保留最近 30 次同步，另保留 90 天内每天最后一次
+-- --------------------------------------------------------
+CREATE TABLE public.user_config_snapshots (
+  id bigint generated by default as identity not null,
+  created_at timestamp with time zone not null default now(),
+  user_id uuid not null,
+  device_id text null,
+  data json not null,
+  encrypted boolean not null default false,
+  fund_count int null,
+  transaction_count int null,
+  CONSTRAINT user_config_snapshots_pkey PRIMARY KEY (id)
+) TABLESPACE pg_default;
+
+CREATE INDEX idx_user_config_snapshots_user_created ON public.user_config_snapshots (user_id, created_at desc);
+
+ALTER TABLE public.user_config_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "user_config_snapshots_select_own" ON public.user_config_snapshots;
+
+-- 仅允许读取自己的快照；写入与清理由触发器完成
+CREATE POLICY "user_config_snapshots_select_own"
+ON public.user_config_snapshots
+FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.snapshot_user_config()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS
+$$
+declare
+  v_data jsonb := new.data::jsonb;
+  v_encrypted boolean := v_data ? '_vault';
+  v_fund_count int := null;
+  v_tx_count int := null;
+begin
+  if tg_op = 'UPDATE' and old.data is not null and old.data::jsonb = v_data then
+    return new;
+  end if;
+
+  -- 启用本地加密后各字段为密文，无法统计数量
+  if not v_encrypted then
+    if jsonb_typeof(v_data->'funds') = 'array' then
+      v_fund_count := jsonb_array_length(v_data->'funds');
+    end if;
+    if jsonb_typeof(v_data->'transactions') = 'object' then
+      select coalesce(sum(jsonb_array_length(value)), 0) into v_tx_count
+      from jsonb_each(v_data->'transactions')
+      where jsonb_typeof(value) = 'array';
+    end if;
+  end if;
+
+  insert into public.user_config_snapshots (user_id, device_id, data, encrypted, fund_count, transaction_count)
+  values (new.user_id, new.last_device_id, new.data, v_encrypted, v_fund_count, v_tx_count);
+
+  delete from public.user_config_snapshots s
+  where s.user_id = new.user_id
+    and s.id not in (
+      select id from public.user_config_snapshots
+      where user_id = new.user_id
+      order by created_at desc
+      limit 30
+    )
+    and s.id not in (
+      select distinct on ((created_at at time zone 'Asia/Shanghai')::date) id
+      from public.user_config_snapshots
+      where user_id = new.user_id and created_at > now() - interval '90 days'
+      order by (created_at at time zone 'Asia/Shanghai')::date, created_at desc
+    );
+
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS user_configs_snapshot ON public.user_configs;
+
+CREATE TRIGGER user_configs_snapshot
+AFTER INSERT OR UPDATE OF data ON public.user_configs
+FOR EACH ROW
+WHEN (new.data IS NOT NULL)
+EXECUTE FUNCTION public.snapshot_user_config();
+
 
 -- ========================================================
 -- 2. 基金板块数据
@@ -1,8 +1,8 @@
 #!/bin/sh
-# 在启动 Nginx 前，将静态资源中的占位符替换为运行时环境变量
+# 在启动 Nginx（或内置同步服务的 Node 服务端）前，将静态资源中的占位符替换为运行时环境变量
 set -e
 
-HTML_ROOT="/usr/share/nginx/html"
+HTML_ROOT="${HTML_ROOT:-/usr/share/nginx/html}"
 
 # 转义 sed 替换串中的特殊字符：\ & |
 escape_sed() {
@@ -24,4 +24,9 @@ replace_var "__NEXT_PUBLIC_GA_ID__" "${NEXT_PUBLIC_GA_ID}"
 replace_var "__NEXT_PUBLIC_GITHUB_LATEST_RELEASE_URL__" "${NEXT_PUBLIC_GITHUB_LATEST_RELEASE_URL}"
 replace_var "__NEXT_PUBLIC_IS_GITHUB_LOGIN__" "${NEXT_PUBLIC_IS_GITHUB_LOGIN}"
 
+# 服务端镜像通过 CMD 传入启动命令
+if [ "$#" -gt 0 ]; then
+  exec "$@"
+fi
+
 exec nginx -g "daemon off;"
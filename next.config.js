@@ -1,8 +1,24 @@
+// 内置同步服务（Docker 自建部署）：以 Node 服务端方式构建，并启用 app/api/sync 下的路由（route.server.js）；
+// 默认仍为静态导出，这些路由不参与构建
+const isSyncApiBuild = process.env.NEXT_PUBLIC_SYNC_API === 'true';
+
+// 同步接口使用 node:sqlite（Node.js 22.13 起无需实验参数）；package.json 的 engines 仍按静态导出要求，
+// 这里在构建 / 启动时提前报错，避免到首次同步请求才失败
+if (isSyncApiBuild) {
+  const [major, minor] = process.versions.node.split('.').map(Number);
+  if (major < 22 || (major === 22 && minor < 13)) {
+    throw new Error(
+      `NEXT_PUBLIC_SYNC_API=true 需要 Node.js 22.13 及以上版本（node:sqlite），当前为 ${process.version}`
+    );
+  }
+}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
   reactCompiler: true,
-  output: 'export',
+  output: isSyncApiBuild ? 'standalone' : 'export',
+  ...(isSyncApiBuild && { pageExtensions: ['server.js', 'tsx', 'ts', 'jsx', 'js'] }),
   images: {
     unoptimized: true
   }
@@ -1,18 +1,208 @@
-// 最小 Service Worker，满足 Android Chrome「添加到主屏幕」的安装条件
-const CACHE_NAME = 'jigubao-v1';
+// Service Worker：离线优先
+// - 安装时预缓存应用外壳与 allFund.json，页面导航网络优先、离线回退到缓存
+// - /_next/static 下带哈希的构建产物缓存优先
+// - 实时估值、行情报价网络优先，失败时回退到最近一次响应；
+//   净值与历史数据（净值列表、业绩走势、指数日线）stale-while-revalidate：有缓存时立即返回，后台更新
+// - 这些 JSONP / script 响应多为 opaque，浏览器按配额对每条大幅加权计算，因此行情数据共用一个几十条的上限，
+//   按最近使用淘汰，避免挤占应用外壳的配额；基金资料、搜索等其他第三方请求不缓存
+// 修改缓存策略或预缓存列表时请递增 CACHE_VERSION，旧缓存会在 activate 时清理
+const CACHE_VERSION = 'v4';
+const CACHE_PREFIX = 'jigubao-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = ['/', '/manifest.webmanifest', '/Icon-60@3x.png', '/allFund.json', '/fundTrackingTargets.json'];
+
+/** 行情数据缓存条目上限（实时与历史共用），超出后淘汰最久未使用的条目 */
+const DATA_CACHE_MAX_ENTRIES = 60;
+
+/**
+ * 网络优先的接口：天天基金实时估值、腾讯行情报价
+ * @type {((url: URL) => boolean)[]}
+ */
+const NETWORK_FIRST_DATA_ROUTES = [
+  (url) => url.hostname === 'fundgz.1234567.com.cn' && url.pathname.startsWith('/js/'),
+  (url) => url.hostname === 'qt.gtimg.cn'
+];
+
+/**
+ * stale-while-revalidate 的接口：历史净值列表（含最新几条与按日期区间查询）、业绩走势（pingzhongdata）、指数日线
+ * @type {((url: URL) => boolean)[]}
+ */
+const STALE_WHILE_REVALIDATE_DATA_ROUTES = [
+  (url) =>
+    url.hostname === 'fundf10.eastmoney.com' &&
+    url.pathname === '/F10DataApi.aspx' &&
+    url.searchParams.get('type') === 'lsjz',
+  (url) => url.hostname === 'fund.eastmoney.com' && url.pathname.startsWith('/pingzhongdata/'),
+  (url) => url.hostname === 'push2his.eastmoney.com' && url.pathname === '/api/qt/stock/kline/get'
+];
+
+/** 仅用于防缓存的查询参数，缓存键中去掉以便命中上一次的响应 */
+const CACHE_BUSTER_PARAMS = ['_', '_t', 'rt', 'v', 'deviceid'];
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      // 单个资源失败不阻塞安装
+      .then((cache) => Promise.all(PRECACHE_URLS.map((url) => cache.add(url).catch(() => undefined))))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  const keep = new Set([SHELL_CACHE, STATIC_CACHE, DATA_CACHE]);
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && !keep.has(k)).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
 });
 
+const isCacheable = (response) => Boolean(response) && (response.ok || response.type === 'opaque');
+
+/** 去掉防缓存参数后的缓存键；带 JSONP 回调名的请求回放会调用错误的回调，返回 null 表示不缓存 */
+function getDataCacheKey(request) {
+  const url = new URL(request.url);
+  if (url.searchParams.has('callback') || url.searchParams.has('cb')) return null;
+  CACHE_BUSTER_PARAMS.forEach((p) => url.searchParams.delete(p));
+  return url.toString();
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length <= maxEntries) return;
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((k) => cache.delete(k)));
+}
+
+async function putData(cacheKey, response) {
+  const cache = await caches.open(DATA_CACHE);
+  // 先删后写，让最近使用的条目排到末尾，淘汰时保留
+  await cache.delete(cacheKey);
+  await cache.put(cacheKey, response);
+  await trimCache(DATA_CACHE, DATA_CACHE_MAX_ENTRIES);
+}
+
+async function networkFirstData(request, cacheKey, event) {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) event.waitUntil(putData(cacheKey, response.clone()));
+    return response;
+  } catch (e) {
+    const cached = await caches.match(cacheKey, { cacheName: DATA_CACHE });
+    if (cached) return cached;
+    return Response.error();
+  }
+}
+
+async function staleWhileRevalidateData(request, cacheKey, event) {
+  const cached = await caches.match(cacheKey, { cacheName: DATA_CACHE });
+  const network = fetch(request)
+    .then((response) => {
+      // 重新写入同时把条目移到末尾，作为最近使用保留
+      if (isCacheable(response)) return putData(cacheKey, response.clone()).then(() => response);
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  const response = await network;
+  return response || Response.error();
+}
+
+async function networkFirstNavigation(request, event) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const copy = response.clone();
+      event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy)));
+    }
+    return response;
+  } catch (e) {
+    const cached = (await caches.match(request, { cacheName: SHELL_CACHE })) || (await caches.match('/'));
+    if (cached) return cached;
+    return new Response('', { status: 503, statusText: 'Service Unavailable' });
+  }
+}
+
+async function cacheFirstStatic(request, event) {
+  const cached = await caches.match(request, { cacheName: STATIC_CACHE });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const copy = response.clone();
+    event.waitUntil(caches.open(STATIC_CACHE).then((cache) => cache.put(request, copy)));
+  }
+  return response;
+}
+
+async function staleWhileRevalidateShell(request, event) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        return caches
+          .open(SHELL_CACHE)
+          .then((cache) => cache.put(request, copy))
+          .then(() => response);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  const response = await network;
+  return response || new Response('', { status: 503, statusText: 'Service Unavailable' });
+}
+
 self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirstNavigation(request, event));
+      return;
+    }
+    if (url.pathname.startsWith('/_next/static/')) {
+      event.respondWith(cacheFirstStatic(request, event));
+      return;
+    }
+    if (PRECACHE_URLS.includes(url.pathname)) {
+      event.respondWith(staleWhileRevalidateShell(request, event));
+      return;
+    }
+    event.respondWith(
+      fetch(request).catch(
+        async () =>
+          (await caches.match(request)) || new Response('', { status: 503, statusText: 'Service Unavailable' })
+      )
+    );
+    return;
+  }
+
+  const networkFirst = NETWORK_FIRST_DATA_ROUTES.some((match) => match(url));
+  if (!networkFirst && !STALE_WHILE_REVALIDATE_DATA_ROUTES.some((match) => match(url))) return;
+
+  const cacheKey = getDataCacheKey(request);
+  if (!cacheKey) return;
+
   event.respondWith(
-    fetch(event.request).catch(() => {
-      return new Response('', { status: 503, statusText: 'Service Unavailable' });
-    })
+    networkFirst ? networkFirstData(request, cacheKey, event) : staleWhileRevalidateData(request, cacheKey, event)
   );
 });